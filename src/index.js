@@ -3,16 +3,25 @@ import cors from "cors"
 import "dotenv/config"
 import { createServer } from "http"
 import { Server } from "socket.io"
-import job from "./lib/cron.js"
+import job, { attemptExpiryJob, mediaCleanupJob } from "./lib/cron.js"
 
 // API routes
 import authRoutes from "./routes/authRoutes.js"
+import twoFactorRoutes from "./routes/twoFactorRoutes.js"
 import quizRoutes from "./routes/quizRoutes.js"
 import moduleRoutes from "./routes/moduleRoutes.js"
 import progressRoutes from "./routes/progressRoutes.js"
 import sectionsRoutes from "./routes/sectionsRoutes.js"
 import userRoutes from "./routes/userRoutes.js"
+import attemptRoutes from "./routes/attemptRoutes.js"
+import questionRoutes from "./routes/questionRoutes.js"
+import courseRoutes from "./routes/courseRoutes.js"
+import lessonRoutes from "./routes/lessonRoutes.js"
+import bundleRoutes from "./routes/bundleRoutes.js"
+import mediaRoutes from "./routes/mediaRoutes.js"
+import adminRoutes from "./routes/adminRoutes.js"
 import { connectDB } from "./lib/db.js"
+import { publishContentWithoutStatus } from "./lib/visibility.js"
 import { initializeGameSocket } from "./controllers/gameController.js"
 
 const app = express()
@@ -28,24 +37,59 @@ const io = new Server(server, {
 })
 
 job.start()
+attemptExpiryJob.start()
+mediaCleanupJob.start()
 
-app.use(express.json({ limit: "50mb" }))
-app.use(express.urlencoded({ extended: true, limit: "50mb" }))
+// Behind a proxy (e.g. the hosting platform's load balancer) req.ip would be the
+// proxy's address for everyone; TRUST_PROXY is the number of proxies in front
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY)
+}
+
+// Request bodies are kept small. Images are uploaded as multipart/form-data;
+// only the routes below still take them (or a zipped bundle) base64 encoded
+// in JSON, and get a larger limit. Their parser runs first, so the default
+// one leaves those bodies alone.
+const imageJson = express.json({ limit: "15mb" })
+app.post(["/api/modules", "/api/quiz", "/api/quiz/import", "/api/users", "/api/lessons/:id/images"], imageJson)
+app.put(["/api/modules/:id", "/api/quiz/:id", "/api/users/:id"], imageJson)
+app.post("/api/bundles/import", express.json({ limit: "50mb" }))
+
+app.use(express.json({ limit: "1mb" }))
+app.use(express.urlencoded({ extended: true, limit: "1mb" }))
 app.use(cors())
 
 // Existing API routes
+app.use("/api/auth/2fa", twoFactorRoutes)
 app.use("/api/auth", authRoutes)
 app.use("/api/quiz", quizRoutes)
 app.use("/api/modules", moduleRoutes)
 app.use("/api/progress", progressRoutes)
 app.use("/api/users", userRoutes)
 app.use("/api/sections", sectionsRoutes)
+app.use("/api/attempts", attemptRoutes)
+app.use("/api/questions", questionRoutes)
+app.use("/api/courses", courseRoutes)
+app.use("/api/lessons", lessonRoutes)
+app.use("/api/bundles", bundleRoutes)
+app.use("/api/admin", adminRoutes)
+app.use("/media", mediaRoutes)
 
 // Initialize Socket.IO game handlers
 initializeGameSocket(io);
 
 // Use server.listen instead of app.listen to support Socket.IO
-server.listen(PORT, () => {
+server.listen(PORT, async () => {
   console.log(`Server is running on port ${PORT}`)
-  connectDB()
+  await connectDB()
+
+  // Content from before the draft/publish status stays visible to students
+  try {
+    const counts = await publishContentWithoutStatus()
+    if (counts.Module + counts.Quiz > 0) {
+      console.log(`Marked ${counts.Module} module(s) and ${counts.Quiz} quiz(zes) without a status as published`)
+    }
+  } catch (error) {
+    console.error("Error publishing content without a status:", error)
+  }
 })
\ No newline at end of file
@@ -0,0 +1,83 @@
+import crypto from "crypto";
+import AuthToken from "../models/AuthToken.js";
+import { hashToken, AuthTokenError } from "./authTokens.js";
+import { sendMail } from "./mailer/index.js";
+
+// Emailed links for password resets and email verification. A link holds a
+// random token that works once and expires; only the newest link of each
+// kind works.
+//   APP_URL                       - where the links point, the app's web address
+//   PASSWORD_RESET_TTL_MINUTES    - default 60
+//   EMAIL_VERIFICATION_TTL_HOURS  - default 48
+
+const TOKEN_TTL_MS = {
+  password_reset: (Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60) * 60 * 1000,
+  email_verification: (Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48) * 60 * 60 * 1000
+};
+
+const appLink = (pathname, token) => {
+  const base = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${base}${pathname}?token=${encodeURIComponent(token)}`;
+};
+
+// Create a token for `purpose`, dropping the user's earlier unused ones
+const createAccountToken = async (user, purpose) => {
+  await AuthToken.deleteMany({ user: user._id, purpose, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await AuthToken.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MS[purpose])
+  });
+  return token;
+};
+
+/**
+ * Use up a token for `purpose`. Returns the AuthToken (its `user` is the
+ * account); throws an AuthTokenError for unknown, used or expired tokens.
+ */
+export const consumeAccountToken = async (token, purpose) => {
+  if (typeof token !== 'string' || token === '') {
+    throw new AuthTokenError("Token is required", 400);
+  }
+
+  const now = new Date();
+  const accountToken = await AuthToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+  if (!accountToken) {
+    throw new AuthTokenError("This link is invalid or has expired", 400);
+  }
+  return accountToken;
+};
+
+export const sendPasswordResetEmail = async (user) => {
+  const token = await createAccountToken(user, 'password_reset');
+  const link = appLink('/reset-password', token);
+  const minutes = TOKEN_TTL_MS.password_reset / (60 * 1000);
+
+  return sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: `Hi ${user.username},\n\n` +
+      `Someone asked to reset the password of your account. If it was you, open this link ` +
+      `within ${minutes} minutes to choose a new password:\n\n${link}\n\n` +
+      `If you did not ask for this, ignore this email; your password stays the same.`
+  });
+};
+
+export const sendVerificationEmail = async (user) => {
+  const token = await createAccountToken(user, 'email_verification');
+  const link = appLink('/verify-email', token);
+
+  return sendMail({
+    to: user.email,
+    subject: "Confirm your email address",
+    text: `Hi ${user.username},\n\n` +
+      `Welcome! Please confirm your email address by opening this link:\n\n${link}`
+  });
+};
@@ -0,0 +1,73 @@
+// Matching of free-text answers for fillInBlanks questions
+
+// Longest answer or pattern we are willing to run a regular expression on
+export const MAX_ANSWER_LENGTH = 500;
+export const MAX_PATTERN_LENGTH = 200;
+
+const PUNCTUATION = /[!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~]/g;
+
+// Trim, collapse inner whitespace and optionally fold case / drop punctuation
+export const normalizeAnswer = (text, { caseSensitive = false, ignorePunctuation = false } = {}) => {
+  let normalized = String(text).normalize('NFKC').trim().replace(/\s+/g, ' ');
+
+  if (ignorePunctuation) {
+    normalized = normalized.replace(PUNCTUATION, '').replace(/\s+/g, ' ').trim();
+  }
+
+  return caseSensitive ? normalized : normalized.toLowerCase();
+};
+
+// Compile a blank's pattern, anchored so it must match the whole answer.
+// Throws SyntaxError for invalid patterns.
+export const compileBlankPattern = (pattern, caseSensitive = false) => {
+  return new RegExp(`^(?:${pattern})$`, caseSensitive ? 'u' : 'iu');
+};
+
+// Parse a numeric answer such as "42", "-3.5" or "1e3"; null if not a number
+const parseNumber = (text) => {
+  const trimmed = String(text).trim();
+  if (trimmed === '' || !/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(trimmed)) return null;
+  const value = Number(trimmed);
+  return Number.isFinite(value) ? value : null;
+};
+
+// Whether `userAnswer` fills `blank` correctly
+export const matchesBlank = (blank, userAnswer) => {
+  if (typeof userAnswer !== 'string' && typeof userAnswer !== 'number') return false;
+
+  const raw = String(userAnswer);
+  if (raw.length > MAX_ANSWER_LENGTH) return false;
+
+  const options = {
+    caseSensitive: Boolean(blank.caseSensitive),
+    ignorePunctuation: Boolean(blank.ignorePunctuation)
+  };
+  const answer = normalizeAnswer(raw, options);
+
+  const accepted = [blank.answer, ...(blank.alternatives || [])]
+    .filter(a => typeof a === 'string' && a.trim() !== '');
+  if (accepted.some(a => normalizeAnswer(a, options) === answer)) {
+    return true;
+  }
+
+  // Patterns see the whitespace-normalised answer; case is left to the regex flags
+  const patternInput = normalizeAnswer(raw, { caseSensitive: true });
+  for (const pattern of blank.patterns || []) {
+    try {
+      if (compileBlankPattern(pattern, options.caseSensitive).test(patternInput)) return true;
+    } catch (error) {
+      // Invalid patterns are rejected when the quiz is saved; skip legacy ones
+      console.error(`Invalid blank pattern ${pattern}:`, error.message);
+    }
+  }
+
+  if (typeof blank.numeric?.value === 'number') {
+    const value = parseNumber(raw);
+    const tolerance = Math.abs(blank.numeric.tolerance || 0);
+    if (value !== null && Math.abs(value - blank.numeric.value) <= tolerance) {
+      return true;
+    }
+  }
+
+  return false;
+};
@@ -0,0 +1,138 @@
+import AttemptSession from "../models/AttemptSession.js";
+import Quiz from "../models/Quiz.js";
+import User from "../models/Users.js";
+import { stripAnswerKey } from "./quizGrader.js";
+import { assembleAttemptQuestions } from "./quizAssembly.js";
+import {
+  submitQuizAttempt,
+  loadUnlockedProgress,
+  assertQuizAvailable,
+  isPrivileged,
+  isTimedQuiz,
+  QuizSubmissionError,
+  ATTEMPT_GRACE_SECONDS
+} from "./quizSubmission.js";
+
+// Auto-submit an overdue session with the answers saved before the deadline.
+// If the attempt can no longer be recorded (e.g. the quiz was locked again)
+// the session is closed as expired.
+export const autoSubmitAttempt = async (session, quiz) => {
+  const owner = await User.findById(session.user).select('privilege');
+  const user = { id: session.user, privilege: owner?.privilege || 'student' };
+
+  try {
+    return await submitQuizAttempt({ user, quiz, attemptId: session._id });
+  } catch (error) {
+    if (!(error instanceof QuizSubmissionError)) throw error;
+
+    console.log(`⌛ Attempt ${session._id} expired without being recorded: ${error.message}`);
+    await AttemptSession.updateOne(
+      { _id: session._id, status: 'in_progress' },
+      { status: 'expired', autoSubmitted: true }
+    );
+    return null;
+  }
+};
+
+/**
+ * Start an attempt for `quiz`, or resume the student's open attempt.
+ * An open attempt that is already past its deadline is auto-submitted and a
+ * fresh one is started.
+ */
+export const startAttempt = async (user, quiz) => {
+  const privileged = await isPrivileged(user);
+  if (!privileged) {
+    await loadUnlockedProgress(user, quiz);
+  }
+
+  const existing = await AttemptSession.findOne({ user: user.id, quiz: quiz._id, status: 'in_progress' });
+
+  if (existing) {
+    if (!existing.isPastDeadline(ATTEMPT_GRACE_SECONDS)) {
+      existing.lastSeenAt = new Date();
+      await existing.save();
+      return { session: existing, resumed: true };
+    }
+    await autoSubmitAttempt(existing, quiz);
+  }
+
+  if (!privileged) {
+    await assertQuizAvailable(quiz);
+  }
+
+  const questions = await assembleAttemptQuestions(quiz);
+  const startedAt = new Date();
+
+  try {
+    const session = await AttemptSession.create({
+      user: user.id,
+      quiz: quiz._id,
+      module: quiz.module,
+      startedAt,
+      deadline: isTimedQuiz(quiz) ? new Date(startedAt.getTime() + quiz.timeLimit * 1000) : undefined,
+      questions,
+      lastSeenAt: startedAt
+    });
+
+    console.log(`⏱️ Attempt started for quiz ${quiz.title}, deadline: ${session.deadline || 'none'}`);
+    return { session, resumed: false };
+  } catch (error) {
+    // Another request opened an attempt at the same time - resume that one
+    if (error.code === 11000) {
+      const session = await AttemptSession.findOne({ user: user.id, quiz: quiz._id, status: 'in_progress' });
+      if (session) return { session, resumed: true };
+    }
+    throw error;
+  }
+};
+
+// What the app needs to render or resume an attempt
+export const buildAttemptPayload = (session, quiz) => {
+  const now = new Date();
+
+  return {
+    attemptId: session._id,
+    quizId: quiz._id,
+    title: quiz.title,
+    status: session.status,
+    startedAt: session.startedAt,
+    deadline: session.deadline || null,
+    serverTime: now,
+    remainingSeconds: session.remainingSeconds(now),
+    graceSeconds: ATTEMPT_GRACE_SECONDS,
+    questions: session.questions.map(q => ({
+      questionIndex: q.questionIndex,
+      ...stripAnswerKey(q.question)
+    })),
+    answers: Object.fromEntries(
+      session.answers.map(a => [a.questionIndex, a.userAnswer])
+    )
+  };
+};
+
+// Auto-submit every open attempt that is past its deadline plus grace period
+export const expireOverdueAttempts = async () => {
+  const cutoff = new Date(Date.now() - ATTEMPT_GRACE_SECONDS * 1000);
+  const overdue = await AttemptSession.find({
+    status: 'in_progress',
+    deadline: { $lt: cutoff }
+  });
+
+  let submitted = 0;
+
+  for (const session of overdue) {
+    try {
+      const quiz = await Quiz.findById(session.quiz);
+      if (!quiz) {
+        session.status = 'expired';
+        await session.save();
+        continue;
+      }
+      if (await autoSubmitAttempt(session, quiz)) submitted++;
+    } catch (error) {
+      console.error(`Error auto-submitting attempt ${session._id}:`, error);
+    }
+  }
+
+  return { processed: overdue.length, submitted };
+};
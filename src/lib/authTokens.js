@@ -0,0 +1,144 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import RefreshToken from "../models/RefreshToken.js";
+
+// Sessions: a short-lived JWT access token plus a refresh token kept
+// server-side (hashed) that is exchanged for a new pair and can only be
+// used once. Access tokens carry their session (token family) as `sid`,
+// so revoking the family signs them out too. Both kinds of token also carry
+// the user's tokenVersion (`tv` in access tokens); a password or role
+// change, deactivation or "sign out everywhere" bumps it, which ends every
+// session of the user at once.
+//   ACCESS_TOKEN_TTL        - jsonwebtoken duration, default 15m
+//   REFRESH_TOKEN_TTL_DAYS  - default 30
+
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+export const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+export class AuthTokenError extends Error {
+  constructor(message, statusCode = 401) {
+    super(message);
+    this.name = "AuthTokenError";
+    this.statusCode = statusCode;
+  }
+}
+
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+export const signAccessToken = (user, family) => jwt.sign(
+  { userId: user._id, privilege: user.privilege, sid: family, tv: user.tokenVersion },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+/**
+ * Issue an access token and a refresh token for `user`, in a new family
+ * unless `family` is given. `req` is used to note the client's IP and user
+ * agent. Returns { token, refreshToken, accessTokenExpiresAt }.
+ */
+export const issueTokens = async (user, req, family = crypto.randomUUID()) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  await RefreshToken.create({
+    user: user._id,
+    family,
+    tokenHash: hashToken(refreshToken),
+    tokenVersion: user.tokenVersion,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: req?.ip,
+    userAgent: req?.get?.('user-agent')?.slice(0, 300)
+  });
+
+  const token = signAccessToken(user, family);
+  return {
+    token,
+    refreshToken,
+    accessTokenExpiresAt: new Date(jwt.decode(token).exp * 1000)
+  };
+};
+
+// Revoke every token of a family; returns how many were still live
+export const revokeFamily = async (family, reason) => {
+  const result = await RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+// Revoke every session of a user (e.g. after a password reset); returns how many tokens were still live
+export const revokeUserSessions = async (userId, reason) => {
+  const result = await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+// End every session of a user now: bumps their tokenVersion, so access
+// tokens stop working too. Returns how many refresh tokens were still live.
+export const signOutEverywhere = async (userId, reason) => {
+  await mongoose.model('User').updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  return revokeUserSessions(userId, reason);
+};
+
+// Whether the session an access token belongs to is still signed in
+export const isSessionActive = async (family) =>
+  Boolean(family) && Boolean(await RefreshToken.exists({ family, revokedAt: null }));
+
+/**
+ * Exchange a refresh token for a new pair in the same family. A token that
+ * was already exchanged revokes its whole family: either the client or
+ * whoever copied the token is replaying it, and we cannot tell which.
+ * Returns { user, token, refreshToken, accessTokenExpiresAt }.
+ */
+export const rotateRefreshToken = async (refreshToken, req) => {
+  if (typeof refreshToken !== 'string' || refreshToken === '') {
+    throw new AuthTokenError("Refresh token is required", 400);
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date();
+
+  // Claimed atomically, so two requests racing with the same token cannot both succeed
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, usedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+
+  if (!current) {
+    const known = await RefreshToken.findOne({ tokenHash });
+    if (known?.usedAt && !known.revokedAt) {
+      const revoked = await revokeFamily(known.family, 'reuse');
+      console.warn(`⚠️ Refresh token reuse for user ${known.user}, revoked ${revoked} token(s) of family ${known.family}`);
+    }
+    if (known?.usedAt || known?.revokedAt) {
+      throw new AuthTokenError("Session has been signed out, please log in again");
+    }
+    throw new AuthTokenError("Invalid or expired refresh token");
+  }
+
+  const user = await mongoose.model('User').findById(current.user);
+  if (!user) {
+    await revokeFamily(current.family, 'admin');
+    throw new AuthTokenError("User not found");
+  }
+
+  // Issued before a password or role change, or the account was deactivated since
+  if (current.tokenVersion !== user.tokenVersion || !user.isActive) {
+    await revokeFamily(current.family, 'account_change');
+    throw new AuthTokenError("Session has been signed out, please log in again");
+  }
+
+  return { user, ...(await issueTokens(user, req, current.family)) };
+};
+
+// Revoke the family of a refresh token (logout); unknown tokens are ignored
+export const revokeRefreshToken = async (refreshToken) => {
+  if (typeof refreshToken !== 'string' || refreshToken === '') return false;
+  const known = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) }).select('family');
+  if (!known) return false;
+  await revokeFamily(known.family, 'logout');
+  return true;
+};
@@ -0,0 +1,430 @@
+import AdmZip from "adm-zip";
+import mongoose from "mongoose";
+import { readMedia, extensionFor, contentTypeFor } from "./storage/index.js";
+import { storeImage, deleteImage, MAX_IMAGE_BYTES } from "./images.js";
+import { questionFields } from "../models/Quiz.js";
+import { loadQuizQuestions } from "./quizAssembly.js";
+import { buildModuleGraph, findCycle } from "./moduleGraph.js";
+import { validateQuestions, validateAssembly } from "./quizValidation.js";
+
+// Course bundles move modules between deployments. A bundle is a zip with
+//   bundle.json  - the modules with their quizzes and lessons
+//   images/...   - every image they use, referenced from bundle.json by path
+// Ids are not portable, so modules are referred to by their index in the
+// bundle (prerequisites included) and the importing side creates everything
+// with fresh ids. Question bank entries are written out as the quiz's own
+// questions, the target deployment has its own bank.
+
+export const BUNDLE_FORMAT = 'cyberlearn-bundle';
+export const BUNDLE_VERSION = 1;
+
+export class BundleError extends Error {
+  constructor(message, statusCode = 400, details) {
+    super(message);
+    this.name = "BundleError";
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// What an archive may unpack to. Checked against the sizes entries declare
+// before anything is decompressed; adm-zip stops inflating at that size.
+const BUNDLE_LIMITS = {
+  entries: 1000,
+  manifestBytes: 10 * 1024 * 1024,
+  imageBytes: MAX_IMAGE_BYTES,
+  totalBytes: 200 * 1024 * 1024
+};
+
+// Contents of an archive entry no larger than `maxBytes`. Entries declaring
+// no size are not inflated: adm-zip would not limit them.
+const readEntry = (entry, maxBytes) => {
+  const { size } = entry.header;
+  if (size > maxBytes) {
+    throw new BundleError(`${entry.entryName} is larger than ${maxBytes / (1024 * 1024)}MB`, 413);
+  }
+  if (size === 0) return Buffer.alloc(0);
+  try {
+    return entry.getData();
+  } catch (error) {
+    throw new BundleError(`${entry.entryName} is corrupt`);
+  }
+};
+
+const MODULE_FIELDS = ['title', 'description', 'category', 'availableFrom', 'availableUntil'];
+const QUIZ_FIELDS = ['title', 'description', 'difficulty', 'timeLimit', 'passingScore', 'assembly', 'order', 'requiresLesson', 'availableFrom', 'availableUntil'];
+const LESSON_FIELDS = ['title', 'body', 'codeSnippets', 'order', 'availableFrom', 'availableUntil'];
+const QUESTION_FIELDS = Object.keys(questionFields);
+
+const pick = (source, fields) => Object.fromEntries(
+  fields.filter(field => source[field] !== undefined && source[field] !== null).map(field => [field, source[field]])
+);
+
+// Drop subdocument ids so nothing in the bundle points back at this database
+const withoutIds = (value) => JSON.parse(JSON.stringify(value, (key, v) => key === '_id' ? undefined : v));
+
+/**
+ * Build a bundle for `modules` (in the order they should be imported).
+ * Returns the zip as a Buffer.
+ */
+export const buildBundle = async (modules) => {
+  const Quiz = mongoose.model('Quiz');
+  const Lesson = mongoose.model('Lesson');
+
+  const zip = new AdmZip();
+  const images = new Map(); // source URL -> path in the archive
+
+  // Add an image to the archive once; unreachable images are left out
+  const addImage = async (url) => {
+    if (!url) return null;
+    if (images.has(url)) return images.get(url);
+
+    let path = null;
+    try {
+      const { buffer, contentType } = await readMedia(url);
+      path = `images/${images.size + 1}.${extensionFor(contentType)}`;
+      zip.addFile(path, buffer);
+    } catch (error) {
+      console.error(`Could not add image ${url} to bundle:`, error.message);
+    }
+    images.set(url, path);
+    return path;
+  };
+
+  const moduleIndex = new Map(modules.map((module, index) => [module._id.toString(), index]));
+  const toBundleEntries = (list = []) => list
+    .filter(entry => moduleIndex.has(entry.module.toString()))
+    .map(entry => ({ module: moduleIndex.get(entry.module.toString()), minScore: entry.minScore }));
+
+  const bundleModules = [];
+  for (const module of modules) {
+    const quizzes = await Quiz.find({ module: module._id }).sort({ order: 1 });
+    const lessons = await Lesson.find({ module: module._id }).sort({ order: 1, createdAt: 1 });
+
+    const bundleQuizzes = [];
+    for (const quiz of quizzes) {
+      const questions = await loadQuizQuestions(quiz);
+      bundleQuizzes.push({
+        ...withoutIds(pick(quiz.toObject(), QUIZ_FIELDS)),
+        image: await addImage(quiz.image),
+        questions: withoutIds(questions.map(question => pick(question, QUESTION_FIELDS)))
+      });
+    }
+
+    const bundleLessons = [];
+    for (const lesson of lessons) {
+      const lessonImages = [];
+      for (const image of lesson.images) {
+        lessonImages.push({ path: await addImage(image.url), url: image.url, alt: image.alt });
+      }
+      bundleLessons.push({
+        ...withoutIds(pick(lesson.toObject(), LESSON_FIELDS)),
+        images: lessonImages.filter(image => image.path)
+      });
+    }
+
+    // Modules need their image, a bundle without it could not be imported
+    const moduleImage = await addImage(module.image);
+    if (!moduleImage) {
+      throw new BundleError(`The image of module "${module.title}" could not be read, replace it and export again`, 409);
+    }
+
+    bundleModules.push({
+      ...pick(module.toObject(), MODULE_FIELDS),
+      image: moduleImage,
+      prerequisites: module.prerequisites
+        ? { allOf: toBundleEntries(module.prerequisites.allOf), anyOf: toBundleEntries(module.prerequisites.anyOf) }
+        : null,
+      quizzes: bundleQuizzes,
+      lessons: bundleLessons
+    });
+  }
+
+  const manifest = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    modules: bundleModules
+  };
+  zip.addFile('bundle.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+
+  return zip.toBuffer();
+};
+
+/**
+ * Check the prerequisites of the bundle's modules, which point at other
+ * modules by bundle index, with the rules validatePrerequisites applies to a
+ * module's. Imported modules go after the course's existing ones, which
+ * cannot depend on them, so any cycle lies within the bundle.
+ */
+const validateBundlePrerequisites = (modules) => {
+  const errors = [];
+
+  modules.forEach((module, i) => {
+    const prerequisites = module?.prerequisites;
+    if (prerequisites === undefined || prerequisites === null) return;
+    if (typeof prerequisites !== 'object' || Array.isArray(prerequisites)) {
+      errors.push(`modules[${i}].prerequisites must be an object with allOf and anyOf lists`);
+      return;
+    }
+
+    const referenced = new Set();
+    for (const list of ['allOf', 'anyOf']) {
+      const entries = prerequisites[list] ?? [];
+      if (!Array.isArray(entries)) {
+        errors.push(`modules[${i}].prerequisites.${list} must be a list`);
+        continue;
+      }
+
+      entries.forEach((entry, j) => {
+        const path = `modules[${i}].prerequisites.${list}[${j}]`;
+        const index = entry?.module;
+
+        if (!Number.isInteger(index) || index < 0 || index >= modules.length) {
+          errors.push(`${path}.module: must be the index of a module in the bundle`);
+          return;
+        }
+        if (index === i) {
+          errors.push(`${path}.module: a module cannot require itself`);
+        }
+        if (referenced.has(index)) {
+          errors.push(`${path}.module: module is listed more than once`);
+        }
+        referenced.add(index);
+
+        const { minScore } = entry;
+        if (minScore !== undefined && minScore !== null &&
+            (typeof minScore !== 'number' || minScore < 0 || minScore > 100)) {
+          errors.push(`${path}.minScore: must be a number between 0 and 100`);
+        }
+      });
+    }
+  });
+
+  if (errors.length > 0) return errors;
+
+  // Bundle indexes stand in for module ids
+  const toEntries = (list = []) => list.map(entry => ({ module: String(entry.module), minScore: entry.minScore }));
+  const graph = buildModuleGraph(modules.map((module, i) => ({
+    _id: String(i),
+    title: module.title,
+    order: i,
+    prerequisites: module.prerequisites
+      ? { allOf: toEntries(module.prerequisites.allOf), anyOf: toEntries(module.prerequisites.anyOf) }
+      : undefined
+  })));
+  for (const id of graph.keys()) {
+    const cycle = findCycle(graph, id);
+    if (cycle) {
+      const titles = cycle.map(step => graph.get(step).module.title);
+      return [`prerequisites would create a cycle: ${titles.join(' requires ')}`];
+    }
+  }
+
+  return [];
+};
+
+/**
+ * Open a bundle (Buffer) and check its manifest. Returns
+ * { manifest, readImage(path) -> Buffer | null }. Throws BundleError.
+ */
+export const readBundle = (buffer) => {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (error) {
+    throw new BundleError("Archive is not a valid zip file");
+  }
+
+  const entries = zip.getEntries();
+  if (entries.length > BUNDLE_LIMITS.entries) {
+    throw new BundleError(`Archive has more than ${BUNDLE_LIMITS.entries} files`, 413);
+  }
+  if (entries.reduce((sum, item) => sum + item.header.size, 0) > BUNDLE_LIMITS.totalBytes) {
+    throw new BundleError(`Archive unpacks to more than ${BUNDLE_LIMITS.totalBytes / (1024 * 1024)}MB`, 413);
+  }
+
+  const entry = zip.getEntry('bundle.json');
+  if (!entry) {
+    throw new BundleError("Archive has no bundle.json");
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(readEntry(entry, BUNDLE_LIMITS.manifestBytes).toString('utf8'));
+  } catch (error) {
+    if (error instanceof BundleError) throw error;
+    throw new BundleError("bundle.json is not valid JSON");
+  }
+
+  if (manifest.format !== BUNDLE_FORMAT || typeof manifest.version !== 'number') {
+    throw new BundleError("Archive is not a course bundle");
+  }
+  if (manifest.version > BUNDLE_VERSION) {
+    throw new BundleError(`Bundle version ${manifest.version} is newer than this server supports (${BUNDLE_VERSION})`);
+  }
+  if (!Array.isArray(manifest.modules) || manifest.modules.length === 0) {
+    throw new BundleError("Bundle contains no modules");
+  }
+
+  const errors = [];
+  manifest.modules.forEach((module, i) => {
+    if (!module?.title) errors.push(`modules[${i}].title is required`);
+    if (!module?.image) {
+      errors.push(`modules[${i}].image is required`);
+    } else if (typeof module.image !== 'string' || !zip.getEntry(module.image) || zip.getEntry(module.image).isDirectory) {
+      errors.push(`modules[${i}].image is not in the archive`);
+    }
+    if (!Array.isArray(module?.quizzes)) errors.push(`modules[${i}].quizzes must be a list`);
+    if (module?.lessons !== undefined && !Array.isArray(module.lessons)) errors.push(`modules[${i}].lessons must be a list`);
+
+    // Quizzes get the checks creating one through the API does
+    (Array.isArray(module?.quizzes) ? module.quizzes : []).forEach((quiz, j) => {
+      const quizErrors = [
+        ...validateQuestions(quiz?.questions),
+        ...validateAssembly(quiz?.assembly, quiz?.questions, quiz?.difficulty || 'medium')
+      ];
+      errors.push(...quizErrors.map(error => `modules[${i}].quizzes[${j}].${error}`));
+    });
+  });
+  errors.push(...validateBundlePrerequisites(manifest.modules));
+  if (errors.length > 0) {
+    throw new BundleError("Invalid bundle", 400, errors);
+  }
+
+  const readImage = (path) => {
+    const image = path && zip.getEntry(path);
+    return (image && !image.isDirectory && readEntry(image, BUNDLE_LIMITS.imageBytes)) || null;
+  };
+  return { manifest, readImage };
+};
+
+/**
+ * Create the bundle's modules at the end of `course`, as drafts owned by
+ * `user`. Modules keep their relative order; quizzes and lessons keep
+ * their order inside their (new) module. On failure everything created so
+ * far is removed again, stored images included. Returns the new modules.
+ */
+export const importBundle = async ({ manifest, readImage }, { course, user }) => {
+  const Module = mongoose.model('Module');
+  const Quiz = mongoose.model('Quiz');
+  const Lesson = mongoose.model('Lesson');
+
+  // Archive images go through the same checks as uploads; module and quiz
+  // images get their variants, lesson images are stored as they are
+  const uploaded = new Map(); // folder:archive path -> { url, key, variants }
+  const importImage = async (path, folder) => {
+    if (!path) return null;
+    const cacheKey = `${folder}:${path}`;
+    if (uploaded.has(cacheKey)) return uploaded.get(cacheKey);
+
+    const buffer = readImage(path);
+    if (!buffer) return null;
+    const stored = await storeImage({ buffer, contentType: contentTypeFor(path) }, {
+      folder,
+      withVariants: folder !== 'lessons'
+    });
+    uploaded.set(cacheKey, stored);
+    return stored;
+  };
+
+  // Schema checks on every quiz before anything is written
+  const schemaErrors = [];
+  for (const [i, source] of manifest.modules.entries()) {
+    for (const [j, quiz] of source.quizzes.entries()) {
+      try {
+        await new Quiz({
+          ...pick(quiz, QUIZ_FIELDS),
+          questions: quiz.questions,
+          module: new mongoose.Types.ObjectId()
+        }).validate();
+      } catch (error) {
+        if (error.name !== 'ValidationError') throw error;
+        schemaErrors.push(`modules[${i}].quizzes[${j}]: ${error.message}`);
+      }
+    }
+  }
+  if (schemaErrors.length > 0) {
+    throw new BundleError("Invalid bundle", 400, schemaErrors);
+  }
+
+  const lastModule = await Module.findOne({ course }).sort({ order: -1 }).select('order');
+  const firstOrder = lastModule ? lastModule.order + 1 : 1;
+  const created = [];
+
+  try {
+    for (const [index, source] of manifest.modules.entries()) {
+      const moduleImage = await importImage(source.image, 'modules');
+      const module = new Module({
+        ...pick(source, MODULE_FIELDS),
+        image: moduleImage?.url,
+        imageVariants: moduleImage?.variants,
+        course,
+        order: firstOrder + index,
+        createdBy: user.id
+      });
+      await module.save();
+      created.push(module);
+
+      for (const quiz of source.quizzes) {
+        const quizImage = await importImage(quiz.image, 'quizzes');
+        await new Quiz({
+          ...pick(quiz, QUIZ_FIELDS),
+          questions: quiz.questions,
+          image: quizImage?.url,
+          imageVariants: quizImage?.variants,
+          module: module._id
+        }).save();
+      }
+
+      for (const lesson of source.lessons ?? []) {
+        let body = lesson.body ?? "";
+        const images = [];
+        for (const image of lesson.images ?? []) {
+          const stored = await importImage(image.path, 'lessons');
+          if (!stored) continue;
+          if (image.url) body = body.split(image.url).join(stored.url);
+          images.push({ url: stored.url, key: stored.key, alt: image.alt });
+        }
+        await Lesson.create({
+          ...pick(lesson, LESSON_FIELDS),
+          body,
+          images,
+          module: module._id,
+          createdBy: user.id
+        });
+      }
+    }
+
+    // Prerequisites point at bundle indexes until every module has an id;
+    // readBundle checked the indexes and that they form no cycle
+    for (const [index, source] of manifest.modules.entries()) {
+      if (!source.prerequisites) continue;
+      const toEntries = (list = []) => list
+        .map(entry => ({ module: created[entry.module]._id, minScore: entry.minScore }));
+      await Module.updateOne({ _id: created[index]._id }, {
+        $set: {
+          prerequisites: {
+            allOf: toEntries(source.prerequisites.allOf),
+            anyOf: toEntries(source.prerequisites.anyOf)
+          }
+        }
+      });
+    }
+  } catch (error) {
+    const ids = created.map(module => module._id);
+    await Quiz.deleteMany({ module: { $in: ids } });
+    await Lesson.deleteMany({ module: { $in: ids } });
+    await Module.deleteMany({ _id: { $in: ids } });
+    await Promise.allSettled([...uploaded.values()].map(stored => deleteImage(stored.url, stored.variants)));
+    if (error.name === 'ValidationError') {
+      throw new BundleError(`Bundle content is invalid: ${error.message}`);
+    }
+    if (error.name === 'ImageError') {
+      throw new BundleError(`Bundle image is invalid: ${error.message}`, error.statusCode);
+    }
+    throw error;
+  }
+
+  return Module.find({ _id: { $in: created.map(module => module._id) } }).sort({ order: 1 });
+};
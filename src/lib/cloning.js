@@ -0,0 +1,142 @@
+import mongoose from "mongoose";
+import { uploadMedia } from "./storage/index.js";
+import { storeImage, ImageError } from "./images.js";
+
+// Deep copies of modules and quizzes (with their lessons), for instructors
+// reusing their own or a colleague's material. Copies start as drafts owned
+// by the caller, point at their source through `clonedFrom`, and get their
+// own copy of every stored image so deleting the source cannot break them.
+
+// Store a copy of an image, with fresh variants unless `withVariants` is
+// off; an empty one is kept as is. Images from before uploads were checked
+// may not pass the checks, those are copied byte for byte.
+const copyImage = async (url, folder, { withVariants = true } = {}) => {
+  if (!url) return { url, key: undefined, variants: undefined };
+  try {
+    // The URL comes from the source document, not from the client
+    return await storeImage(url, { folder, withVariants, allowRemoteUrls: true });
+  } catch (error) {
+    if (!(error instanceof ImageError)) throw error;
+    return uploadMedia(url, { folder, allowRemoteUrls: true });
+  }
+};
+
+// Fields of `doc` to carry over to a copy
+const copyFields = (doc) => {
+  const { _id, __v, createdAt, updatedAt, publishedAt, status, clonedFrom, ...fields } = doc.toObject();
+  return fields;
+};
+
+/**
+ * Free `order` in `scope` (e.g. { module }) by moving every document at or
+ * after it one place down. Documents first move to negative placeholders so
+ * a unique index on the order never sees two of them on the same number.
+ */
+export const makeRoomAt = async (Model, scope, order) => {
+  const following = await Model.find({ ...scope, order: { $gte: order } }).select('order').sort({ order: 1 });
+  if (following.length === 0) return;
+
+  await Model.bulkWrite([
+    ...following.map(doc => ({ updateOne: { filter: { _id: doc._id }, update: { $set: { order: -doc.order } } } })),
+    ...following.map(doc => ({ updateOne: { filter: { _id: doc._id }, update: { $set: { order: doc.order + 1 } } } }))
+  ], { ordered: true });
+};
+
+// Copy a lesson into `moduleId` at `order`, with its images
+const cloneLesson = async (source, { moduleId, order, user }) => {
+  const fields = copyFields(source);
+  let body = fields.body;
+
+  const images = [];
+  for (const image of source.images) {
+    const { url, key } = await copyImage(image.url, 'lessons', { withVariants: false });
+    body = body.split(image.url).join(url);
+    images.push({ url, key, alt: image.alt });
+  }
+
+  return mongoose.model('Lesson').create({
+    ...fields,
+    body,
+    images,
+    module: moduleId,
+    order,
+    createdBy: user.id,
+    clonedFrom: source._id
+  });
+};
+
+/**
+ * Copy a quiz (questions, bank references, assembly settings and image)
+ * into `moduleId` at `order`. The order must be free.
+ */
+export const cloneQuiz = async (source, { moduleId, order, user }) => {
+  const fields = copyFields(source);
+  const { url, variants } = await copyImage(source.image, 'quizzes');
+
+  const Quiz = mongoose.model('Quiz');
+  const quiz = new Quiz({
+    ...fields,
+    questions: fields.questions.map(({ _id, ...question }) => question),
+    image: url,
+    imageVariants: variants,
+    module: moduleId,
+    order,
+    clonedFrom: source._id
+  });
+  await quiz.save();
+  return quiz;
+};
+
+/**
+ * Copy a module into `course` at `order` (which must be free) with all its
+ * quizzes and lessons. With `renumber` the quizzes are numbered 1..n and the
+ * lessons follow the quiz they sat before. Prerequisites are kept within the
+ * same course and dropped (back to following the order) in another one.
+ * On failure everything created so far is removed again.
+ */
+export const cloneModule = async (source, { course, order, title, renumber = false, user }) => {
+  const Module = mongoose.model('Module');
+  const Quiz = mongoose.model('Quiz');
+  const Lesson = mongoose.model('Lesson');
+
+  const quizzes = await Quiz.find({ module: source._id }).sort({ order: 1 });
+  const lessons = await Lesson.find({ module: source._id }).sort({ order: 1, createdAt: 1 });
+  const newOrder = (oldOrder) => renumber
+    ? quizzes.filter(quiz => quiz.order < oldOrder).length + 1
+    : oldOrder;
+
+  const { url, variants } = await copyImage(source.image, 'modules');
+  const fields = copyFields(source);
+  const module = new Module({
+    ...fields,
+    title: title || source.title,
+    image: url,
+    imageVariants: variants,
+    course,
+    order,
+    quizzes: [],
+    totalQuizzes: 0,
+    prerequisites: source.course?.equals(course) ? fields.prerequisites : null,
+    lastAccessed: new Date(),
+    createdBy: user.id,
+    clonedFrom: source._id
+  });
+
+  try {
+    await module.save();
+
+    for (const quiz of quizzes) {
+      await cloneQuiz(quiz, { moduleId: module._id, order: newOrder(quiz.order), user });
+    }
+    for (const lesson of lessons) {
+      await cloneLesson(lesson, { moduleId: module._id, order: newOrder(lesson.order), user });
+    }
+  } catch (error) {
+    await Quiz.deleteMany({ module: module._id });
+    await Lesson.deleteMany({ module: module._id });
+    await Module.deleteOne({ _id: module._id });
+    throw error;
+  }
+
+  return Module.findById(module._id);
+};
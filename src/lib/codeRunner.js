@@ -0,0 +1,301 @@
+import { spawn } from "child_process";
+import fs from "fs";
+import fsp from "fs/promises";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { compareOutput } from "./outputComparison.js";
+
+// Local, resource-limited runner for student code in codeImplementation
+// questions. Every run gets its own child process inside a bubblewrap
+// (bwrap) sandbox: new user, PID, network, IPC and mount namespaces, all
+// capabilities dropped, an unprivileged uid, no network and a read-only root
+// that holds only the system directories the interpreter needs, the harness
+// and the solution. An optional seccomp filter (CODE_RUNNER_SECCOMP, a
+// compiled BPF program) is applied on top. Inside it:
+//   - JavaScript runs in a vm context that only holds values created inside
+//     it, in a Node process with a capped heap and the permission model on.
+//   - Python runs with CPU, address space, file size, open file and process
+//     limits.
+// Both are killed when the wall clock limit or the output cap is hit. Without
+// bwrap nothing is run and every test case fails with an error.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const JS_HARNESS = path.join(__dirname, "sandbox", "jsHarness.js");
+const PY_HARNESS = path.join(__dirname, "sandbox", "pyHarness.py");
+
+const TIMEOUT_EXIT_CODE = 124;
+// bwrap reports a child killed by a signal as 128 + the signal number
+const CPU_LIMIT_EXIT_CODE = 128 + os.constants.signals.SIGXCPU;
+
+export const SUPPORTED_LANGUAGES = ['javascript', 'python'];
+
+export const RUNNER_LIMITS = {
+  timeMs: parseInt(process.env.CODE_RUNNER_TIME_MS) || 2000,
+  memoryMb: parseInt(process.env.CODE_RUNNER_MEMORY_MB) || 128,
+  outputBytes: 64 * 1024,
+  codeBytes: 64 * 1024,
+  concurrency: parseInt(process.env.CODE_RUNNER_CONCURRENCY) || 2
+};
+
+const BWRAP_COMMAND = process.env.CODE_RUNNER_BWRAP || "bwrap";
+const SECCOMP_FILTER = process.env.CODE_RUNNER_SECCOMP;
+const SANDBOX_UID = "65534";
+
+// Host directories mounted read-only so the interpreters and their shared
+// libraries load; nothing else of the host is visible
+const SYSTEM_DIRS = ['/usr', '/bin', '/lib', '/lib32', '/lib64'].filter(dir => fs.existsSync(dir));
+
+// Where the work directory (solution.js / solution.py) and harness appear
+const SANDBOX_DIR = "/sandbox";
+
+// Whether the bwrap executable can be found, looked up once
+let bwrapPath;
+const findBwrap = async () => {
+  if (bwrapPath !== undefined) return bwrapPath;
+
+  const candidates = BWRAP_COMMAND.includes('/')
+    ? [BWRAP_COMMAND]
+    : (process.env.PATH || '').split(path.delimiter).filter(Boolean).map(dir => path.join(dir, BWRAP_COMMAND));
+  bwrapPath = null;
+  for (const candidate of candidates) {
+    try {
+      await fsp.access(candidate, fs.constants.X_OK);
+      bwrapPath = candidate;
+      break;
+    } catch {
+      // keep looking
+    }
+  }
+  if (!bwrapPath) {
+    console.error(`Code runner: "${BWRAP_COMMAND}" (bubblewrap) not found, student code will not be run`);
+  }
+  return bwrapPath;
+};
+
+// bwrap arguments running `command` with the host files in `binds`
+// ([hostPath, sandboxPath]) mounted read-only and only the variables in `env`
+const sandboxArgs = ({ command, args, binds, env }) => [
+  '--unshare-all',
+  '--die-with-parent',
+  '--new-session',
+  '--uid', SANDBOX_UID,
+  '--gid', SANDBOX_UID,
+  '--cap-drop', 'ALL',
+  '--clearenv',
+  ...Object.entries(env).flatMap(([name, value]) => ['--setenv', name, value]),
+  ...SYSTEM_DIRS.flatMap(dir => ['--ro-bind', dir, dir]),
+  ...binds.flatMap(([hostPath, sandboxPath]) => ['--ro-bind', hostPath, sandboxPath]),
+  '--proc', '/proc',
+  '--dev', '/dev',
+  '--chdir', SANDBOX_DIR,
+  '--remount-ro', '/',
+  // The filter is handed over as file descriptor 3, see spawnLimited
+  ...(SECCOMP_FILTER ? ['--seccomp', '3'] : []),
+  '--',
+  command,
+  ...args
+];
+
+// Resolved inside the sandbox, where PATH only covers the system directories
+const PYTHON_COMMAND = process.env.CODE_RUNNER_PYTHON || "python3";
+const SANDBOX_PATH = "/usr/local/bin:/usr/bin:/bin";
+
+// Limit how many sandboxes run at the same time
+let activeRuns = 0;
+const waiting = [];
+
+const acquireSlot = () => new Promise(resolve => {
+  if (activeRuns < RUNNER_LIMITS.concurrency) {
+    activeRuns++;
+    resolve();
+  } else {
+    waiting.push(resolve);
+  }
+});
+
+const releaseSlot = () => {
+  const next = waiting.shift();
+  if (next) next();
+  else activeRuns--;
+};
+
+const spawnLimited = (command, args, { input, wallTimeMs, extraFds = [] }) => new Promise(resolve => {
+  let stdout = '';
+  let stderr = '';
+  let timedOut = false;
+  let outputExceeded = false;
+
+  const child = spawn(command, args, { cwd: os.tmpdir(), env: {}, stdio: ['pipe', 'pipe', 'pipe', ...extraFds] });
+
+  const collect = (append) => (chunk) => {
+    if (stdout.length + stderr.length + chunk.length > RUNNER_LIMITS.outputBytes) {
+      outputExceeded = true;
+      child.kill('SIGKILL');
+      return;
+    }
+    append(chunk.toString('utf8'));
+  };
+  child.stdout.on('data', collect(text => { stdout += text; }));
+  child.stderr.on('data', collect(text => { stderr += text; }));
+
+  const timer = setTimeout(() => {
+    timedOut = true;
+    child.kill('SIGKILL');
+  }, wallTimeMs);
+
+  child.on('error', (error) => {
+    clearTimeout(timer);
+    resolve({ stdout, stderr, exitCode: null, signal: null, timedOut, outputExceeded, error: error.message });
+  });
+
+  child.on('close', (exitCode, signal) => {
+    clearTimeout(timer);
+    resolve({
+      stdout,
+      stderr,
+      exitCode,
+      signal,
+      timedOut: timedOut || exitCode === TIMEOUT_EXIT_CODE || exitCode === CPU_LIMIT_EXIT_CODE,
+      outputExceeded
+    });
+  });
+
+  child.stdin.on('error', () => {}); // the child may exit before reading stdin
+  child.stdin.end(input || '');
+});
+
+// Run `command` in the sandbox with the solution written to a fresh work
+// directory, mounted read-only at SANDBOX_DIR/work
+const runSandboxed = async ({ fileName, code, input, command, args, binds }) => {
+  const workDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'code-runner-'));
+  let seccomp;
+
+  try {
+    await fsp.writeFile(path.join(workDir, fileName), code, 'utf8');
+    if (SECCOMP_FILTER) seccomp = await fsp.open(SECCOMP_FILTER, 'r');
+
+    return await spawnLimited(bwrapPath, sandboxArgs({
+      command,
+      args,
+      binds: [[workDir, `${SANDBOX_DIR}/work`], ...binds],
+      env: { PATH: SANDBOX_PATH, HOME: SANDBOX_DIR }
+    }), {
+      input,
+      wallTimeMs: RUNNER_LIMITS.timeMs * 2 + 1000,
+      extraFds: seccomp ? [seccomp.fd] : []
+    });
+  } finally {
+    await seccomp?.close();
+    await fsp.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+const runJavaScript = (code, input) => {
+  // .mjs: there is no package.json in the sandbox to mark the harness as a module
+  const harness = `${SANDBOX_DIR}/harness.mjs`;
+  const args = [
+    `--max-old-space-size=${RUNNER_LIMITS.memoryMb}`,
+    '--no-warnings'
+  ];
+  if (process.allowedNodeEnvironmentFlags.has('--experimental-permission')) {
+    args.push('--experimental-permission', `--allow-fs-read=${SANDBOX_DIR}/*`);
+  }
+  args.push(
+    harness,
+    `${SANDBOX_DIR}/work/solution.js`,
+    String(RUNNER_LIMITS.timeMs),
+    String(RUNNER_LIMITS.outputBytes)
+  );
+
+  return runSandboxed({
+    fileName: 'solution.js',
+    code,
+    input,
+    // The same path as on the host, so a Node outside the system directories works too
+    command: process.execPath,
+    args,
+    binds: [[process.execPath, process.execPath], [JS_HARNESS, harness]]
+  });
+};
+
+const runPython = (code, input) => {
+  const harness = `${SANDBOX_DIR}/harness.py`;
+  const cpuSeconds = Math.max(1, Math.ceil(RUNNER_LIMITS.timeMs / 1000));
+
+  return runSandboxed({
+    fileName: 'solution.py',
+    code,
+    input,
+    command: PYTHON_COMMAND,
+    args: [
+      '-I', '-S', '-B',
+      harness,
+      `${SANDBOX_DIR}/work/solution.py`,
+      String(cpuSeconds),
+      String(RUNNER_LIMITS.memoryMb)
+    ],
+    binds: [[PY_HARNESS, harness]]
+  });
+};
+
+/**
+ * Run a piece of student code once with the given stdin.
+ * Resolves to { stdout, stderr, exitCode, signal, timedOut, outputExceeded, error? };
+ * it never rejects for problems in the student's code.
+ */
+export const runCode = async ({ language = 'javascript', code, input = '' }) => {
+  if (!SUPPORTED_LANGUAGES.includes(language)) {
+    return { stdout: '', stderr: '', exitCode: null, signal: null, timedOut: false, outputExceeded: false, error: `Unsupported language: ${language}` };
+  }
+  if (typeof code !== 'string' || Buffer.byteLength(code) > RUNNER_LIMITS.codeBytes) {
+    return { stdout: '', stderr: '', exitCode: null, signal: null, timedOut: false, outputExceeded: false, error: 'Code is missing or too large' };
+  }
+  if (!(await findBwrap())) {
+    return { stdout: '', stderr: '', exitCode: null, signal: null, timedOut: false, outputExceeded: false, error: 'The code sandbox is not available on this server' };
+  }
+
+  await acquireSlot();
+  try {
+    return language === 'python'
+      ? await runPython(code, input)
+      : await runJavaScript(code, input);
+  } finally {
+    releaseSlot();
+  }
+};
+
+/**
+ * Run student code against each of a question's test cases, one at a time.
+ * Output is compared with `comparison` options on top of ignoring trailing
+ * whitespace. Hidden test cases report pass/fail only.
+ */
+export const runTestCases = async ({ language, code, testCases, comparison = {} }) => {
+  const results = [];
+  const options = { trimTrailingWhitespace: true, ...comparison };
+
+  for (const [index, testCase] of testCases.entries()) {
+    const run = await runCode({ language, code, input: testCase.input || '' });
+    const ran = !run.error && !run.timedOut && !run.outputExceeded && run.exitCode === 0;
+    const { matches, diff } = compareOutput(run.stdout, testCase.expectedOutput, options);
+    const passed = ran && matches;
+
+    results.push({
+      index,
+      passed,
+      weight: testCase.weight || 1,
+      hidden: Boolean(testCase.hidden),
+      timedOut: run.timedOut,
+      outputExceeded: run.outputExceeded,
+      exitCode: run.exitCode,
+      error: run.error,
+      stdout: testCase.hidden ? undefined : run.stdout,
+      stderr: testCase.hidden ? undefined : run.stderr,
+      input: testCase.hidden ? undefined : testCase.input,
+      expectedOutput: testCase.hidden ? undefined : testCase.expectedOutput,
+      diff: testCase.hidden || !ran ? undefined : diff
+    });
+  }
+
+  return results;
+};
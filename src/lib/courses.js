@@ -0,0 +1,44 @@
+import Course from "../models/Course.js";
+import Section from "../models/Section.js";
+import User from "../models/Users.js";
+import { can } from "./permissions.js";
+
+// Which courses a user works with:
+//   - with course:read:any (admins): every course
+//   - with course:read:own (instructors): the courses they run or created
+//   - everyone else (students): the active courses assigned to their section
+
+// Active courses assigned to the section with `sectionCode`
+export const findSectionCourses = async (sectionCode) => {
+  if (!sectionCode || sectionCode === 'no_section') return [];
+
+  const section = await Section.findOne({ sectionCode }).select('_id');
+  if (!section) return [];
+
+  return Course.find({ sections: section._id, isActive: true }).sort({ createdAt: 1 });
+};
+
+// Courses the user runs or created
+export const findManagedCourses = (userId) =>
+  Course.find({ $or: [{ instructor: userId }, { createdBy: userId }] }).sort({ createdAt: 1 });
+
+// `user` needs privilege, section and id (req.user or a User document)
+export const findCoursesForUser = async (user) => {
+  const userId = user.id ?? user._id;
+
+  if (await can(user, 'course:read:any')) {
+    return Course.find().sort({ createdAt: 1 });
+  }
+  if (await can(user, 'course:read:own')) {
+    return findManagedCourses(userId);
+  }
+  return findSectionCourses(user.section);
+};
+
+export const findCourseIdsForUser = async (userId) => {
+  const user = await User.findById(userId).select('section privilege');
+  if (!user) return [];
+
+  const courses = await findCoursesForUser(user);
+  return courses.map(course => course._id);
+};
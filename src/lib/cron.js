@@ -1,5 +1,7 @@
 import cron from "cron";
 import https from "https";
+import { expireOverdueAttempts } from "./attemptSessions.js";
+import { collectOrphanedMedia } from "./orphanedMedia.js";
 
 const job = new cron.CronJob("*/14 * * * *", function () {
     https
@@ -15,4 +17,28 @@ const job = new cron.CronJob("*/14 * * * *", function () {
     });
 });
 
-export default job;
\ No newline at end of file
+export default job;
+
+// Auto-submit timed attempts whose deadline (plus grace period) has passed
+export const attemptExpiryJob = new cron.CronJob("* * * * *", async function () {
+    try {
+        const { processed, submitted } = await expireOverdueAttempts();
+        if (processed > 0) {
+            console.log(`Auto-submitted ${submitted}/${processed} overdue attempts at ` + new Date());
+        }
+    } catch (err) {
+        console.error("Error expiring overdue attempts: " + err.message + " at " + new Date());
+    }
+});
+
+// Delete stored media nothing refers to any more, once a day at 03:30
+export const mediaCleanupJob = new cron.CronJob("30 3 * * *", async function () {
+    try {
+        const { deleted, failed, totalBytes } = await collectOrphanedMedia();
+        if (deleted.length > 0 || failed.length > 0) {
+            console.log(`Deleted ${deleted.length} orphaned media files (${totalBytes} bytes), ${failed.length} failed at ` + new Date());
+        }
+    } catch (err) {
+        console.error("Error collecting orphaned media: " + err.message + " at " + new Date());
+    }
+});
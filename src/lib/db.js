@@ -12,4 +12,9 @@ export const connectDB = async () => {
         console.log("Error connecting to database", error);
         process.exit(1);
     }
-}
\ No newline at end of file
+}
+
+// Whether `error` says the server cannot run transactions: a standalone
+// mongod rather than a replica set or sharded cluster
+export const isTransactionUnsupported = (error) =>
+    error?.code === 20 && /Transaction numbers are only allowed/.test(error.message ?? "");
@@ -0,0 +1,280 @@
+// CSV import and export, for question sets kept in spreadsheets.
+//
+// The first row holds the column names (any order, case-insensitive):
+//   type           multipleChoice | fillInBlanks | codeSimulation | codeImplementation | codeOrdering
+//   question       question text (required)
+//   points         number, default 1
+//   difficulty     easy | medium | hard
+//   scoringPolicy  see models/Quiz.js
+//   options        multipleChoice: option texts separated by "|"
+//                  codeOrdering: code blocks in their correct order, separated by "|"
+//   answers        multipleChoice: numbers of the correct options, e.g. "1|3"
+//                  fillInBlanks: one entry per blank separated by "|"; accepted
+//                    answers of a blank separated by ";", "/regex/" for a
+//                    pattern and "#value:tolerance" for a numeric answer
+//                  codeSimulation: the expected output
+//   code           program (codeSimulation) or starter code (codeImplementation)
+//   language       javascript | python (codeImplementation)
+//   testCases      JSON list of { input, expectedOutput, hidden, weight } (codeImplementation)
+//   explanation    shown after the attempt
+// A literal "|" or ";" inside a value is written "\|" or "\;".
+
+export const CSV_COLUMNS = [
+  'type', 'question', 'points', 'difficulty', 'scoringPolicy',
+  'options', 'answers', 'code', 'language', 'testCases', 'explanation'
+];
+
+// RFC 4180 rows: quoted fields may contain commas, quotes ("") and newlines
+const parseRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+// Split on an unescaped separator. Escapes are removed unless `keepEscapes`,
+// which is used for "|" lists whose entries are split again on ";".
+const splitList = (value, separator, keepEscapes = false) => {
+  const parts = [];
+  let current = '';
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === '\\' && '\\|;'.includes(value[i + 1] ?? '')) {
+      current += keepEscapes ? value[i] + value[i + 1] : value[i + 1];
+      i++;
+    } else if (value[i] === separator) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += value[i];
+    }
+  }
+  parts.push(current);
+  return parts.map(part => part.trim()).filter(part => part !== '');
+};
+
+const escapeList = (value) => String(value ?? '').replace(/[\\|;]/g, '\\$&');
+
+const parseBlank = (entry, position) => {
+  const blank = { position, answer: '', alternatives: [], patterns: [] };
+
+  for (const accepted of splitList(entry, ';')) {
+    const numeric = accepted.match(/^#(-?[\d.]+(?:e[-+]?\d+)?)(?::([\d.]+))?$/i);
+    if (numeric) {
+      blank.numeric = { value: Number(numeric[1]), tolerance: Number(numeric[2] || 0) };
+      if (!blank.answer) blank.answer = numeric[1];
+    } else if (accepted.length > 2 && accepted.startsWith('/') && accepted.endsWith('/')) {
+      blank.patterns.push(accepted.slice(1, -1));
+    } else if (!blank.answer) {
+      blank.answer = accepted;
+    } else {
+      blank.alternatives.push(accepted);
+    }
+  }
+
+  return blank;
+};
+
+const parseRow = (record) => {
+  const question = {
+    questionType: record.type,
+    question: record.question
+  };
+
+  if (record.points) {
+    const points = Number(record.points);
+    if (!Number.isFinite(points)) throw new Error('points must be a number');
+    question.points = points;
+  }
+  if (record.difficulty) question.difficulty = record.difficulty.toLowerCase();
+  if (record.scoringPolicy) question.scoringPolicy = record.scoringPolicy;
+  if (record.explanation) question.explanation = record.explanation;
+
+  switch (record.type) {
+    case 'multipleChoice': {
+      const correct = splitList(record.answers || '', '|').map(Number);
+      if (correct.some(n => !Number.isInteger(n))) {
+        throw new Error('answers must list the numbers of the correct options');
+      }
+      question.options = splitList(record.options || '', '|').map((text, i) => ({
+        text,
+        isCorrect: correct.includes(i + 1)
+      }));
+      break;
+    }
+    case 'fillInBlanks':
+      question.blanks = splitList(record.answers || '', '|', true).map(parseBlank);
+      break;
+    case 'codeSimulation':
+      question.codeTemplate = record.code || '';
+      question.correctAnswer = record.answers || '';
+      break;
+    case 'codeImplementation':
+      question.codeTemplate = record.code || '';
+      if (record.language) question.language = record.language.toLowerCase();
+      try {
+        question.testCases = record.testCases ? JSON.parse(record.testCases) : [];
+      } catch {
+        throw new Error('testCases must be a JSON list');
+      }
+      break;
+    case 'codeOrdering':
+      question.codeBlocks = splitList(record.options || '', '|').map((code, i) => ({ code, correctPosition: i }));
+      break;
+    default:
+      throw new Error(`unknown type "${record.type || ''}"`);
+  }
+
+  return question;
+};
+
+/**
+ * Parse CSV text. Returns one entry per data row:
+ * { source: 'row N', question } or { source, error }.
+ */
+export const parseCsv = (text) => {
+  // Row numbers count the header as row 1, like a spreadsheet; blank rows are skipped
+  const rows = parseRows(String(text).replace(/^﻿/, ''))
+    .map((cells, i) => ({ row: i + 1, cells }))
+    .filter(({ cells }) => cells.some(cell => cell.trim() !== ''));
+  if (rows.length === 0) {
+    return [{ source: 'file', error: 'file is empty' }];
+  }
+
+  const header = rows[0].cells.map(cell => cell.trim().toLowerCase());
+  const columns = header.map(name => CSV_COLUMNS.find(column => column.toLowerCase() === name));
+  const unknown = header.filter((name, i) => !columns[i]);
+  if (!columns.includes('type') || !columns.includes('question')) {
+    return [{ source: 'row 1', error: 'header must include the type and question columns' }];
+  }
+
+  const entries = rows.slice(1).map(({ row, cells }) => {
+    const source = `row ${row}`;
+    const record = {};
+    columns.forEach((column, i) => {
+      if (column) record[column] = (cells[i] ?? '').trim();
+    });
+
+    try {
+      return { source, question: parseRow(record) };
+    } catch (error) {
+      return { source, error: error.message };
+    }
+  });
+
+  if (unknown.length > 0) {
+    entries.unshift({ source: 'row 1', skipped: `unknown columns ignored: ${unknown.join(', ')}` });
+  }
+  return entries;
+};
+
+const quoteCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatBlank = (blank) => {
+  const accepted = [blank.answer, ...(blank.alternatives || [])]
+    .filter(a => typeof a === 'string' && a !== '')
+    .map(escapeList);
+  for (const pattern of blank.patterns || []) accepted.push(`/${escapeList(pattern)}/`);
+  if (typeof blank.numeric?.value === 'number') {
+    accepted.push(`#${blank.numeric.value}:${blank.numeric.tolerance || 0}`);
+  }
+  return accepted.join(';');
+};
+
+const toRecord = (question) => {
+  const record = {
+    type: question.questionType,
+    question: question.question,
+    points: question.points,
+    difficulty: question.difficulty,
+    scoringPolicy: question.scoringPolicy,
+    explanation: question.explanation
+  };
+
+  switch (question.questionType) {
+    case 'multipleChoice':
+      record.options = (question.options || []).map(o => escapeList(o.text)).join('|');
+      record.answers = (question.options || [])
+        .map((o, i) => o.isCorrect ? i + 1 : null)
+        .filter(n => n !== null)
+        .join('|');
+      break;
+    case 'fillInBlanks':
+      record.answers = (question.blanks || []).map(formatBlank).join('|');
+      break;
+    case 'codeSimulation':
+      record.code = question.codeTemplate;
+      record.answers = question.correctAnswer ?? question.expectedOutput;
+      break;
+    case 'codeImplementation':
+      record.code = question.codeTemplate;
+      record.language = question.language;
+      record.testCases = JSON.stringify((question.testCases || []).map(t => ({
+        input: t.input || '',
+        expectedOutput: t.expectedOutput,
+        hidden: Boolean(t.hidden),
+        weight: t.weight ?? 1
+      })));
+      break;
+    case 'codeOrdering':
+      record.options = [...(question.codeBlocks || [])]
+        .sort((a, b) => (a.correctPosition ?? 0) - (b.correctPosition ?? 0))
+        .map(block => escapeList(block.code))
+        .join('|');
+      break;
+  }
+
+  return record;
+};
+
+/**
+ * Write questions as CSV with every column of the documented layout.
+ */
+export const exportCsv = (questions) => {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const question of questions) {
+    const record = toRecord(question);
+    lines.push(CSV_COLUMNS.map(column => quoteCell(record[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+};
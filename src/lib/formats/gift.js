@@ -0,0 +1,329 @@
+// GIFT (Moodle's plain text question format) import and export.
+//
+// Supported on import:
+//   ::title:: text {=right ~wrong}           multipleChoice
+//   text {~%50%a ~%50%b ~%-100%c}            multipleChoice, several correct;
+//                                            negative weights select negativeMarking
+//   text {T} / {FALSE}                       multipleChoice with True / False options
+//   text {=answer =alternative}              fillInBlanks (one blank)
+//   text {#3.14:0.01} / {#1..2}              fillInBlanks with a numeric answer
+//   text before {=answer} text after         fillInBlanks, the blank replaced by "_____"
+//
+// GIFT has no code question types. They are written as essay questions `{}`
+// preceded by a `// @meta {...}` comment carrying the fields GIFT cannot
+// express (type, test cases, code blocks, points, ...); on import a @meta
+// comment's fields override what was parsed from the question body.
+
+const BLANK_MARKER = '_____';
+const SPECIAL_CHARACTERS = /[~=#{}:\\]/g;
+
+const escapeGift = (text) => String(text ?? '')
+  .replace(SPECIAL_CHARACTERS, '\\$&')
+  .replace(/\r?\n/g, '\\n');
+
+const unescapeGift = (text) => text
+  .replace(/\\n/g, '\n')
+  .replace(/\\([~=#{}:\\])/g, '$1');
+
+// Index of the next unescaped `char` at or after `from`, or -1
+const findUnescaped = (text, char, from = 0) => {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') { i++; continue; }
+    if (text[i] === char) return i;
+  }
+  return -1;
+};
+
+// Split on unescaped characters from `separators`, keeping the separator with each part
+const splitAnswers = (body) => {
+  const parts = [];
+  let current = null;
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+    if (char === '\\') {
+      if (current) current.text += char + (body[i + 1] ?? '');
+      i++;
+      continue;
+    }
+    if (char === '=' || char === '~') {
+      current = { marker: char, text: '' };
+      parts.push(current);
+    } else if (current) {
+      current.text += char;
+    }
+  }
+  return parts;
+};
+
+// Drop per-answer feedback ("#...") and return the answer text
+const stripFeedback = (text) => {
+  const hash = findUnescaped(text, '#');
+  return unescapeGift((hash === -1 ? text : text.slice(0, hash)).trim());
+};
+
+const parseNumeric = (body) => {
+  const entries = body.trim().startsWith('=') ? splitAnswers(body).map(p => p.text) : [body];
+  const first = stripFeedback(entries[0]).replace(/^%\d+%/, '');
+
+  const range = first.match(/^(-?[\d.]+)\s*\.\.\s*(-?[\d.]+)$/);
+  if (range) {
+    const min = Number(range[1]);
+    const max = Number(range[2]);
+    return { value: (min + max) / 2, tolerance: Math.abs(max - min) / 2 };
+  }
+
+  const [value, tolerance] = first.split(':').map(part => Number(part.trim()));
+  return { value, tolerance: Number.isFinite(tolerance) ? tolerance : 0 };
+};
+
+// Parse the text between the braces into question fields
+const parseAnswerBlock = (body) => {
+  const trimmed = body.trim();
+
+  if (trimmed === '') {
+    return { questionType: null };
+  }
+
+  if (/^(T|TRUE|F|FALSE)(\s*#.*)?$/i.test(trimmed)) {
+    const isTrue = /^T/i.test(trimmed);
+    return {
+      questionType: 'multipleChoice',
+      options: [
+        { text: 'True', isCorrect: isTrue },
+        { text: 'False', isCorrect: !isTrue }
+      ]
+    };
+  }
+
+  if (trimmed.startsWith('#')) {
+    const numeric = parseNumeric(trimmed.slice(1));
+    if (!Number.isFinite(numeric.value)) {
+      throw new Error('numeric answer is not a number');
+    }
+    return {
+      questionType: 'fillInBlanks',
+      blanks: [{ position: 0, answer: String(numeric.value), numeric }]
+    };
+  }
+
+  const answers = splitAnswers(trimmed);
+  if (answers.length === 0) {
+    throw new Error('answers must start with = or ~');
+  }
+  if (answers.some(a => a.text.includes('->'))) {
+    throw new Error('matching questions are not supported');
+  }
+
+  if (answers.every(a => a.marker === '=')) {
+    const [answer, ...alternatives] = answers.map(a => stripFeedback(a.text).replace(/^%\d+%/, ''));
+    return {
+      questionType: 'fillInBlanks',
+      blanks: [{ position: 0, answer, alternatives }]
+    };
+  }
+
+  let negative = false;
+  const options = answers.map(({ marker, text }) => {
+    const weight = text.match(/^\s*%(-?[\d.]+)%/);
+    const optionText = stripFeedback(weight ? text.slice(weight[0].length) : text);
+    if (weight && Number(weight[1]) < 0) negative = true;
+    const isCorrect = marker === '=' || (weight !== null && Number(weight[1]) > 0);
+    return { text: optionText, isCorrect };
+  });
+
+  return {
+    questionType: 'multipleChoice',
+    options,
+    ...(negative ? { scoringPolicy: 'negativeMarking' } : {})
+  };
+};
+
+// Parse one question block (comments already removed)
+const parseQuestionBlock = (text, meta) => {
+  let rest = text.trim();
+
+  const title = rest.match(/^::((?:\\.|[^\\])*?)::/);
+  if (title) rest = rest.slice(title[0].length).trim();
+  rest = rest.replace(/^\[(html|markdown|plain|moodle)\]/i, '').trim();
+
+  const open = findUnescaped(rest, '{');
+  const close = open === -1 ? -1 : findUnescaped(rest, '}', open);
+  if (open === -1 || close === -1) {
+    throw new Error('missing answer block { }');
+  }
+
+  let body = rest.slice(open + 1, close);
+  const before = rest.slice(0, open).trim();
+  const after = rest.slice(close + 1).trim();
+
+  // General feedback "####..." at the end of the answer block
+  let explanation;
+  const generalFeedback = body.indexOf('####');
+  if (generalFeedback !== -1) {
+    explanation = unescapeGift(body.slice(generalFeedback + 4).trim());
+    body = body.slice(0, generalFeedback);
+  }
+
+  const parsed = parseAnswerBlock(body);
+  const questionText = after
+    ? `${unescapeGift(before)} ${BLANK_MARKER} ${unescapeGift(after)}`
+    : unescapeGift(before);
+
+  const question = {
+    ...parsed,
+    question: questionText,
+    ...(explanation ? { explanation } : {}),
+    ...meta
+  };
+
+  if (!question.questionType) {
+    throw new Error('essay questions are only supported with a @meta questionType');
+  }
+
+  return question;
+};
+
+/**
+ * Parse GIFT text. Returns one entry per question block:
+ * { source: 'line N', question } or { source, error }.
+ */
+export const parseGift = (text) => {
+  const lines = String(text).replace(/^﻿/, '').split(/\r?\n/);
+  const entries = [];
+
+  let block = [];
+  let blockStart = 0;
+  let meta = null;
+  let metaError = null;
+
+  const flush = () => {
+    const content = block.join('\n').trim();
+    if (content !== '') {
+      const source = `line ${blockStart}`;
+      if (metaError) {
+        entries.push({ source, error: metaError });
+      } else {
+        try {
+          entries.push({ source, question: parseQuestionBlock(content, meta) });
+        } catch (error) {
+          entries.push({ source, error: error.message });
+        }
+      }
+      meta = null;
+      metaError = null;
+    }
+    block = [];
+  };
+
+  lines.forEach((line, i) => {
+    const trimmed = line.trim();
+
+    if (trimmed.startsWith('// @meta')) {
+      try {
+        meta = JSON.parse(trimmed.slice('// @meta'.length));
+      } catch {
+        metaError = 'invalid @meta JSON';
+      }
+      return;
+    }
+    if (trimmed.startsWith('//') || trimmed.startsWith('$CATEGORY:')) return;
+
+    if (trimmed === '') {
+      flush();
+      return;
+    }
+    if (block.length === 0) blockStart = i + 1;
+    block.push(line);
+  });
+  flush();
+
+  return entries;
+};
+
+// Fields written to @meta for each question type, beyond points/difficulty/policy
+const META_FIELDS = {
+  multipleChoice: [],
+  fillInBlanks: ['blanks'],
+  codeSimulation: ['codeTemplate', 'expectedOutput', 'correctAnswer', 'outputComparison'],
+  codeImplementation: ['codeTemplate', 'language', 'testCases', 'outputComparison'],
+  codeOrdering: ['codeBlocks']
+};
+
+const buildMeta = (question) => {
+  const meta = {};
+  const isCodeType = ['codeSimulation', 'codeImplementation', 'codeOrdering'].includes(question.questionType);
+  if (isCodeType) meta.questionType = question.questionType;
+
+  if (question.points !== undefined) meta.points = question.points;
+  if (question.difficulty) meta.difficulty = question.difficulty;
+  if (question.scoringPolicy && question.scoringPolicy !== 'allOrNothing') {
+    meta.scoringPolicy = question.scoringPolicy;
+  }
+
+  for (const field of META_FIELDS[question.questionType] || []) {
+    // A single plain blank round-trips through the GIFT body
+    if (field === 'blanks' && isPlainBlank(question)) continue;
+    if (question[field] !== undefined) meta[field] = question[field];
+  }
+
+  return meta;
+};
+
+const isPlainBlank = (question) => {
+  const blanks = question.blanks || [];
+  if (blanks.length !== 1) return false;
+  const [blank] = blanks;
+  return !blank.patterns?.length && !blank.caseSensitive && !blank.ignorePunctuation &&
+    (typeof blank.numeric?.value !== 'number' || !blank.alternatives?.length);
+};
+
+const answerBlock = (question) => {
+  switch (question.questionType) {
+    case 'multipleChoice': {
+      const options = question.options || [];
+      const correctCount = options.filter(o => o.isCorrect).length;
+      if (correctCount <= 1) {
+        return options.map(o => `${o.isCorrect ? '=' : '~'}${escapeGift(o.text)}`).join(' ');
+      }
+      // Several correct options: split the credit between them
+      const share = Math.floor(100 / correctCount * 100000) / 100000;
+      const wrong = question.scoringPolicy === 'negativeMarking' ? `%-${share}%` : '%0%';
+      return options.map(o => `~${o.isCorrect ? `%${share}%` : wrong}${escapeGift(o.text)}`).join(' ');
+    }
+    case 'fillInBlanks': {
+      const blank = question.blanks?.[0];
+      if (!blank) return '';
+      if (typeof blank.numeric?.value === 'number') {
+        return `#${blank.numeric.value}:${blank.numeric.tolerance || 0}`;
+      }
+      return [blank.answer, ...(blank.alternatives || [])]
+        .filter(a => typeof a === 'string' && a !== '')
+        .map(a => `=${escapeGift(a)}`)
+        .join(' ');
+    }
+    default:
+      return '';
+  }
+};
+
+/**
+ * Write questions as GIFT. `title` is used as a comment header.
+ */
+export const exportGift = (questions, { title } = {}) => {
+  const blocks = questions.map((question, i) => {
+    const lines = [];
+    const meta = buildMeta(question);
+    if (Object.keys(meta).length > 0) {
+      lines.push(`// @meta ${JSON.stringify(meta)}`);
+    }
+
+    let block = answerBlock(question);
+    if (question.explanation) block += ` ####${escapeGift(question.explanation)}`;
+
+    lines.push(`::Q${i + 1}:: ${escapeGift(question.question)} {${block}}`);
+    return lines.join('\n');
+  });
+
+  const header = title ? `// ${String(title).replace(/\r?\n/g, ' ')}\n\n` : '';
+  return `${header}${blocks.join('\n\n')}\n`;
+};
@@ -0,0 +1,129 @@
+import { SCORING_POLICIES } from "../../models/Quiz.js";
+import { validateQuestion } from "../quizValidation.js";
+import { parseGift, exportGift } from "./gift.js";
+import { parseMoodleXml, exportMoodleXml } from "./moodleXml.js";
+import { parseCsv, exportCsv } from "./csv.js";
+
+// Quiz import/export formats. Each parser turns a file into entries of
+// { source, question } / { source, error } / { source, skipped }; each
+// exporter turns a list of questions back into a file.
+
+export const QUIZ_FORMATS = {
+  gift: {
+    parse: parseGift,
+    export: exportGift,
+    contentType: 'text/plain; charset=utf-8',
+    extension: 'gift.txt'
+  },
+  moodlexml: {
+    parse: parseMoodleXml,
+    export: exportMoodleXml,
+    contentType: 'application/xml; charset=utf-8',
+    extension: 'xml'
+  },
+  csv: {
+    parse: parseCsv,
+    export: exportCsv,
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv'
+  }
+};
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Checks the schema would otherwise only report when the whole quiz is saved
+const checkStructure = (question, path) => {
+  const errors = [];
+
+  if (!SCORING_POLICIES[question.questionType]) {
+    return [`${path}.questionType: must be one of ${Object.keys(SCORING_POLICIES).join(', ')}`];
+  }
+  if (typeof question.question !== 'string' || question.question.trim() === '') {
+    errors.push(`${path}.question: question text is required`);
+  }
+  if (question.scoringPolicy && !SCORING_POLICIES[question.questionType].includes(question.scoringPolicy)) {
+    errors.push(`${path}.scoringPolicy: ${question.scoringPolicy} is not available for ${question.questionType}`);
+  }
+  if (question.difficulty && !DIFFICULTIES.includes(question.difficulty)) {
+    errors.push(`${path}.difficulty: must be one of ${DIFFICULTIES.join(', ')}`);
+  }
+
+  switch (question.questionType) {
+    case 'multipleChoice':
+      if ((question.options || []).length < 2) {
+        errors.push(`${path}.options: at least two options are required`);
+      } else if (!question.options.some(o => o.isCorrect)) {
+        errors.push(`${path}.options: at least one option must be correct`);
+      }
+      break;
+    case 'codeSimulation':
+      if (!(question.correctAnswer ?? question.expectedOutput)) {
+        errors.push(`${path}: the expected output is required`);
+      }
+      break;
+    case 'codeImplementation':
+      if (!Array.isArray(question.testCases) || question.testCases.length === 0) {
+        errors.push(`${path}.testCases: at least one test case is required`);
+      }
+      break;
+    case 'codeOrdering':
+      if ((question.codeBlocks || []).length < 2) {
+        errors.push(`${path}.codeBlocks: at least two code blocks are required`);
+      }
+      break;
+  }
+
+  return errors;
+};
+
+/**
+ * Parse `content` in `format` and validate every question.
+ * Returns { questions, report, summary } where `questions` holds only the
+ * valid questions and `report` has one { source, status, errors } entry per
+ * question found, status being 'valid', 'invalid' or 'skipped'.
+ */
+export const parseQuizFile = (format, content) => {
+  const entries = QUIZ_FORMATS[format].parse(content);
+  const questions = [];
+
+  const report = entries.map(entry => {
+    if (entry.skipped) {
+      return { source: entry.source, status: 'skipped', errors: [entry.skipped] };
+    }
+    if (entry.error) {
+      return { source: entry.source, status: 'invalid', errors: [entry.error] };
+    }
+
+    const path = entry.source;
+    const errors = checkStructure(entry.question, path);
+    if (errors.length === 0) {
+      errors.push(...validateQuestion(entry.question, null, path));
+    }
+
+    if (errors.length > 0) {
+      return { source: entry.source, status: 'invalid', questionType: entry.question.questionType, errors };
+    }
+
+    questions.push(entry.question);
+    return {
+      source: entry.source,
+      status: 'valid',
+      questionType: entry.question.questionType,
+      question: entry.question.question,
+      errors: []
+    };
+  });
+
+  const summary = {
+    total: report.filter(r => r.status !== 'skipped').length,
+    valid: report.filter(r => r.status === 'valid').length,
+    invalid: report.filter(r => r.status === 'invalid').length,
+    skipped: report.filter(r => r.status === 'skipped').length
+  };
+
+  return { questions, report, summary };
+};
+
+// Write `questions` in `format`
+export const exportQuizFile = (format, questions, { title } = {}) =>
+  QUIZ_FORMATS[format].export(questions, { title });
@@ -0,0 +1,362 @@
+import { XMLParser, XMLBuilder, XMLValidator } from "fast-xml-parser";
+
+// Moodle XML import and export.
+//
+// Question types mapped on import:
+//   multichoice, truefalse   -> multipleChoice (negative fractions select negativeMarking)
+//   shortanswer              -> fillInBlanks (one blank; "*" wildcards become patterns)
+//   numerical                -> fillInBlanks with a numeric answer
+//   coderunner               -> codeImplementation (plugin qtype_coderunner)
+//   ordering                 -> codeOrdering (plugin qtype_ordering)
+//   shortanswer tagged "questiontype:codeSimulation" -> codeSimulation, the
+//     program taken from the first <pre> block of the question text
+// Categories and descriptions are skipped. Tags "difficulty:easy|medium|hard"
+// set the question difficulty.
+
+const ARRAY_ELEMENTS = ['question', 'answer', 'testcase', 'tag'];
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  parseTagValue: false,
+  parseAttributeValue: false,
+  isArray: (name) => ARRAY_ELEMENTS.includes(name)
+});
+
+const builder = new XMLBuilder({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  format: true,
+  suppressEmptyNode: true
+});
+
+const LANGUAGES = {
+  python3: 'python',
+  python2: 'python',
+  nodejs: 'javascript',
+  javascript: 'javascript'
+};
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const decodeEntities = (text) => text.replace(/&(#x?[\da-f]+|\w+);/gi, (entity, name) => {
+  if (name[0] === '#') {
+    const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+    return Number.isFinite(code) ? String.fromCodePoint(code) : entity;
+  }
+  return HTML_ENTITIES[name.toLowerCase()] ?? entity;
+});
+
+// Plain text from Moodle's HTML question text
+const htmlToText = (html) => decodeEntities(
+  html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|h\d)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+).replace(/\n{3,}/g, '\n\n').trim();
+
+// Text of a <questiontext>, <generalfeedback>, ... element
+const readText = (element) => {
+  if (element === undefined || element === null) return '';
+  if (typeof element !== 'object') return String(element);
+  const text = typeof element.text === 'object' ? '' : String(element.text ?? '');
+  return element['@_format'] === 'html' ? htmlToText(text) : text;
+};
+
+const readNumber = (value, fallback) => {
+  const number = parseFloat(typeof value === 'object' ? value?.text : value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+const readTags = (question) => (question.tags?.tag || []).map(tag => readText(tag).trim().toLowerCase());
+
+// Moodle shortanswer wildcard "*" as an anchored blank pattern
+const wildcardToPattern = (answer) => answer
+  .split('*')
+  .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+  .join('.*');
+
+const parseAnswers = (question) => (question.answer || []).map(answer => ({
+  text: readText(answer).trim(),
+  fraction: readNumber(answer['@_fraction'], 0)
+}));
+
+const TYPE_PARSERS = {
+  multichoice: (question) => {
+    const answers = parseAnswers(question);
+    return {
+      questionType: 'multipleChoice',
+      options: answers.map(a => ({ text: a.text, isCorrect: a.fraction > 0 })),
+      ...(answers.some(a => a.fraction < 0) ? { scoringPolicy: 'negativeMarking' } : {})
+    };
+  },
+
+  truefalse: (question) => {
+    const answers = parseAnswers(question);
+    const trueIsCorrect = answers.some(a => a.text.toLowerCase() === 'true' && a.fraction > 0);
+    return {
+      questionType: 'multipleChoice',
+      options: [
+        { text: 'True', isCorrect: trueIsCorrect },
+        { text: 'False', isCorrect: !trueIsCorrect }
+      ]
+    };
+  },
+
+  shortanswer: (question, tags) => {
+    const accepted = parseAnswers(question).filter(a => a.fraction > 0).map(a => a.text);
+
+    if (tags.includes('questiontype:codesimulation')) {
+      const html = typeof question.questiontext?.text === 'string' ? question.questiontext.text : '';
+      const pre = html.match(/<pre[^>]*>([\s\S]*?)<\/pre>/i);
+      return {
+        questionType: 'codeSimulation',
+        question: htmlToText(html.replace(/<pre[^>]*>[\s\S]*?<\/pre>/i, '')),
+        codeTemplate: pre ? decodeEntities(pre[1].replace(/<\/?code[^>]*>/gi, '')) : '',
+        correctAnswer: accepted[0] ?? ''
+      };
+    }
+
+    const plain = accepted.filter(a => !a.includes('*'));
+    const wildcards = accepted.filter(a => a.includes('*'));
+    return {
+      questionType: 'fillInBlanks',
+      blanks: [{
+        position: 0,
+        answer: plain[0] ?? '',
+        alternatives: plain.slice(1),
+        patterns: wildcards.map(wildcardToPattern),
+        caseSensitive: readNumber(question.usecase, 0) === 1
+      }]
+    };
+  },
+
+  numerical: (question) => {
+    const answer = (question.answer || []).find(a => readNumber(a['@_fraction'], 0) >= 100) || question.answer?.[0];
+    const value = readNumber(answer, NaN);
+    if (!Number.isFinite(value)) {
+      throw new Error('numerical answer is not a number');
+    }
+    return {
+      questionType: 'fillInBlanks',
+      blanks: [{
+        position: 0,
+        answer: String(value),
+        numeric: { value, tolerance: Math.abs(readNumber(answer.tolerance, 0)) }
+      }]
+    };
+  },
+
+  coderunner: (question) => {
+    const runnerType = readText(question.coderunnertype).trim().toLowerCase();
+    const language = LANGUAGES[runnerType];
+    if (!language) {
+      throw new Error(`coderunner type ${runnerType || '(none)'} is not supported`);
+    }
+    return {
+      questionType: 'codeImplementation',
+      language,
+      codeTemplate: readText(question.answerpreload),
+      testCases: (question.testcases?.testcase || []).map(testCase => ({
+        input: readText(testCase.stdin),
+        expectedOutput: readText(testCase.expected),
+        hidden: String(testCase['@_display'] || '').toUpperCase() === 'HIDE',
+        weight: readNumber(testCase['@_mark'], 1)
+      })),
+      ...(readNumber(question.allornothing, 1) === 0 ? { scoringPolicy: 'proportional' } : {})
+    };
+  },
+
+  ordering: (question) => ({
+    questionType: 'codeOrdering',
+    codeBlocks: parseAnswers(question).map((answer, i) => ({ code: answer.text, correctPosition: i })),
+    ...(readText(question.gradingtype) === 'LONGEST_CONTIGUOUS_SUBSET' ? { scoringPolicy: 'subsequence' } : {})
+  })
+};
+
+const SKIPPED_TYPES = ['category', 'description'];
+
+/**
+ * Parse Moodle XML. Returns one entry per <question>:
+ * { source: 'question N', question } or { source, error } or { source, skipped }.
+ */
+export const parseMoodleXml = (text) => {
+  const valid = XMLValidator.validate(String(text));
+  if (valid !== true) {
+    return [{ source: 'file', error: `invalid XML at line ${valid.err.line}: ${valid.err.msg}` }];
+  }
+
+  const document = parser.parse(String(text));
+
+  const questions = document?.quiz?.question;
+  if (!Array.isArray(questions)) {
+    return [{ source: 'file', error: 'no <quiz><question> elements found' }];
+  }
+
+  return questions.map((question, i) => {
+    const source = `question ${i + 1}`;
+    const type = question['@_type'];
+
+    if (SKIPPED_TYPES.includes(type)) {
+      return { source, skipped: `${type} entries are ignored` };
+    }
+    if (!TYPE_PARSERS[type]) {
+      return { source, error: `question type ${type} is not supported` };
+    }
+
+    try {
+      const tags = readTags(question);
+      const parsed = {
+        question: readText(question.questiontext),
+        ...TYPE_PARSERS[type](question, tags)
+      };
+
+      const points = readNumber(question.defaultgrade, undefined);
+      if (points !== undefined) parsed.points = points;
+
+      const explanation = readText(question.generalfeedback);
+      if (explanation) parsed.explanation = explanation;
+
+      const difficulty = tags.find(tag => /^difficulty:(easy|medium|hard)$/.test(tag));
+      if (difficulty) parsed.difficulty = difficulty.split(':')[1];
+
+      return { source, question: parsed };
+    } catch (error) {
+      return { source, error: error.message };
+    }
+  });
+};
+
+const textElement = (text, format = 'markdown') => ({ '@_format': format, text: String(text ?? '') });
+
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const exportAnswers = {
+  multipleChoice: (question) => {
+    const options = question.options || [];
+    const correctCount = Math.max(1, options.filter(o => o.isCorrect).length);
+    const share = Math.floor(100 / correctCount * 100000) / 100000;
+    const wrong = question.scoringPolicy === 'negativeMarking' && correctCount > 1 ? -share : 0;
+    return {
+      '@_type': 'multichoice',
+      single: correctCount === 1 ? 'true' : 'false',
+      shuffleanswers: '1',
+      answernumbering: 'abc',
+      answer: options.map(o => ({
+        '@_fraction': String(o.isCorrect ? share : wrong),
+        '@_format': 'plain_text',
+        text: o.text ?? ''
+      }))
+    };
+  },
+
+  fillInBlanks: (question) => {
+    const blank = question.blanks?.[0] || {};
+    if (typeof blank.numeric?.value === 'number') {
+      return {
+        '@_type': 'numerical',
+        answer: [{
+          '@_fraction': '100',
+          text: String(blank.numeric.value),
+          tolerance: String(blank.numeric.tolerance || 0)
+        }]
+      };
+    }
+    return {
+      '@_type': 'shortanswer',
+      usecase: blank.caseSensitive ? '1' : '0',
+      answer: [blank.answer, ...(blank.alternatives || [])]
+        .filter(a => typeof a === 'string' && a !== '')
+        .map(a => ({ '@_fraction': '100', '@_format': 'plain_text', text: a }))
+    };
+  },
+
+  codeSimulation: (question) => ({
+    '@_type': 'shortanswer',
+    usecase: question.outputComparison?.caseInsensitive ? '0' : '1',
+    answer: [{
+      '@_fraction': '100',
+      '@_format': 'plain_text',
+      text: question.correctAnswer ?? question.expectedOutput ?? ''
+    }]
+  }),
+
+  codeImplementation: (question) => ({
+    '@_type': 'coderunner',
+    coderunnertype: question.language === 'python' ? 'python3' : 'nodejs',
+    answerpreload: question.codeTemplate || '',
+    allornothing: question.scoringPolicy === 'proportional' ? '0' : '1',
+    testcases: {
+      testcase: (question.testCases || []).map(testCase => ({
+        '@_testtype': '0',
+        '@_useasexample': '0',
+        '@_hiderestiffail': '0',
+        '@_mark': Number(testCase.weight ?? 1).toFixed(3),
+        '@_display': testCase.hidden ? 'HIDE' : 'SHOW',
+        testcode: { text: '' },
+        stdin: { text: testCase.input || '' },
+        expected: { text: testCase.expectedOutput || '' },
+        extra: { text: '' }
+      }))
+    }
+  }),
+
+  codeOrdering: (question) => ({
+    '@_type': 'ordering',
+    layouttype: 'VERTICAL',
+    selecttype: 'ALL',
+    gradingtype: question.scoringPolicy === 'subsequence' ? 'LONGEST_CONTIGUOUS_SUBSET' : 'ALL_OR_NOTHING',
+    answer: [...(question.codeBlocks || [])]
+      .sort((a, b) => (a.correctPosition ?? 0) - (b.correctPosition ?? 0))
+      .map((block, i) => ({ '@_fraction': String(i + 1), '@_format': 'plain_text', text: block.code ?? '' }))
+  })
+};
+
+/**
+ * Write questions as Moodle XML, in a category named after the quiz.
+ */
+export const exportMoodleXml = (questions, { title } = {}) => {
+  const entries = [];
+
+  if (title) {
+    entries.push({
+      '@_type': 'category',
+      category: { text: `$course$/${title}` }
+    });
+  }
+
+  questions.forEach((question, i) => {
+    const tags = [];
+    if (question.difficulty) tags.push({ text: `difficulty:${question.difficulty}` });
+
+    let questiontext = textElement(question.question);
+    if (question.questionType === 'codeSimulation') {
+      tags.push({ text: 'questiontype:codeSimulation' });
+      questiontext = textElement(
+        `<p>${escapeHtml(question.question)}</p><pre><code>${escapeHtml(question.codeTemplate)}</code></pre>`,
+        'html'
+      );
+    }
+
+    const { '@_type': type, ...answers } = exportAnswers[question.questionType](question);
+    entries.push({
+      '@_type': type,
+      name: { text: `Q${i + 1}` },
+      questiontext,
+      generalfeedback: textElement(question.explanation || ''),
+      defaultgrade: String(question.points ?? 1),
+      penalty: '0',
+      hidden: '0',
+      ...answers,
+      ...(tags.length > 0 ? { tags: { tag: tags } } : {})
+    });
+  });
+
+  return builder.build({
+    '?xml': { '@_version': '1.0', '@_encoding': 'UTF-8' },
+    quiz: { question: entries }
+  });
+};
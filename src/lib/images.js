@@ -0,0 +1,129 @@
+import { randomUUID } from "crypto";
+import sharp from "sharp";
+import { uploadMedia, deleteMedia, toMediaFile } from "./storage/index.js";
+
+// Uploaded images are checked and re-encoded before they are stored: the
+// type comes from the file's own bytes (not what the client claims), size
+// and dimensions are capped, and re-encoding drops EXIF and other metadata
+// (GPS positions, camera serials) after applying the EXIF orientation.
+// Module, quiz and profile images also get resized variants, stored next
+// to the original as <name>-thumbnail and <name>-card.
+
+export const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+export const MAX_IMAGE_DIMENSION = 6000;
+const MIN_IMAGE_DIMENSION = 16;
+
+export const IMAGE_VARIANTS = {
+  thumbnail: { width: 200, height: 200 },
+  card: { width: 640, height: 360 }
+};
+
+// Magic numbers of the formats we accept. SVG is left out on purpose, it can carry scripts.
+const SIGNATURES = [
+  { format: 'jpeg', test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { format: 'png', test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { format: 'gif', test: (b) => ['GIF87a', 'GIF89a'].includes(b.subarray(0, 6).toString('latin1')) },
+  { format: 'webp', test: (b) => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP' }
+];
+
+export class ImageError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "ImageError";
+    this.statusCode = statusCode;
+  }
+}
+
+// Image format of `buffer` from its first bytes, or null
+export const sniffImageFormat = (buffer) =>
+  SIGNATURES.find(({ test }) => buffer.length >= 12 && test(buffer))?.format ?? null;
+
+/**
+ * Validate an image and re-encode it without metadata. Returns
+ * { original, variants } with { buffer, contentType } files; variants only
+ * when `withVariants` is set. Throws an ImageError for images we refuse.
+ */
+export const processImage = async (buffer, { withVariants = true } = {}) => {
+  if (buffer.length > MAX_IMAGE_BYTES) {
+    throw new ImageError(`Image is larger than ${MAX_IMAGE_BYTES / (1024 * 1024)}MB`, 413);
+  }
+
+  const format = sniffImageFormat(buffer);
+  if (!format) {
+    throw new ImageError("Unsupported image type, use JPEG, PNG, GIF or WebP", 415);
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw new ImageError("Invalid image format or corrupted image.");
+  }
+
+  // Orientations 5-8 are stored sideways
+  const [width, height] = metadata.orientation >= 5
+    ? [metadata.height, metadata.width]
+    : [metadata.width, metadata.height];
+  if (width > MAX_IMAGE_DIMENSION || height > MAX_IMAGE_DIMENSION) {
+    throw new ImageError(`Image must be at most ${MAX_IMAGE_DIMENSION}x${MAX_IMAGE_DIMENSION} pixels`);
+  }
+  if (width < MIN_IMAGE_DIMENSION || height < MIN_IMAGE_DIMENSION) {
+    throw new ImageError(`Image must be at least ${MIN_IMAGE_DIMENSION}x${MIN_IMAGE_DIMENSION} pixels`);
+  }
+
+  const contentType = `image/${format}`;
+  // sharp writes no metadata unless asked to; animated GIF/WebP frames are kept
+  const encode = (pipeline) => pipeline.toFormat(format).toBuffer();
+  const source = () => sharp(buffer, { animated: format === 'gif' || format === 'webp' }).rotate();
+
+  const original = { buffer: await encode(source()), contentType };
+  if (!withVariants) return { original, variants: {} };
+
+  const variants = {};
+  for (const [variant, size] of Object.entries(IMAGE_VARIANTS)) {
+    variants[variant] = {
+      buffer: await encode(source().resize({ ...size, fit: 'cover', withoutEnlargement: true })),
+      contentType
+    };
+  }
+  return { original, variants };
+};
+
+/**
+ * Process and store an image. `input` is an uploaded file ({ buffer }, as
+ * multer hands it over) or anything uploadMedia accepts; URLs outside media
+ * storage only with `allowRemoteUrls`. Returns
+ * { url, key, variants: { thumbnail, card } } with the variant URLs.
+ */
+export const storeImage = async (input, { folder, withVariants = true, allowRemoteUrls = false } = {}) => {
+  let file;
+  try {
+    file = await toMediaFile(input, { allowRemoteUrls });
+  } catch (error) {
+    throw new ImageError(error.message);
+  }
+  const { original, variants } = await processImage(file.buffer, { withVariants });
+
+  const name = randomUUID();
+  const stored = [];
+  try {
+    const { url, key } = await uploadMedia(original, { folder, name });
+    stored.push(url);
+
+    const variantUrls = {};
+    for (const [variant, variantFile] of Object.entries(variants)) {
+      variantUrls[variant] = (await uploadMedia(variantFile, { folder, name: `${name}-${variant}` })).url;
+      stored.push(variantUrls[variant]);
+    }
+    return { url, key, variants: variantUrls };
+  } catch (error) {
+    await Promise.allSettled(stored.map(url => deleteMedia(url)));
+    throw error;
+  }
+};
+
+// Delete a stored image and its variants; images held elsewhere are left alone
+export const deleteImage = async (url, variants) => {
+  const urls = [url, ...Object.keys(IMAGE_VARIANTS).map(variant => variants?.[variant])];
+  await Promise.all(urls.filter(Boolean).map(imageUrl => deleteMedia(imageUrl)));
+};
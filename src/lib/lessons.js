@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+import { publishedFilter } from "./visibility.js";
+
+// Lessons and quizzes form one sequence per module. Both have an order; a
+// lesson comes right before the quiz with the same order, and lessons on the
+// same order keep the order they were created in. A lesson numbered after
+// the last quiz closes the module.
+//
+// A quiz with `requiresLesson` stays locked until the student has completed
+// the nearest published lesson before it. Without such a lesson the quiz
+// follows the usual quiz unlocking.
+
+// Published lessons of a module, in sequence order
+export const findPublishedLessons = (moduleId) =>
+  mongoose.model('Lesson').find({ ...publishedFilter(), module: moduleId }).sort({ order: 1, createdAt: 1 });
+
+// Nearest published lesson before `quiz` in its module
+export const findPrecedingLesson = (quiz) =>
+  mongoose.model('Lesson')
+    .findOne({ ...publishedFilter(), module: quiz.module, order: { $lte: quiz.order } })
+    .sort({ order: -1, createdAt: -1 });
+
+// Same as findPrecedingLesson, picked from a module's published lessons in
+// sequence order
+export const precedingLessonIn = (lessons, quiz) =>
+  lessons.filter(lesson => lesson.order <= quiz.order).pop() ?? null;
+
+// The lesson `quiz` is still waiting for, or null when it can be taken.
+// `progress` may be null for a student who has not started.
+export const findUnreadRequiredLesson = async (quiz, progress) => {
+  if (!quiz.requiresLesson) return null;
+
+  const lesson = await findPrecedingLesson(quiz);
+  if (!lesson || progress?.isLessonCompleted(lesson._id)) return null;
+  return lesson;
+};
+
+// Lessons and quizzes (both in order) merged into the module sequence, as
+// [{ type: 'lesson' | 'quiz', item }]
+export const buildModuleSequence = (lessons, quizzes) => [
+  ...lessons.map(item => ({ type: 'lesson', item })),
+  ...quizzes.map(item => ({ type: 'quiz', item }))
+].sort((a, b) =>
+  a.item.order - b.item.order || (a.type === b.type ? 0 : a.type === 'lesson' ? -1 : 1)
+);
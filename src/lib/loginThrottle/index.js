@@ -0,0 +1,198 @@
+import { sendMail } from "../mailer/index.js";
+
+// Failed login tracking. Every failure counts against the account (by
+// email, so unknown addresses are throttled the same way and cannot be
+// told apart) and against the client's IP. Past `freeFailures` each new
+// attempt has to wait twice as long as the one before (1s, 2s, 4s, ...);
+// at the lock threshold the account (or IP) is locked for a while and the
+// account's owner gets an email. Failures older than the window are
+// forgotten.
+//
+// Counters live in a store picked with LOGIN_THROTTLE_STORE:
+//   mongo  - the default, shared by every server instance
+//   memory - this process only
+// Tests can hand in a store of their own with setLoginThrottleStore().
+// A store implements
+//   get(key) -> { key, failures, lastFailureAt, blockedUntil, lockedUntil } or null
+//   recordFailure(key, { now, windowStart, expiresAt }) -> the updated record
+//   update(key, { blockedUntil, lockedUntil })
+//   reset(key)
+//   listLocked(prefix, now) -> records locked past `now`
+
+export const THROTTLE_POLICY = {
+  freeFailures: 3,
+  maxBackoffMs: 5 * 60 * 1000,
+  accountLockFailures: 10,
+  ipLockFailures: 50,
+  lockoutMs: 15 * 60 * 1000,
+  failureWindowMs: 60 * 60 * 1000
+};
+
+const STORES = {
+  mongo: () => import("./mongo.js"),
+  memory: () => import("./memory.js")
+};
+
+let store = null;
+
+const getStore = async () => {
+  if (!store) {
+    const name = process.env.LOGIN_THROTTLE_STORE || 'mongo';
+    if (!STORES[name]) {
+      throw new Error(`Unknown LOGIN_THROTTLE_STORE "${name}", use one of ${Object.keys(STORES).join(', ')}`);
+    }
+    store = (await STORES[name]()).default;
+  }
+  return store;
+};
+
+// Replace the counter store, e.g. with createMemoryStore() from ./memory.js in tests
+export const setLoginThrottleStore = (customStore) => {
+  store = customStore;
+};
+
+export class LoginThrottleError extends Error {
+  constructor(message, retryAfterSeconds, statusCode = 429) {
+    super(message);
+    this.name = "LoginThrottleError";
+    this.retryAfterSeconds = retryAfterSeconds;
+    this.statusCode = statusCode;
+  }
+}
+
+const ACCOUNT_PREFIX = 'account:';
+const accountKey = (email) => `${ACCOUNT_PREFIX}${String(email).trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+const secondsUntil = (date, now) => Math.max(1, Math.ceil((date.getTime() - now.getTime()) / 1000));
+
+const accountLockedError = (lockedUntil, now) => new LoginThrottleError(
+  "Too many failed login attempts, this account is locked for now. " +
+  "Try again later or reset your password to unlock it.",
+  secondsUntil(lockedUntil, now)
+);
+
+/**
+ * Throw a LoginThrottleError when `email` or `ip` may not try to log in
+ * right now (backoff or lockout).
+ */
+export const assertLoginAllowed = async ({ email, ip }, now = new Date()) => {
+  const counters = await getStore();
+  const [account, client] = await Promise.all([
+    counters.get(accountKey(email)),
+    ip ? counters.get(ipKey(ip)) : null
+  ]);
+
+  if (account?.lockedUntil > now) {
+    throw accountLockedError(account.lockedUntil, now);
+  }
+  if (client?.lockedUntil > now) {
+    throw new LoginThrottleError(
+      "Too many failed login attempts from this network, try again later",
+      secondsUntil(client.lockedUntil, now)
+    );
+  }
+
+  const blockedUntil = [account?.blockedUntil, client?.blockedUntil]
+    .filter(date => date > now)
+    .sort((a, b) => b - a)[0];
+  if (blockedUntil) {
+    const seconds = secondsUntil(blockedUntil, now);
+    throw new LoginThrottleError(`Too many failed login attempts, try again in ${seconds} seconds`, seconds);
+  }
+};
+
+// Count one failure against `key`; returns the record and whether this failure locked it
+const countFailure = async (counters, key, lockThreshold, now) => {
+  const { failureWindowMs, freeFailures, maxBackoffMs, lockoutMs } = THROTTLE_POLICY;
+  const windowStart = new Date(now.getTime() - failureWindowMs);
+  const record = await counters.recordFailure(key, {
+    now,
+    windowStart,
+    expiresAt: new Date(now.getTime() + failureWindowMs)
+  });
+
+  if (record.failures >= lockThreshold && !(record.lockedUntil > now)) {
+    // Only the first lock in a window is news; later ones just extend it
+    const locked = !(record.lockedUntil > windowStart);
+    record.lockedUntil = new Date(now.getTime() + lockoutMs);
+    await counters.update(key, { lockedUntil: record.lockedUntil, blockedUntil: record.lockedUntil });
+    return { record, locked };
+  }
+
+  if (record.failures > freeFailures) {
+    const backoffMs = Math.min(1000 * 2 ** (record.failures - freeFailures - 1), maxBackoffMs);
+    record.blockedUntil = new Date(now.getTime() + backoffMs);
+    await counters.update(key, { blockedUntil: record.blockedUntil });
+  }
+  return { record, locked: false };
+};
+
+const sendLockoutNotice = async (user, lockedUntil) => {
+  try {
+    await sendMail({
+      to: user.email,
+      subject: "Your account has been locked",
+      text: `Hi ${user.username},\n\n` +
+        `There were ${THROTTLE_POLICY.accountLockFailures} failed attempts to log in to your account, ` +
+        `so it is locked until ${lockedUntil.toUTCString()}.\n\n` +
+        `If this was you, wait until then or reset your password to unlock it right away. ` +
+        `If it was not, someone may be guessing your password; resetting it is a good idea.`
+    });
+  } catch (mailError) {
+    console.error("Error sending lockout notice:", mailError);
+  }
+};
+
+/**
+ * Record a failed login for `email` from `ip`. `user` is the account the
+ * email belongs to, if any, and gets an email when it is locked. Throws a
+ * LoginThrottleError when this failure locked the account; returns
+ * { failures } otherwise.
+ */
+export const recordLoginFailure = async ({ email, ip, user }, now = new Date()) => {
+  const counters = await getStore();
+  const { accountLockFailures, ipLockFailures } = THROTTLE_POLICY;
+
+  const account = await countFailure(counters, accountKey(email), accountLockFailures, now);
+  if (ip) {
+    const client = await countFailure(counters, ipKey(ip), ipLockFailures, now);
+    if (client.locked) {
+      console.warn(`⚠️ Login attempts from ${ip} locked after ${client.record.failures} failures`);
+    }
+  }
+
+  if (account.locked) {
+    console.warn(`⚠️ Account ${email} locked after ${account.record.failures} failed logins`);
+    if (user) await sendLockoutNotice(user, account.record.lockedUntil);
+  }
+  if (account.record.lockedUntil > now) {
+    throw accountLockedError(account.record.lockedUntil, now);
+  }
+
+  return { failures: account.record.failures };
+};
+
+// A successful login clears the account's failures; the IP's are left to expire
+export const recordLoginSuccess = async ({ email }) => {
+  await (await getStore()).reset(accountKey(email));
+};
+
+// Locked accounts as { email, failures, lastFailureAt, lockedUntil }
+export const listLockedAccounts = async (now = new Date()) => {
+  const records = await (await getStore()).listLocked(ACCOUNT_PREFIX, now);
+  return records.map(({ key, failures, lastFailureAt, lockedUntil }) => ({
+    email: key.slice(ACCOUNT_PREFIX.length),
+    failures,
+    lastFailureAt,
+    lockedUntil
+  }));
+};
+
+// Clear an account's failures and lock; returns whether it was locked
+export const unlockAccount = async (email, now = new Date()) => {
+  const counters = await getStore();
+  const record = await counters.get(accountKey(email));
+  await counters.reset(accountKey(email));
+  return Boolean(record?.lockedUntil > now);
+};
@@ -0,0 +1,38 @@
+// Counters in this process's memory: for tests, or a single instance that
+// can live with counters resetting on restart.
+
+export const createMemoryStore = () => {
+  const records = new Map();
+  const copy = (record) => (record ? { ...record } : null);
+
+  return {
+    async get(key) {
+      return copy(records.get(key));
+    },
+
+    async recordFailure(key, { now, windowStart }) {
+      const record = records.get(key) ?? { key, failures: 0 };
+      record.failures = record.lastFailureAt > windowStart ? record.failures + 1 : 1;
+      record.lastFailureAt = now;
+      records.set(key, record);
+      return copy(record);
+    },
+
+    async update(key, fields) {
+      if (records.has(key)) Object.assign(records.get(key), fields);
+    },
+
+    async reset(key) {
+      records.delete(key);
+    },
+
+    async listLocked(prefix, now) {
+      return [...records.values()]
+        .filter(record => record.key.startsWith(prefix) && record.lockedUntil > now)
+        .sort((a, b) => b.lockedUntil - a.lockedUntil)
+        .map(copy);
+    }
+  };
+};
+
+export default createMemoryStore();
@@ -0,0 +1,47 @@
+import LoginAttempt from "../../models/LoginAttempt.js";
+
+// Counters in the LoginAttempt collection, shared by every server instance
+
+const RECORD_FIELDS = 'key failures lastFailureAt blockedUntil lockedUntil';
+
+export default {
+  async get(key) {
+    return LoginAttempt.findOne({ key }).select(RECORD_FIELDS).lean();
+  },
+
+  // One atomic update, so parallel guesses cannot slip past the counter
+  async recordFailure(key, { now, windowStart, expiresAt }) {
+    return LoginAttempt.findOneAndUpdate(
+      { key },
+      [{
+        $set: {
+          failures: {
+            $cond: [{ $gt: ['$lastFailureAt', windowStart] }, { $add: ['$failures', 1] }, 1]
+          },
+          lastFailureAt: now,
+          expiresAt: { $max: ['$expiresAt', expiresAt] }
+        }
+      }],
+      { upsert: true, new: true, projection: RECORD_FIELDS }
+    ).lean();
+  },
+
+  async update(key, fields) {
+    const expiresAt = fields.lockedUntil;
+    await LoginAttempt.updateOne({ key }, {
+      $set: fields,
+      ...(expiresAt ? { $max: { expiresAt } } : {})
+    });
+  },
+
+  async reset(key) {
+    await LoginAttempt.deleteOne({ key });
+  },
+
+  async listLocked(prefix, now) {
+    return LoginAttempt.find({
+      key: { $regex: `^${prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` },
+      lockedUntil: { $gt: now }
+    }).select(RECORD_FIELDS).sort({ lockedUntil: -1 }).lean();
+  }
+};
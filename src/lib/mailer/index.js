@@ -0,0 +1,41 @@
+// Outgoing email, through one of these transports, picked with MAIL_TRANSPORT:
+//   outbox - the default: every message is written as a JSON file under
+//            MAIL_OUTBOX_DIR (default ./outbox) instead of being sent, for
+//            development and tests
+//   smtp   - sent with nodemailer, configured with the SMTP_* variables
+// MAIL_FROM is the sender address of every message.
+//
+// A transport implements
+//   send({ from, to, subject, text, html }) -> { id }
+
+const TRANSPORTS = {
+  outbox: () => import("./outbox.js"),
+  smtp: () => import("./smtp.js")
+};
+
+export const mailTransport = () => process.env.MAIL_TRANSPORT || 'outbox';
+
+let transport = null;
+
+const getTransport = async () => {
+  if (!transport) {
+    const name = mailTransport();
+    if (!TRANSPORTS[name]) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}", use one of ${Object.keys(TRANSPORTS).join(', ')}`);
+    }
+    transport = (await TRANSPORTS[name]()).default;
+  }
+  return transport;
+};
+
+/**
+ * Send a message: { to, subject, text, html }. `html` is optional.
+ * Returns { id }, the transport's id for the message.
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+  if (!to || !subject || !text) {
+    throw new Error("A message needs a recipient, a subject and a text body");
+  }
+  const from = process.env.MAIL_FROM || 'CyberLearn <no-reply@localhost>';
+  return (await getTransport()).send({ from, to, subject, text, html });
+};
@@ -0,0 +1,22 @@
+import fs from "fs/promises";
+import path from "path";
+import { randomUUID } from "crypto";
+
+// Messages as JSON files under MAIL_OUTBOX_DIR (default ./outbox). File
+// names start with the time, so the newest message sorts last.
+
+export const outboxDir = () => path.resolve(process.env.MAIL_OUTBOX_DIR || 'outbox');
+
+export default {
+  async send(message) {
+    const id = randomUUID();
+    const createdAt = new Date();
+    const file = path.join(outboxDir(), `${createdAt.toISOString().replace(/[:.]/g, '-')}-${id}.json`);
+
+    await fs.mkdir(outboxDir(), { recursive: true });
+    await fs.writeFile(file, JSON.stringify({ id, createdAt, ...message }, null, 2));
+
+    console.log(`📧 Mail to ${message.to} written to ${file}`);
+    return { id };
+  }
+};
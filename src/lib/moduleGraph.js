@@ -0,0 +1,180 @@
+import mongoose from "mongoose";
+import { publishedFilter } from "./visibility.js";
+import { findCourseIdsForUser } from "./courses.js";
+
+// Module prerequisite graph. Every course is its own graph: prerequisites
+// only point at modules of the same course.
+//   prerequisites: { allOf: [{ module, minScore }], anyOf: [{ module, minScore }] }
+// A module unlocks once every allOf entry is met and, when anyOf is not
+// empty, at least one anyOf entry is met. An entry is met when the student
+// completed that module with a final score of at least minScore (if given).
+//   - Modules whose prerequisites are not set follow the course order: they
+//     require the previous module of their course. Set to { allOf: [], anyOf: [] } a module
+//     is an entry point, open from the start.
+//   - Entries on modules that are not published are ignored, so archiving a
+//     module never locks students out of what follows it.
+
+const toEntries = (list = []) => list.map(entry => ({
+  module: entry.module.toString(),
+  minScore: entry.minScore ?? null
+}));
+
+const courseKey = (module) => module.course?.toString() ?? '';
+
+/**
+ * Build the graph for `modules`: a Map of module id -> { module, allOf, anyOf },
+ * grouped by course and in course order, with the implicit order
+ * prerequisites filled in.
+ */
+export const buildModuleGraph = (modules) => {
+  const sorted = [...modules].sort((a, b) =>
+    courseKey(a).localeCompare(courseKey(b)) || a.order - b.order
+  );
+  const graph = new Map();
+
+  sorted.forEach((module, i) => {
+    const previous = i > 0 && courseKey(sorted[i - 1]) === courseKey(module) ? sorted[i - 1] : null;
+    const prerequisites = module.prerequisites
+      ? { allOf: toEntries(module.prerequisites.allOf), anyOf: toEntries(module.prerequisites.anyOf) }
+      : { allOf: previous ? [{ module: previous._id.toString(), minScore: null }] : [], anyOf: [] };
+    graph.set(module._id.toString(), { module, ...prerequisites });
+  });
+
+  return graph;
+};
+
+// Graph of the published modules matching `filter`, the one the unlock engine walks
+export const loadModuleGraph = async (filter = {}) =>
+  buildModuleGraph(await mongoose.model('Module').find({ ...filter, ...publishedFilter() }));
+
+// Graph of the published modules in the courses a user takes
+export const loadUserModuleGraph = async (userId) =>
+  loadModuleGraph({ course: { $in: await findCourseIdsForUser(userId) } });
+
+const isCompleted = (progress, moduleId) =>
+  Boolean(progress?.globalProgress.completedModules.some(cm => cm.module.toString() === moduleId));
+
+const entryMet = (entry, progress) =>
+  isCompleted(progress, entry.module) &&
+  (entry.minScore === null || progress.calculateModuleFinalScore(entry.module) >= entry.minScore);
+
+/**
+ * Prerequisites of `node` the student has not met yet, as { allOf, anyOf }.
+ * `progress` may be null for a student who has not started.
+ */
+export const missingPrerequisites = (node, progress, graph) => {
+  const active = (list) => list.filter(entry => graph.has(entry.module));
+  const anyOf = active(node.anyOf);
+  return {
+    allOf: active(node.allOf).filter(entry => !entryMet(entry, progress)),
+    anyOf: anyOf.some(entry => entryMet(entry, progress)) ? [] : anyOf
+  };
+};
+
+export const prerequisitesMet = (node, progress, graph) => {
+  const missing = missingPrerequisites(node, progress, graph);
+  return missing.allOf.length === 0 && missing.anyOf.length === 0;
+};
+
+/**
+ * Follow prerequisites from `startId` and return the first path leading back
+ * to it, as a list of module ids (start ... start), or null.
+ */
+export const findCycle = (graph, startId) => {
+  const visited = new Set();
+
+  const walk = (id, path) => {
+    const node = graph.get(id);
+    if (!node) return null;
+
+    for (const entry of [...node.allOf, ...node.anyOf]) {
+      if (entry.module === startId) return [...path, startId];
+      if (visited.has(entry.module)) continue;
+      visited.add(entry.module);
+      const found = walk(entry.module, [...path, entry.module]);
+      if (found) return found;
+    }
+    return null;
+  };
+
+  return walk(startId, [startId]);
+};
+
+/**
+ * Check new prerequisites for a module of `course` (`moduleId` is null for a
+ * module that does not exist yet). Returns a list of error messages, empty
+ * when valid. The cycle check runs over every module of the course, drafts
+ * included, so publishing a module later cannot close a loop.
+ */
+export const validatePrerequisites = async (moduleId, prerequisites, course) => {
+  if (prerequisites === undefined || prerequisites === null) return [];
+
+  if (typeof prerequisites !== 'object' || Array.isArray(prerequisites)) {
+    return ["prerequisites must be an object with allOf and anyOf lists"];
+  }
+
+  const errors = [];
+  const referenced = new Set();
+
+  for (const list of ['allOf', 'anyOf']) {
+    const entries = prerequisites[list] ?? [];
+    if (!Array.isArray(entries)) {
+      errors.push(`prerequisites.${list} must be a list`);
+      continue;
+    }
+
+    entries.forEach((entry, i) => {
+      const path = `prerequisites.${list}[${i}]`;
+      const id = entry?.module?.toString();
+
+      if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+        errors.push(`${path}.module: must be a module ID`);
+        return;
+      }
+      if (moduleId && id === moduleId.toString()) {
+        errors.push(`${path}.module: a module cannot require itself`);
+      }
+      if (referenced.has(id)) {
+        errors.push(`${path}.module: module is listed more than once`);
+      }
+      referenced.add(id);
+
+      const { minScore } = entry;
+      if (minScore !== undefined && minScore !== null &&
+          (typeof minScore !== 'number' || minScore < 0 || minScore > 100)) {
+        errors.push(`${path}.minScore: must be a number between 0 and 100`);
+      }
+    });
+  }
+
+  if (errors.length > 0) return errors;
+
+  const Module = mongoose.model('Module');
+  const modules = await Module.find({ course: course ?? null }).select('title course order prerequisites').lean();
+  const known = new Set(modules.map(m => m._id.toString()));
+  const unknown = [...referenced].filter(id => !known.has(id));
+  if (unknown.length > 0) {
+    return [`prerequisites: modules not found in this course: ${unknown.join(', ')}`];
+  }
+
+  // A new module has nothing depending on it yet, so it cannot close a loop
+  if (!moduleId) return [];
+
+  const id = moduleId.toString();
+  const graph = buildModuleGraph(modules.map(m =>
+    m._id.toString() === id ? { ...m, prerequisites } : m
+  ));
+  const cycle = findCycle(graph, id);
+  if (cycle) {
+    const titles = cycle.map(step => graph.get(step)?.module.title ?? step);
+    return [`prerequisites would create a cycle: ${titles.join(' requires ')}`];
+  }
+
+  return [];
+};
+
+// Modules open to a student who has not completed anything yet
+export const entryModules = (graph) =>
+  [...graph.values()]
+    .filter(node => prerequisitesMet(node, null, graph))
+    .map(node => node.module);
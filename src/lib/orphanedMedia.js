@@ -0,0 +1,95 @@
+import mongoose from "mongoose";
+import { listMedia, mediaKeyFromUrl, deleteMedia } from "./storage/index.js";
+import { IMAGE_VARIANTS } from "./images.js";
+
+// Stored files nothing points at any more: left behind when deleting a
+// record's image failed, by replaced images, or by clones and imports
+// that were rolled back. A file counts as used when a module, quiz, user
+// or lesson refers to it (variants and lesson bodies included). New files
+// are kept for a grace period, since an upload lands in storage before the
+// record that refers to it is saved. Only files media storage uploaded
+// itself are listed (see list() in lib/storage/index.js), so images the
+// routes stored before it existed are never collected.
+
+export const DEFAULT_GRACE_HOURS = 24;
+
+const graceHoursFromEnv = () => {
+  const hours = Number(process.env.MEDIA_GC_GRACE_HOURS);
+  return Number.isFinite(hours) && hours >= 0 ? hours : DEFAULT_GRACE_HOURS;
+};
+
+// Image URLs in markdown, including the relative ones of the local backend
+const BODY_URL_PATTERN = /(?:https?:\/\/|\/media\/)[^\s()"'<>]+/g;
+
+const variantUrls = (variants) => Object.keys(IMAGE_VARIANTS).map(variant => variants?.[variant]);
+
+// Storage keys of every file a document refers to
+const referencedKeys = async () => {
+  const keys = new Set();
+  const add = async (urls) => {
+    for (const url of urls) {
+      const key = await mediaKeyFromUrl(url);
+      if (key) keys.add(key);
+    }
+  };
+
+  for (const name of ['Module', 'Quiz']) {
+    for await (const doc of mongoose.model(name).find().select('image imageVariants').lean().cursor()) {
+      await add([doc.image, ...variantUrls(doc.imageVariants)]);
+    }
+  }
+  for await (const user of mongoose.model('User').find().select('profileImage profileImageVariants').lean().cursor()) {
+    await add([user.profileImage, ...variantUrls(user.profileImageVariants)]);
+  }
+  for await (const lesson of mongoose.model('Lesson').find().select('images body').lean().cursor()) {
+    await add([...lesson.images.map(image => image.url), ...(lesson.body?.match(BODY_URL_PATTERN) ?? [])]);
+  }
+  return keys;
+};
+
+/**
+ * Stored files that nothing refers to and that are older than the grace
+ * period (MEDIA_GC_GRACE_HOURS, 24 by default). Deletes nothing.
+ */
+export const findOrphanedMedia = async ({ graceHours = graceHoursFromEnv(), now = new Date() } = {}) => {
+  const referenced = await referencedKeys();
+  const cutoff = new Date(now.getTime() - graceHours * 60 * 60 * 1000);
+
+  const orphans = [];
+  let scanned = 0;
+  let withinGrace = 0;
+  for await (const file of listMedia()) {
+    scanned++;
+    if (referenced.has(file.key)) continue;
+    if (file.lastModified > cutoff) {
+      withinGrace++;
+      continue;
+    }
+    orphans.push(file);
+  }
+
+  return {
+    graceHours,
+    scanned,
+    withinGrace,
+    orphans,
+    totalBytes: orphans.reduce((sum, file) => sum + (file.size || 0), 0)
+  };
+};
+
+// Delete the orphans findOrphanedMedia reports; a failed delete does not stop the rest
+export const collectOrphanedMedia = async (options) => {
+  const report = await findOrphanedMedia(options);
+
+  const deleted = [];
+  const failed = [];
+  for (const file of report.orphans) {
+    try {
+      await deleteMedia(file.key);
+      deleted.push(file);
+    } catch (error) {
+      failed.push({ ...file, error: error.message });
+    }
+  }
+  return { ...report, deleted, failed };
+};
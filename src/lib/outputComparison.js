@@ -0,0 +1,148 @@
+// Comparison of program output against an expected output, with a line-by-line
+// diff the app can show after an attempt.
+//
+// Options (all off means an exact comparison):
+//   trimTrailingWhitespace - ignore whitespace at line ends and trailing empty lines
+//   ignoreBlankLines       - drop lines that are empty or only whitespace
+//   caseInsensitive        - compare lines ignoring case
+//   unorderedLines         - lines may appear in any order
+//   numericTolerance       - numeric tokens match when within this distance
+
+// Longest output we diff line by line; beyond this lines are paired by position
+const MAX_DIFF_LINES = 500;
+
+const NUMBER_TOKEN = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+
+export const COMPARISON_OPTIONS = [
+  'trimTrailingWhitespace',
+  'ignoreBlankLines',
+  'caseInsensitive',
+  'unorderedLines',
+  'numericTolerance'
+];
+
+const toLines = (text, options) => {
+  let lines = String(text ?? '').replace(/\r\n?/g, '\n').split('\n');
+
+  if (options.trimTrailingWhitespace) {
+    lines = lines.map(line => line.trimEnd());
+    while (lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+  }
+
+  if (options.ignoreBlankLines) {
+    lines = lines.filter(line => line.trim() !== '');
+  }
+
+  return lines;
+};
+
+// Build the line equality test for the given options
+const lineMatcher = (options) => {
+  const fold = (line) => options.caseInsensitive ? line.toLowerCase() : line;
+  const tolerance = typeof options.numericTolerance === 'number' ? Math.abs(options.numericTolerance) : null;
+
+  if (tolerance === null) {
+    return (a, b) => fold(a) === fold(b);
+  }
+
+  return (a, b) => {
+    const tokensA = fold(a).trim().split(/\s+/);
+    const tokensB = fold(b).trim().split(/\s+/);
+    if (tokensA.length !== tokensB.length) return false;
+
+    return tokensA.every((token, i) => {
+      const other = tokensB[i];
+      if (NUMBER_TOKEN.test(token) && NUMBER_TOKEN.test(other)) {
+        return Math.abs(Number(token) - Number(other)) <= tolerance;
+      }
+      return token === other;
+    });
+  };
+};
+
+// Ordered diff via longest common subsequence of lines
+const orderedDiff = (expected, actual, equals) => {
+  if (expected.length > MAX_DIFF_LINES || actual.length > MAX_DIFF_LINES) {
+    const diff = [];
+    const length = Math.max(expected.length, actual.length);
+    for (let i = 0; i < length; i++) {
+      if (i < expected.length && i < actual.length && equals(expected[i], actual[i])) {
+        diff.push({ type: 'match', expected: expected[i], actual: actual[i] });
+      } else {
+        if (i < expected.length) diff.push({ type: 'missing', expected: expected[i] });
+        if (i < actual.length) diff.push({ type: 'unexpected', actual: actual[i] });
+      }
+    }
+    return diff;
+  }
+
+  const rows = expected.length + 1;
+  const cols = actual.length + 1;
+  const table = Array.from({ length: rows }, () => new Array(cols).fill(0));
+
+  for (let i = expected.length - 1; i >= 0; i--) {
+    for (let j = actual.length - 1; j >= 0; j--) {
+      table[i][j] = equals(expected[i], actual[j])
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < expected.length && j < actual.length) {
+    if (equals(expected[i], actual[j])) {
+      diff.push({ type: 'match', expected: expected[i++], actual: actual[j++] });
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      diff.push({ type: 'missing', expected: expected[i++] });
+    } else {
+      diff.push({ type: 'unexpected', actual: actual[j++] });
+    }
+  }
+  while (i < expected.length) diff.push({ type: 'missing', expected: expected[i++] });
+  while (j < actual.length) diff.push({ type: 'unexpected', actual: actual[j++] });
+
+  return diff;
+};
+
+// Multiset diff: every expected line must be matched by some actual line
+const unorderedDiff = (expected, actual, equals) => {
+  const remaining = [...actual];
+  const diff = [];
+
+  for (const line of expected) {
+    const index = remaining.findIndex(candidate => equals(line, candidate));
+    if (index === -1) {
+      diff.push({ type: 'missing', expected: line });
+    } else {
+      diff.push({ type: 'match', expected: line, actual: remaining[index] });
+      remaining.splice(index, 1);
+    }
+  }
+  for (const line of remaining) {
+    diff.push({ type: 'unexpected', actual: line });
+  }
+
+  return diff;
+};
+
+/**
+ * Compare `actual` output with `expected`.
+ * Returns { matches, diff } where diff is a list of
+ * { type: 'match' | 'missing' | 'unexpected', expected?, actual? }.
+ */
+export const compareOutput = (actual, expected, options = {}) => {
+  const expectedLines = toLines(expected, options);
+  const actualLines = toLines(actual, options);
+  const equals = lineMatcher(options);
+
+  const diff = options.unorderedLines
+    ? unorderedDiff(expectedLines, actualLines, equals)
+    : orderedDiff(expectedLines, actualLines, equals);
+
+  return {
+    matches: diff.every(entry => entry.type === 'match'),
+    diff
+  };
+};
@@ -0,0 +1,286 @@
+import mongoose from "mongoose";
+import Role from "../models/Role.js";
+
+// Named permissions grouped into roles; a user's role is User.privilege.
+// Permissions read "resource:action", and most actions on existing records
+// come in two scopes: "resource:action:any" covers every record,
+// "resource:action:own" only the records the user owns (see RESOURCES).
+// Checks ask for the unscoped name, e.g. can(user, 'module:update', module).
+//
+// The built-in roles below always exist. Admins can change what the others
+// grant and add roles of their own (stored as models/Role.js documents);
+// the admin role always has every permission so it cannot be locked out.
+
+export const PERMISSIONS = {
+  'content:preview': "See drafts, scheduled content and answer keys, with every module unlocked",
+  'course:create': "Create courses",
+  'course:read:own': "List the courses they run",
+  'course:read:any': "List every course",
+  'course:update:own': "Edit the courses they run and add modules to them",
+  'course:update:any': "Edit any course and hand courses to other instructors",
+  'course:delete:own': "Delete the courses they run",
+  'course:delete:any': "Delete any course",
+  'module:create': "Create, copy and import modules in courses they can edit",
+  'module:update:own': "Edit their modules and add quizzes and lessons to them",
+  'module:update:any': "Edit any module and add quizzes and lessons to it",
+  'module:delete:own': "Delete their modules",
+  'module:delete:any': "Delete any module",
+  'module:export:own': "Export their modules as bundles",
+  'module:export:any': "Export any module as a bundle",
+  'quiz:create': "Create, copy and import quizzes in modules they can edit",
+  'quiz:update:own': "Edit the quizzes of their modules",
+  'quiz:update:any': "Edit any quiz",
+  'quiz:delete:own': "Delete the quizzes of their modules",
+  'quiz:delete:any': "Delete any quiz",
+  'lesson:create': "Create lessons in modules they can edit",
+  'lesson:update:own': "Edit their lessons and the lessons of their modules",
+  'lesson:update:any': "Edit any lesson",
+  'lesson:delete:own': "Delete their lessons and the lessons of their modules",
+  'lesson:delete:any': "Delete any lesson",
+  'question:read': "Browse the question bank",
+  'question:create': "Add questions to the bank",
+  'question:update:own': "Edit the questions they wrote",
+  'question:update:any': "Edit any question",
+  'question:delete:own': "Delete the questions they wrote",
+  'question:delete:any': "Delete any question",
+  'section:create': "Create sections",
+  'section:read:own': "See the sections they teach",
+  'section:read:any': "See every section",
+  'section:update:own': "Change the students of the sections they teach",
+  'section:update:any': "Change the students of any section",
+  'section:delete:own': "Delete the sections they teach",
+  'section:delete:any': "Delete any section",
+  'user:create': "Create student accounts",
+  'user:read:own': "See the students of their sections",
+  'user:read:any': "See every user",
+  'user:update:own': "Edit the students of their sections",
+  'user:update:any': "Edit any user",
+  'user:delete:own': "Delete the students of their sections",
+  'user:delete:any': "Delete any user",
+  'progress:repair:own': "Rebuild the progress of the students of their sections after content changes",
+  'progress:repair:any': "Rebuild every student's progress after content changes",
+  'role:assign': "Give users a role other than student",
+  'role:manage': "Create and edit roles",
+  'security:manage': "Change the security policy, unlock accounts and reset two-factor authentication",
+  'media:manage': "Find and delete orphaned media files"
+};
+
+export const BUILT_IN_ROLES = {
+  student: {
+    description: "Takes the courses assigned to their section",
+    permissions: []
+  },
+  teaching_assistant: {
+    description: "Helps with courses: sees all content, sections and students, and writes bank questions",
+    permissions: [
+      'content:preview',
+      'course:read:any',
+      'question:read', 'question:create', 'question:update:own', 'question:delete:own',
+      'section:read:any',
+      'user:read:any'
+    ]
+  },
+  instructor: {
+    description: "Runs their own courses and sections",
+    permissions: [
+      'content:preview',
+      'course:create', 'course:read:own', 'course:update:own', 'course:delete:own',
+      'module:create', 'module:update:own', 'module:delete:own', 'module:export:own',
+      'quiz:create', 'quiz:update:own', 'quiz:delete:own',
+      'lesson:create', 'lesson:update:own', 'lesson:delete:own',
+      'question:read', 'question:create', 'question:update:own', 'question:delete:own',
+      'section:create', 'section:read:own', 'section:update:own', 'section:delete:own',
+      'user:create', 'user:read:any', 'user:update:own', 'user:delete:own',
+      'progress:repair:own'
+    ]
+  },
+  admin: {
+    description: "Full access",
+    permissions: Object.keys(PERMISSIONS)
+  }
+};
+
+// Roles whose permissions cannot be changed
+export const FIXED_ROLES = ['admin'];
+
+export const DEFAULT_ROLE = 'student';
+
+const idOf = (value) => value?._id ?? value;
+
+// Who owns a record of each resource. Content belongs to its creator and to
+// whoever owns what it sits in (a course's instructor owns its modules, a
+// module's owners own its quizzes and lessons); students belong to the
+// instructors of their sections.
+const RESOURCES = {
+  course: {
+    model: 'Course',
+    owners: async (course) => [course.instructor, course.createdBy]
+  },
+  module: {
+    model: 'Module',
+    owners: async (module) => [module.createdBy, ...await ownersOf('course', module.course)]
+  },
+  quiz: {
+    model: 'Quiz',
+    owners: async (quiz) => ownersOf('module', quiz.module)
+  },
+  lesson: {
+    model: 'Lesson',
+    owners: async (lesson) => [lesson.createdBy, ...await ownersOf('module', lesson.module)]
+  },
+  question: {
+    model: 'Question',
+    owners: async (question) => [question.author]
+  },
+  section: {
+    model: 'Section',
+    owners: async (section) => [section.instructor, section.createdBy]
+  },
+  user: {
+    model: 'User',
+    owners: async (user) => {
+      // Only students can be owned; anyone else put in a section stays out of reach
+      if (user.privilege !== DEFAULT_ROLE) return [];
+      const sections = await mongoose.model('Section')
+        .find({ $or: [{ students: user._id }, { sectionCode: user.section }] })
+        .select('instructor createdBy')
+        .lean();
+      return sections.flatMap(section => [section.instructor, section.createdBy]);
+    }
+  }
+};
+
+// User query matching the students `user` owns (see RESOURCES.user)
+export const ownedStudentsFilter = async (user) => {
+  const userId = user.id ?? user._id;
+  const sections = await mongoose.model('Section')
+    .find({ $or: [{ instructor: userId }, { createdBy: userId }] })
+    .select('sectionCode students')
+    .lean();
+  return {
+    privilege: DEFAULT_ROLE,
+    $or: [
+      { section: { $in: sections.map(section => section.sectionCode) } },
+      { _id: { $in: sections.flatMap(section => section.students) } }
+    ]
+  };
+};
+
+// Module query matching the modules `user` owns (see RESOURCES.module):
+// the ones they created and every module of the courses they own
+export const ownedModulesFilter = async (user) => {
+  const userId = user.id ?? user._id;
+  const courses = await mongoose.model('Course')
+    .find({ $or: [{ instructor: userId }, { createdBy: userId }] })
+    .distinct('_id');
+  return { $or: [{ createdBy: userId }, { course: { $in: courses } }] };
+};
+
+// Owners of the `resource` record with `id` (an id or a populated document)
+const ownersOf = async (resource, id) => {
+  if (!id) return [];
+  const populated = !(id instanceof mongoose.Types.ObjectId) && typeof id === 'object';
+  const record = populated ? id : await loadResource(resource, id);
+  return record ? RESOURCES[resource].owners(record) : [];
+};
+
+// The `resource` record with `id`, or null when the id is invalid or unknown
+export const loadResource = async (resource, id) => {
+  if (!RESOURCES[resource]) throw new Error(`No ownership rules for resource "${resource}"`);
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return mongoose.model(RESOURCES[resource].model).findById(id);
+};
+
+// Whether `user` (req.user or a User document) owns a `resource` record
+export const isOwner = async (user, resource, record) => {
+  const userId = String(user.id ?? user._id);
+  const owners = await RESOURCES[resource].owners(record);
+  return owners.some(owner => owner && String(idOf(owner)) === userId);
+};
+
+// Stored roles change rarely and are read on most requests, so they are
+// cached like the security policy; this instance sees its own changes at once.
+const CACHE_MS = 30 * 1000;
+
+let cachedRoles = null;
+let cachedAt = 0;
+
+// Stored roles may still list permissions that have since been renamed or
+// split into scopes; those grant nothing
+const toRole = (name, { description, permissions, updatedAt }, builtIn) => ({
+  name,
+  description,
+  permissions: [...new Set(permissions)].filter(permission => Object.hasOwn(PERMISSIONS, permission)),
+  builtIn,
+  fixed: FIXED_ROLES.includes(name),
+  updatedAt: updatedAt ?? null
+});
+
+// Every role by name, built-in ones first
+export const getRoles = async () => {
+  if (!cachedRoles || Date.now() - cachedAt > CACHE_MS) {
+    const roles = new Map(
+      Object.entries(BUILT_IN_ROLES).map(([name, role]) => [name, toRole(name, role, true)])
+    );
+    for (const stored of await Role.find().lean()) {
+      if (FIXED_ROLES.includes(stored.name)) continue;
+      roles.set(stored.name, toRole(stored.name, stored, Object.hasOwn(BUILT_IN_ROLES, stored.name)));
+    }
+    cachedRoles = roles;
+    cachedAt = Date.now();
+  }
+  return cachedRoles;
+};
+
+export const getRole = async (name) => (await getRoles()).get(name) ?? null;
+
+// Permissions the role grants; unknown roles grant none
+export const rolePermissions = async (name) => new Set((await getRole(name))?.permissions ?? []);
+
+/**
+ * Whether `user` (req.user or a User document) has `permission`, e.g.
+ * 'module:update' or 'content:preview'. With a `record` of the permission's
+ * resource, an ":own" grant only counts when the user owns it; without one
+ * an ":own" grant is enough, so the caller has to check the record itself.
+ */
+export const can = async (user, permission, record) => {
+  const granted = await rolePermissions(user.privilege);
+  if (granted.has(permission) || granted.has(`${permission}:any`)) return true;
+  if (!granted.has(`${permission}:own`)) return false;
+  return !record || isOwner(user, permission.split(':')[0], record);
+};
+
+// Entries of `permissions` that are not in PERMISSIONS
+export const unknownPermissions = (permissions) =>
+  permissions.filter(permission => !Object.hasOwn(PERMISSIONS, permission));
+
+// Create or change a role; for a built-in role this overrides its defaults
+export const saveRole = async (name, { description, permissions }, user) => {
+  const fields = { updatedBy: user.id };
+  if (description !== undefined) fields.description = description;
+  if (permissions !== undefined) fields.permissions = [...new Set(permissions)];
+
+  const defaults = Object.hasOwn(BUILT_IN_ROLES, name) ? BUILT_IN_ROLES[name] : null;
+  await Role.findOneAndUpdate(
+    { name },
+    {
+      $set: fields,
+      // The name is repeated so it is validated on insert; a built-in role
+      // starts from its defaults for whatever is not given
+      $setOnInsert: {
+        name,
+        ...(fields.description === undefined ? { description: defaults?.description ?? "" } : {}),
+        ...(fields.permissions === undefined ? { permissions: defaults?.permissions ?? [] } : {})
+      }
+    },
+    { upsert: true, runValidators: true }
+  );
+  cachedRoles = null;
+  return getRole(name);
+};
+
+// Delete a custom role, or put a built-in one back to its defaults
+export const deleteRole = async (name) => {
+  await Role.deleteOne({ name });
+  cachedRoles = null;
+};
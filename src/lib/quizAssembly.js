@@ -0,0 +1,166 @@
+import Quiz from "../models/Quiz.js";
+import Question from "../models/Question.js";
+import { QuizSubmissionError } from "./quizSubmission.js";
+
+// Per-attempt assembly of a quiz's questions. The pool is either the quiz's own
+// questions (embedded and referenced from the question bank) or every question
+// in its module; `assembly.rules` draw a number of
+// questions per difficulty from it ("5 easy + 3 medium + 2 hard"). Without
+// rules the whole pool is delivered. The result is snapshotted on the attempt
+// session, so grading and review use exactly what the student saw.
+
+// Fisher-Yates shuffle, returns a new array
+export const shuffle = (items) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+// Questions without their own difficulty take the quiz's
+export const questionDifficulty = (question, quiz) => question.difficulty || quiz.difficulty || 'medium';
+
+// Total count asked for per difficulty, merging repeated rules
+export const ruleCounts = (rules = []) => {
+  const counts = {};
+  for (const rule of rules) {
+    counts[rule.difficulty] = (counts[rule.difficulty] || 0) + rule.count;
+  }
+  return counts;
+};
+
+// Bank questions referenced by `quizzes`, keyed by id
+const loadBankQuestions = async (quizzes) => {
+  const ids = quizzes.flatMap(quiz => (quiz.questionRefs || []).map(ref => ref.question));
+  if (ids.length === 0) return new Map();
+
+  const questions = await Question.find({ _id: { $in: ids } });
+  return new Map(questions.map(question => [question._id.toString(), question]));
+};
+
+// Pool entries for the questions of `sources`: embedded questions first, then
+// bank questions at their referenced version
+const poolFromQuizzes = async (sources) => {
+  const bank = await loadBankQuestions(sources);
+
+  const pool = [];
+  for (const source of sources) {
+    source.questions.forEach((question, sourceIndex) => {
+      pool.push({
+        questionIndex: pool.length,
+        sourceQuiz: source._id,
+        sourceIndex,
+        difficulty: questionDifficulty(question, source),
+        question
+      });
+    });
+
+    for (const ref of source.questionRefs || []) {
+      const bankQuestion = bank.get(ref.question.toString());
+      const content = bankQuestion?.contentAtVersion(ref.version);
+      if (!content) {
+        console.error(`Quiz ${source._id} references missing bank question ${ref.question} v${ref.version ?? 'latest'}`);
+        continue;
+      }
+      pool.push({
+        questionIndex: pool.length,
+        sourceQuiz: source._id,
+        bankQuestion: bankQuestion._id,
+        bankVersion: ref.version ?? bankQuestion.version,
+        difficulty: questionDifficulty(content, source),
+        question: content
+      });
+    }
+  }
+  return pool;
+};
+
+/**
+ * Every question the quiz can draw from, as
+ * { questionIndex, sourceQuiz, sourceIndex?, bankQuestion?, bankVersion?, difficulty, question }.
+ */
+export const buildQuestionPool = async (quiz) => {
+  const sources = quiz.assembly?.source === 'module'
+    // Draft and archived quizzes of the module stay out of the pool
+    ? await Quiz.find({ module: quiz.module, $or: [{ _id: quiz._id }, { status: 'published' }] }).sort({ order: 1 })
+    : [quiz];
+  return poolFromQuizzes(sources);
+};
+
+// Every question written into a quiz, its own and referenced ones, as plain objects
+export const loadQuizQuestions = async (quiz) => {
+  const pool = await poolFromQuizzes([quiz]);
+  return pool.map(entry => typeof entry.question.toObject === 'function' ? entry.question.toObject() : entry.question);
+};
+
+// Pick the pool entries for one attempt according to the rules
+const drawQuestions = (pool, rules) => {
+  if (!rules?.length) return pool;
+
+  const drawn = [];
+  for (const [difficulty, count] of Object.entries(ruleCounts(rules))) {
+    const candidates = pool.filter(entry => entry.difficulty === difficulty);
+    if (candidates.length < count) {
+      throw new QuizSubmissionError(
+        `Question pool has ${candidates.length} ${difficulty} question(s), ${count} required`,
+        409
+      );
+    }
+    drawn.push(...shuffle(candidates).slice(0, count));
+  }
+
+  // Keep pool order unless questions are shuffled afterwards
+  return drawn.sort((a, b) => a.questionIndex - b.questionIndex);
+};
+
+// Snapshot a question, shuffling its options or code blocks when asked.
+// optionOrder[i] is the original index of the i-th delivered option/block.
+const snapshotQuestion = (question, shuffleOptions) => {
+  const snapshot = typeof question.toObject === 'function' ? question.toObject() : structuredClone(question);
+
+  const key = snapshot.questionType === 'multipleChoice' ? 'options'
+    : snapshot.questionType === 'codeOrdering' ? 'codeBlocks'
+    : null;
+
+  if (!shuffleOptions || !key || !Array.isArray(snapshot[key])) {
+    return { snapshot, optionOrder: undefined };
+  }
+
+  const optionOrder = shuffle(snapshot[key].map((_, i) => i));
+  snapshot[key] = optionOrder.map(i => snapshot[key][i]);
+  return { snapshot, optionOrder };
+};
+
+/**
+ * Assemble the questions for a new attempt, in delivery order:
+ * [{ questionIndex, sourceQuiz, sourceIndex, bankQuestion, bankVersion, optionOrder, question }].
+ * Throws QuizSubmissionError when the pool cannot satisfy the rules.
+ */
+export const assembleAttemptQuestions = async (quiz) => {
+  const assembly = quiz.assembly || {};
+  const pool = await buildQuestionPool(quiz);
+
+  if (pool.length === 0) {
+    throw new QuizSubmissionError("Quiz has no questions", 400);
+  }
+
+  let drawn = drawQuestions(pool, assembly.rules);
+  if (assembly.shuffleQuestions !== false) {
+    drawn = shuffle(drawn);
+  }
+
+  return drawn.map(entry => {
+    const { snapshot, optionOrder } = snapshotQuestion(entry.question, assembly.shuffleOptions);
+    return {
+      questionIndex: entry.questionIndex,
+      sourceQuiz: entry.sourceQuiz,
+      sourceIndex: entry.sourceIndex,
+      bankQuestion: entry.bankQuestion,
+      bankVersion: entry.bankVersion,
+      optionOrder,
+      question: snapshot
+    };
+  });
+};
@@ -0,0 +1,261 @@
+import { matchesBlank } from "./answerMatching.js";
+import { runTestCases } from "./codeRunner.js";
+import { compareOutput } from "./outputComparison.js";
+
+// Server-side quiz grading. Every score that feeds progress is computed here
+// from the stored answer key, never taken from the request body.
+
+const DEFAULT_POINTS = 10;
+
+const isUnanswered = (answer) =>
+  answer === undefined || answer === null || answer === '' ||
+  (Array.isArray(answer) && answer.length === 0);
+
+// Round fractional points to two decimals
+const roundPoints = (value) => Math.round(value * 100) / 100;
+
+// Length of the longest strictly increasing subsequence
+const longestIncreasingRun = (values) => {
+  const tails = [];
+  for (const value of values) {
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (tails[mid] < value) lo = mid + 1;
+      else hi = mid;
+    }
+    tails[lo] = value;
+  }
+  return tails.length;
+};
+
+const gradeMultipleChoice = (question, userAnswer) => {
+  const correctAnswer = question.options
+    .map((opt, i) => opt.isCorrect ? i : null)
+    .filter(i => i !== null);
+
+  if (!Array.isArray(userAnswer)) {
+    return correctAnswer.includes(userAnswer) ? 1 : 0;
+  }
+
+  const selected = [...new Set(userAnswer)];
+  const allCorrect = selected.length === correctAnswer.length &&
+    selected.every(a => correctAnswer.includes(a));
+
+  if (question.scoringPolicy !== 'negativeMarking' || correctAnswer.length === 0) {
+    return allCorrect ? 1 : 0;
+  }
+
+  // Each wrong pick cancels one right pick, never below zero
+  const right = selected.filter(a => correctAnswer.includes(a)).length;
+  const wrong = selected.length - right;
+  return Math.max(0, (right - wrong) / correctAnswer.length);
+};
+
+const gradeFillInBlanks = (question, userAnswer) => {
+  if (!Array.isArray(userAnswer) || question.blanks.length === 0) return 0;
+
+  const correctBlanks = question.blanks.filter((blank, i) => matchesBlank(blank, userAnswer[i])).length;
+
+  if (question.scoringPolicy === 'proportional') {
+    return correctBlanks / question.blanks.length;
+  }
+  return correctBlanks === question.blanks.length ? 1 : 0;
+};
+
+// Whether `order` uses each of the blocks' positions exactly once, so it is
+// an arrangement of the blocks rather than e.g. every block in one place
+const isArrangementOf = (order, blocks) => {
+  if (order.length !== blocks.length || !order.every(Number.isInteger)) return false;
+  const byNumber = (a, b) => a - b;
+  const positions = blocks.map(block => block.correctPosition).sort(byNumber);
+  return [...order].sort(byNumber).every((position, i) => position === positions[i]);
+};
+
+const gradeCodeOrdering = (question, userAnswer) => {
+  if (!Array.isArray(userAnswer) || question.codeBlocks.length === 0) return 0;
+  if (!isArrangementOf(userAnswer, question.codeBlocks)) return 0;
+
+  const allCorrect = question.codeBlocks.every((block, i) => {
+    return userAnswer[i] === block.correctPosition;
+  });
+
+  if (allCorrect || question.scoringPolicy !== 'subsequence') {
+    return allCorrect ? 1 : 0;
+  }
+
+  // userAnswer[i] is the position the student gave block i. Lay the blocks out
+  // in the student's order and credit the longest run already in correct order.
+  const placed = question.codeBlocks
+    .map((block, i) => ({ position: userAnswer[i], correctPosition: block.correctPosition }))
+    .sort((a, b) => a.position - b.position);
+
+  return longestIncreasingRun(placed.map(b => b.correctPosition)) / question.codeBlocks.length;
+};
+
+// Plain comparison options from a question (subdocument or snapshot)
+const comparisonOptions = (question) => {
+  const options = question.outputComparison;
+  if (!options) return {};
+  return typeof options.toObject === 'function' ? options.toObject() : { ...options };
+};
+
+// Compare the predicted output with the expected one
+const gradeCodeSimulation = (question, userAnswer) => {
+  if (typeof userAnswer !== 'string') {
+    return { credit: 0 };
+  }
+
+  const expected = question.correctAnswer ?? question.expectedOutput ?? '';
+  const { matches, diff } = compareOutput(userAnswer, expected, comparisonOptions(question));
+
+  return { credit: matches ? 1 : 0, details: { diff } };
+};
+
+// Run the student's code against the question's test cases
+const gradeCodeImplementation = async (question, userAnswer) => {
+  if (!question.testCases || question.testCases.length === 0) {
+    // Legacy questions without test cases compare against the model answer
+    return { credit: userAnswer === question.correctAnswer ? 1 : 0 };
+  }
+
+  if (typeof userAnswer !== 'string') {
+    return { credit: 0 };
+  }
+
+  const testResults = await runTestCases({
+    language: question.language || 'javascript',
+    code: userAnswer,
+    testCases: question.testCases,
+    comparison: comparisonOptions(question)
+  });
+
+  const totalWeight = testResults.reduce((sum, t) => sum + t.weight, 0);
+  const passedWeight = testResults.filter(t => t.passed).reduce((sum, t) => sum + t.weight, 0);
+  const allPassed = testResults.every(t => t.passed);
+
+  let credit;
+  if (question.scoringPolicy === 'proportional') {
+    credit = totalWeight > 0 ? passedWeight / totalWeight : 0;
+  } else {
+    credit = allPassed ? 1 : 0;
+  }
+
+  return { credit, details: { testResults } };
+};
+
+// Grade a single question against the student's answer.
+// `credit` is the fraction of the question's points earned, from 0 to 1.
+// `details` carries type-specific feedback such as test case results.
+export const gradeQuestion = async (question, userAnswer) => {
+  let credit = 0;
+  let details;
+
+  if (isUnanswered(userAnswer)) {
+    return { isCorrect: false, credit };
+  }
+
+  switch (question.questionType) {
+    case 'multipleChoice':
+      credit = gradeMultipleChoice(question, userAnswer);
+      break;
+
+    case 'fillInBlanks':
+      credit = gradeFillInBlanks(question, userAnswer);
+      break;
+
+    case 'codeSimulation':
+      ({ credit, details } = gradeCodeSimulation(question, userAnswer));
+      break;
+
+    case 'codeImplementation':
+      ({ credit, details } = await gradeCodeImplementation(question, userAnswer));
+      break;
+
+    case 'codeOrdering':
+      credit = gradeCodeOrdering(question, userAnswer);
+      break;
+  }
+
+  return { isCorrect: credit === 1, credit, details };
+};
+
+// Grade a full set of answers. `answers[i]` is the answer to `questions[i]`.
+export const gradeAnswers = async (questions, answers, passingScore = 70) => {
+  let totalPoints = 0;
+  let earnedPoints = 0;
+  let correctAnswers = 0;
+  const questionResults = [];
+
+  for (const [index, question] of questions.entries()) {
+    const maxPoints = question.points || DEFAULT_POINTS;
+    totalPoints += maxPoints;
+
+    const userAnswer = answers[index];
+    const { isCorrect, credit, details } = await gradeQuestion(question, userAnswer);
+    const points = roundPoints(credit * maxPoints);
+
+    earnedPoints += points;
+    if (isCorrect) correctAnswers++;
+
+    questionResults.push({
+      questionId: question._id,
+      questionIndex: index,
+      userAnswer: isUnanswered(userAnswer) ? null : userAnswer,
+      isCorrect,
+      scoringPolicy: question.scoringPolicy || 'allOrNothing',
+      credit: roundPoints(credit),
+      points,
+      maxPoints,
+      ...details
+      // Don't send correct answer back
+    });
+  }
+
+  earnedPoints = roundPoints(earnedPoints);
+  const percentage = totalPoints > 0 ? (earnedPoints / totalPoints) * 100 : 0;
+
+  return {
+    earnedPoints,
+    totalPoints,
+    percentage,
+    passed: percentage >= passingScore,
+    correctAnswers,
+    totalQuestions: questions.length,
+    questionResults
+  };
+};
+
+// Grade answers against a quiz document
+export const gradeQuiz = (quiz, answers) =>
+  gradeAnswers(quiz.questions, answers, quiz.passingScore || 70);
+
+// Remove the answer key from a question before it is sent to a student
+export const stripAnswerKey = (q) => {
+  const question = { ...q };
+
+  if (q.questionType === 'multipleChoice') {
+    question.options = (q.options || []).map(opt => ({ text: opt.text }));
+  } else if (['codeSimulation', 'codeImplementation'].includes(q.questionType)) {
+    delete question.correctAnswer;
+    delete question.expectedOutput;
+    // Visible test cases double as worked examples; hidden ones stay secret
+    question.testCases = (q.testCases || []).filter(t => !t.hidden);
+  } else if (q.questionType === 'fillInBlanks') {
+    delete question.blanks;
+  } else if (q.questionType === 'codeOrdering') {
+    question.codeBlocks = (q.codeBlocks || []).map(block => ({
+      code: block.code
+    }));
+  }
+
+  return question;
+};
+
+// A quiz as a plain object with the answer key removed from every question
+export const stripQuizAnswerKeys = (quiz) => {
+  const plain = typeof quiz.toObject === 'function' ? quiz.toObject() : { ...quiz };
+  plain.questions = (plain.questions || []).map(stripAnswerKey);
+  return plain;
+};
@@ -0,0 +1,284 @@
+import Progress from "../models/Progress.js";
+import User from "../models/Users.js";
+import AttemptSession from "../models/AttemptSession.js";
+import Module from "../models/Module.js";
+import { gradeAnswers, gradeQuiz } from "./quizGrader.js";
+import { availabilityOf } from "./visibility.js";
+import { findUnreadRequiredLesson } from "./lessons.js";
+import { can } from "./permissions.js";
+
+// Seconds accepted after an attempt's deadline before late answers are refused
+export const ATTEMPT_GRACE_SECONDS = parseInt(process.env.ATTEMPT_GRACE_SECONDS) || 30;
+
+// Times a submission is recorded again when another save got to the progress first
+const PROGRESS_SAVE_TRIES = 3;
+
+// Thrown when a submission cannot be accepted; carries the HTTP status to send
+export class QuizSubmissionError extends Error {
+  constructor(message, statusCode = 400, details) {
+    super(message);
+    this.name = "QuizSubmissionError";
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// Users who preview content (instructors) are graded without progress being kept
+export const isPrivileged = (user) => can(user, 'content:preview');
+
+export const isTimedQuiz = (quiz) => quiz.timeLimit > 0;
+
+// Timed quizzes, and quizzes whose delivered questions differ from
+// quiz.questions (see lib/quizAssembly.js), can only be submitted through an
+// attempt session
+export const requiresAttemptSession = (quiz) =>
+  isTimedQuiz(quiz) ||
+  quiz.questionRefs?.length > 0 ||
+  quiz.assembly?.source === 'module' ||
+  quiz.assembly?.rules?.length > 0 ||
+  Boolean(quiz.assembly?.shuffleOptions);
+
+// Make sure the quiz and its module are published and inside their
+// availability windows. Attempts already started are not affected.
+export const assertQuizAvailable = async (quiz, now = new Date()) => {
+  const quizAvailability = availabilityOf(quiz, now);
+  if (quizAvailability !== 'open') {
+    throw new QuizSubmissionError("Quiz is not available", 403, {
+      availability: quizAvailability,
+      availableFrom: quiz.availableFrom,
+      availableUntil: quiz.availableUntil
+    });
+  }
+
+  const module = await Module.findById(quiz.module).select('status availableFrom availableUntil');
+  const moduleAvailability = module ? availabilityOf(module, now) : 'open';
+  if (moduleAvailability !== 'open') {
+    throw new QuizSubmissionError("Module is not available", 403, { availability: moduleAvailability });
+  }
+};
+
+// Load the student's progress and make sure the quiz is open to them
+export const loadUnlockedProgress = async (user, quiz) => {
+  const progress = await Progress.findOne({ user: user.id });
+
+  if (!progress) {
+    throw new QuizSubmissionError(
+      "User progress not found. Please initialize your progress first.",
+      404
+    );
+  }
+
+  // Unlock the module first if its prerequisites have been met since
+  if (!progress.isModuleUnlocked(quiz.module) && (await progress.unlockAvailableModules()).length > 0) {
+    await progress.save();
+  }
+
+  if (!progress.isModuleUnlocked(quiz.module)) {
+    console.log('🔒 Module is locked for student');
+    throw new QuizSubmissionError("Module is locked", 403);
+  }
+
+  const isQuizUnlocked = await progress.isQuizUnlockedAsync(quiz._id);
+  if (!isQuizUnlocked) {
+    const moduleProgress = progress.moduleProgress.find(
+      mp => mp.module.toString() === quiz.module.toString()
+    );
+
+    console.log('🔒 Quiz is locked for student');
+    throw new QuizSubmissionError("Quiz is locked", 403, {
+      quizOrder: quiz.order,
+      moduleStatus: moduleProgress?.status,
+      unlockedQuizzes: moduleProgress?.unlockedQuizzes?.length || 0
+    });
+  }
+
+  const unreadLesson = await findUnreadRequiredLesson(quiz, progress);
+  if (unreadLesson) {
+    throw new QuizSubmissionError("Read the lesson before taking this quiz", 403, {
+      lesson: { _id: unreadLesson._id, title: unreadLesson.title }
+    });
+  }
+
+  return progress;
+};
+
+// Grade the session's saved answers against its question snapshot
+const gradeSession = async (session, quiz) => {
+  const grading = await gradeAnswers(
+    session.questions.map(q => q.question),
+    session.answersInDeliveryOrder(),
+    quiz.passingScore || 70
+  );
+
+  // Report results against the indexes the questions were delivered with
+  grading.questionResults.forEach((result, i) => {
+    const delivered = session.questions[i];
+    result.questionIndex = delivered.questionIndex;
+    result.sourceQuiz = delivered.sourceQuiz;
+    result.sourceIndex = delivered.sourceIndex;
+    result.bankQuestion = delivered.bankQuestion;
+    result.bankVersion = delivered.bankVersion;
+    result.optionOrder = delivered.optionOrder?.length ? delivered.optionOrder : undefined;
+  });
+
+  return grading;
+};
+
+/**
+ * Claim an open attempt session for submission. The status moves from
+ * in_progress to submitting in one update, so of two submissions racing
+ * (or one racing the expiry job) only one gets the session and records the
+ * attempt. Throws when the session is missing or no longer open.
+ */
+const claimSession = async ({ user, quiz, attemptId }) => {
+  const session = await AttemptSession.findOne({ _id: attemptId, user: user.id, quiz: quiz._id });
+  if (!session) {
+    throw new QuizSubmissionError("Attempt not found", 404);
+  }
+
+  const claimed = await AttemptSession.findOneAndUpdate(
+    { _id: session._id, status: 'in_progress' },
+    { $set: { status: 'submitting' } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new QuizSubmissionError("Attempt has already been submitted", 409);
+  }
+  return claimed;
+};
+
+// Reopen a claimed session whose submission was refused, so it can be
+// submitted again or expired
+const releaseSession = async (session) => {
+  try {
+    await AttemptSession.updateOne(
+      { _id: session._id, status: 'submitting' },
+      { $set: { status: 'in_progress' } }
+    );
+  } catch (error) {
+    console.error(`Could not reopen attempt ${session._id}:`, error);
+  }
+};
+
+/**
+ * Single submission pipeline used by POST /api/quiz/:id/submit,
+ * POST /api/progress/quiz/:quizId/complete and POST /api/attempts/:id/submit.
+ *
+ * Grades the answers on the server, stores the attempt in Progress.quizAttempts
+ * and runs the unlock logic. Instructors and admins are graded but not tracked.
+ *
+ * When `attemptId` is given the session is claimed (see claimSession) and the
+ * answers are merged into it first. If the session is past its deadline plus
+ * the grace period, the new answers are refused and the answers saved before
+ * the deadline are auto-submitted instead.
+ */
+export const submitQuizAttempt = async ({ user, quiz, answers, timeSpent, questionTimes, attemptId }) => {
+  if (answers !== undefined && (answers === null || typeof answers !== 'object')) {
+    throw new QuizSubmissionError("Invalid answers format", 400);
+  }
+
+  const privileged = await isPrivileged(user);
+  if (privileged && !attemptId) {
+    if (!Array.isArray(answers)) {
+      throw new QuizSubmissionError("Invalid answers format", 400);
+    }
+    return {
+      grading: await gradeQuiz(quiz, answers),
+      attempt: null,
+      isinstructor: true
+    };
+  }
+
+  if (!attemptId) {
+    if (requiresAttemptSession(quiz)) {
+      const reason = isTimedQuiz(quiz) ? "This quiz is timed" : "This quiz draws questions per attempt";
+      throw new QuizSubmissionError(`${reason}. Start an attempt before submitting.`, 400);
+    }
+    if (!Array.isArray(answers)) {
+      throw new QuizSubmissionError("Invalid answers format", 400);
+    }
+    if (!privileged) {
+      await assertQuizAvailable(quiz);
+    }
+    return recordSubmission({ user, quiz, answers, timeSpent, questionTimes, session: null, privileged });
+  }
+
+  const session = await claimSession({ user, quiz, attemptId });
+  try {
+    return await recordSubmission({ user, quiz, answers, timeSpent, questionTimes, session, privileged });
+  } catch (error) {
+    // Refusals come before anything is recorded; after other failures the
+    // attempt may be recorded already, so the session stays claimed
+    if (error instanceof QuizSubmissionError) await releaseSession(session);
+    throw error;
+  }
+};
+
+// Grade and record a submission; `session` is a claimed session or null
+const recordSubmission = async ({ user, quiz, answers, timeSpent, questionTimes, session, privileged }) => {
+  let lateAnswersRefused = false;
+
+  if (session) {
+    if (session.isPastDeadline(ATTEMPT_GRACE_SECONDS)) {
+      lateAnswersRefused = answers !== undefined;
+      session.autoSubmitted = true;
+    } else if (answers) {
+      session.saveAnswers(answers);
+    }
+  }
+
+  if (privileged) {
+    // Instructors previewing a timed quiz: close the session, keep no progress
+    const grading = await gradeSession(session, quiz);
+    session.status = 'submitted';
+    session.submittedAt = new Date();
+    session.score = grading.percentage;
+    await session.save();
+    return { grading, attempt: null, session, isinstructor: true };
+  }
+
+  const grading = session ? await gradeSession(session, quiz) : await gradeQuiz(quiz, answers);
+
+  // The progress is saved only if nothing else saved it since it was loaded
+  // (increment() makes the save match and bump its version). Submissions
+  // without an attempt session are not claimed, so two can race: the later
+  // one is then recorded again on top of the earlier, with its attempt
+  // number and first-pass XP worked out from the saved progress.
+  let progress;
+  let attempt;
+  for (let tries = 1; ; tries++) {
+    progress = await loadUnlockedProgress(user, quiz);
+    attempt = await progress.recordQuizAttempt(quiz, grading, {
+      timeSpent: session ? session.elapsedSeconds() : Number(timeSpent) || 0,
+      questionTimes: Array.isArray(questionTimes) ? questionTimes : [],
+      session
+    });
+    progress.increment();
+    try {
+      await progress.save();
+      break;
+    } catch (error) {
+      if (error.name !== 'VersionError') throw error;
+      if (tries >= PROGRESS_SAVE_TRIES) {
+        throw new QuizSubmissionError("Your progress changed while this attempt was being recorded, submit again", 409);
+      }
+    }
+  }
+
+  if (session) {
+    session.status = 'submitted';
+    session.submittedAt = new Date();
+    session.score = grading.percentage;
+    await session.save();
+  }
+
+  if (attempt.xpEarned > 0) {
+    await User.findByIdAndUpdate(user.id, {
+      $inc: { 'gamification.totalXP': attempt.xpEarned }
+    });
+  }
+
+  console.log(`📝 Graded attempt #${attempt.attemptNumber} for quiz ${quiz.title}: ${grading.percentage.toFixed(1)}%`);
+
+  return { grading, attempt, session, lateAnswersRefused, isinstructor: false };
+};
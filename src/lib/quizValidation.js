@@ -0,0 +1,249 @@
+import mongoose from "mongoose";
+import Question from "../models/Question.js";
+import { compileBlankPattern, MAX_PATTERN_LENGTH } from "./answerMatching.js";
+import { SUPPORTED_LANGUAGES } from "./codeRunner.js";
+import { COMPARISON_OPTIONS } from "./outputComparison.js";
+import { questionDifficulty, ruleCounts } from "./quizAssembly.js";
+
+// Validation of instructor-authored questions beyond what the schema checks.
+// Each validator returns a list of human-readable errors, empty when valid.
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const validateBlank = (blank, path) => {
+  const errors = [];
+
+  if (!blank || typeof blank !== 'object') {
+    return [`${path}: blank must be an object`];
+  }
+
+  const hasAnswer = typeof blank.answer === 'string' && blank.answer.trim() !== '';
+  const alternatives = blank.alternatives ?? [];
+  const patterns = blank.patterns ?? [];
+
+  if (!Array.isArray(alternatives) || alternatives.some(a => typeof a !== 'string')) {
+    errors.push(`${path}.alternatives: must be a list of strings`);
+  }
+
+  if (!Array.isArray(patterns)) {
+    errors.push(`${path}.patterns: must be a list of regular expressions`);
+  } else {
+    patterns.forEach((pattern, i) => {
+      if (typeof pattern !== 'string' || pattern === '') {
+        errors.push(`${path}.patterns[${i}]: must be a non-empty string`);
+      } else if (pattern.length > MAX_PATTERN_LENGTH) {
+        errors.push(`${path}.patterns[${i}]: must be at most ${MAX_PATTERN_LENGTH} characters`);
+      } else {
+        try {
+          compileBlankPattern(pattern, Boolean(blank.caseSensitive));
+        } catch (error) {
+          errors.push(`${path}.patterns[${i}]: invalid regular expression (${error.message})`);
+        }
+      }
+    });
+  }
+
+  const numeric = blank.numeric;
+  const hasNumeric = numeric && numeric.value !== undefined && numeric.value !== null;
+  if (hasNumeric) {
+    if (typeof numeric.value !== 'number' || !Number.isFinite(numeric.value)) {
+      errors.push(`${path}.numeric.value: must be a number`);
+    }
+    if (numeric.tolerance !== undefined &&
+        (typeof numeric.tolerance !== 'number' || !(numeric.tolerance >= 0))) {
+      errors.push(`${path}.numeric.tolerance: must be a number of zero or more`);
+    }
+  }
+
+  const hasAlternatives = Array.isArray(alternatives) && alternatives.some(a => typeof a === 'string' && a.trim() !== '');
+  const hasPatterns = Array.isArray(patterns) && patterns.length > 0;
+  if (!hasAnswer && !hasAlternatives && !hasPatterns && !hasNumeric) {
+    errors.push(`${path}: needs an answer, alternatives, patterns or a numeric value`);
+  }
+
+  return errors;
+};
+
+const validateTestCases = (question, path) => {
+  const errors = [];
+
+  if (question.language !== undefined && !SUPPORTED_LANGUAGES.includes(question.language)) {
+    errors.push(`${path}.language: must be one of ${SUPPORTED_LANGUAGES.join(', ')}`);
+  }
+
+  if (question.testCases === undefined) return errors;
+
+  if (!Array.isArray(question.testCases)) {
+    return [...errors, `${path}.testCases: must be a list`];
+  }
+
+  question.testCases.forEach((testCase, i) => {
+    const casePath = `${path}.testCases[${i}]`;
+    if (!testCase || typeof testCase !== 'object') {
+      errors.push(`${casePath}: test case must be an object`);
+      return;
+    }
+    if (testCase.input !== undefined && typeof testCase.input !== 'string') {
+      errors.push(`${casePath}.input: must be a string`);
+    }
+    if (typeof testCase.expectedOutput !== 'string') {
+      errors.push(`${casePath}.expectedOutput: is required`);
+    }
+    if (testCase.weight !== undefined && !(typeof testCase.weight === 'number' && testCase.weight >= 0)) {
+      errors.push(`${casePath}.weight: must be a number of zero or more`);
+    }
+  });
+
+  return errors;
+};
+
+const validateOutputComparison = (comparison, path) => {
+  if (comparison === undefined || comparison === null) return [];
+  if (typeof comparison !== 'object' || Array.isArray(comparison)) {
+    return [`${path}.outputComparison: must be an object`];
+  }
+
+  const errors = [];
+  for (const [key, value] of Object.entries(comparison)) {
+    if (!COMPARISON_OPTIONS.includes(key)) {
+      errors.push(`${path}.outputComparison.${key}: unknown option`);
+    } else if (key === 'numericTolerance') {
+      if (value !== null && !(typeof value === 'number' && value >= 0)) {
+        errors.push(`${path}.outputComparison.numericTolerance: must be a number of zero or more`);
+      }
+    } else if (typeof value !== 'boolean') {
+      errors.push(`${path}.outputComparison.${key}: must be true or false`);
+    }
+  }
+  return errors;
+};
+
+// Validate a single question; `path` prefixes the error messages
+export const validateQuestion = (question, index, path = `questions[${index}]`) => {
+  const errors = [];
+
+  if (!question || typeof question !== 'object') {
+    return [`${path}: question must be an object`];
+  }
+
+  if (question.difficulty !== undefined && !DIFFICULTIES.includes(question.difficulty)) {
+    errors.push(`${path}.difficulty: must be one of ${DIFFICULTIES.join(', ')}`);
+  }
+
+  if (question.questionType === 'fillInBlanks') {
+    if (!Array.isArray(question.blanks) || question.blanks.length === 0) {
+      errors.push(`${path}.blanks: at least one blank is required`);
+    } else {
+      question.blanks.forEach((blank, i) => {
+        errors.push(...validateBlank(blank, `${path}.blanks[${i}]`));
+      });
+    }
+  }
+
+  if (question.questionType === 'codeImplementation') {
+    errors.push(...validateTestCases(question, path));
+  }
+
+  if (['codeSimulation', 'codeImplementation'].includes(question.questionType)) {
+    errors.push(...validateOutputComparison(question.outputComparison, path));
+  }
+
+  return errors;
+};
+
+// Validate every question of a quiz payload
+export const validateQuestions = (questions) => {
+  if (!Array.isArray(questions)) {
+    return ["questions: must be a list"];
+  }
+  return questions.flatMap((question, index) => validateQuestion(question, index));
+};
+
+/**
+ * Validate a quiz's assembly settings. For quizzes drawing from their own
+ * questions, also check the rules can be met by `questions`; module pools are
+ * checked when an attempt is started.
+ */
+export const validateAssembly = (assembly, questions = [], quizDifficulty) => {
+  if (assembly === undefined || assembly === null) return [];
+  if (typeof assembly !== 'object' || Array.isArray(assembly)) {
+    return ["assembly: must be an object"];
+  }
+
+  const errors = [];
+
+  if (assembly.source !== undefined && !['quiz', 'module'].includes(assembly.source)) {
+    errors.push("assembly.source: must be quiz or module");
+  }
+  for (const key of ['shuffleQuestions', 'shuffleOptions']) {
+    if (assembly[key] !== undefined && typeof assembly[key] !== 'boolean') {
+      errors.push(`assembly.${key}: must be true or false`);
+    }
+  }
+
+  const rules = assembly.rules ?? [];
+  if (!Array.isArray(rules)) {
+    return [...errors, "assembly.rules: must be a list"];
+  }
+
+  rules.forEach((rule, i) => {
+    if (!rule || !DIFFICULTIES.includes(rule.difficulty)) {
+      errors.push(`assembly.rules[${i}].difficulty: must be one of ${DIFFICULTIES.join(', ')}`);
+    }
+    if (!Number.isInteger(rule?.count) || rule.count < 1) {
+      errors.push(`assembly.rules[${i}].count: must be a whole number of at least 1`);
+    }
+  });
+
+  if (errors.length === 0 && assembly.source !== 'module' && Array.isArray(questions)) {
+    for (const [difficulty, count] of Object.entries(ruleCounts(rules))) {
+      const available = questions.filter(
+        q => q && questionDifficulty(q, { difficulty: quizDifficulty }) === difficulty
+      ).length;
+      if (available < count) {
+        errors.push(`assembly.rules: ${count} ${difficulty} question(s) required, the quiz has ${available}`);
+      }
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Check a quiz's references to bank questions. Resolves to
+ * { errors, questions } where `questions` holds the referenced content, for
+ * checking assembly rules against.
+ */
+export const validateQuestionRefs = async (questionRefs) => {
+  if (questionRefs === undefined || questionRefs === null) return { errors: [], questions: [] };
+  if (!Array.isArray(questionRefs)) return { errors: ["questionRefs: must be a list"], questions: [] };
+
+  const errors = [];
+  const ids = [];
+  questionRefs.forEach((ref, i) => {
+    if (!ref || !mongoose.Types.ObjectId.isValid(ref.question)) {
+      errors.push(`questionRefs[${i}].question: must be a question ID`);
+    } else if (ref.version !== undefined && ref.version !== null && !Number.isInteger(ref.version)) {
+      errors.push(`questionRefs[${i}].version: must be a whole number`);
+    } else {
+      ids.push(ref.question);
+    }
+  });
+  if (errors.length > 0) return { errors, questions: [] };
+
+  const bank = new Map(
+    (await Question.find({ _id: { $in: ids } })).map(q => [q._id.toString(), q])
+  );
+
+  const questions = [];
+  questionRefs.forEach((ref, i) => {
+    const content = bank.get(String(ref.question))?.contentAtVersion(ref.version ?? undefined);
+    if (!content) {
+      errors.push(`questionRefs[${i}]: question ${ref.question}${ref.version ? ` version ${ref.version}` : ''} not found`);
+    } else {
+      questions.push(content);
+    }
+  });
+
+  return { errors, questions };
+};
@@ -0,0 +1,93 @@
+import fs from "fs";
+import vm from "vm";
+
+// Runs untrusted student JavaScript. Started by codeRunner.js inside the
+// sandbox as
+//   node harness.mjs <solution file> <time limit ms> <output limit bytes>
+// The solution reads stdin through `input` / `readLine()` and writes with
+// console.log or print.
+//
+// Nothing from this realm is handed to the solution: a host function would
+// lead back to `process` through its constructor. The context only gets
+// primitives, and its print / console / readLine are created inside it and
+// collect output that is written out here once the solution has finished.
+
+const [solutionPath, timeoutArg, outputLimitArg] = process.argv.slice(2);
+const timeout = parseInt(timeoutArg) || 2000;
+const outputLimit = parseInt(outputLimitArg) || 64 * 1024;
+
+const TIMEOUT_EXIT_CODE = 124;
+
+// Compiled inside the context, so everything it creates belongs to it
+function setUpGlobals(input, outputLimit) {
+  const output = { stdout: "", stderr: "" };
+  const lines = input.split(/\r?\n/);
+  let cursor = 0;
+
+  const formatValue = (value) => {
+    if (typeof value === "string") return value;
+    if (value === null || typeof value !== "object") return String(value);
+    try {
+      return JSON.stringify(value) ?? String(value);
+    } catch {
+      return String(value);
+    }
+  };
+
+  const writeTo = (stream) => (...args) => {
+    if (output.stdout.length + output.stderr.length > outputLimit) {
+      throw new Error("Output limit exceeded");
+    }
+    output[stream] += args.map(formatValue).join(" ") + "\n";
+  };
+  const log = writeTo("stdout");
+  const error = writeTo("stderr");
+
+  globalThis.input = input;
+  globalThis.readLine = () => (cursor < lines.length ? lines[cursor++] : null);
+  globalThis.print = log;
+  globalThis.console = { log, info: log, debug: log, error, warn: error };
+
+  // Only this harness keeps a reference to the collected output
+  return output;
+}
+
+const chunks = [];
+process.stdin.on("data", (chunk) => chunks.push(chunk));
+process.stdin.on("end", () => {
+  const input = Buffer.concat(chunks).toString("utf8");
+  const code = fs.readFileSync(solutionPath, "utf8");
+
+  // Promise jobs run before runInContext returns, so they count against the
+  // timeout. The object backing the global has no prototype: lookups the
+  // global misses fall through to it, and `this.constructor` would otherwise
+  // be this realm's Object.
+  const context = vm.createContext(Object.create(null), { microtaskMode: "afterEvaluate" });
+  const output = vm.runInContext(`(${setUpGlobals})`, context)(input, outputLimit);
+
+  try {
+    vm.runInContext(code, context, { timeout, filename: "solution.js" });
+  } catch (err) {
+    if (err && err.code === "ERR_SCRIPT_EXECUTION_TIMEOUT") {
+      output.stderr += `Time limit of ${timeout}ms exceeded\n`;
+      process.exitCode = TIMEOUT_EXIT_CODE;
+    } else {
+      // Errors thrown by the solution come from its realm; only their text is used
+      output.stderr += describeError(err) + "\n";
+      process.exitCode = 1;
+    }
+  }
+
+  process.stdout.write(String(output.stdout));
+  process.stderr.write(String(output.stderr));
+});
+
+// Text of an error thrown by the solution, which may not even be an Error
+function describeError(err) {
+  try {
+    if ((typeof err !== "object" && typeof err !== "function") || err === null) return `Uncaught ${String(err)}`;
+    return typeof err.stack === "string" ? err.stack : "Uncaught error";
+  } catch {
+    return "Uncaught error";
+  }
+}
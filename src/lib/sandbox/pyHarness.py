@@ -0,0 +1,30 @@
+# Runs untrusted student Python. Started by codeRunner.js inside the sandbox as
+#   python3 -I -S -B harness.py <solution file> <cpu seconds> <memory MB>
+# The sandbox provides the isolation; resource limits are applied to this
+# process on top of it before the solution runs.
+import resource
+import sys
+
+TIMEOUT_EXIT_CODE = 124
+
+
+def main():
+    path, cpu_seconds, memory_mb = sys.argv[1], int(sys.argv[2]), int(sys.argv[3])
+
+    with open(path, encoding="utf-8") as handle:
+        source = handle.read()
+
+    memory_bytes = memory_mb * 1024 * 1024
+    # SIGXCPU at the soft limit, SIGKILL one second later
+    resource.setrlimit(resource.RLIMIT_CPU, (cpu_seconds, cpu_seconds + 1))
+    resource.setrlimit(resource.RLIMIT_AS, (memory_bytes, memory_bytes))
+    resource.setrlimit(resource.RLIMIT_FSIZE, (0, 0))
+    resource.setrlimit(resource.RLIMIT_NOFILE, (16, 16))
+    resource.setrlimit(resource.RLIMIT_NPROC, (0, 0))
+
+    code = compile(source, "solution.py", "exec")
+    exec(code, {"__name__": "__main__", "__builtins__": __builtins__})
+
+
+if __name__ == "__main__":
+    main()
@@ -0,0 +1,34 @@
+import SecurityPolicy from "../models/SecurityPolicy.js";
+
+// The policy is read on every authenticated request, so it is cached for a
+// short while; this instance sees its own updates at once, others within
+// CACHE_MS.
+const CACHE_MS = 30 * 1000;
+
+let cached = null;
+let cachedAt = 0;
+
+const DEFAULT_POLICY = { requireTwoFactorFor: [] };
+
+export const getSecurityPolicy = async () => {
+  if (!cached || Date.now() - cachedAt > CACHE_MS) {
+    cached = (await SecurityPolicy.findOne().lean()) ?? DEFAULT_POLICY;
+    cachedAt = Date.now();
+  }
+  return cached;
+};
+
+export const updateSecurityPolicy = async (fields, user) => {
+  const policy = await SecurityPolicy.findOneAndUpdate(
+    {},
+    { $set: { ...fields, updatedBy: user.id } },
+    { upsert: true, new: true, runValidators: true }
+  ).lean();
+  cached = policy;
+  cachedAt = Date.now();
+  return policy;
+};
+
+// Whether users with `privilege` must have two-factor authentication
+export const isTwoFactorRequired = async (privilege) =>
+  (await getSecurityPolicy()).requireTwoFactorFor.includes(privilege);
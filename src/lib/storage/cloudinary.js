@@ -0,0 +1,66 @@
+import cloudinary from "../cloudinary.js";
+
+// Cloudinary URLs look like
+// https://res.cloudinary.com/your-cloud-name/image/upload/v1234567890/folder/image_id.jpg
+// and the key is the public_id: everything after upload/ up to the last dot
+const PUBLIC_ID_PATTERN = /\/upload\/(?:v\d+\/)?(.+?)\.(?:[^.]+)$/;
+
+// Tag on every file uploaded through here. The routes wrote to the same
+// folders before media storage existed, and URLs in documents do not always
+// match what the account holds, so only tagged files are listed (and can be
+// collected as orphans); older ones are never touched.
+export const MEDIA_TAG = 'app-media';
+
+export default {
+  async upload({ buffer, contentType }, { folder, name } = {}) {
+    const uploadResponse = await cloudinary.uploader.upload(`data:${contentType};base64,${buffer.toString('base64')}`, {
+      timeout: 120000, // 2 minutes timeout
+      resource_type: 'image',
+      folder,
+      public_id: name,
+      tags: [MEDIA_TAG]
+    });
+    return { url: uploadResponse.secure_url, key: uploadResponse.public_id };
+  },
+
+  async remove(key) {
+    await cloudinary.uploader.destroy(key);
+  },
+
+  keyFromUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return null;
+    }
+    if (!['https:', 'http:'].includes(parsed.protocol) || parsed.hostname !== 'res.cloudinary.com') return null;
+    // Other accounts' clouds share the host; their files are not ours to read or delete
+    const cloudName = cloudinary.config().cloud_name;
+    if (!cloudName || parsed.pathname.split('/')[1] !== cloudName) return null;
+    return parsed.pathname.match(PUBLIC_ID_PATTERN)?.[1] ?? null;
+  },
+
+  // Uses the Admin API, which is rate limited; pages are as large as it
+  // allows. Listing by tag cannot be narrowed to a folder, so it is filtered here.
+  async *list(folder) {
+    let next_cursor;
+    do {
+      const page = await cloudinary.api.resources_by_tag(MEDIA_TAG, {
+        resource_type: 'image',
+        max_results: 500,
+        next_cursor
+      });
+      for (const resource of page.resources) {
+        if (resource.type !== 'upload' || !resource.public_id.startsWith(`${folder}/`)) continue;
+        yield {
+          key: resource.public_id,
+          url: resource.secure_url,
+          size: resource.bytes,
+          lastModified: new Date(resource.created_at)
+        };
+      }
+      next_cursor = page.next_cursor;
+    } while (next_cursor);
+  }
+};
@@ -0,0 +1,189 @@
+import { randomUUID } from "crypto";
+
+// Media storage. Images (module, quiz, lesson and profile pictures) are
+// stored through one of these backends, picked with STORAGE_DRIVER:
+//   cloudinary - the default, configured with the CLOUDINARY_* variables
+//   local      - files on disk under LOCAL_STORAGE_DIR, served at /media
+//   s3         - any S3-compatible bucket, configured with the S3_* variables
+// Documents keep the public URL of a file; the backend can tell its own
+// URLs apart and turn them back into the key it deletes by.
+//
+// A backend implements
+//   upload({ buffer, contentType }, { folder, name }) -> { url, key }
+//   remove(key)
+//   keyFromUrl(url) -> key, or null for files it does not hold
+//   list(folder) -> async iterable of { key, url, size, lastModified }, of
+//                   the files it uploaded itself
+//   read(key) -> { buffer, contentType }   (optional, otherwise fetched by URL,
+//                                           so keyFromUrl must check the host)
+
+const DRIVERS = {
+  cloudinary: () => import("./cloudinary.js"),
+  local: () => import("./local.js"),
+  s3: () => import("./s3.js")
+};
+
+export const storageDriver = () => process.env.STORAGE_DRIVER || 'cloudinary';
+
+let backend = null;
+
+const getBackend = async () => {
+  if (!backend) {
+    const driver = storageDriver();
+    if (!DRIVERS[driver]) {
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}", use one of ${Object.keys(DRIVERS).join(', ')}`);
+    }
+    backend = (await DRIVERS[driver]()).default;
+  }
+  return backend;
+};
+
+const MIME_TYPES = {
+  jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp', svg: 'image/svg+xml'
+};
+
+export const extensionFor = (contentType) =>
+  Object.keys(MIME_TYPES).find(ext => MIME_TYPES[ext] === contentType) || 'jpg';
+
+export const contentTypeFor = (fileName) =>
+  MIME_TYPES[fileName.split('.').pop().toLowerCase()] || 'application/octet-stream';
+
+// Folders the app stores into. Listing (and so orphan collection, see
+// lib/orphanedMedia.js) stays inside them, whatever else shares the bucket.
+export const MEDIA_FOLDERS = ['modules', 'quizzes', 'lessons', 'user-profiles'];
+
+// Key of a new file: folder/name.ext, with a random name unless one is given
+export const mediaKey = ({ folder, name } = {}, contentType) =>
+  [folder, `${name || randomUUID()}.${extensionFor(contentType)}`].filter(Boolean).join('/');
+
+// Path the local backend serves its files under (see routes/mediaRoutes.js)
+export const MEDIA_ROUTE = '/media';
+
+// Absolute URLs, and the relative ones of the local backend. Anything else
+// starting with a slash is base64 ("/9j/..." is a JPEG).
+const isUrl = (value) => /^https?:\/\//.test(value) || value.startsWith(`${MEDIA_ROUTE}/`);
+
+// Images copied by URL (clones, bundle exports) are fetched from the
+// storage backend, or from the hosts in MEDIA_FETCH_HOSTS (comma separated,
+// e.g. the previous backend's after changing STORAGE_DRIVER); never from
+// anywhere a client names. Redirects are refused so they cannot lead elsewhere.
+const REMOTE_MEDIA_MAX_BYTES = 10 * 1024 * 1024;
+const REMOTE_MEDIA_TIMEOUT_MS = 15 * 1000;
+
+const isFetchableHost = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+  const hosts = (process.env.MEDIA_FETCH_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+  return parsed.protocol === 'https:' && hosts.includes(parsed.hostname);
+};
+
+const fetchMedia = async (url) => {
+  const response = await fetch(url, { redirect: 'error', signal: AbortSignal.timeout(REMOTE_MEDIA_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`Could not fetch ${url}: HTTP ${response.status}`);
+  }
+  if (Number(response.headers.get('content-length')) > REMOTE_MEDIA_MAX_BYTES) {
+    throw new Error(`Could not fetch ${url}: larger than ${REMOTE_MEDIA_MAX_BYTES / (1024 * 1024)}MB`);
+  }
+
+  // The length header may be missing or wrong, so the body is counted too
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > REMOTE_MEDIA_MAX_BYTES) {
+      throw new Error(`Could not fetch ${url}: larger than ${REMOTE_MEDIA_MAX_BYTES / (1024 * 1024)}MB`);
+    }
+    chunks.push(chunk);
+  }
+  return {
+    buffer: Buffer.concat(chunks),
+    contentType: response.headers.get('content-type')?.split(';')[0] || 'image/jpeg'
+  };
+};
+
+// Contents of a file by URL: read from the backend when it holds the file,
+// fetched otherwise if its host is allowed. Only for URLs the app itself
+// stored; what clients send goes through toMediaFile.
+export const readMedia = async (url) => {
+  const store = await getBackend();
+  const key = store.keyFromUrl(url);
+  if (key && store.read) return store.read(key);
+
+  if (!key && !isFetchableHost(url)) {
+    throw new Error(`Not fetching ${url}: only media storage and MEDIA_FETCH_HOSTS are read`);
+  }
+  return fetchMedia(url);
+};
+
+/**
+ * Turn what clients send (data URL, bare base64, URL of a file in media
+ * storage) into { buffer, contentType }. Other URLs are refused unless
+ * `allowRemoteUrls` is set, which is for URLs taken from stored documents.
+ */
+export const toMediaFile = async (input, { allowRemoteUrls = false } = {}) => {
+  if (Buffer.isBuffer(input?.buffer)) return input;
+
+  if (typeof input !== 'string' || input === '') {
+    throw new Error("Invalid image");
+  }
+  if (isUrl(input)) {
+    if (!allowRemoteUrls && !(await isStoredMedia(input))) {
+      throw new Error("Invalid image: upload the file instead of linking to it");
+    }
+    return readMedia(input);
+  }
+
+  const match = input.match(/^data:([^;,]+)?(;base64)?,(.*)$/s);
+  if (match && !match[2]) {
+    throw new Error("Invalid image: data URLs must be base64 encoded");
+  }
+  return {
+    buffer: Buffer.from(match ? match[3] : input, 'base64'),
+    contentType: match?.[1] || 'image/jpeg'
+  };
+};
+
+/**
+ * Store an image given as a data URL, bare base64 (taken as JPEG), a URL to
+ * copy, or { buffer, contentType }. `name` (without extension) replaces the
+ * random file name; `allowRemoteUrls` is passed to toMediaFile. Returns
+ * { url, key }.
+ */
+export const uploadMedia = async (input, { folder, name, allowRemoteUrls } = {}) => {
+  const store = await getBackend();
+  return store.upload(await toMediaFile(input, { allowRemoteUrls }), { folder, name });
+};
+
+// Whether `url` points at a file held by the storage backend
+export const isStoredMedia = async (url) =>
+  Boolean(url) && Boolean((await getBackend()).keyFromUrl(url));
+
+// Every stored file in the app's folders, as { key, url, size, lastModified }
+export async function* listMedia() {
+  const store = await getBackend();
+  for (const folder of MEDIA_FOLDERS) {
+    yield* store.list(folder);
+  }
+}
+
+// Storage key of `url`, or null when the backend does not hold it
+export const mediaKeyFromUrl = async (url) =>
+  (url && isUrl(url) ? (await getBackend()).keyFromUrl(url) : null);
+
+// Delete a file by URL or key. URLs of files held elsewhere (avatars, other
+// backends) are left alone; returns whether something was deleted.
+export const deleteMedia = async (urlOrKey) => {
+  if (!urlOrKey) return false;
+
+  const store = await getBackend();
+  const key = isUrl(urlOrKey) ? store.keyFromUrl(urlOrKey) : urlOrKey;
+  if (!key) return false;
+
+  await store.remove(key);
+  return true;
+};
@@ -0,0 +1,71 @@
+import fs from "fs/promises";
+import path from "path";
+import { MEDIA_ROUTE, mediaKey, contentTypeFor } from "./index.js";
+
+// Files on disk under LOCAL_STORAGE_DIR (default ./uploads), served by
+// routes/mediaRoutes.js. URLs are PUBLIC_URL + /media/<key>, or relative
+// when PUBLIC_URL is not set.
+
+export const localStorageRoot = () => path.resolve(process.env.LOCAL_STORAGE_DIR || 'uploads');
+
+// Path of `key` on disk; keys never leave the storage directory
+const filePath = (key) => {
+  const root = localStorageRoot();
+  const file = path.resolve(root, key);
+  if (!file.startsWith(root + path.sep)) {
+    throw new Error(`Invalid media key: ${key}`);
+  }
+  return file;
+};
+
+export default {
+  async upload({ buffer, contentType }, options = {}) {
+    const key = mediaKey(options, contentType);
+    const file = filePath(key);
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+
+    const baseUrl = (process.env.PUBLIC_URL || '').replace(/\/$/, '');
+    return { url: `${baseUrl}${MEDIA_ROUTE}/${key}`, key };
+  },
+
+  async remove(key) {
+    await fs.rm(filePath(key), { force: true });
+  },
+
+  // Matched on the path, so files keep working when PUBLIC_URL changes
+  keyFromUrl(url) {
+    let pathname;
+    try {
+      pathname = new URL(url, 'http://localhost').pathname;
+    } catch (error) {
+      return null;
+    }
+    if (!pathname.startsWith(`${MEDIA_ROUTE}/`)) return null;
+    return decodeURIComponent(pathname.slice(MEDIA_ROUTE.length + 1));
+  },
+
+  async *list(folder) {
+    const root = localStorageRoot();
+    let entries;
+    try {
+      entries = await fs.readdir(filePath(folder), { recursive: true, withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    const baseUrl = (process.env.PUBLIC_URL || '').replace(/\/$/, '');
+    for (const entry of entries.filter(entry => entry.isFile())) {
+      const file = path.join(entry.parentPath ?? entry.path, entry.name);
+      const key = path.relative(root, file).split(path.sep).join('/');
+      const stats = await fs.stat(file);
+      yield { key, url: `${baseUrl}${MEDIA_ROUTE}/${key}`, size: stats.size, lastModified: stats.mtime };
+    }
+  },
+
+  async read(key) {
+    return { buffer: await fs.readFile(filePath(key)), contentType: contentTypeFor(key) };
+  }
+};
@@ -0,0 +1,65 @@
+import { S3Client, PutObjectCommand, DeleteObjectCommand, ListObjectsV2Command } from "@aws-sdk/client-s3";
+import { mediaKey } from "./index.js";
+
+// Any S3-compatible bucket (AWS, MinIO, R2, ...):
+//   S3_BUCKET (required), S3_REGION, S3_ENDPOINT, S3_FORCE_PATH_STYLE,
+//   S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY
+//   S3_PUBLIC_URL - where the bucket's objects are readable, e.g. a CDN;
+//                   defaults to the bucket's own URL
+// Objects have to be publicly readable, documents link to them directly.
+
+const bucket = process.env.S3_BUCKET;
+if (!bucket) {
+  throw new Error("S3_BUCKET must be set to use the s3 storage driver");
+}
+
+const region = process.env.S3_REGION || 'us-east-1';
+const endpoint = process.env.S3_ENDPOINT?.replace(/\/$/, '');
+
+const client = new S3Client({
+  region,
+  endpoint,
+  forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+  credentials: process.env.S3_ACCESS_KEY_ID
+    ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+    : undefined
+});
+
+const publicBase = (process.env.S3_PUBLIC_URL?.replace(/\/$/, '')) ||
+  (endpoint ? `${endpoint}/${bucket}` : `https://${bucket}.s3.${region}.amazonaws.com`);
+
+export default {
+  async upload({ buffer, contentType }, options = {}) {
+    const key = mediaKey(options, contentType);
+    await client.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType
+    }));
+    return { url: `${publicBase}/${key}`, key };
+  },
+
+  async remove(key) {
+    await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+  },
+
+  keyFromUrl(url) {
+    return url.startsWith(`${publicBase}/`) ? decodeURIComponent(url.slice(publicBase.length + 1)) : null;
+  },
+
+  async *list(folder) {
+    let ContinuationToken;
+    do {
+      const page = await client.send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: `${folder}/`,
+        ContinuationToken
+      }));
+      for (const object of page.Contents ?? []) {
+        yield { key: object.Key, url: `${publicBase}/${object.Key}`, size: object.Size, lastModified: object.LastModified };
+      }
+      ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+  }
+};
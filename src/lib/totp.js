@@ -0,0 +1,79 @@
+import crypto from "crypto";
+
+// Time-based one-time passwords (RFC 6238) as authenticator apps use them:
+// HMAC-SHA1, 6 digits, 30 second steps, secrets shared as base32.
+
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+export const base32Decode = (text) => {
+  const clean = text.replace(/[\s=-]/g, '').toUpperCase();
+  let bits = '';
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error("Invalid base32 secret");
+    bits += value.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+};
+
+// A new random secret (160 bits, as RFC 4226 recommends), base32 encoded
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Time step a moment falls in
+export const totpStep = (now = new Date()) => Math.floor(now.getTime() / 1000 / PERIOD_SECONDS);
+
+// The code for `step` (RFC 4226 HOTP with the step as counter)
+export const totpCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Check `code` against the steps around now (`window` steps either side,
+ * for clock drift). Steps up to `afterStep` are refused, so a code cannot
+ * be used twice. Returns the matching step, or null.
+ */
+export const verifyTotp = (secret, code, { window = 1, afterStep = -1, now = new Date() } = {}) => {
+  const normalized = String(code ?? '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) return null;
+
+  const current = totpStep(now);
+  for (let step = current - window; step <= current + window; step++) {
+    if (step <= afterStep) continue;
+    const expected = totpCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
+  }
+  return null;
+};
+
+// otpauth:// URI authenticator apps read (usually from a QR code)
+export const totpProvisioningUri = ({ secret, account, issuer }) => {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
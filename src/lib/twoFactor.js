@@ -0,0 +1,156 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import QRCode from "qrcode";
+import { generateTotpSecret, verifyTotp, totpProvisioningUri, base32Encode } from "./totp.js";
+import { hashToken } from "./authTokens.js";
+
+// Two-factor authentication with an authenticator app (TOTP, see totp.js).
+// Setting it up is two steps: a new secret is kept as pending until the
+// user proves their app has it by sending a code, then it becomes the
+// secret and ten single-use recovery codes are handed out once. Logging in
+// is two steps too: the password gets a short-lived challenge token, which
+// together with a code (or a recovery code) gets the session.
+//   TWO_FACTOR_KEY    - key the secrets are encrypted with (default: derived from JWT_SECRET)
+//   TWO_FACTOR_ISSUER - name shown in authenticator apps, default CyberLearn
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+
+// Fields of User.twoFactor that are only loaded on request
+export const TWO_FACTOR_FIELDS =
+  '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+export class TwoFactorError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "TwoFactorError";
+    this.statusCode = statusCode;
+  }
+}
+
+const encryptionKey = () =>
+  crypto.createHash('sha256').update(process.env.TWO_FACTOR_KEY || process.env.JWT_SECRET).digest();
+
+// AES-256-GCM, stored as iv.tag.ciphertext in base64
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, data] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+};
+
+const normalizeRecoveryCode = (code) => String(code).replace(/[\s-]/g, '').toLowerCase();
+
+// Recovery codes look like "k3m7-x2qa" (40 random bits)
+const generateRecoveryCode = () => {
+  const chars = base32Encode(crypto.randomBytes(5)).toLowerCase();
+  return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+};
+
+/**
+ * Start setting up two-factor authentication: stores a pending secret on
+ * `user` (the caller saves it) and returns { secret, otpauthUrl, qrCode }
+ * for the authenticator app; qrCode is a PNG data URL of otpauthUrl.
+ */
+export const startEnrollment = async (user) => {
+  const secret = generateTotpSecret();
+  user.twoFactor.pendingSecret = encryptSecret(secret);
+
+  const otpauthUrl = totpProvisioningUri({
+    secret,
+    account: user.email,
+    issuer: process.env.TWO_FACTOR_ISSUER || 'CyberLearn'
+  });
+  return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+};
+
+// Give `user` a fresh set of recovery codes; returns them in plain text, the only time they are shown
+export const replaceRecoveryCodes = (user) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+  user.twoFactor.recoveryCodes = codes.map(code => ({ codeHash: hashToken(normalizeRecoveryCode(code)) }));
+  return codes;
+};
+
+/**
+ * Finish setting up with a code from the app. Turns two-factor
+ * authentication on and returns the new recovery codes.
+ */
+export const confirmEnrollment = (user, code) => {
+  if (!user.twoFactor.pendingSecret) {
+    throw new TwoFactorError("Start two-factor setup first");
+  }
+
+  const step = verifyTotp(decryptSecret(user.twoFactor.pendingSecret), code);
+  if (step === null) {
+    throw new TwoFactorError("Invalid code, check the time on your device and try again");
+  }
+
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  user.twoFactor.lastUsedStep = step;
+  return replaceRecoveryCodes(user);
+};
+
+/**
+ * Check a second factor: an app `code` or a `recoveryCode`. Either is used
+ * up on `user` (the caller saves it). Returns 'totp', 'recovery_code', or
+ * null when neither matches.
+ */
+export const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (!user.twoFactor.enabled || !user.twoFactor.secret) return null;
+
+  if (code) {
+    const step = verifyTotp(decryptSecret(user.twoFactor.secret), code, {
+      afterStep: user.twoFactor.lastUsedStep ?? -1
+    });
+    if (step !== null) {
+      user.twoFactor.lastUsedStep = step;
+      return 'totp';
+    }
+  }
+
+  if (recoveryCode) {
+    const codeHash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const entry = user.twoFactor.recoveryCodes.find(recovery => !recovery.usedAt && recovery.codeHash === codeHash);
+    if (entry) {
+      entry.usedAt = new Date();
+      return 'recovery_code';
+    }
+  }
+  return null;
+};
+
+// Turn two-factor authentication off and forget the secret and recovery codes
+export const disableTwoFactor = (user) => {
+  user.twoFactor = { enabled: false };
+};
+
+export const recoveryCodesLeft = (user) =>
+  (user.twoFactor.recoveryCodes ?? []).filter(recovery => !recovery.usedAt).length;
+
+// Token proving the password step of a login; it cannot be used as an access token (it has no session)
+export const signLoginChallenge = (user) => jwt.sign(
+  { userId: user._id, purpose: 'login_2fa', tv: user.tokenVersion },
+  process.env.JWT_SECRET,
+  { expiresIn: CHALLENGE_TTL }
+);
+
+// { userId, tokenVersion } of a login challenge; throws a TwoFactorError when it is invalid or expired
+export const verifyLoginChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(String(challengeToken ?? ''), process.env.JWT_SECRET);
+    if (decoded.purpose !== 'login_2fa') throw new Error("Not a login challenge");
+    return { userId: decoded.userId, tokenVersion: decoded.tv ?? 0 };
+  } catch (error) {
+    throw new TwoFactorError("Login has expired, please log in again", 401);
+  }
+};
@@ -0,0 +1,94 @@
+import mongoose from "mongoose";
+
+// Draft / published / archived status and availability windows for modules
+// and quizzes.
+//   - Students only see published content inside its availability window.
+//   - The unlock engine only walks published content, so drafts and archived
+//     items are skipped when the next quiz or module is unlocked. Content that
+//     is published but not yet open still takes its place in the sequence.
+// Instructors and admins see everything.
+
+export const PUBLISH_STATUSES = ['draft', 'published', 'archived'];
+
+// Filter for content the unlock engine considers
+export const publishedFilter = () => ({ status: 'published' });
+
+// Filter for content students can see at `now`
+export const visibleFilter = (now = new Date()) => ({
+  status: 'published',
+  $and: [
+    { $or: [{ availableFrom: null }, { availableFrom: { $lte: now } }] },
+    { $or: [{ availableUntil: null }, { availableUntil: { $gt: now } }] }
+  ]
+});
+
+/**
+ * Where a module or quiz stands for students:
+ * 'draft' | 'archived' | 'scheduled' (not open yet) | 'open' | 'closed' (window over)
+ */
+export const availabilityOf = (doc, now = new Date()) => {
+  if (doc.status !== 'published') return doc.status || 'draft';
+  if (doc.availableFrom && doc.availableFrom > now) return 'scheduled';
+  if (doc.availableUntil && doc.availableUntil <= now) return 'closed';
+  return 'open';
+};
+
+export const isVisible = (doc, now = new Date()) => availabilityOf(doc, now) === 'open';
+
+// Modules and quizzes created before the status existed have no status
+// field, and the schema default would read them as drafts. This marks them
+// published so students keep seeing them; it runs at startup (and in
+// scripts/migrate-publish-status.js). Returns the count per model.
+export const publishContentWithoutStatus = async () => {
+  const counts = {};
+  for (const name of ['Module', 'Quiz']) {
+    // The collection is used directly so schema defaults don't hide missing fields
+    const result = await mongoose.model(name).collection.updateMany(
+      { status: { $exists: false } },
+      [{ $set: { status: 'published', publishedAt: { $ifNull: ['$createdAt', '$$NOW'] } } }]
+    );
+    counts[name] = result.modifiedCount;
+  }
+  return counts;
+};
+
+// First published quiz of a module
+export const findFirstPublishedQuiz = (moduleId) =>
+  mongoose.model('Quiz').findOne({ ...publishedFilter(), module: moduleId }).sort({ order: 1 });
+
+// Published quiz following the one at `order` in the same module
+export const findNextPublishedQuiz = (moduleId, order) =>
+  mongoose.model('Quiz').findOne({ ...publishedFilter(), module: moduleId, order: { $gt: order } }).sort({ order: 1 });
+
+// Published quizzes of a module, in order
+export const findPublishedQuizzes = (moduleId) =>
+  mongoose.model('Quiz').find({ ...publishedFilter(), module: moduleId }).sort({ order: 1 });
+
+// Check dates in a create/update payload; returns an error message or null
+export const validatePublishFields = ({ status, availableFrom, availableUntil }) => {
+  if (status !== undefined && !PUBLISH_STATUSES.includes(status)) {
+    return `Status must be one of ${PUBLISH_STATUSES.join(', ')}`;
+  }
+  for (const [name, value] of Object.entries({ availableFrom, availableUntil })) {
+    if (value !== undefined && value !== null && value !== '' && isNaN(new Date(value).getTime())) {
+      return `${name} must be a date`;
+    }
+  }
+  if (availableFrom && availableUntil && new Date(availableUntil) <= new Date(availableFrom)) {
+    return "availableUntil must be after availableFrom";
+  }
+  return null;
+};
+
+// Apply status and availability fields from a request body to a document
+export const applyPublishFields = (doc, { status, availableFrom, availableUntil }) => {
+  if (status !== undefined) {
+    if (status === 'published' && doc.status !== 'published') {
+      doc.publishedAt = new Date();
+    }
+    doc.status = status;
+  }
+  // An empty value clears the date
+  if (availableFrom !== undefined) doc.availableFrom = availableFrom || null;
+  if (availableUntil !== undefined) doc.availableUntil = availableUntil || null;
+};
@@ -0,0 +1,47 @@
+import multer from "multer";
+import { MAX_IMAGE_BYTES } from "../lib/images.js";
+
+// Files are kept in memory; lib/images.js checks and re-encodes them before anything is stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: 1 }
+});
+
+// Accept one multipart/form-data image in `field` as req.file. Requests
+// that are not multipart pass through untouched, so JSON bodies with a
+// base64 image keep working. Form fields only hold text, so the structured
+// ones named in `jsonFields` are sent JSON-encoded and parsed here.
+export const imageUpload = (field = 'image', { jsonFields = [] } = {}) => {
+  const single = upload.single(field);
+
+  return (req, res, next) => {
+    single(req, res, (error) => {
+      if (!error) {
+        const parseError = req.is('multipart/form-data') ? parseJsonFields(req.body, jsonFields) : null;
+        if (parseError) return res.status(400).json({ message: parseError });
+        return next();
+      }
+
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ message: `Image is larger than ${MAX_IMAGE_BYTES / (1024 * 1024)}MB` });
+      }
+      if (error instanceof multer.MulterError) {
+        return res.status(400).json({ message: `Invalid upload: ${error.message}`, field: error.field });
+      }
+      next(error);
+    });
+  };
+};
+
+// Replace the named form fields of `body` with their parsed JSON; returns an error message or null
+const parseJsonFields = (body, fields) => {
+  for (const name of fields) {
+    if (typeof body?.[name] !== 'string') continue;
+    try {
+      body[name] = JSON.parse(body[name]);
+    } catch {
+      return `${name} must be JSON-encoded in multipart/form-data requests`;
+    }
+  }
+  return null;
+};
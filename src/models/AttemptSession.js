@@ -0,0 +1,123 @@
+import mongoose from "mongoose";
+
+// A server-timed quiz attempt. The questions are snapshotted in the order they
+// were delivered so grading and review match exactly what the student saw.
+const attemptSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  quiz: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Quiz",
+    required: true
+  },
+  module: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Module",
+    required: true
+  },
+  status: {
+    type: String,
+    // submitting: claimed by a submission that is being graded (see lib/quizSubmission.js)
+    enum: ['in_progress', 'submitting', 'submitted', 'expired'],
+    default: 'in_progress'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Null for untimed quizzes
+  deadline: Date,
+  // Delivered questions in delivery order, as drawn by lib/quizAssembly.js
+  questions: [{
+    questionIndex: Number, // index into the assembled pool, used to key answers
+    sourceQuiz: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Quiz"
+    },
+    sourceIndex: Number, // index into sourceQuiz.questions
+    // Bank question and the version delivered, for questions from the bank
+    bankQuestion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Question"
+    },
+    bankVersion: Number,
+    // Original indexes of the options / code blocks in delivered order
+    optionOrder: [Number],
+    question: mongoose.Schema.Types.Mixed
+  }],
+  // Answers saved so far, keyed by questionIndex
+  answers: [{
+    questionIndex: Number,
+    userAnswer: mongoose.Schema.Types.Mixed,
+    savedAt: Date
+  }],
+  lastSeenAt: Date,
+  submittedAt: Date,
+  autoSubmitted: {
+    type: Boolean,
+    default: false
+  },
+  score: Number
+}, { timestamps: true });
+
+// At most one open attempt per student and quiz
+attemptSessionSchema.index(
+  { user: 1, quiz: 1 },
+  { unique: true, partialFilterExpression: { status: 'in_progress' } }
+);
+attemptSessionSchema.index({ status: 1, deadline: 1 });
+
+// Seconds left before the deadline (null when untimed)
+attemptSessionSchema.methods.remainingSeconds = function(now = new Date()) {
+  if (!this.deadline) return null;
+  return Math.max(0, Math.floor((this.deadline.getTime() - now.getTime()) / 1000));
+};
+
+// Whether the deadline plus the grace period has passed
+attemptSessionSchema.methods.isPastDeadline = function(graceSeconds = 0, now = new Date()) {
+  if (!this.deadline) return false;
+  return now.getTime() > this.deadline.getTime() + graceSeconds * 1000;
+};
+
+// Merge answers into the saved set. Accepts an array indexed by questionIndex
+// or an object keyed by questionIndex; entries set to undefined are skipped.
+attemptSessionSchema.methods.saveAnswers = function(answers) {
+  const deliveredIndexes = new Set(this.questions.map(q => q.questionIndex));
+  const savedAt = new Date();
+
+  for (const [key, userAnswer] of Object.entries(answers || {})) {
+    const questionIndex = Number(key);
+    if (userAnswer === undefined || !deliveredIndexes.has(questionIndex)) continue;
+
+    const existing = this.answers.find(a => a.questionIndex === questionIndex);
+    if (existing) {
+      existing.userAnswer = userAnswer;
+      existing.savedAt = savedAt;
+    } else {
+      this.answers.push({ questionIndex, userAnswer, savedAt });
+    }
+  }
+
+  this.markModified('answers');
+};
+
+// Saved answers lined up with the delivered questions
+attemptSessionSchema.methods.answersInDeliveryOrder = function() {
+  return this.questions.map(q => {
+    const saved = this.answers.find(a => a.questionIndex === q.questionIndex);
+    return saved ? saved.userAnswer : undefined;
+  });
+};
+
+// Seconds between the start and the submission, capped at the deadline
+attemptSessionSchema.methods.elapsedSeconds = function(now = new Date()) {
+  const end = this.deadline && now > this.deadline ? this.deadline : now;
+  return Math.round((end.getTime() - this.startedAt.getTime()) / 1000);
+};
+
+const AttemptSession = mongoose.model("AttemptSession", attemptSessionSchema);
+
+export default AttemptSession;
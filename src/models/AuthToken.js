@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+// A single-use token sent by email (password reset, email verification),
+// stored as a SHA-256 hash so a database leak does not hand out working
+// links. See lib/accountTokens.js.
+const authTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['password_reset', 'email_verification'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date
+}, { timestamps: true });
+
+authTokenSchema.index({ user: 1, purpose: 1 });
+// Removed by MongoDB once expired
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthToken = mongoose.model("AuthToken", authTokenSchema);
+
+export default AuthToken;
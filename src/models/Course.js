@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+// A course owns an ordered sequence of modules (Module.course + Module.order)
+// and is assigned to sections. Ordering, prerequisites and unlocking are all
+// scoped to the course, so instructors can run independent sequences.
+const courseSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, "Course title is required"],
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ""
+  },
+  // Instructor running the course
+  instructor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, "Instructor is required"]
+  },
+  // Sections taking the course; their students see its modules
+  sections: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Section'
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Modules of the course, populate with { path: 'modules', options: { sort: { order: 1 } } }
+courseSchema.virtual('modules', {
+  ref: 'Module',
+  localField: '_id',
+  foreignField: 'course'
+});
+
+courseSchema.index({ sections: 1 });
+
+const Course = mongoose.model("Course", courseSchema);
+
+export default Course;
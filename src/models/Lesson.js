@@ -0,0 +1,86 @@
+import mongoose from "mongoose";
+import { PUBLISH_STATUSES } from "../lib/visibility.js";
+
+// Reading material inside a module. Lessons share the module sequence with
+// quizzes: a lesson with order N sits right before the quiz with order N
+// (see lib/lessons.js).
+const lessonSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, "Lesson title is required"],
+    trim: true
+  },
+  module: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Module",
+    required: true
+  },
+  // Markdown; embedded images point at the URLs in `images`
+  body: {
+    type: String,
+    default: ""
+  },
+  // Images uploaded for the body; key is the media storage key
+  // (see lib/storage)
+  images: [{
+    url: {
+      type: String,
+      required: true
+    },
+    key: String,
+    alt: {
+      type: String,
+      default: ""
+    }
+  }],
+  // Code shown with the lesson, outside the markdown so it keeps its language
+  codeSnippets: [{
+    language: {
+      type: String,
+      default: "javascript"
+    },
+    code: {
+      type: String,
+      required: true
+    },
+    caption: String
+  }],
+  order: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Draft lessons are hidden from students (see lib/visibility.js)
+  status: {
+    type: String,
+    enum: PUBLISH_STATUSES,
+    default: 'draft'
+  },
+  publishedAt: Date,
+  availableFrom: Date,
+  availableUntil: {
+    type: Date,
+    validate: {
+      validator: function(until) {
+        return !until || !this.availableFrom || until > this.availableFrom;
+      },
+      message: "availableUntil must be after availableFrom"
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Lesson this one was copied from (see lib/cloning.js)
+  clonedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lesson'
+  }
+}, { timestamps: true });
+
+lessonSchema.index({ module: 1, order: 1 });
+
+const Lesson = mongoose.model("Lesson", lessonSchema);
+
+export default Lesson;
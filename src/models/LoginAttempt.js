@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+// Failed login counter for one key ("account:<email>" or "ip:<address>"),
+// used by the mongo store of lib/loginThrottle.
+const loginAttemptSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: Date,
+  // No attempts before this (backoff)
+  blockedUntil: Date,
+  // Set when the failures reached the lockout threshold
+  lockedUntil: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+loginAttemptSchema.index({ lockedUntil: 1 });
+// Counters nobody has touched for a while are removed by MongoDB
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema);
+
+export default LoginAttempt;
@@ -1,4 +1,19 @@
 import mongoose from "mongoose";
+import { PUBLISH_STATUSES } from "../lib/visibility.js";
+
+const prerequisiteSchema = new mongoose.Schema({
+    module: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Module",
+        required: true
+    },
+    // Minimum final score in that module, 0-100
+    minScore: {
+        type: Number,
+        min: 0,
+        max: 100
+    }
+}, { _id: false });
 
 const moduleSchema = new mongoose.Schema({
     title: {
@@ -17,6 +32,11 @@ const moduleSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // Resized copies of the image (see lib/images.js)
+    imageVariants: {
+        thumbnail: String,
+        card: String
+    },
     quizzes: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: "Quiz"
@@ -25,10 +45,23 @@ const moduleSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    // Course owning the module; order is unique within the course
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Course"
+    },
     order: {
         type: Number,
-        required: true,
-        unique: true
+        required: true
+    },
+    // Modules of the same course to complete first (see lib/moduleGraph.js).
+    // Left unset, the module requires the previous one in order.
+    prerequisites: {
+        type: new mongoose.Schema({
+            allOf: [prerequisiteSchema],
+            anyOf: [prerequisiteSchema]
+        }, { _id: false }),
+        default: null
     },
     isLocked: {
         type: Boolean,
@@ -44,9 +77,35 @@ const moduleSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
         required: true
+    },
+    // Module this one was copied from (see lib/cloning.js)
+    clonedFrom: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Module'
+    },
+    // Draft modules are hidden from students and skipped by the unlock engine
+    // (see lib/visibility.js)
+    status: {
+        type: String,
+        enum: PUBLISH_STATUSES,
+        default: 'draft'
+    },
+    publishedAt: Date,
+    // Optional window in which students can see the module
+    availableFrom: Date,
+    availableUntil: {
+        type: Date,
+        validate: {
+            validator: function(until) {
+                return !until || !this.availableFrom || until > this.availableFrom;
+            },
+            message: "availableUntil must be after availableFrom"
+        }
     }
 }, { timestamps: true });
 
+moduleSchema.index({ course: 1, order: 1 }, { unique: true });
+
 moduleSchema.pre("save", function(next) {
     // Ensure totalQuizzes is always set to the length of the quizzes array
     if (this.quizzes) {
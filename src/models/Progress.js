@@ -1,5 +1,11 @@
 import mongoose from "mongoose";
  // Ensure this path is correct
+import {
+  findFirstPublishedQuiz,
+  findNextPublishedQuiz,
+  findPublishedQuizzes
+} from "../lib/visibility.js";
+import { loadUserModuleGraph, prerequisitesMet, entryModules } from "../lib/moduleGraph.js";
 
 const completionSchema = new mongoose.Schema({
   quiz: {
@@ -15,6 +21,22 @@ const completionSchema = new mongoose.Schema({
   completedAt: Date
 });
 
+// A lesson the student opened; completed once they mark it as read
+const lessonProgressSchema = new mongoose.Schema({
+  lesson: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lesson',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['viewed', 'completed'],
+    default: 'viewed'
+  },
+  viewedAt: Date,
+  completedAt: Date
+}, { _id: false });
+
 const progressSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -63,6 +85,7 @@ const progressSchema = new mongoose.Schema({
       ref: "Quiz"
     }],
     completedQuizzes: [completionSchema],
+    lessons: [lessonProgressSchema],
     startedAt: Date,
     completedAt: Date,
     totalXP: {
@@ -92,10 +115,30 @@ const progressSchema = new mongoose.Schema({
     totalQuestions: Number,
     correctAnswers: Number,
     timeSpent: Number,
+    // Attempt session the answers were given in, if any
+    session: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AttemptSession"
+    },
     answers: [{
       questionIndex: Number,
+      questionId: mongoose.Schema.Types.ObjectId,
+      // Where a drawn question came from and how its options were shuffled
+      sourceQuiz: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Quiz"
+      },
+      sourceIndex: Number,
+      bankQuestion: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Question"
+      },
+      bankVersion: Number,
+      optionOrder: [Number],
       userAnswer: mongoose.Schema.Types.Mixed,
       isCorrect: Boolean,
+      points: Number,
+      maxPoints: Number,
       timeSpent: Number
     }],
     passed: Boolean,
@@ -112,47 +155,95 @@ const progressSchema = new mongoose.Schema({
 // Ensure one progress document per user
 progressSchema.index({ user: 1 }, { unique: true });
 
-// Method to unlock next module
+// Method to unlock the modules whose prerequisites are now met and move on
+// to the first of them
 progressSchema.methods.unlockNextModule = async function() {
-  const Module = mongoose.model('Module');
-  
-  // Find the next module in order
-  const currentModuleOrder = await Module.findById(this.globalProgress.currentModule).select('order');
-  const nextModule = await Module.findOne({ 
-    order: currentModuleOrder.order + 1 
-  }).sort({ order: 1 });
+  const unlocked = await this.unlockAvailableModules();
+  if (unlocked.length > 0) {
+    this.globalProgress.currentModule = unlocked[0]._id;
+  }
+};
+
+// Method to unlock every published module whose prerequisites are met, in
+// the courses the user takes (see lib/moduleGraph.js). Returns the newly
+// unlocked modules in course order.
+progressSchema.methods.unlockAvailableModules = async function(graph) {
+  graph = graph || await loadUserModuleGraph(this.user);
+  const unlocked = [];
   
-  if (nextModule && !this.globalProgress.unlockedModules.includes(nextModule._id)) {
-    this.globalProgress.unlockedModules.push(nextModule._id);
-    this.globalProgress.currentModule = nextModule._id;
+  for (const [moduleId, node] of graph) {
+    if (this.isModuleUnlocked(moduleId) || !prerequisitesMet(node, this, graph)) continue;
     
-    // Initialize module progress
-    const moduleProgress = {
-      module: nextModule._id,
-      status: 'unlocked',
-      unlockedQuizzes: [],
-      completedQuizzes: []
-    };
-    this.moduleProgress.push(moduleProgress);
+    this.globalProgress.unlockedModules.push(node.module._id);
+    
+    let moduleProgress = this.moduleProgress.find(mp => mp.module.toString() === moduleId);
+    if (!moduleProgress) {
+      this.moduleProgress.push({
+        module: node.module._id,
+        status: 'unlocked',
+        unlockedQuizzes: [],
+        completedQuizzes: []
+      });
+    } else if (moduleProgress.status === 'locked') {
+      moduleProgress.status = 'unlocked';
+    }
     
     // Unlock first quiz in the module
-    await this.unlockNextQuizInModule(nextModule._id);
+    await this.unlockNextQuizInModule(node.module._id);
+    unlocked.push(node.module);
   }
+  
+  return unlocked;
+};
+
+// Method to bring module access in line with `graph` after the modules were
+// reordered: modules whose prerequisites are now met get unlocked, and
+// unlocked modules whose prerequisites are no longer met are locked again,
+// unless the student has already started them. Returns { gained, lost }.
+progressSchema.methods.reconcileModuleAccess = async function(graph) {
+  const lost = [];
+
+  for (const [moduleId, node] of graph) {
+    if (!this.isModuleUnlocked(moduleId) || prerequisitesMet(node, this, graph)) continue;
+
+    const moduleProgress = this.moduleProgress.find(mp => mp.module.toString() === moduleId);
+    const started = moduleProgress && (moduleProgress.status !== 'unlocked' ||
+      moduleProgress.completedQuizzes.length > 0 || moduleProgress.lessons.length > 0);
+    if (started) continue;
+
+    this.globalProgress.unlockedModules = this.globalProgress.unlockedModules.filter(id => id.toString() !== moduleId);
+    if (moduleProgress) {
+      moduleProgress.status = 'locked';
+      moduleProgress.unlockedQuizzes = [];
+      moduleProgress.currentQuiz = undefined;
+    }
+    lost.push(node.module);
+  }
+
+  const gained = await this.unlockAvailableModules(graph);
+
+  // Move the student off a module they lost, to the first open one of the course
+  const currentModule = this.globalProgress.currentModule;
+  if (currentModule && lost.some(module => module._id.equals(currentModule))) {
+    const next = [...graph.values()]
+      .map(n => n.module)
+      .find(module => this.isModuleUnlocked(module._id) &&
+        !this.globalProgress.completedModules.some(cm => cm.module.equals(module._id)));
+    this.globalProgress.currentModule = next?._id ?? this.globalProgress.unlockedModules[0] ?? null;
+  }
+
+  return { gained, lost };
 };
 
 // Method to unlock next quiz in current module
 progressSchema.methods.unlockNextQuizInModule = async function(moduleId) {
-  const Quiz = mongoose.model('Quiz');
-  
   const moduleProgress = this.moduleProgress.find(mp => mp.module.toString() === moduleId.toString());
   if (!moduleProgress) return;
   
-  // Find the next quiz in order
-  const completedQuizCount = moduleProgress.completedQuizzes.length;
-  const nextQuiz = await Quiz.findOne({ 
-    module: moduleId,
-    order: completedQuizCount + 1
-  }).sort({ order: 1 });
+  // Find the first published quiz not completed yet
+  const completedIds = moduleProgress.completedQuizzes.map(cq => cq.quiz.toString());
+  const publishedQuizzes = await findPublishedQuizzes(moduleId);
+  const nextQuiz = publishedQuizzes.find(q => !completedIds.includes(q._id.toString()));
   
   if (nextQuiz && !moduleProgress.unlockedQuizzes.includes(nextQuiz._id)) {
     moduleProgress.unlockedQuizzes.push(nextQuiz._id);
@@ -168,7 +259,6 @@ progressSchema.methods.unlockNextQuizInModule = async function(moduleId) {
 progressSchema.methods.completeQuiz = async function(quizId, attemptData) {
   try {
 
-    const Module = mongoose.model('Module');
     const Quiz = mongoose.model('Quiz');
     // Get quiz details
     const quiz = await Quiz.findById(quizId);
@@ -243,11 +333,8 @@ progressSchema.methods.completeQuiz = async function(quizId, attemptData) {
     if (hasPassed) {
       console.log('🎉 User passed! Checking for unlocks...');
       
-      // Find next quiz in the same module
-      const nextQuiz = await Quiz.findOne({
-        module: moduleId,
-        order: quiz.order + 1
-      });
+      // Find next published quiz in the same module, skipping drafts
+      const nextQuiz = await findNextPublishedQuiz(moduleId, quiz.order);
       
       if (nextQuiz) {
         // Unlock next quiz in same module
@@ -259,9 +346,12 @@ progressSchema.methods.completeQuiz = async function(quizId, attemptData) {
       } else {
         console.log('🏁 This was the last quiz in the module');
         
-        // Check if ALL quizzes in module are PASSED (not just completed)
-        const allQuizzesInModule = await Quiz.find({ module: moduleId });
-        const passedQuizzes = moduleProgress.completedQuizzes.filter(cq => cq.passed);
+        // Check if ALL published quizzes in module are PASSED (not just completed)
+        const allQuizzesInModule = await findPublishedQuizzes(moduleId);
+        const publishedIds = allQuizzesInModule.map(q => q._id.toString());
+        const passedQuizzes = moduleProgress.completedQuizzes.filter(
+          cq => cq.passed && publishedIds.includes(cq.quiz.toString())
+        );
         
         console.log(`📊 Module completion check: ${passedQuizzes.length}/${allQuizzesInModule.length} quizzes passed`);
         
@@ -279,62 +369,41 @@ progressSchema.methods.completeQuiz = async function(quizId, attemptData) {
               completedAt: new Date()
             });
           }
-          
-          // Find and unlock next module
-          const currentModule = await Module.findById(moduleId);
-          const nextModule = await Module.findOne({ order: currentModule.order + 1 });
-          
-          if (nextModule) {
-            console.log('🌟 Unlocking next module:', nextModule.title);
-            
-            // Unlock next module
-            if (!this.globalProgress.unlockedModules.some(
-              um => um.toString() === nextModule._id.toString()
-            )) {
-              this.globalProgress.unlockedModules.push(nextModule._id);
-            }
-            
-            this.globalProgress.currentModule = nextModule._id;
-            
-            // Find first quiz in next module and create progress
-            const firstQuizInNextModule = await Quiz.findOne({
-              module: nextModule._id,
-              order: 1
-            });
-            
-            if (firstQuizInNextModule) {
-              // Create progress for next module
-              const nextModuleProgress = {
-                module: nextModule._id,
-                status: 'unlocked',
-                currentQuiz: firstQuizInNextModule._id,
-                unlockedQuizzes: [firstQuizInNextModule._id],
-                completedQuizzes: [],
-                totalXP: 0,
-                completionPercentage: 0
-              };
-              this.moduleProgress.push(nextModuleProgress);
-              console.log('✨ Created progress for next module');
-            }
-          } else {
-            console.log('🏆 All modules completed!');
-          }
         } else {
           console.log('⚠️ Module not completed - some quizzes not passed yet');
         }
       }
+      
+      // Unlock the modules whose prerequisites are now met. Retakes in a
+      // completed module count too, a better score can meet a minScore.
+      if (moduleProgress.status === 'completed') {
+        const graph = await loadUserModuleGraph(this.user);
+        const unlockedModules = await this.unlockAvailableModules(graph);
+        
+        if (unlockedModules.length > 0) {
+          console.log('🌟 Unlocking modules:', unlockedModules.map(m => m.title).join(', '));
+          // Move on within the same course
+          const course = graph.get(moduleId.toString())?.module.course?.toString();
+          const nextModule = unlockedModules.find(m => m.course?.toString() === course) ?? unlockedModules[0];
+          this.globalProgress.currentModule = nextModule._id;
+        } else {
+          console.log('🏁 No new modules unlocked');
+        }
+      }
     } else {
       console.log('❌ User failed quiz - no unlocks');
       // Don't unlock anything, but keep current progress
     }
     
-    // Update completion percentage
-    const allQuizzesInModule = await Quiz.find({ module: moduleId });
-    const passedQuizzesCount = moduleProgress.completedQuizzes.filter(cq => cq.everPassed || cq.bestScore >= 70).length;
-    moduleProgress.completionPercentage = Math.round((
-      moduleProgress.completedQuizzes.filter(cq => cq.everPassed || cq.bestScore >= 70).length / 
-      allQuizzesInModule.length
-    ) * 100);
+    // Update completion percentage over the published quizzes
+    const allQuizzesInModule = await findPublishedQuizzes(moduleId);
+    const publishedQuizIds = allQuizzesInModule.map(q => q._id.toString());
+    const passedQuizzesCount = moduleProgress.completedQuizzes.filter(
+      cq => (cq.everPassed || cq.bestScore >= 70) && publishedQuizIds.includes(cq.quiz.toString())
+    ).length;
+    moduleProgress.completionPercentage = allQuizzesInModule.length > 0
+      ? Math.round((passedQuizzesCount / allQuizzesInModule.length) * 100)
+      : 0;
     
     console.log(`📈 Module completion: ${moduleProgress.completionPercentage}%`);
     console.log('✅ Quiz completion processed successfully');
@@ -345,6 +414,70 @@ progressSchema.methods.completeQuiz = async function(quizId, attemptData) {
   }
 };
 
+// XP awarded per point earned, only on the first passing attempt of a quiz
+const XP_PER_POINT = 10;
+
+// Method to record a server-graded attempt and then run the unlock logic.
+// `grading` is the result of gradeAnswers() in lib/quizGrader.js.
+progressSchema.methods.recordQuizAttempt = async function(quiz, grading, { timeSpent = 0, questionTimes = [], session } = {}) {
+  const quizIdStr = quiz._id.toString();
+
+  const previousAttempts = this.quizAttempts.filter(
+    attempt => attempt.quiz.toString() === quizIdStr
+  ).length;
+
+  const moduleProgress = this.moduleProgress.find(
+    mp => mp.module.toString() === quiz.module.toString()
+  );
+  const existingCompletion = moduleProgress?.completedQuizzes.find(
+    cq => cq.quiz.toString() === quizIdStr
+  );
+
+  const isFirstPass = grading.passed && !existingCompletion?.everPassed;
+  const xpEarned = isFirstPass ? Math.round(grading.earnedPoints * XP_PER_POINT) : 0;
+
+  this.quizAttempts.push({
+    quiz: quiz._id,
+    module: quiz.module,
+    attemptNumber: previousAttempts + 1,
+    score: grading.percentage,
+    totalQuestions: grading.totalQuestions,
+    correctAnswers: grading.correctAnswers,
+    timeSpent,
+    session: session?._id,
+    answers: grading.questionResults.map(result => ({
+      questionIndex: result.questionIndex,
+      questionId: result.questionId,
+      sourceQuiz: result.sourceQuiz,
+      sourceIndex: result.sourceIndex,
+      bankQuestion: result.bankQuestion,
+      bankVersion: result.bankVersion,
+      optionOrder: result.optionOrder,
+      userAnswer: result.userAnswer,
+      isCorrect: result.isCorrect,
+      points: result.points,
+      maxPoints: result.maxPoints,
+      timeSpent: questionTimes[result.questionIndex]
+    })),
+    passed: grading.passed,
+    xpEarned,
+    completedAt: new Date()
+  });
+
+  await this.completeQuiz(quiz._id, { score: grading.percentage });
+
+  if (xpEarned > 0) {
+    const updatedModuleProgress = this.moduleProgress.find(
+      mp => mp.module.toString() === quiz.module.toString()
+    );
+    if (updatedModuleProgress) {
+      updatedModuleProgress.totalXP = (updatedModuleProgress.totalXP || 0) + xpEarned;
+    }
+  }
+
+  return this.quizAttempts[this.quizAttempts.length - 1];
+};
+
 // Method to calculate module final score
 progressSchema.methods.calculateModuleFinalScore = function(moduleId) {
   const moduleProgress = this.moduleProgress.find(mp => mp.module.toString() === moduleId.toString());
@@ -359,6 +492,42 @@ progressSchema.methods.isModuleUnlocked = function(moduleId) {
   return this.globalProgress.unlockedModules.some(id => id.toString() === moduleId.toString());
 };
 
+// Method to record that the student opened a lesson, and mark it as read
+// with `completed`. The lesson's module has to be unlocked already.
+progressSchema.methods.recordLessonView = function(lesson, completed = false) {
+  let moduleProgress = this.moduleProgress.find(mp => mp.module.toString() === lesson.module.toString());
+  if (!moduleProgress) {
+    this.moduleProgress.push({
+      module: lesson.module,
+      status: 'unlocked',
+      unlockedQuizzes: [],
+      completedQuizzes: []
+    });
+    moduleProgress = this.moduleProgress[this.moduleProgress.length - 1];
+  }
+  
+  const now = new Date();
+  let lessonProgress = moduleProgress.lessons.find(lp => lp.lesson.toString() === lesson._id.toString());
+  if (!lessonProgress) {
+    moduleProgress.lessons.push({ lesson: lesson._id, status: 'viewed', viewedAt: now });
+    lessonProgress = moduleProgress.lessons[moduleProgress.lessons.length - 1];
+  }
+  
+  if (completed && lessonProgress.status !== 'completed') {
+    lessonProgress.status = 'completed';
+    lessonProgress.completedAt = now;
+  }
+  
+  return lessonProgress;
+};
+
+// Method to check if the student has read a lesson
+progressSchema.methods.isLessonCompleted = function(lessonId) {
+  return this.moduleProgress.some(mp =>
+    mp.lessons.some(lp => lp.lesson.toString() === lessonId.toString() && lp.status === 'completed')
+  );
+};
+
 // Method to check if quiz is unlocked for user
 progressSchema.methods.isQuizUnlocked = function(quizId) {
   // Convert to string for comparison
@@ -394,9 +563,16 @@ progressSchema.methods.isQuizUnlockedAsync = async function(quizId) {
     
     console.log(`🎯 Checking quiz unlock: ${quiz.title}, Order: ${quiz.order}`);
     
-    // ✅ ALWAYS unlock quiz with order 1 (first quiz in module)
-    if (quiz.order === 1) {
-      console.log('✅ Quiz order 1 - automatically unlocked');
+    // Drafts and archived quizzes are never open to students
+    if (quiz.status !== 'published') {
+      console.log('🔒 Quiz is not published');
+      return false;
+    }
+    
+    // ✅ ALWAYS unlock the first published quiz in the module
+    const firstQuiz = await findFirstPublishedQuiz(quiz.module);
+    if (firstQuiz && firstQuiz._id.toString() === quiz._id.toString()) {
+      console.log('✅ First quiz in module - automatically unlocked');
       return true;
     }
     
@@ -447,23 +623,27 @@ progressSchema.methods.recalculateCompletionPercentage = async function(moduleId
     if (!moduleProgress) return;
     
     // Get all existing quizzes for this module
-    const moduleQuizzes = await Quiz.find({ module: moduleId });
+    const moduleQuizzes = await Quiz.find({ module: moduleId }).sort({ order: 1 });
     
     // Filter out completed quizzes that reference non-existent quizzes
+    // (archived quizzes still exist, so their results are kept)
     const validQuizIds = moduleQuizzes.map(q => q._id.toString());
     
     moduleProgress.completedQuizzes = moduleProgress.completedQuizzes.filter(
       cq => validQuizIds.includes(cq.quiz.toString())
     );
     
-    // Count quizzes that were ever passed
+    // Count published quizzes that were ever passed
+    const publishedQuizIds = moduleQuizzes
+      .filter(q => q.status === 'published')
+      .map(q => q._id.toString());
     const passedQuizCount = moduleProgress.completedQuizzes.filter(
-      cq => cq.everPassed
+      cq => cq.everPassed && publishedQuizIds.includes(cq.quiz.toString())
     ).length;
     
     // Calculate percentage
-    moduleProgress.completionPercentage = moduleQuizzes.length > 0
-      ? Math.round((passedQuizCount / moduleQuizzes.length) * 100)
+    moduleProgress.completionPercentage = publishedQuizIds.length > 0
+      ? Math.round((passedQuizCount / publishedQuizIds.length) * 100)
       : 0;
       
     // Also update unlocked quizzes to only include existing ones
@@ -489,9 +669,9 @@ progressSchema.methods.recalculateCompletionPercentage = async function(moduleId
 // Add to the Progress model
 progressSchema.methods.ensureDefaultAccess = async function() {
   try {
-    // Ensure first module is unlocked
-    const Module = mongoose.model('Module');
-    const firstModule = await Module.findOne({ order: 1 });
+    // Ensure first module without prerequisites is unlocked
+    const graph = await loadUserModuleGraph(this.user);
+    const [firstModule] = entryModules(graph);
     
     if (!firstModule) return;
     
@@ -511,12 +691,8 @@ progressSchema.methods.ensureDefaultAccess = async function() {
     );
     
     if (!firstModuleProgress) {
-      // Get first quiz in the module
-      const Quiz = mongoose.model('Quiz');
-      const firstQuiz = await Quiz.findOne({ 
-        module: firstModule._id,
-        order: 1 
-      });
+      // Get first published quiz in the module
+      const firstQuiz = await findFirstPublishedQuiz(firstModule._id);
       
       // Create module progress
       firstModuleProgress = {
@@ -536,6 +712,12 @@ progressSchema.methods.ensureDefaultAccess = async function() {
       needsSaving = true;
     }
     
+    // Other entry points and modules whose prerequisites are met
+    const unlockedModules = await this.unlockAvailableModules(graph);
+    if (unlockedModules.length > 0) {
+      needsSaving = true;
+    }
+    
     // Save if changes were made
     if (needsSaving) {
       await this.save();
@@ -0,0 +1,107 @@
+import mongoose from "mongoose";
+import { questionFields } from "./Quiz.js";
+
+// Fields that make up a question's content; a change to any of them creates a new version
+export const QUESTION_CONTENT_FIELDS = Object.keys(questionFields);
+
+// JSON of a content snapshot without subdocument ids, to tell real edits apart
+const comparableContent = (content) =>
+  JSON.stringify(content, (key, value) => key === '_id' ? undefined : value);
+
+const questionSchema = new mongoose.Schema({
+  ...questionFields,
+
+  difficulty: {
+    ...questionFields.difficulty,
+    default: 'medium'
+  },
+
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Optional module the question was written for, used to filter the bank
+  module: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Module'
+  },
+
+  // Current version; starts at 1 and increases with every content change
+  version: {
+    type: Number,
+    default: 1
+  },
+
+  // Content of every earlier version, oldest first
+  revisions: [{
+    version: Number,
+    content: mongoose.Schema.Types.Mixed,
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    editedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  lastEditedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+questionSchema.index({ tags: 1 });
+questionSchema.index({ questionType: 1, difficulty: 1 });
+
+// The question's content as a plain object, without bank metadata
+questionSchema.methods.contentSnapshot = function() {
+  const object = this.toObject();
+  return Object.fromEntries(
+    QUESTION_CONTENT_FIELDS
+      .filter(field => object[field] !== undefined)
+      .map(field => [field, object[field]])
+  );
+};
+
+// Content of a given version, or null if there is no such version
+questionSchema.methods.contentAtVersion = function(version) {
+  if (version === undefined || version === null || version === this.version) {
+    return this.contentSnapshot();
+  }
+  const revision = this.revisions.find(r => r.version === version);
+  return revision ? revision.content : null;
+};
+
+// Apply new content, keeping the current content as a revision when it changes
+questionSchema.methods.applyContentUpdate = function(updates, editorId) {
+  const previous = this.contentSnapshot();
+
+  for (const field of QUESTION_CONTENT_FIELDS) {
+    if (updates[field] !== undefined) {
+      this.set(field, updates[field]);
+    }
+  }
+
+  const changed = comparableContent(previous) !== comparableContent(this.contentSnapshot());
+  if (changed) {
+    this.revisions.push({ version: this.version, content: previous, editedBy: editorId });
+    this.version += 1;
+  }
+  this.lastEditedBy = editorId;
+
+  return changed;
+};
+
+const Question = mongoose.model("Question", questionSchema);
+
+export default Question;
@@ -1,4 +1,143 @@
 import mongoose from "mongoose";
+import { PUBLISH_STATUSES } from "../lib/visibility.js";
+
+// Scoring policies each question type may use
+export const SCORING_POLICIES = {
+  multipleChoice: ['allOrNothing', 'negativeMarking'],
+  fillInBlanks: ['allOrNothing', 'proportional'],
+  codeOrdering: ['allOrNothing', 'subsequence'],
+  codeSimulation: ['allOrNothing'],
+  codeImplementation: ['allOrNothing', 'proportional']
+};
+
+// Fields shared by questions embedded in a quiz and bank questions (models/Question.js)
+export const questionFields = {
+  questionType: {
+    type: String,
+    enum: ['multipleChoice', 'fillInBlanks', 'codeSimulation', 'codeImplementation', 'codeOrdering'],
+    required: true
+  },
+  question: {
+    type: String,
+    required: true
+  },
+  points: {
+    type: Number,
+    default: 1
+  },
+  // Used by assembly rules; falls back to the quiz difficulty
+  difficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard']
+  },
+  // How partially correct answers are scored:
+  // proportional - credit per correct blank (fillInBlanks) or per
+  //   passing test case weight (codeImplementation)
+  // subsequence - longest correctly ordered run of blocks (codeOrdering)
+  // negativeMarking - wrong picks cancel right ones (multipleChoice)
+  scoringPolicy: {
+    type: String,
+    enum: ['allOrNothing', 'proportional', 'subsequence', 'negativeMarking'],
+    default: 'allOrNothing',
+    validate: {
+      validator: function(policy) {
+        return (SCORING_POLICIES[this.questionType] || ['allOrNothing']).includes(policy);
+      },
+      message: props => `Scoring policy ${props.value} is not available for this question type`
+    }
+  },
+  // For multiple choice questions
+  options: [{
+    text: String,
+    isCorrect: Boolean
+  }],
+  // For fill in the blanks
+  // A blank is correct when the answer matches `answer`, any of the
+  // `alternatives`, any of the `patterns`, or `numeric` within tolerance.
+  // Answers are trimmed and whitespace-collapsed before comparing.
+  blanks: [{
+    position: Number,
+    answer: String,
+    alternatives: [String],
+    patterns: [String], // regular expressions matched against the whole answer
+    caseSensitive: {
+      type: Boolean,
+      default: false
+    },
+    ignorePunctuation: {
+      type: Boolean,
+      default: false
+    },
+    numeric: {
+      value: Number,
+      tolerance: {
+        type: Number,
+        default: 0
+      }
+    }
+  }],
+  // For code simulation and implementation
+  codeTemplate: String,
+  expectedOutput: String,
+  correctAnswer: String,
+  // How program output is compared for codeSimulation answers and
+  // codeImplementation test cases (see lib/outputComparison.js).
+  // All off means an exact comparison.
+  outputComparison: {
+    trimTrailingWhitespace: {
+      type: Boolean,
+      default: false
+    },
+    ignoreBlankLines: {
+      type: Boolean,
+      default: false
+    },
+    caseInsensitive: {
+      type: Boolean,
+      default: false
+    },
+    unorderedLines: {
+      type: Boolean,
+      default: false
+    },
+    numericTolerance: {
+      type: Number,
+      min: 0
+    }
+  },
+  // For code implementation: the student's code is run against each test
+  // case (stdin -> expected stdout) by lib/codeRunner.js
+  language: {
+    type: String,
+    enum: ['javascript', 'python'],
+    default: 'javascript'
+  },
+  testCases: [{
+    input: {
+      type: String,
+      default: ''
+    },
+    expectedOutput: {
+      type: String,
+      required: true
+    },
+    hidden: {
+      type: Boolean,
+      default: false
+    },
+    weight: {
+      type: Number,
+      default: 1,
+      min: 0
+    }
+  }],
+  // For code ordering
+  codeBlocks: [{
+    code: String,
+    correctPosition: Number
+  }],
+  explanation: String
+};
 
 const quizSchema = new mongoose.Schema({
   title: {
@@ -12,6 +151,11 @@ const quizSchema = new mongoose.Schema({
   image: {
     type: String
   },
+  // Resized copies of the image (see lib/images.js)
+  imageVariants: {
+    thumbnail: String,
+    card: String
+  },
   module: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "Module",
@@ -30,45 +174,82 @@ const quizSchema = new mongoose.Schema({
     type: Number,
     default: 70 // Default passing score 70%
   },
-  questions: [{
-    questionType: {
-      type: String,
-      enum: ['multipleChoice', 'fillInBlanks', 'codeSimulation', 'codeImplementation', 'codeOrdering'],
-      required: true
-    },
+  questions: [questionFields],
+  // Questions used from the question bank. Without a version the latest
+  // version is delivered; attempts snapshot the version they were given.
+  questionRefs: [{
     question: {
-      type: String,
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Question",
       required: true
     },
-    points: {
-      type: Number,
-      default: 1
+    version: Number
+  }],
+  // How each attempt's questions are assembled (see lib/quizAssembly.js).
+  // Without rules every question in the pool is delivered.
+  assembly: {
+    // 'quiz' draws from this quiz's questions, 'module' from every quiz in the module
+    source: {
+      type: String,
+      enum: ['quiz', 'module'],
+      default: 'quiz'
     },
-    // For multiple choice questions
-    options: [{
-      text: String,
-      isCorrect: Boolean
-    }],
-    // For fill in the blanks
-    blanks: [{
-      position: Number,
-      answer: String
-    }],
-    // For code simulation and implementation
-    codeTemplate: String,
-    expectedOutput: String,
-    correctAnswer: String,
-    // For code ordering
-    codeBlocks: [{
-      code: String,
-      correctPosition: Number
+    rules: [{
+      difficulty: {
+        type: String,
+        enum: ['easy', 'medium', 'hard'],
+        required: true
+      },
+      count: {
+        type: Number,
+        required: true,
+        min: 1
+      }
     }],
-    explanation: String
-  }],
+    shuffleQuestions: {
+      type: Boolean,
+      default: true
+    },
+    // Shuffle multipleChoice options and codeOrdering blocks
+    shuffleOptions: {
+      type: Boolean,
+      default: false
+    }
+  },
     order: {
     type: Number,
     required: true
   },
+  // Draft quizzes are hidden from students and skipped by the unlock engine
+  // (see lib/visibility.js)
+  status: {
+    type: String,
+    enum: PUBLISH_STATUSES,
+    default: 'draft'
+  },
+  publishedAt: Date,
+  // Quiz this one was copied from (see lib/cloning.js)
+  clonedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Quiz"
+  },
+  // Keep the quiz locked until the student completed the lesson before it
+  // (see lib/lessons.js)
+  requiresLesson: {
+    type: Boolean,
+    default: false
+  },
+  // Optional window in which students can see and take the quiz
+  availableFrom: Date,
+  availableUntil: {
+    type: Date,
+    validate: {
+      validator: function(until) {
+        return !until || !this.availableFrom || until > this.availableFrom;
+      },
+      message: "availableUntil must be after availableFrom"
+    }
+  },
   
 }, { timestamps: true });
 
@@ -76,7 +257,7 @@ quizSchema.index({ module: 1, order: 1 }, { unique: true });
 
 // Virtual field for total number of questions
 quizSchema.virtual('totalQuestions').get(function() {
-  return this.questions.length;
+  return this.questions.length + (this.questionRefs?.length || 0);
 });
 
 // Pre-save middleware to update the parent module
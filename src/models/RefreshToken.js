@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+
+// A refresh token, stored as a SHA-256 hash. Every login starts a family;
+// each refresh uses up the presented token and adds its successor to the
+// same family. A used or revoked token coming back means it was copied, so
+// the whole family is revoked (see lib/authTokens.js). Access tokens carry
+// the family id and stop working once it is revoked.
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  family: {
+    type: String,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // User.tokenVersion when the token was issued
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Set when the token was exchanged for its successor
+  usedAt: Date,
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'reuse', 'admin', 'password_reset', 'account_change']
+  },
+  createdByIp: String,
+  userAgent: String
+}, { timestamps: true });
+
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ user: 1 });
+// Expired tokens are removed by MongoDB, a day late so reuse is still caught right after expiry
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
+
+export default RefreshToken;
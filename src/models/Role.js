@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+// A named group of permissions (see lib/permissions.js). Users get a role
+// through User.privilege. The built-in roles are defined in code; a document
+// with a built-in role's name overrides its description and permissions.
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Role name is required"],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9_]{1,31}$/, "Role name must be 2-32 lowercase letters, digits or underscores, starting with a letter"]
+  },
+  description: {
+    type: String,
+    default: ""
+  },
+  permissions: [{
+    type: String,
+    trim: true
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  }
+}, { timestamps: true });
+
+const Role = mongoose.model("Role", roleSchema);
+
+export default Role;
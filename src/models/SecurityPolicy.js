@@ -0,0 +1,18 @@
+import mongoose from "mongoose";
+
+// Deployment-wide security settings, edited by admins. There is a single
+// document, see lib/securityPolicy.js.
+const securityPolicySchema = new mongoose.Schema({
+  // Roles (by name) that cannot use the API until they set up two-factor authentication
+  requireTwoFactorFor: [{
+    type: String
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  }
+}, { timestamps: true });
+
+const SecurityPolicy = mongoose.model("SecurityPolicy", securityPolicySchema);
+
+export default SecurityPolicy;
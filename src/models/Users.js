@@ -1,5 +1,6 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import { getRole, DEFAULT_ROLE } from "../lib/permissions.js";
 
 const userSchema = new mongoose.Schema({
     username: {
@@ -17,21 +18,80 @@ const userSchema = new mongoose.Schema({
         required: true,
         minlength: 8
     },
+    // Confirmed through the link sent on registration (see lib/accountTokens.js)
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
+    emailVerifiedAt: Date,
     profileImage: {
         type: String,
         default:""
     },
+    // Resized copies of an uploaded profile picture (see lib/images.js)
+    profileImageVariants: {
+        thumbnail: String,
+        card: String
+    },
     section: {
         type: String,
         required: true,
         enum: ['no_section'],
         default: 'no_section'
     },
+    // Name of the user's role (see lib/permissions.js)
     privilege: {
     type: String,
-    enum: ['student', 'instructor', 'admin'],
     required: true,
-    default: 'student'
+    default: DEFAULT_ROLE,
+    validate: {
+        validator: async (name) => Boolean(await getRole(name)),
+        message: (props) => `Unknown role "${props.value}"`
+    }
+    },
+    // Deactivated accounts cannot log in or use the API
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    // Access and refresh tokens carry the version they were issued under;
+    // bumping it ends every session (see lib/authTokens.js)
+    tokenVersion: {
+        type: Number,
+        default: 0
+    },
+    passwordChangedAt: Date,
+    // TOTP two-factor authentication (see lib/twoFactor.js). Secrets are
+    // stored encrypted and recovery codes hashed; neither is loaded unless
+    // selected explicitly.
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        enabledAt: Date,
+        secret: {
+            type: String,
+            select: false
+        },
+        // Secret being set up, until a code from it is confirmed
+        pendingSecret: {
+            type: String,
+            select: false
+        },
+        // Last time step a code was accepted for; codes are single use
+        lastUsedStep: {
+            type: Number,
+            select: false
+        },
+        recoveryCodes: {
+            type: [{
+                codeHash: String,
+                usedAt: Date,
+                _id: false
+            }],
+            select: false
+        }
     },
 
 
@@ -70,8 +130,15 @@ const userSchema = new mongoose.Schema({
 
 userSchema.pre("save", async function(next) {
 
+    // A new password or role, or deactivation, signs the user out everywhere
+    const deactivated = this.isModified("isActive") && !this.isActive;
+    if (!this.isNew && (this.isModified("password") || this.isModified("privilege") || deactivated)) {
+        this.tokenVersion += 1;
+    }
+
     if(!this.isModified("password")) return next();
 
+    this.passwordChangedAt = new Date();
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
 
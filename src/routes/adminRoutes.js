@@ -0,0 +1,371 @@
+import express from "express";
+import mongoose from "mongoose";
+import User from "../models/Users.js";
+import { protectRoute, requirePermission } from "../middleware/auth.middleware.js";
+import { storageDriver } from "../lib/storage/index.js";
+import { findOrphanedMedia, collectOrphanedMedia } from "../lib/orphanedMedia.js";
+import { listLockedAccounts, unlockAccount } from "../lib/loginThrottle/index.js";
+import { getSecurityPolicy, updateSecurityPolicy } from "../lib/securityPolicy.js";
+import { disableTwoFactor } from "../lib/twoFactor.js";
+import { revokeUserSessions, signOutEverywhere } from "../lib/authTokens.js";
+import {
+  PERMISSIONS,
+  getRoles,
+  getRole,
+  saveRole,
+  deleteRole,
+  unknownPermissions,
+  BUILT_IN_ROLES,
+  FIXED_ROLES
+} from "../lib/permissions.js";
+
+const router = express.Router();
+
+// Helper function to read ?graceHours=; undefined falls back to MEDIA_GC_GRACE_HOURS
+const parseGraceHours = (value) => {
+  if (value === undefined) return { graceHours: undefined };
+  const graceHours = Number(value);
+  if (!Number.isFinite(graceHours) || graceHours < 0) {
+    return { error: "graceHours must be a number of hours, 0 or more" };
+  }
+  return { graceHours };
+};
+
+/**
+ * @route   GET /api/admin/media/orphans
+ * @desc    Stored media the cleanup job would delete (?graceHours= overrides the grace period)
+ * @access  Private/admin
+ */
+router.get("/media/orphans", protectRoute, requirePermission('media:manage'), async (req, res) => {
+  try {
+    const { graceHours, error } = parseGraceHours(req.query.graceHours);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const report = await findOrphanedMedia({ graceHours });
+    res.json({ driver: storageDriver(), ...report });
+  } catch (error) {
+    console.error("Error finding orphaned media:", error);
+    res.status(500).json({ message: "Failed to list orphaned media" });
+  }
+});
+
+/**
+ * @route   POST /api/admin/media/orphans/collect
+ * @desc    Run the orphaned media cleanup now (body: { graceHours })
+ * @access  Private/admin
+ */
+router.post("/media/orphans/collect", protectRoute, requirePermission('media:manage'), async (req, res) => {
+  try {
+    const { graceHours, error } = parseGraceHours(req.body?.graceHours);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const { orphans, ...result } = await collectOrphanedMedia({ graceHours });
+    console.log(`🧹 ${req.user.username} deleted ${result.deleted.length} orphaned media files`);
+    res.json({
+      driver: storageDriver(),
+      message: `Deleted ${result.deleted.length} of ${orphans.length} orphaned files`,
+      ...result
+    });
+  } catch (error) {
+    console.error("Error collecting orphaned media:", error);
+    res.status(500).json({ message: "Failed to delete orphaned media" });
+  }
+});
+
+/**
+ * @route   GET /api/admin/locked-accounts
+ * @desc    Accounts locked after too many failed logins, with the user when the email has one
+ * @access  Private/admin
+ */
+router.get("/locked-accounts", protectRoute, requirePermission('security:manage'), async (req, res) => {
+  try {
+    const locked = await listLockedAccounts();
+
+    // Emails are counted lowercased, registration kept them as typed
+    const users = await User.find({ email: { $in: locked.map(account => account.email) } })
+      .collation({ locale: 'en', strength: 2 })
+      .select('username email privilege');
+    const userByEmail = new Map(users.map(user => [user.email.toLowerCase(), user]));
+
+    res.json({
+      accounts: locked.map(account => ({
+        ...account,
+        user: userByEmail.get(account.email) ?? null
+      }))
+    });
+  } catch (error) {
+    console.error("Error listing locked accounts:", error);
+    res.status(500).json({ message: "Failed to list locked accounts" });
+  }
+});
+
+/**
+ * @route   POST /api/admin/users/:id/unlock
+ * @desc    Lift a login lockout and clear the account's failed attempts
+ * @access  Private/admin
+ */
+router.post("/users/:id/unlock", protectRoute, requirePermission('security:manage'), async (req, res) => {
+  try {
+    const user = mongoose.Types.ObjectId.isValid(req.params.id) ? await User.findById(req.params.id) : null;
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const wasLocked = await unlockAccount(user.email);
+    console.log(`🔓 ${req.user.username} unlocked ${user.username}`);
+    res.json({
+      message: wasLocked ? "Account unlocked" : "Account was not locked",
+      wasLocked
+    });
+  } catch (error) {
+    console.error("Error unlocking account:", error);
+    res.status(500).json({ message: "Failed to unlock account" });
+  }
+});
+
+/**
+ * @route   GET /api/admin/security-policy
+ * @desc    Deployment-wide security settings
+ * @access  Private/admin
+ */
+router.get("/security-policy", protectRoute, requirePermission('security:manage'), async (req, res) => {
+  try {
+    const { requireTwoFactorFor, updatedAt } = await getSecurityPolicy();
+    res.json({ requireTwoFactorFor, updatedAt: updatedAt ?? null, roles: [...(await getRoles()).keys()] });
+  } catch (error) {
+    console.error("Error fetching security policy:", error);
+    res.status(500).json({ message: "Failed to fetch security policy" });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/security-policy
+ * @desc    Update the security settings (body: { requireTwoFactorFor: [roles] }).
+ *          Users of a listed role without two-factor authentication are sent
+ *          to set it up before they can use the rest of the API.
+ * @access  Private/admin
+ */
+router.put("/security-policy", protectRoute, requirePermission('security:manage'), async (req, res) => {
+  try {
+    const { requireTwoFactorFor } = req.body ?? {};
+    const roles = [...(await getRoles()).keys()];
+    if (!Array.isArray(requireTwoFactorFor) || requireTwoFactorFor.some(role => !roles.includes(role))) {
+      return res.status(400).json({ message: `requireTwoFactorFor must be a list of roles: ${roles.join(', ')}` });
+    }
+
+    const policy = await updateSecurityPolicy({ requireTwoFactorFor: [...new Set(requireTwoFactorFor)] }, req.user);
+    console.log(`🛡️ ${req.user.username} now requires two-factor authentication for: ${policy.requireTwoFactorFor.join(', ') || 'nobody'}`);
+    res.json({
+      message: "Security policy updated",
+      requireTwoFactorFor: policy.requireTwoFactorFor,
+      updatedAt: policy.updatedAt
+    });
+  } catch (error) {
+    console.error("Error updating security policy:", error);
+    res.status(500).json({ message: "Failed to update security policy" });
+  }
+});
+
+/**
+ * @route   POST /api/admin/users/:id/2fa/reset
+ * @desc    Turn off a user's two-factor authentication (e.g. a lost phone
+ *          and recovery codes) and sign them out everywhere
+ * @access  Private/admin
+ */
+router.post("/users/:id/2fa/reset", protectRoute, requirePermission('security:manage'), async (req, res) => {
+  try {
+    const user = mongoose.Types.ObjectId.isValid(req.params.id) ? await User.findById(req.params.id) : null;
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not on for this user" });
+    }
+
+    disableTwoFactor(user);
+    await user.save();
+    await revokeUserSessions(user._id, 'admin');
+
+    console.log(`🔓 ${req.user.username} reset two-factor authentication for ${user.username}`);
+    res.json({ message: "Two-factor authentication turned off; the user has to log in again" });
+  } catch (error) {
+    console.error("Error resetting two-factor authentication:", error);
+    res.status(500).json({ message: "Failed to reset two-factor authentication" });
+  }
+});
+
+/**
+ * @route   POST /api/admin/users/:id/sign-out
+ * @desc    Sign a user out everywhere: every access and refresh token they hold stops working
+ * @access  Private/admin
+ */
+router.post("/users/:id/sign-out", protectRoute, requirePermission('security:manage'), async (req, res) => {
+  try {
+    const user = mongoose.Types.ObjectId.isValid(req.params.id) ? await User.findById(req.params.id) : null;
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const revokedTokens = await signOutEverywhere(user._id, 'admin');
+    console.log(`🚪 ${req.user.username} signed ${user.username} out everywhere`);
+    res.json({ message: "User signed out everywhere", revokedTokens });
+  } catch (error) {
+    console.error("Error signing user out:", error);
+    res.status(500).json({ message: "Failed to sign user out" });
+  }
+});
+
+// Helper function to check the fields of a role; returns an error message or null
+const checkRoleFields = ({ description, permissions }) => {
+  if (description !== undefined && typeof description !== 'string') {
+    return "description must be text";
+  }
+  if (permissions !== undefined) {
+    if (!Array.isArray(permissions)) {
+      return "permissions must be a list of permission names";
+    }
+    const unknown = unknownPermissions(permissions);
+    if (unknown.length > 0) {
+      return `Unknown permissions: ${unknown.join(', ')}`;
+    }
+  }
+  return null;
+};
+
+// Helper function to add how many users have each role
+const withUserCounts = async (roles) => {
+  const counts = await User.aggregate([{ $group: { _id: '$privilege', users: { $sum: 1 } } }]);
+  const countByRole = new Map(counts.map(count => [count._id, count.users]));
+  return roles.map(role => ({ ...role, users: countByRole.get(role.name) ?? 0 }));
+};
+
+/**
+ * @route   GET /api/admin/permissions
+ * @desc    Every permission roles can grant, with what it allows
+ * @access  Private/admin
+ */
+router.get("/permissions", protectRoute, requirePermission('role:manage'), (req, res) => {
+  res.json({
+    permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+  });
+});
+
+/**
+ * @route   GET /api/admin/roles
+ * @desc    Every role with its permissions and how many users have it
+ * @access  Private/admin
+ */
+router.get("/roles", protectRoute, requirePermission('role:manage'), async (req, res) => {
+  try {
+    res.json({ roles: await withUserCounts([...(await getRoles()).values()]) });
+  } catch (error) {
+    console.error("Error listing roles:", error);
+    res.status(500).json({ message: "Failed to list roles" });
+  }
+});
+
+/**
+ * @route   POST /api/admin/roles
+ * @desc    Create a role (body: { name, description, permissions })
+ * @access  Private/admin
+ */
+router.post("/roles", protectRoute, requirePermission('role:manage'), async (req, res) => {
+  try {
+    const { name, description = "", permissions = [] } = req.body ?? {};
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ message: "Role name is required" });
+    }
+    const fieldError = checkRoleFields({ description, permissions });
+    if (fieldError) {
+      return res.status(400).json({ message: fieldError });
+    }
+
+    const roleName = name.trim().toLowerCase();
+    if (await getRole(roleName)) {
+      return res.status(409).json({ message: "A role with this name already exists" });
+    }
+
+    const role = await saveRole(roleName, { description, permissions }, req.user);
+    console.log(`🛡️ ${req.user.username} created role ${role.name}`);
+    res.status(201).json({ message: "Role created successfully", role });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Error creating role:", error);
+    res.status(500).json({ message: "Failed to create role" });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/roles/:name
+ * @desc    Change a role's description or permissions; built-in roles other
+ *          than admin can be changed too
+ * @access  Private/admin
+ */
+router.put("/roles/:name", protectRoute, requirePermission('role:manage'), async (req, res) => {
+  try {
+    const { description, permissions } = req.body ?? {};
+
+    if (!(await getRole(req.params.name))) {
+      return res.status(404).json({ message: "Role not found" });
+    }
+    if (FIXED_ROLES.includes(req.params.name)) {
+      return res.status(400).json({ message: "This role always has every permission and cannot be changed" });
+    }
+    const fieldError = checkRoleFields({ description, permissions });
+    if (fieldError) {
+      return res.status(400).json({ message: fieldError });
+    }
+
+    const role = await saveRole(req.params.name, { description, permissions }, req.user);
+    console.log(`🛡️ ${req.user.username} updated role ${role.name}`);
+    res.json({ message: "Role updated successfully", role });
+  } catch (error) {
+    console.error("Error updating role:", error);
+    res.status(500).json({ message: "Failed to update role" });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/roles/:name
+ * @desc    Delete a role nobody has. A built-in role is not deleted but put
+ *          back to its default permissions.
+ * @access  Private/admin
+ */
+router.delete("/roles/:name", protectRoute, requirePermission('role:manage'), async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    if (!(await getRole(name))) {
+      return res.status(404).json({ message: "Role not found" });
+    }
+    if (FIXED_ROLES.includes(name)) {
+      return res.status(400).json({ message: "This role cannot be changed" });
+    }
+
+    const builtIn = Object.hasOwn(BUILT_IN_ROLES, name);
+    if (!builtIn) {
+      const users = await User.countDocuments({ privilege: name });
+      if (users > 0) {
+        return res.status(409).json({ message: "Give the users with this role another role first", users });
+      }
+    }
+
+    await deleteRole(name);
+    console.log(`🛡️ ${req.user.username} ${builtIn ? 'reset' : 'deleted'} role ${name}`);
+    res.json({
+      message: builtIn ? "Role reset to its default permissions" : "Role deleted successfully",
+      role: builtIn ? await getRole(name) : null
+    });
+  } catch (error) {
+    console.error("Error deleting role:", error);
+    res.status(500).json({ message: "Failed to delete role" });
+  }
+});
+
+export default router;
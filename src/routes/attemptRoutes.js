@@ -0,0 +1,196 @@
+import express from "express";
+import mongoose from "mongoose";
+import Quiz from "../models/Quiz.js";
+import AttemptSession from "../models/AttemptSession.js";
+import { protectRoute } from "../middleware/auth.middleware.js";
+import { startAttempt, buildAttemptPayload, autoSubmitAttempt } from "../lib/attemptSessions.js";
+import { submitQuizAttempt, QuizSubmissionError, ATTEMPT_GRACE_SECONDS } from "../lib/quizSubmission.js";
+
+const router = express.Router();
+
+// Load an attempt owned by the current user, with its quiz
+async function loadOwnAttempt(req, res) {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ message: "Invalid attempt ID" });
+    return null;
+  }
+
+  const session = await AttemptSession.findOne({ _id: id, user: req.user.id });
+  if (!session) {
+    res.status(404).json({ message: "Attempt not found" });
+    return null;
+  }
+
+  const quiz = await Quiz.findById(session.quiz);
+  if (!quiz) {
+    res.status(404).json({ message: "Quiz not found" });
+    return null;
+  }
+
+  return { session, quiz };
+}
+
+function sendSubmissionResult(res, { grading, attempt, session, lateAnswersRefused, isinstructor }) {
+  res.json({
+    attemptId: session._id,
+    quizId: session.quiz,
+    score: {
+      earned: grading.earnedPoints,
+      total: grading.totalPoints,
+      percentage: grading.percentage
+    },
+    passed: grading.passed,
+    questionResults: grading.questionResults,
+    attemptNumber: attempt?.attemptNumber,
+    xpEarned: attempt?.xpEarned || 0,
+    timeSpent: session.elapsedSeconds(session.submittedAt),
+    autoSubmitted: session.autoSubmitted,
+    lateAnswersRefused: Boolean(lateAnswersRefused),
+    isinstructor,
+    completedAt: session.submittedAt
+  });
+}
+
+function handleAttemptError(res, error, fallbackMessage) {
+  if (error instanceof QuizSubmissionError) {
+    return res.status(error.statusCode).json({ message: error.message, debug: error.details });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ message: fallbackMessage });
+}
+
+/**
+ * @route   POST /api/attempts/quiz/:quizId/start
+ * @desc    Start an attempt (timed or assembled per attempt), or resume the open one
+ * @access  Private
+ */
+router.post("/quiz/:quizId/start", protectRoute, async (req, res) => {
+  try {
+    const { quizId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(quizId)) {
+      return res.status(400).json({ message: "Invalid quiz ID" });
+    }
+
+    const quiz = await Quiz.findById(quizId);
+    if (!quiz) {
+      return res.status(404).json({ message: "Quiz not found" });
+    }
+
+    const { session, resumed } = await startAttempt(req.user, quiz);
+
+    res.status(resumed ? 200 : 201).json({
+      resumed,
+      ...buildAttemptPayload(session, quiz)
+    });
+  } catch (error) {
+    handleAttemptError(res, error, "Failed to start attempt");
+  }
+});
+
+/**
+ * @route   GET /api/attempts/:id
+ * @desc    Resume an attempt after reconnecting: saved answers and remaining time
+ * @access  Private
+ */
+router.get("/:id", protectRoute, async (req, res) => {
+  try {
+    const loaded = await loadOwnAttempt(req, res);
+    if (!loaded) return;
+    const { session, quiz } = loaded;
+
+    // Out of time while disconnected - submit what was saved
+    if (session.status === 'in_progress' && session.isPastDeadline(ATTEMPT_GRACE_SECONDS)) {
+      const result = await autoSubmitAttempt(session, quiz);
+      if (result) {
+        return sendSubmissionResult(res, result);
+      }
+      const expired = await AttemptSession.findById(session._id);
+      return res.json(buildAttemptPayload(expired, quiz));
+    }
+
+    if (session.status === 'in_progress') {
+      session.lastSeenAt = new Date();
+      await session.save();
+    }
+
+    res.json(buildAttemptPayload(session, quiz));
+  } catch (error) {
+    handleAttemptError(res, error, "Failed to load attempt");
+  }
+});
+
+/**
+ * @route   PUT /api/attempts/:id/answers
+ * @desc    Save answers in progress, keyed by questionIndex
+ * @access  Private
+ */
+router.put("/:id/answers", protectRoute, async (req, res) => {
+  try {
+    const { answers } = req.body;
+
+    if (!answers || typeof answers !== 'object') {
+      return res.status(400).json({ message: "Invalid answers format" });
+    }
+
+    const loaded = await loadOwnAttempt(req, res);
+    if (!loaded) return;
+    const { session } = loaded;
+
+    if (session.status !== 'in_progress') {
+      return res.status(409).json({ message: "Attempt has already been submitted" });
+    }
+
+    if (session.isPastDeadline(ATTEMPT_GRACE_SECONDS)) {
+      return res.status(403).json({ message: "Time is up for this attempt" });
+    }
+
+    // Written only while the attempt is still open: a submission claims it
+    // (status submitting) before grading, and its answers must not change then
+    session.saveAnswers(answers);
+    const saved = await AttemptSession.findOneAndUpdate(
+      { _id: session._id, user: req.user.id, status: 'in_progress' },
+      { $set: { answers: session.answers, lastSeenAt: new Date() } },
+      { new: true }
+    );
+    if (!saved) {
+      return res.status(409).json({ message: "Attempt has already been submitted" });
+    }
+
+    res.json({
+      success: true,
+      savedAnswers: saved.answers.length,
+      remainingSeconds: saved.remainingSeconds()
+    });
+  } catch (error) {
+    handleAttemptError(res, error, "Failed to save answers");
+  }
+});
+
+/**
+ * @route   POST /api/attempts/:id/submit
+ * @desc    Submit an attempt. Late submissions auto-submit the saved answers.
+ * @access  Private
+ */
+router.post("/:id/submit", protectRoute, async (req, res) => {
+  try {
+    const loaded = await loadOwnAttempt(req, res);
+    if (!loaded) return;
+    const { session, quiz } = loaded;
+
+    const result = await submitQuizAttempt({
+      user: req.user,
+      quiz,
+      answers: req.body.answers,
+      attemptId: session._id
+    });
+
+    sendSubmissionResult(res, result);
+  } catch (error) {
+    handleAttemptError(res, error, "Failed to submit attempt");
+  }
+});
+
+export default router;
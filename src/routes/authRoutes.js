@@ -3,13 +3,37 @@ import User from "../models/Users.js";
 import Progress from "../models/Progress.js";
 import Module from "../models/Module.js";
 import Quiz from "../models/Quiz.js";
+import { findFirstPublishedQuiz } from "../lib/visibility.js";
+import { loadUserModuleGraph, entryModules } from "../lib/moduleGraph.js";
 
-import jwt from "jsonwebtoken";
-const router = express.Router();
+import {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserSessions,
+  signOutEverywhere,
+  AuthTokenError
+} from "../lib/authTokens.js";
+import { consumeAccountToken, sendPasswordResetEmail, sendVerificationEmail } from "../lib/accountTokens.js";
+import { protectRoute } from "../middleware/auth.middleware.js";
+import {
+  assertLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount,
+  LoginThrottleError
+} from "../lib/loginThrottle/index.js";
+import {
+  TWO_FACTOR_FIELDS,
+  TwoFactorError,
+  signLoginChallenge,
+  verifyLoginChallenge,
+  verifySecondFactor,
+  recoveryCodesLeft
+} from "../lib/twoFactor.js";
+import { isTwoFactorRequired } from "../lib/securityPolicy.js";
 
-const generateToken = (userId, privilege) => {
-    return jwt.sign({userId, privilege}, process.env.JWT_SECRET, {expiresIn: "15d"});
-}
+const router = express.Router();
 
 router.post("/register", async (req, res) => {
     try {
@@ -56,16 +80,26 @@ router.post("/register", async (req, res) => {
         // Auto-initialize progress for new user
         await initializeUserProgress(user._id);
 
-        const token = generateToken(user._id, user.privilege);
+        // The account works right away; a failed verification email can be resent later
+        try {
+            await sendVerificationEmail(user);
+        } catch (mailError) {
+            console.error("Error sending verification email:", mailError);
+        }
+
+        const { token, refreshToken, accessTokenExpiresAt } = await issueTokens(user, req);
 
         res.status(201).json({
             token,
+            refreshToken,
+            accessTokenExpiresAt,
             user:{
                 _id: user._id,
                 username: user.username,
                 email: user.email,
                 profileImage: user.profileImage,
-                privilege: user.privilege
+                privilege: user.privilege,
+                emailVerified: user.emailVerified
             }
         });
     } catch (error) {
@@ -74,6 +108,33 @@ router.post("/register", async (req, res) => {
     }
 });
 
+// Helper function to finish a login: clear the failed attempts, start a session and send it
+const completeLogin = async (req, res, user, extra = {}) => {
+  await recordLoginSuccess({ email: user.email });
+
+  // Short-lived access token plus a refresh token for /refresh
+  const { token, refreshToken, accessTokenExpiresAt } = await issueTokens(user, req);
+
+  res.json({
+    message: "Login successful",
+    token,
+    refreshToken,
+    accessTokenExpiresAt,
+    ...extra,
+    user: {
+      id: user._id,
+      username: user.username,
+      profileImage: user.profileImage,
+      profileImageVariants: user.profileImageVariants,
+      email: user.email,
+      privilege: user.privilege,
+      emailVerified: user.emailVerified,
+      twoFactorEnabled: user.twoFactor.enabled,
+      // ... other user fields
+    }
+  });
+};
+
 router.post("/login", async (req, res) => {
   try {
     const { email, password } = req.body;
@@ -82,37 +143,274 @@ router.post("/login", async (req, res) => {
         return res.status(400).json({message: "All fields are required"});
     }
 
+    // Objects would reach the query as operators and share one throttle key
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ message: "Email and password must be text" });
+    }
+
+    // Refuse early while the account or this client is backing off or locked
+    await assertLoginAllowed({ email, ip: req.ip });
+
     //check if user exists
     const user = await User.findOne({ email });
     
     if (!user || !(await user.comparePassword(password))) {
+      // Throws once this failure locks the account
+      await recordLoginFailure({ email, ip: req.ip, user });
       return res.status(400).json({ message: "Invalid credentials" });
     }
-    
-    // ✅ Include privilege in JWT payload
-    const token = jwt.sign(
-      { 
-        userId: user._id,
-        privilege: user.privilege // Include privilege in token
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" }
-    );
-    
+
+    if (!user.isActive) {
+      return res.status(403).json({ message: "This account has been deactivated" });
+    }
+
+    // With two-factor authentication the password only earns a challenge for /login/2fa
+    if (user.twoFactor.enabled) {
+      return res.json({
+        message: "Enter the code from your authenticator app",
+        twoFactorRequired: true,
+        challengeToken: signLoginChallenge(user)
+      });
+    }
+
+    await completeLogin(req, res, user, {
+      // The client should send the user to /api/auth/2fa/setup; other routes answer 403 until then
+      twoFactorSetupRequired: await isTwoFactorRequired(user.privilege)
+    });
+  } catch (error) {
+    if (error instanceof LoginThrottleError) {
+      res.set('Retry-After', String(error.retryAfterSeconds));
+      return res.status(error.statusCode).json({ message: error.message, retryAfter: error.retryAfterSeconds });
+    }
+    console.error("Login error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Second login step (body: { challengeToken, code } or { challengeToken, recoveryCode })
+ * @access  Public
+ */
+router.post("/login/2fa", async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body ?? {};
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ message: "A code or a recovery code is required" });
+    }
+
+    const { userId, tokenVersion } = verifyLoginChallenge(challengeToken);
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+    // The password or account may have changed since the first step
+    if (!user || !user.twoFactor.enabled || !user.isActive || tokenVersion !== user.tokenVersion) {
+      return res.status(401).json({ message: "Login has expired, please log in again" });
+    }
+
+    // Wrong codes count against the account like wrong passwords
+    await assertLoginAllowed({ email: user.email, ip: req.ip });
+
+    const method = verifySecondFactor(user, { code, recoveryCode });
+    if (!method) {
+      await recordLoginFailure({ email: user.email, ip: req.ip, user });
+      return res.status(400).json({ message: "Invalid code" });
+    }
+    // Remember the used code so it cannot be replayed
+    await user.save();
+
+    await completeLogin(req, res, user, method === 'recovery_code'
+      ? { recoveryCodesLeft: recoveryCodesLeft(user) }
+      : {});
+  } catch (error) {
+    if (error instanceof LoginThrottleError) {
+      res.set('Retry-After', String(error.retryAfterSeconds));
+      return res.status(error.statusCode).json({ message: error.message, retryAfter: error.retryAfterSeconds });
+    }
+    if (error instanceof TwoFactorError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Two-factor login error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access token and refresh token.
+ *          Each refresh token works once; replaying one signs out its session.
+ * @access  Public
+ */
+router.post("/refresh", async (req, res) => {
+  try {
+    const { user, token, refreshToken, accessTokenExpiresAt } = await rotateRefreshToken(req.body?.refreshToken, req);
+
     res.json({
-      message: "Login successful",
       token,
+      refreshToken,
+      accessTokenExpiresAt,
       user: {
         id: user._id,
         username: user.username,
-        profileImage: user.profileImage,
-        email: user.email,
-        privilege: user.privilege,
-        // ... other user fields
+        privilege: user.privilege
       }
     });
   } catch (error) {
-    console.error("Login error:", error);
+    if (error instanceof AuthTokenError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Refresh error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Sign out the session of a refresh token; its access tokens stop working too
+ * @access  Public
+ */
+router.post("/logout", async (req, res) => {
+  try {
+    const { refreshToken } = req.body ?? {};
+    if (!refreshToken) {
+      return res.status(400).json({ message: "Refresh token is required" });
+    }
+
+    // Unknown tokens get the same answer, logging out twice is not an error
+    await revokeRefreshToken(refreshToken);
+    res.json({ message: "Logged out" });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Sign out every session of the user, this one included
+ * @access  Private
+ */
+router.post("/logout-all", protectRoute, async (req, res) => {
+  try {
+    const revokedTokens = await signOutEverywhere(req.user.id, 'logout');
+    console.log(`🚪 ${req.user.username} signed out everywhere`);
+    res.json({ message: "Signed out everywhere", revokedTokens });
+  } catch (error) {
+    console.error("Logout everywhere error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a password reset link. The answer is the same whether or not
+ *          the address has an account, so it cannot be used to look them up.
+ * @access  Public
+ */
+router.post("/forgot-password", async (req, res) => {
+  try {
+    const { email } = req.body ?? {};
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({ message: "Email is required" });
+    }
+
+    // Registration kept addresses as typed, user management lowercases them
+    const user = await User.findOne({ email: { $in: [email.trim(), email.trim().toLowerCase()] } });
+    if (user) {
+      await sendPasswordResetEmail(user);
+    }
+
+    res.json({ message: "If an account exists for this email, a reset link has been sent" });
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password with the token from the reset email; signs out every session
+ * @access  Public
+ */
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { token, password } = req.body ?? {};
+
+    if (!password || typeof password !== 'string' || password.length < 8) {
+      return res.status(400).json({ message: "Password should be at least 8 characters long" });
+    }
+
+    const { user: userId } = await consumeAccountToken(token, 'password_reset');
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(400).json({ message: "This link is invalid or has expired" });
+    }
+
+    user.password = password;
+    // Getting the email proves the address belongs to them
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // Whoever knew the old password is signed out, and the owner can log in again right away
+    await revokeUserSessions(user._id, 'password_reset');
+    await unlockAccount(user.email);
+
+    res.json({ message: "Password has been reset, please log in" });
+  } catch (error) {
+    if (error instanceof AuthTokenError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Reset password error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Confirm the email address with the token from the verification email
+ * @access  Public
+ */
+router.post("/verify-email", async (req, res) => {
+  try {
+    const { user: userId } = await consumeAccountToken(req.body?.token, 'email_verification');
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(400).json({ message: "This link is invalid or has expired" });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    res.json({ message: "Email verified", emailVerified: true });
+  } catch (error) {
+    if (error instanceof AuthTokenError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Verify email error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Send a new verification email to the signed-in user
+ * @access  Private
+ */
+router.post("/resend-verification", protectRoute, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (user.emailVerified) {
+      return res.status(400).json({ message: "Email is already verified" });
+    }
+
+    await sendVerificationEmail(user);
+    res.json({ message: "Verification email sent" });
+  } catch (error) {
+    console.error("Resend verification error:", error);
     res.status(500).json({ message: "Server error" });
   }
 });
@@ -125,18 +423,16 @@ async function initializeUserProgress(userId) {
       return existingProgress;
     }
     
-    // Find first module
-    const firstModule = await Module.findOne({ order: 1 });
+    // Find first module without prerequisites in the user's courses
+    const graph = await loadUserModuleGraph(userId);
+    const [firstModule] = entryModules(graph);
     if (!firstModule) {
       console.log("No modules found - progress not initialized");
       return null;
     }
     
-    // Find first quiz in first module - Fix the query
-    const firstQuiz = await Quiz.findOne({ 
-      module: firstModule._id, 
-      order: 1 
-    }).sort({ order: 1 });
+    // Find first published quiz in first module
+    const firstQuiz = await findFirstPublishedQuiz(firstModule._id);
     
     console.log("First module:", firstModule._id);
     console.log("First quiz found:", firstQuiz ? firstQuiz._id : "No quiz found");
@@ -157,6 +453,9 @@ async function initializeUserProgress(userId) {
       }]
     });
     
+    // Open the other modules without prerequisites too
+    await progress.unlockAvailableModules(graph);
+    
     await progress.save();
     console.log(`Progress initialized for user ${userId}`);
     return progress;
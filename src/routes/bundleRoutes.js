@@ -0,0 +1,135 @@
+import express from "express";
+import mongoose from "mongoose";
+import Module from "../models/Module.js";
+import Course from "../models/Course.js";
+import User from "../models/Users.js";
+import { protectRoute, requirePermission } from "../middleware/auth.middleware.js";
+import { findManagedCourses } from "../lib/courses.js";
+import { can } from "../lib/permissions.js";
+import { buildBundle, readBundle, importBundle, BundleError } from "../lib/bundles.js";
+
+const router = express.Router();
+
+// Helper function to send a bundle as a download
+const sendBundle = (res, name, buffer) => {
+  const fileName = `${name.replace(/[^\w-]+/g, '_').slice(0, 60) || 'bundle'}.zip`;
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.send(buffer);
+};
+
+/**
+ * @route   GET /api/bundles/module/:id
+ * @desc    Export a module with its quizzes, lessons and images as a zip bundle
+ * @access  Private/instructor
+ */
+router.get("/module/:id", protectRoute, requirePermission('module:export', { param: 'id' }), async (req, res) => {
+  try {
+    const module = mongoose.Types.ObjectId.isValid(req.params.id) ? await Module.findById(req.params.id) : null;
+    if (!module) {
+      return res.status(404).json({ message: "Module not found" });
+    }
+
+    sendBundle(res, module.title, await buildBundle([module]));
+  } catch (error) {
+    if (error instanceof BundleError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Error exporting module bundle:", error);
+    res.status(500).json({ message: "Failed to export module" });
+  }
+});
+
+/**
+ * @route   GET /api/bundles/instructor/:id
+ * @desc    Export every module of the courses an instructor runs, course by course
+ * @access  Private/instructor
+ */
+router.get("/instructor/:id", protectRoute, requirePermission('module:export'), async (req, res) => {
+  try {
+    // Other instructors' modules take module:export:any
+    if (req.params.id !== String(req.user.id) && !(await can(req.user, 'module:export:any'))) {
+      return res.status(403).json({ message: "You can only export your own modules" });
+    }
+
+    const instructor = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await User.findById(req.params.id).select('username')
+      : null;
+    if (!instructor) {
+      return res.status(404).json({ message: "Instructor not found" });
+    }
+
+    const courses = await findManagedCourses(instructor._id);
+    const modules = [];
+    for (const course of courses) {
+      modules.push(...await Module.find({ course: course._id }).sort({ order: 1 }));
+    }
+    if (modules.length === 0) {
+      return res.status(404).json({ message: "Instructor has no modules" });
+    }
+
+    sendBundle(res, `${instructor.username}-modules`, await buildBundle(modules));
+  } catch (error) {
+    if (error instanceof BundleError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Error exporting instructor bundle:", error);
+    res.status(500).json({ message: "Failed to export modules" });
+  }
+});
+
+/**
+ * @route   POST /api/bundles/import
+ * @desc    Import a bundle ({ archive: base64 zip, course, dryRun }) at the end
+ *          of a course; modules are created as drafts
+ * @access  Private/instructor
+ */
+router.post("/import", protectRoute, requirePermission('module:create'), async (req, res) => {
+  try {
+    const { archive, course, dryRun } = req.body;
+
+    if (typeof archive !== 'string' || archive.trim() === '') {
+      return res.status(400).json({ message: "Archive is required" });
+    }
+
+    const targetCourse = mongoose.Types.ObjectId.isValid(course) ? await Course.findById(course) : null;
+    if (!targetCourse) {
+      return res.status(404).json({ message: "Course not found" });
+    }
+    if (!(await can(req.user, 'course:update', targetCourse))) {
+      return res.status(403).json({ message: "You can only import into your own courses" });
+    }
+
+    const bundle = readBundle(Buffer.from(archive.replace(/^data:[^,]*,/, ''), 'base64'));
+    const summary = {
+      modules: bundle.manifest.modules.length,
+      quizzes: bundle.manifest.modules.reduce((sum, m) => sum + m.quizzes.length, 0),
+      lessons: bundle.manifest.modules.reduce((sum, m) => sum + (m.lessons?.length || 0), 0)
+    };
+
+    if (dryRun) {
+      return res.json({
+        dryRun: true,
+        summary,
+        modules: bundle.manifest.modules.map(m => m.title)
+      });
+    }
+
+    const modules = await importBundle(bundle, { course: targetCourse._id, user: req.user });
+
+    console.log(`Imported ${modules.length} modules into course ${targetCourse.title}`);
+    res.status(201).json({
+      message: "Bundle imported successfully",
+      summary,
+      modules
+    });
+  } catch (error) {
+    if (error instanceof BundleError) {
+      return res.status(error.statusCode).json({ message: error.message, errors: error.details });
+    }
+    console.error("Error importing bundle:", error);
+    res.status(500).json({ message: "Failed to import bundle", error: error.message });
+  }
+});
+
+export default router;
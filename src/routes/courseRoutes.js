@@ -0,0 +1,266 @@
+import express from "express";
+import mongoose from "mongoose";
+import Course from "../models/Course.js";
+import Module from "../models/Module.js";
+import Section from "../models/Section.js";
+import Progress from "../models/Progress.js";
+import { protectRoute, requirePermission } from "../middleware/auth.middleware.js";
+import { findCoursesForUser } from "../lib/courses.js";
+import { visibleFilter } from "../lib/visibility.js";
+import { loadModuleGraph } from "../lib/moduleGraph.js";
+import { can } from "../lib/permissions.js";
+
+const router = express.Router();
+
+// Helper function to check a list of section IDs; returns an error message or null
+const checkSections = async (sections) => {
+  if (!Array.isArray(sections) || sections.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    return "sections must be a list of section IDs";
+  }
+  const found = await Section.countDocuments({ _id: { $in: sections } });
+  return found === new Set(sections.map(String)).size ? null : "Some sections were not found";
+};
+
+// Helper function to load a course the user takes or manages; sends the error response otherwise
+const loadCourseFor = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: "Invalid course ID" });
+    return null;
+  }
+
+  const courses = await findCoursesForUser(req.user);
+  const course = courses.find(c => c._id.equals(req.params.id));
+  if (!course) {
+    res.status(404).json({ message: "Course not found" });
+    return null;
+  }
+  return course;
+};
+
+/**
+ * @route   GET /api/courses
+ * @desc    Courses of the user: all for admins, their own for instructors, their section's for students
+ * @access  Private
+ */
+router.get("/", protectRoute, async (req, res) => {
+  try {
+    const courses = await findCoursesForUser(req.user);
+    const isStudent = !(await can(req.user, 'content:preview'));
+
+    await Course.populate(courses, [
+      { path: 'instructor', select: 'username' },
+      { path: 'sections', select: 'name sectionCode' }
+    ]);
+
+    const moduleCounts = await Module.aggregate([
+      { $match: { course: { $in: courses.map(c => c._id) }, ...(isStudent ? visibleFilter() : {}) } },
+      { $group: { _id: '$course', count: { $sum: 1 } } }
+    ]);
+
+    res.json(courses.map(course => ({
+      ...course.toObject(),
+      totalModules: moduleCounts.find(c => c._id.equals(course._id))?.count || 0
+    })));
+  } catch (error) {
+    console.error("Error fetching courses:", error);
+    res.status(500).json({ message: "Failed to fetch courses" });
+  }
+});
+
+/**
+ * @route   GET /api/courses/:id
+ * @desc    A course with its modules in order
+ * @access  Private
+ */
+router.get("/:id", protectRoute, async (req, res) => {
+  try {
+    const course = await loadCourseFor(req, res);
+    if (!course) return;
+
+    const isStudent = !(await can(req.user, 'content:preview'));
+    await course.populate([
+      { path: 'instructor', select: 'username' },
+      { path: 'sections', select: 'name sectionCode' },
+      {
+        path: 'modules',
+        select: 'title description category image imageVariants order status availableFrom availableUntil prerequisites totalQuizzes',
+        match: isStudent ? visibleFilter() : {},
+        options: { sort: { order: 1 } }
+      }
+    ]);
+
+    res.json(course);
+  } catch (error) {
+    console.error("Error fetching course:", error);
+    res.status(500).json({ message: "Failed to fetch course" });
+  }
+});
+
+/**
+ * @route   GET /api/courses/:id/progress
+ * @desc    The student's progress through one course
+ * @access  Private
+ */
+router.get("/:id/progress", protectRoute, async (req, res) => {
+  try {
+    const course = await loadCourseFor(req, res);
+    if (!course) return;
+
+    const graph = await loadModuleGraph({ course: course._id });
+    const progress = await Progress.findOne({ user: req.user.id });
+
+    if (progress && (await progress.unlockAvailableModules(graph)).length > 0) {
+      await progress.save();
+    }
+
+    const modules = [...graph.values()].map(({ module }) => {
+      const moduleId = module._id.toString();
+      const moduleProgress = progress?.moduleProgress.find(mp => mp.module.toString() === moduleId);
+      return {
+        module: { _id: module._id, title: module.title, order: module.order },
+        isUnlocked: Boolean(progress?.isModuleUnlocked(moduleId)),
+        isCompleted: Boolean(progress?.globalProgress.completedModules.some(cm => cm.module.toString() === moduleId)),
+        completionPercentage: moduleProgress?.completionPercentage || 0,
+        totalXP: moduleProgress?.totalXP || 0
+      };
+    });
+
+    const completedModules = modules.filter(m => m.isCompleted).length;
+    const currentModule = modules.find(m => m.isUnlocked && !m.isCompleted)?.module ?? null;
+
+    res.json({
+      course: { _id: course._id, title: course.title },
+      totalModules: modules.length,
+      completedModules,
+      completionPercentage: modules.length > 0 ? Math.round((completedModules / modules.length) * 100) : 0,
+      totalXP: modules.reduce((sum, m) => sum + m.totalXP, 0),
+      currentModule,
+      modules
+    });
+  } catch (error) {
+    console.error("Error fetching course progress:", error);
+    res.status(500).json({ message: "Failed to fetch course progress" });
+  }
+});
+
+/**
+ * @route   POST /api/courses
+ * @desc    Create a course; users who can edit any course may name another instructor
+ * @access  Private/instructor
+ */
+router.post("/", protectRoute, requirePermission('course:create'), async (req, res) => {
+  try {
+    const { title, description, instructor, sections = [], isActive } = req.body;
+
+    if (!title || !title.trim()) {
+      return res.status(400).json({ message: "Course title is required" });
+    }
+
+    const sectionError = await checkSections(sections);
+    if (sectionError) {
+      return res.status(400).json({ message: sectionError });
+    }
+
+    // Only users who can edit every course may hand a new one to someone else
+    const assignInstructor = instructor && await can(req.user, 'course:update:any');
+
+    const course = new Course({
+      title,
+      description,
+      instructor: assignInstructor ? instructor : req.user.id,
+      sections,
+      isActive,
+      createdBy: req.user.id
+    });
+
+    await course.save();
+
+    res.status(201).json({
+      message: "Course created successfully",
+      course
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Error creating course:", error);
+    res.status(500).json({ message: "Failed to create course" });
+  }
+});
+
+/**
+ * @route   PUT /api/courses/:id
+ * @desc    Update a course and the sections it is assigned to
+ * @access  Private/instructor
+ */
+router.put("/:id", protectRoute, requirePermission('course:update'), async (req, res) => {
+  try {
+    const { title, description, instructor, sections, isActive } = req.body;
+
+    const course = await loadCourseFor(req, res);
+    if (!course) return;
+
+    if (!(await can(req.user, 'course:update', course))) {
+      return res.status(403).json({ message: "You can only edit your own courses" });
+    }
+
+    if (sections !== undefined) {
+      const sectionError = await checkSections(sections);
+      if (sectionError) {
+        return res.status(400).json({ message: sectionError });
+      }
+      course.sections = sections;
+    }
+
+    if (title) course.title = title;
+    if (description !== undefined) course.description = description;
+    if (isActive !== undefined) course.isActive = isActive;
+    if (instructor && await can(req.user, 'course:update:any')) course.instructor = instructor;
+
+    await course.save();
+
+    res.json({
+      message: "Course updated successfully",
+      course
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Error updating course:", error);
+    res.status(500).json({ message: "Failed to update course" });
+  }
+});
+
+/**
+ * @route   DELETE /api/courses/:id
+ * @desc    Delete a course that has no modules left
+ * @access  Private/instructor
+ */
+router.delete("/:id", protectRoute, requirePermission('course:delete'), async (req, res) => {
+  try {
+    const course = await loadCourseFor(req, res);
+    if (!course) return;
+
+    if (!(await can(req.user, 'course:delete', course))) {
+      return res.status(403).json({ message: "You can only delete your own courses" });
+    }
+
+    const moduleCount = await Module.countDocuments({ course: course._id });
+    if (moduleCount > 0) {
+      return res.status(409).json({
+        message: "Delete the course's modules first",
+        modules: moduleCount
+      });
+    }
+
+    await Course.findByIdAndDelete(course._id);
+
+    res.json({ message: "Course deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting course:", error);
+    res.status(500).json({ message: "Failed to delete course" });
+  }
+});
+
+export default router;
@@ -0,0 +1,407 @@
+import express from "express";
+import mongoose from "mongoose";
+import { deleteMedia } from "../lib/storage/index.js";
+import { storeImage, ImageError } from "../lib/images.js";
+import Lesson from "../models/Lesson.js";
+import Module from "../models/Module.js";
+import Quiz from "../models/Quiz.js";
+import Progress from "../models/Progress.js";
+import { protectRoute, requirePermission } from "../middleware/auth.middleware.js";
+import { imageUpload } from "../middleware/upload.middleware.js";
+import { visibleFilter, isVisible, validatePublishFields, applyPublishFields } from "../lib/visibility.js";
+import { findSectionCourses } from "../lib/courses.js";
+import { buildModuleSequence } from "../lib/lessons.js";
+import { can } from "../lib/permissions.js";
+
+const router = express.Router();
+
+// Whether the user sees lessons as their authors do, drafts included
+const canPreview = (user) => can(user, 'content:preview');
+
+// Helper function to load a module the user may add lessons to; sends the error response otherwise
+const loadManagedModule = async (req, res, moduleId) => {
+  const module = mongoose.Types.ObjectId.isValid(moduleId) ? await Module.findById(moduleId) : null;
+  if (!module) {
+    res.status(404).json({ message: "Module not found" });
+    return null;
+  }
+
+  if (!(await can(req.user, 'module:update', module))) {
+    res.status(403).json({ message: "You can only add lessons to your own modules" });
+    return null;
+  }
+  return module;
+};
+
+// Helper function to load a module the student can open, with their progress;
+// sends the error response otherwise
+const loadStudentModule = async (req, res, moduleId) => {
+  const module = mongoose.Types.ObjectId.isValid(moduleId)
+    ? await Module.findById(moduleId).select('course status availableFrom availableUntil')
+    : null;
+  const courses = module ? await findSectionCourses(req.user.section) : [];
+  if (!module || !isVisible(module) || !courses.some(course => course._id.equals(module.course))) {
+    res.status(404).json({ message: "Module not found" });
+    return null;
+  }
+
+  const progress = await Progress.findOne({ user: req.user.id });
+
+  // Unlock the module first if its prerequisites have been met since
+  if (progress && !progress.isModuleUnlocked(moduleId) &&
+      (await progress.unlockAvailableModules()).length > 0) {
+    await progress.save();
+  }
+
+  if (!progress || !progress.isModuleUnlocked(moduleId)) {
+    res.status(403).json({ message: "Module is locked" });
+    return null;
+  }
+  return { module, progress };
+};
+
+// Helper function to check lesson fields from a create/update payload; returns an error message or null
+const checkLessonFields = ({ order, codeSnippets }) => {
+  if (order !== undefined && (!Number.isInteger(order) || order < 1)) {
+    return "order must be a positive whole number";
+  }
+  if (codeSnippets !== undefined &&
+      (!Array.isArray(codeSnippets) || codeSnippets.some(snippet => typeof snippet?.code !== 'string'))) {
+    return "codeSnippets must be a list of { language, code, caption }";
+  }
+  return null;
+};
+
+// Helper function to remove a lesson image from media storage; failures are only logged
+const destroyLessonImage = async (image) => {
+  try {
+    await deleteMedia(image.url);
+  } catch (storageError) {
+    console.error("Error deleting lesson image:", storageError);
+  }
+};
+
+/**
+ * @route   GET /api/lessons/module/:moduleId
+ * @desc    Lessons of a module and the module sequence (lessons between quizzes)
+ * @access  Private
+ */
+router.get("/module/:moduleId", protectRoute, async (req, res) => {
+  try {
+    const { moduleId } = req.params;
+    const instructor = await canPreview(req.user);
+
+    let progress = null;
+    if (instructor) {
+      if (!mongoose.Types.ObjectId.isValid(moduleId) || !(await Module.exists({ _id: moduleId }))) {
+        return res.status(404).json({ message: "Module not found" });
+      }
+    } else {
+      const access = await loadStudentModule(req, res, moduleId);
+      if (!access) return;
+      progress = access.progress;
+    }
+
+    const filter = { module: moduleId, ...(instructor ? {} : visibleFilter()) };
+    const [lessons, quizzes] = await Promise.all([
+      Lesson.find(filter).select('-body').sort({ order: 1, createdAt: 1 }),
+      Quiz.find(filter).select('title order status requiresLesson').sort({ order: 1 })
+    ]);
+
+    const lessonsWithStatus = lessons.map(lesson => {
+      const lessonProgress = progress?.moduleProgress
+        .find(mp => mp.module.toString() === moduleId)
+        ?.lessons.find(lp => lp.lesson.equals(lesson._id));
+      return {
+        ...lesson.toObject(),
+        isViewed: Boolean(lessonProgress),
+        isCompleted: lessonProgress?.status === 'completed'
+      };
+    });
+
+    res.json({
+      lessons: lessonsWithStatus,
+      sequence: buildModuleSequence(lessonsWithStatus, quizzes).map(({ type, item }) => ({
+        type,
+        _id: item._id,
+        title: item.title,
+        order: item.order,
+        ...(type === 'lesson'
+          ? { isCompleted: item.isCompleted }
+          : { requiresLesson: item.requiresLesson })
+      }))
+    });
+  } catch (error) {
+    console.error("Error fetching lessons:", error);
+    res.status(500).json({ message: "Failed to fetch lessons" });
+  }
+});
+
+/**
+ * @route   GET /api/lessons/:id
+ * @desc    A lesson; opening it marks it as viewed for students
+ * @access  Private
+ */
+router.get("/:id", protectRoute, async (req, res) => {
+  try {
+    const lesson = mongoose.Types.ObjectId.isValid(req.params.id) ? await Lesson.findById(req.params.id) : null;
+
+    if (await canPreview(req.user)) {
+      if (!lesson) {
+        return res.status(404).json({ message: "Lesson not found" });
+      }
+      return res.json(lesson);
+    }
+
+    // Drafts, archived and out-of-window lessons are hidden from students
+    if (!lesson || !isVisible(lesson)) {
+      return res.status(404).json({ message: "Lesson not found" });
+    }
+
+    const access = await loadStudentModule(req, res, lesson.module);
+    if (!access) return;
+
+    const lessonProgress = access.progress.recordLessonView(lesson);
+    await access.progress.save();
+
+    res.json({
+      ...lesson.toObject(),
+      progress: lessonProgress
+    });
+  } catch (error) {
+    console.error("Error fetching lesson:", error);
+    res.status(500).json({ message: "Failed to fetch lesson" });
+  }
+});
+
+/**
+ * @route   POST /api/lessons/:id/complete
+ * @desc    Mark a lesson as read; opens quizzes that require it
+ * @access  Private
+ */
+router.post("/:id/complete", protectRoute, async (req, res) => {
+  try {
+    const lesson = mongoose.Types.ObjectId.isValid(req.params.id) ? await Lesson.findById(req.params.id) : null;
+    if (!lesson || !isVisible(lesson)) {
+      return res.status(404).json({ message: "Lesson not found" });
+    }
+
+    const access = await loadStudentModule(req, res, lesson.module);
+    if (!access) return;
+
+    const lessonProgress = access.progress.recordLessonView(lesson, true);
+    await access.progress.save();
+
+    res.json({
+      message: "Lesson completed",
+      progress: lessonProgress
+    });
+  } catch (error) {
+    console.error("Error completing lesson:", error);
+    res.status(500).json({ message: "Failed to complete lesson" });
+  }
+});
+
+/**
+ * @route   POST /api/lessons
+ * @desc    Create a lesson; without an order it goes after the module's last quiz
+ * @access  Private/instructor
+ */
+router.post("/", protectRoute, requirePermission('lesson:create'), async (req, res) => {
+  try {
+    const { title, module, body, codeSnippets, order, status, availableFrom, availableUntil } = req.body;
+
+    if (!title || !module) {
+      return res.status(400).json({ message: "Lesson title and module are required" });
+    }
+
+    const fieldError = checkLessonFields({ order, codeSnippets }) ||
+      validatePublishFields({ status, availableFrom, availableUntil });
+    if (fieldError) {
+      return res.status(400).json({ message: fieldError });
+    }
+
+    const ownerModule = await loadManagedModule(req, res, module);
+    if (!ownerModule) return;
+
+    let lessonOrder = order;
+    if (lessonOrder === undefined) {
+      const lastQuiz = await Quiz.findOne({ module: ownerModule._id }).sort({ order: -1 }).select('order');
+      lessonOrder = lastQuiz ? lastQuiz.order + 1 : 1;
+    }
+
+    const lesson = new Lesson({
+      title,
+      module: ownerModule._id,
+      body,
+      codeSnippets,
+      order: lessonOrder,
+      createdBy: req.user.id
+    });
+    applyPublishFields(lesson, { status, availableFrom, availableUntil });
+
+    await lesson.save();
+
+    res.status(201).json({
+      message: "Lesson created successfully",
+      lesson
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Error creating lesson:", error);
+    res.status(500).json({ message: "Failed to create lesson" });
+  }
+});
+
+/**
+ * @route   PUT /api/lessons/:id
+ * @desc    Update a lesson
+ * @access  Private/instructor
+ */
+router.put("/:id", protectRoute, requirePermission('lesson:update', { param: 'id' }), async (req, res) => {
+  try {
+    const { title, body, codeSnippets, order, status, availableFrom, availableUntil } = req.body;
+
+    const lesson = mongoose.Types.ObjectId.isValid(req.params.id) ? await Lesson.findById(req.params.id) : null;
+    if (!lesson) {
+      return res.status(404).json({ message: "Lesson not found" });
+    }
+
+    const fieldError = checkLessonFields({ order, codeSnippets }) || validatePublishFields({
+      status,
+      availableFrom: availableFrom === undefined ? lesson.availableFrom : availableFrom,
+      availableUntil: availableUntil === undefined ? lesson.availableUntil : availableUntil
+    });
+    if (fieldError) {
+      return res.status(400).json({ message: fieldError });
+    }
+
+    if (title) lesson.title = title;
+    if (body !== undefined) lesson.body = body;
+    if (codeSnippets !== undefined) lesson.codeSnippets = codeSnippets;
+    if (order !== undefined) lesson.order = order;
+    applyPublishFields(lesson, { status, availableFrom, availableUntil });
+
+    await lesson.save();
+
+    res.json({
+      message: "Lesson updated successfully",
+      lesson
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Error updating lesson:", error);
+    res.status(500).json({ message: "Failed to update lesson" });
+  }
+});
+
+/**
+ * @route   DELETE /api/lessons/:id
+ * @desc    Delete a lesson, its images and the students' progress on it
+ * @access  Private/instructor
+ */
+router.delete("/:id", protectRoute, requirePermission('lesson:delete', { param: 'id' }), async (req, res) => {
+  try {
+    const lesson = mongoose.Types.ObjectId.isValid(req.params.id) ? await Lesson.findById(req.params.id) : null;
+    if (!lesson) {
+      return res.status(404).json({ message: "Lesson not found" });
+    }
+
+    for (const image of lesson.images) {
+      await destroyLessonImage(image);
+    }
+
+    await Lesson.findByIdAndDelete(lesson._id);
+    await Progress.updateMany(
+      { 'moduleProgress.lessons.lesson': lesson._id },
+      { $pull: { 'moduleProgress.$[].lessons': { lesson: lesson._id } } }
+    );
+
+    res.json({ message: "Lesson deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting lesson:", error);
+    res.status(500).json({ message: "Failed to delete lesson" });
+  }
+});
+
+/**
+ * @route   POST /api/lessons/:id/images
+ * @desc    Upload an image for the lesson body (base64 or a multipart/form-data
+ *          file); returns the markdown to embed it
+ * @access  Private/instructor
+ */
+router.post("/:id/images", protectRoute, requirePermission('lesson:update', { param: 'id' }), imageUpload('image'), async (req, res) => {
+  try {
+    const { alt = "" } = req.body;
+    const image = req.file ?? req.body.image;
+
+    if (!image) {
+      return res.status(400).json({ message: "Image is required" });
+    }
+
+    const lesson = mongoose.Types.ObjectId.isValid(req.params.id) ? await Lesson.findById(req.params.id) : null;
+    if (!lesson) {
+      return res.status(404).json({ message: "Lesson not found" });
+    }
+
+    let uploaded;
+    try {
+      console.log("Uploading lesson image...");
+      // Body images are shown as they are, they get no resized variants
+      const { url, key } = await storeImage(image, { folder: 'lessons', withVariants: false });
+      uploaded = { url, key };
+    } catch (uploadError) {
+      if (uploadError instanceof ImageError) {
+        return res.status(uploadError.statusCode).json({ message: uploadError.message });
+      }
+      console.error("Error uploading lesson image:", uploadError);
+      return res.status(500).json({
+        message: "Failed to upload lesson image",
+        error: uploadError?.message || "Unknown storage error"
+      });
+    }
+
+    lesson.images.push({ ...uploaded, alt });
+    await lesson.save();
+
+    const saved = lesson.images[lesson.images.length - 1];
+    res.status(201).json({
+      message: "Image uploaded successfully",
+      image: saved,
+      markdown: `![${alt}](${saved.url})`
+    });
+  } catch (error) {
+    console.error("Error adding lesson image:", error);
+    res.status(500).json({ message: "Failed to add lesson image" });
+  }
+});
+
+/**
+ * @route   DELETE /api/lessons/:id/images/:imageId
+ * @desc    Remove an image from the lesson and media storage
+ * @access  Private/instructor
+ */
+router.delete("/:id/images/:imageId", protectRoute, requirePermission('lesson:update', { param: 'id' }), async (req, res) => {
+  try {
+    const lesson = mongoose.Types.ObjectId.isValid(req.params.id) ? await Lesson.findById(req.params.id) : null;
+    const image = lesson?.images.id(req.params.imageId);
+    if (!lesson || !image) {
+      return res.status(404).json({ message: "Image not found" });
+    }
+
+    await destroyLessonImage(image);
+    lesson.images.pull(image._id);
+    await lesson.save();
+
+    res.json({ message: "Image removed successfully" });
+  } catch (error) {
+    console.error("Error removing lesson image:", error);
+    res.status(500).json({ message: "Failed to remove lesson image" });
+  }
+});
+
+export default router;
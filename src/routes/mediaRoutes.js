@@ -0,0 +1,23 @@
+import express from "express";
+import { storageDriver } from "../lib/storage/index.js";
+import { localStorageRoot } from "../lib/storage/local.js";
+
+const router = express.Router();
+
+// Files of the local storage backend. Keys are random, so a file never
+// changes once written and can be cached for good.
+router.use((req, res, next) => {
+  if (storageDriver() !== 'local') {
+    return res.status(404).json({ message: "Not found" });
+  }
+  next();
+});
+
+router.use(express.static(localStorageRoot(), {
+  immutable: true,
+  maxAge: '365d',
+  index: false,
+  fallthrough: false
+}));
+
+export default router;
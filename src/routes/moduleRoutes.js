@@ -1,59 +1,91 @@
 import express from "express";
-import cloudinary from "../lib/cloudinary.js";
+import { deleteMedia } from "../lib/storage/index.js";
+import { storeImage, deleteImage, ImageError } from "../lib/images.js";
+import { imageUpload } from "../middleware/upload.middleware.js";
 import Module from "../models/Module.js";
-import { protectRoute, authorizeRole } from "../middleware/auth.middleware.js";
+import { protectRoute, requirePermission } from "../middleware/auth.middleware.js";
+import { can, ownedStudentsFilter } from "../lib/permissions.js";
 import mongoose from "mongoose";
+import {
+    publishedFilter,
+    visibleFilter,
+    isVisible,
+    findFirstPublishedQuiz,
+    validatePublishFields,
+    applyPublishFields
+} from "../lib/visibility.js";
+import {
+    loadUserModuleGraph,
+    entryModules,
+    validatePrerequisites,
+    buildModuleGraph,
+    findCycle
+} from "../lib/moduleGraph.js";
+import { findSectionCourses } from "../lib/courses.js";
+import { cloneModule, makeRoomAt } from "../lib/cloning.js";
+import Course from "../models/Course.js";
+import { isTransactionUnsupported } from "../lib/db.js";
 
 const router = express.Router();
 
-// Configure Cloudinary (if not already done elsewhere)
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
+// Structured fields sent JSON-encoded when the module is posted as multipart/form-data
+const MODULE_JSON_FIELDS = ['prerequisites'];
 
-//create
+//create (JSON with a base64 image, or multipart/form-data with the image as a file)
 
 
-router.post("/", protectRoute, authorizeRole(['instructor', 'admin']), async (req, res) => {
+router.post("/", protectRoute, requirePermission('module:create'), imageUpload('image', { jsonFields: MODULE_JSON_FIELDS }), async (req, res) => {
     try {
-        const { title, description, category, image } = req.body;
+        const { title, description, category, course, status, availableFrom, availableUntil, prerequisites } = req.body;
+        const image = req.file ?? req.body.image;
 
-        if (!title || !description || !category || !image) {
+        if (!title || !description || !category || !image || !course) {
             return res.status(400).json({ message: "Please provide all fields" });
         }
 
-        // Auto-assign the next order number
-        const lastModule = await Module.findOne().sort({ order: -1 }).select('order');
+        // Modules are created inside a course the instructor manages
+        const ownerCourse = mongoose.Types.ObjectId.isValid(course) ? await Course.findById(course) : null;
+        if (!ownerCourse) {
+            return res.status(404).json({ message: "Course not found" });
+        }
+        if (!(await can(req.user, 'course:update', ownerCourse))) {
+            return res.status(403).json({ message: "You can only add modules to your own courses" });
+        }
+
+        const publishError = validatePublishFields({ status, availableFrom, availableUntil });
+        if (publishError) {
+            return res.status(400).json({ message: publishError });
+        }
+
+        const prerequisiteErrors = await validatePrerequisites(null, prerequisites, ownerCourse._id);
+        if (prerequisiteErrors.length > 0) {
+            return res.status(400).json({ message: "Invalid prerequisites", errors: prerequisiteErrors });
+        }
+
+        // Auto-assign the next order number within the course
+        const lastModule = await Module.findOne({ course: ownerCourse._id }).sort({ order: -1 }).select('order');
         const nextOrder = lastModule ? lastModule.order + 1 : 1;
 
         try {
-            // Upload image to cloudinary
-            console.log("Starting Cloudinary upload...");
+            // Upload image to media storage
+            console.log("Starting image upload...");
             
-            // Ensure image has proper format before uploading
-            let imageDataUrl = image;
-            if (!image.startsWith('data:image')) {
-              imageDataUrl = `data:image/jpeg;base64,${image}`;
-            } 
+            const { url: imageUrl, variants } = await storeImage(image, { folder: 'modules' });
             
-            const uploadResponse = await cloudinary.uploader.upload(imageDataUrl, {
-                timeout: 120000,
-                resource_type: 'image',
-            });
-            
-            console.log("Cloudinary upload successful");
-            const imageUrl = uploadResponse.secure_url;
+            console.log("Image upload successful");
 
             const newModule = new Module({
                 title,
                 description,
                 category,
                 image: imageUrl,
+                imageVariants: variants,
+                course: ownerCourse._id,
                 order: nextOrder,
+                prerequisites,
                 createdBy: req.user.id // Add the user ID who created the module
             });
+            applyPublishFields(newModule, { status, availableFrom, availableUntil });
 
             await newModule.save();
             
@@ -63,24 +95,28 @@ router.post("/", protectRoute, authorizeRole(['instructor', 'admin']), async (re
                 module: newModule 
             });
             
-        } catch (cloudinaryError) {
-            console.error("Cloudinary upload error details:", cloudinaryError);
+        } catch (uploadError) {
+            console.error("Image upload error details:", uploadError);
+
+            if (uploadError instanceof ImageError) {
+                return res.status(uploadError.statusCode).json({ message: uploadError.message });
+            }
             
             // FIX: Safely check if message exists before using includes()
             let errorMessage = "Image upload failed";
             
             // Add this safety check
-            if (cloudinaryError && typeof cloudinaryError.message === 'string') {
-                if (cloudinaryError.message.includes("timed out")) {
+            if (uploadError && typeof uploadError.message === 'string') {
+                if (uploadError.message.includes("timed out")) {
                     errorMessage = "Image upload timed out. Try a smaller image.";
-                } else if (cloudinaryError.message.includes("Invalid image")) {
+                } else if (uploadError.message.includes("Invalid image")) {
                     errorMessage = "Invalid image format or corrupted image.";
                 }
             }
             
             return res.status(500).json({ 
                 message: errorMessage,
-                error: cloudinaryError?.message || "Unknown cloudinary error"
+                error: uploadError?.message || "Unknown storage error"
             });
         }
     } catch (error) {
@@ -89,7 +125,7 @@ router.post("/", protectRoute, authorizeRole(['instructor', 'admin']), async (re
     }
 });
 // Enhanced GET endpoint with better filtering, sorting and projection
-router.get("/", protectRoute, authorizeRole(['instructor', 'student', 'admin']), async (req, res) => {
+router.get("/", protectRoute, async (req, res) => {
     try {
         // Pagination parameters
         const page = parseInt(req.query.page) || 1;
@@ -100,6 +136,10 @@ router.get("/", protectRoute, authorizeRole(['instructor', 'student', 'admin']),
         const sortField = req.query.sort || 'order';
         const sortDirection = req.query.direction === 'desc' ? -1 : 1;
         const sortOptions = {};
+        // Order numbers are per course, so keep each course's modules together
+        if (sortField === 'order') {
+            sortOptions.course = 1;
+        }
         sortOptions[sortField] = sortDirection;
         
         // Filtering options
@@ -114,6 +154,19 @@ router.get("/", protectRoute, authorizeRole(['instructor', 'student', 'admin']),
         if (req.query.active) {
             filter.isActive = req.query.active === 'true';
         }
+
+        // Filter by course if provided
+        if (req.query.course) {
+            filter.course = req.query.course;
+        }
+
+        // Students only see published modules of their courses, inside their availability window
+        const isStudent = !(await can(req.user, 'content:preview'));
+        if (isStudent) {
+            Object.assign(filter, visibleFilter(), await studentCourseFilter(req.user, req.query.course));
+        } else if (req.query.status) {
+            filter.status = req.query.status;
+        }
         
         // Get total count for pagination
         const total = await Module.countDocuments(filter);
@@ -123,13 +176,13 @@ router.get("/", protectRoute, authorizeRole(['instructor', 'student', 'admin']),
         const shouldPopulateQuizzes = req.query.includeQuizzes === 'true';
         
         let query = Module.find(filter)
-            .select('title description category image order isActive totalQuizzes lastAccessed')
+            .select('title description category image imageVariants course order isActive totalQuizzes lastAccessed status publishedAt availableFrom availableUntil')
             .sort(sortOptions)
             .skip(skip)
             .limit(limit);
             
         if (shouldPopulateQuizzes) {
-            query = query.populate("quizzes", "title description image difficulty");
+            query = query.populate(quizzesPopulate(isStudent));
         }
         
         const modules = await query;
@@ -164,14 +217,16 @@ router.get("/", protectRoute, authorizeRole(['instructor', 'student', 'admin']),
     }
 });
 // Update all instances where "lessons" is populated
-router.get("/recent", protectRoute, authorizeRole(['instructor', 'student', 'admin']), async (req, res) => {
+router.get("/recent", protectRoute, async (req, res) => {
         try {
         const limit = parseInt(req.query.limit) || 5; // Default to 5 recent modules
         
-        const recentModules = await Module.find()
+        const isStudent = !(await can(req.user, 'content:preview'));
+        const filter = isStudent ? { ...visibleFilter(), ...(await studentCourseFilter(req.user)) } : {};
+        const recentModules = await Module.find(filter)
             .sort({ lastAccessed: -1 }) // Sort by most recently accessed
             .limit(limit)
-            .populate("quizzes", "title description image difficulty");
+            .populate(quizzesPopulate(isStudent));
 
         res.json({
             success: true,
@@ -184,12 +239,18 @@ router.get("/recent", protectRoute, authorizeRole(['instructor', 'student', 'adm
     }
 });
 // Update the get single module endpoint
-router.get("/:id", protectRoute, authorizeRole(['instructor', 'student', 'admin']), async (req, res) => {
+router.get("/:id", protectRoute, async (req, res) => {
     try {
+        const isStudent = !(await can(req.user, 'content:preview'));
         const module = await Module.findById(req.params.id)
-            .populate("quizzes", "title description image difficulty");
+            .populate(quizzesPopulate(isStudent));
 
-        if (!module) {
+        // Unpublished modules and modules of other courses are hidden from students
+        const hidden = isStudent && module && (
+            !isVisible(module) ||
+            !(await findSectionCourses(req.user.section)).some(course => course._id.equals(module.course))
+        );
+        if (!module || hidden) {
             return res.status(404).json({ message: "Module not found" });
         }
 
@@ -202,7 +263,7 @@ router.get("/:id", protectRoute, authorizeRole(['instructor', 'student', 'admin'
         res.status(500).json({ message: "Internal server error" });
     }
 });
-router.delete("/:id", protectRoute, authorizeRole(['instructor', 'admin']), async (req, res) => {
+router.delete("/:id", protectRoute, requirePermission('module:delete', { param: 'id' }), async (req, res) => {
   try {
     const moduleId = req.params.id;
     const module = await Module.findById(moduleId);
@@ -214,13 +275,8 @@ router.delete("/:id", protectRoute, authorizeRole(['instructor', 'admin']), asyn
     // 1. Get the deleted module's order number
     const deletedModuleOrder = module.order;
     
-    // 2. Handle image deletion with Cloudinary
-    if (module.image) {
-      const publicId = extractPublicIdFromUrl(module.image);
-      if (publicId) {
-        await cloudinary.uploader.destroy(publicId);
-      }
-    }
+    // 2. Delete the image and its variants from media storage
+    await deleteImage(module.image, module.imageVariants);
     
     // 3. Delete all quizzes in this module to prevent orphaned records
     const Quiz = mongoose.model('Quiz');
@@ -230,14 +286,26 @@ router.delete("/:id", protectRoute, authorizeRole(['instructor', 'admin']), asyn
     
     await Quiz.deleteMany({ module: moduleId });
     
-    // 4. Delete the module itself
+    // Lessons go too, with their images
+    const Lesson = mongoose.model('Lesson');
+    const lessonsInModule = await Lesson.find({ module: moduleId }).select('images');
+    for (const image of lessonsInModule.flatMap(lesson => lesson.images)) {
+      await deleteMedia(image.url);
+    }
+    await Lesson.deleteMany({ module: moduleId });
+    
+    // 4. Delete the module itself and drop it from other modules' prerequisites
     await Module.findByIdAndDelete(moduleId);
+    await Module.updateMany(
+      { $or: [{ 'prerequisites.allOf.module': moduleId }, { 'prerequisites.anyOf.module': moduleId }] },
+      { $pull: { 'prerequisites.allOf': { module: moduleId }, 'prerequisites.anyOf': { module: moduleId } } }
+    );
     
     // 5. Reorder remaining modules to close the gap
-    await reorderModulesAfterDeletion(deletedModuleOrder);
+    await reorderModulesAfterDeletion(module.course, deletedModuleOrder);
     
     // 6. Update all progress records to repair student progression
-    await repairProgressAfterModuleDeletion(moduleId, deletedModuleOrder);
+    await repairProgressAfterModuleDeletion(moduleId, module.course, deletedModuleOrder);
     
     res.json({ 
       success: true, 
@@ -248,11 +316,12 @@ router.delete("/:id", protectRoute, authorizeRole(['instructor', 'admin']), asyn
     res.status(500).json({ message: "Failed to delete module" });
   }
 });
-// Update module endpoint
-router.put("/:id", protectRoute, authorizeRole(['instructor', 'admin']), async (req, res) => {
+// Update module endpoint (the image may come as a multipart/form-data file)
+router.put("/:id", protectRoute, requirePermission('module:update', { param: 'id' }), imageUpload('image', { jsonFields: MODULE_JSON_FIELDS }), async (req, res) => {
   try {
     const { id } = req.params;
-    const { title, description, category, image } = req.body;
+    const { title, description, category, status, availableFrom, availableUntil, prerequisites } = req.body;
+    const image = req.file ?? req.body.image;
     
     // Find the module
     const module = await Module.findById(id);
@@ -261,56 +330,57 @@ router.put("/:id", protectRoute, authorizeRole(['instructor', 'admin']), async (
       return res.status(404).json({ message: "Module not found" });
     }
     
+    const publishError = validatePublishFields({
+      status,
+      availableFrom: availableFrom === undefined ? module.availableFrom : availableFrom,
+      availableUntil: availableUntil === undefined ? module.availableUntil : availableUntil
+    });
+    if (publishError) {
+      return res.status(400).json({ message: publishError });
+    }
+    
+    // null goes back to following the course order
+    const prerequisiteErrors = await validatePrerequisites(module._id, prerequisites, module.course);
+    if (prerequisiteErrors.length > 0) {
+      return res.status(400).json({ message: "Invalid prerequisites", errors: prerequisiteErrors });
+    }
+    
     // Update basic fields if provided
     if (title) module.title = title;
     if (description) module.description = description;
     if (category) module.category = category;
+    applyPublishFields(module, { status, availableFrom, availableUntil });
+    if (prerequisites !== undefined) module.prerequisites = prerequisites;
     
-    // Handle image update if provided
+    // Handle image update if provided. A new image is always stored as this
+    // module's own copy, also when it is the URL of a file already in media
+    // storage: the module deletes its image along with itself, so it must
+    // never point at a file another record uses.
     if (image && image !== module.image) {
-      // If it's a new image (not just the same URL)
-      if (image.startsWith('data:image')) {
-        // Delete old image from Cloudinary
-        if (module.image) {
-          const publicId = extractPublicIdFromUrl(module.image);
-          if (publicId) {
-            try {
-              await cloudinary.uploader.destroy(publicId);
-              console.log(`Old image deleted from Cloudinary: ${publicId}`);
-            } catch (cloudinaryError) {
-              console.error("Error deleting old image:", cloudinaryError);
-              // Continue with the update even if image deletion fails
-            }
-          }
-        }
-        
-        // Upload new image
-        try {
-          console.log("Uploading new image to Cloudinary...");
-          
-          // Ensure image has proper format
-          let imageDataUrl = image;
-          if (!image.startsWith('data:image')) {
-            imageDataUrl = `data:image/jpeg;base64,${image}`;
-          }
+      try {
+        console.log("Uploading new image...");
+        const { url, variants } = await storeImage(image, { folder: 'modules' });
+        console.log("New image upload successful");
           
-          const uploadResponse = await cloudinary.uploader.upload(imageDataUrl, {
-            timeout: 120000, // 2 minutes timeout
-            resource_type: 'image',
-          });
+        // Delete old image and its variants from media storage
+        try {
+          await deleteImage(module.image, module.imageVariants);
+        } catch (storageError) {
+          console.error("Error deleting old image:", storageError);
+          // Continue with the update even if image deletion fails
+        }
           
-          console.log("New image upload successful");
-          module.image = uploadResponse.secure_url;
-        } catch (cloudinaryError) {
-          console.error("Error uploading new image:", cloudinaryError);
-          return res.status(500).json({ 
-            message: "Failed to upload new image",
-            error: cloudinaryError.message
-          });
+        module.image = url;
+        module.imageVariants = variants;
+      } catch (uploadError) {
+        console.error("Error uploading new image:", uploadError);
+        if (uploadError instanceof ImageError) {
+          return res.status(uploadError.statusCode).json({ message: uploadError.message });
         }
-      } else {
-        // It's a URL, just update the field
-        module.image = image;
+        return res.status(500).json({ 
+          message: "Failed to upload new image",
+          error: uploadError.message
+        });
       }
     }
     
@@ -332,27 +402,214 @@ router.put("/:id", protectRoute, authorizeRole(['instructor', 'admin']), async (
   }
 });
 
+// Copy a module with its quizzes and lessons into a course the caller manages
+// Body: { course, order, title, renumber }. Without a course the copy goes
+// into the source's course, without an order after its last module.
+router.post("/:id/clone", protectRoute, requirePermission('module:create'), async (req, res) => {
+  try {
+    const { course, order, title, renumber = false } = req.body;
+
+    const source = mongoose.Types.ObjectId.isValid(req.params.id) ? await Module.findById(req.params.id) : null;
+    if (!source) {
+      return res.status(404).json({ message: "Module not found" });
+    }
+
+    const targetId = course ?? source.course;
+    const targetCourse = mongoose.Types.ObjectId.isValid(targetId) ? await Course.findById(targetId) : null;
+    if (!targetCourse) {
+      return res.status(404).json({ message: "Course not found" });
+    }
+    if (!(await can(req.user, 'course:update', targetCourse))) {
+      return res.status(403).json({ message: "You can only add modules to your own courses" });
+    }
+
+    const lastModule = await Module.findOne({ course: targetCourse._id }).sort({ order: -1 }).select('order');
+    const nextOrder = lastModule ? lastModule.order + 1 : 1;
+    if (order !== undefined && (!Number.isInteger(order) || order < 1 || order > nextOrder)) {
+      return res.status(400).json({ message: `order must be a whole number from 1 to ${nextOrder}` });
+    }
+
+    const cloneOrder = order ?? nextOrder;
+    await makeRoomAt(Module, { course: targetCourse._id }, cloneOrder);
+
+    let module;
+    try {
+      module = await cloneModule(source, { course: targetCourse._id, order: cloneOrder, title, renumber, user: req.user });
+    } catch (cloneError) {
+      // Close the gap made for the copy
+      await reorderModulesAfterDeletion(targetCourse._id, cloneOrder);
+      throw cloneError;
+    }
+
+    console.log(`Cloned module '${source.title}' into course ${targetCourse.title} at order ${cloneOrder}`);
+    res.status(201).json({
+      message: "Module cloned successfully",
+      module
+    });
+  } catch (error) {
+    console.error("Error cloning module:", error);
+    res.status(500).json({ message: "Failed to clone module", error: error.message });
+  }
+});
+
+// Re-order all modules of a course in one go (instructor only)
+// Body: { moduleOrder: [moduleId, ...], dryRun }. With dryRun nothing is
+// saved and the response lists the students who would gain or lose access.
+router.post("/reorder/:courseId", protectRoute, requirePermission('course:update', { param: 'courseId' }), async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const { moduleOrder, dryRun = false } = req.body;
+
+    const course = mongoose.Types.ObjectId.isValid(courseId) ? await Course.findById(courseId) : null;
+    if (!course) {
+      return res.status(404).json({ message: "Course not found" });
+    }
+
+    if (!Array.isArray(moduleOrder) || moduleOrder.length === 0) {
+      return res.status(400).json({ message: "moduleOrder must be a list of module IDs" });
+    }
+
+    // The new order has to list every module of the course exactly once
+    const modules = await Module.find({ course: course._id }).select('title course order prerequisites status').lean();
+    const known = new Set(modules.map(m => m._id.toString()));
+    const requested = moduleOrder.map(String);
+    const unknown = requested.filter(id => !known.has(id));
+    const missing = [...known].filter(id => !requested.includes(id));
+    if (unknown.length > 0 || missing.length > 0 || new Set(requested).size !== requested.length) {
+      return res.status(400).json({
+        message: "moduleOrder must list every module of the course exactly once",
+        unknown,
+        missing
+      });
+    }
+
+    const reordered = modules.map(m => ({ ...m, order: requested.indexOf(m._id.toString()) + 1 }));
+
+    // Modules without explicit prerequisites follow the order, so a new order
+    // can close a loop with explicit ones
+    const fullGraph = buildModuleGraph(reordered);
+    for (const id of fullGraph.keys()) {
+      const cycle = findCycle(fullGraph, id);
+      if (cycle) {
+        const titles = cycle.map(step => fullGraph.get(step)?.module.title ?? step);
+        return res.status(400).json({ message: `New order would create a prerequisite cycle: ${titles.join(' requires ')}` });
+      }
+    }
+
+    const moves = reordered
+      .map(m => ({ _id: m._id, title: m.title, from: modules.find(o => o._id.equals(m._id)).order, to: m.order }))
+      .sort((a, b) => a.to - b.to);
+
+    // Work out every affected student's access under the new order
+    const graph = buildModuleGraph(reordered.filter(m => m.status === 'published'));
+    const moduleIds = modules.map(m => m._id);
+    const Progress = mongoose.model('Progress');
+    const progressRecords = await Progress.find({
+      $or: [
+        { 'globalProgress.unlockedModules': { $in: moduleIds } },
+        { 'moduleProgress.module': { $in: moduleIds } }
+      ]
+    });
+
+    const users = await mongoose.model('User')
+      .find({ _id: { $in: progressRecords.map(p => p.user) } })
+      .select('username');
+
+    const changed = [];
+    for (const progress of progressRecords) {
+      const { gained, lost } = await progress.reconcileModuleAccess(graph);
+      if (gained.length === 0 && lost.length === 0) continue;
+
+      changed.push({
+        progress,
+        student: {
+          user: progress.user,
+          username: users.find(u => u._id.equals(progress.user))?.username,
+          gained: gained.map(m => ({ _id: m._id, title: m.title })),
+          lost: lost.map(m => ({ _id: m._id, title: m.title }))
+        }
+      });
+    }
+
+    const students = changed.map(c => c.student);
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        dryRun: true,
+        message: `Reorder would change access for ${students.length} student(s)`,
+        modules: moves,
+        students
+      });
+    }
+
+    // Module orders and students' access change together or not at all.
+    // Transactions need a replica set (or sharded cluster). A standalone
+    // server, as in most development setups, gets the same writes in order:
+    // the module orders are put back if renumbering fails, but a failure
+    // while saving progress leaves the new order in place, for
+    // POST /api/modules/repair-system to bring progress back in line.
+    const newOrders = moves.map(m => ({ _id: m._id, order: m.to }));
+    try {
+      await mongoose.connection.transaction(async (session) => {
+        await renumberModules(newOrders, { session });
+        for (const { progress } of changed) {
+          await progress.save({ session });
+        }
+      });
+    } catch (error) {
+      if (!isTransactionUnsupported(error)) throw error;
+      console.warn("MongoDB transactions are not available on a standalone server, reordering modules without one");
+      await renumberModules(newOrders, { previous: moves.map(m => ({ _id: m._id, order: m.from })) });
+      for (const { progress } of changed) {
+        await progress.save();
+      }
+    }
+
+    console.log(`Reordered ${moves.length} modules of course ${course.title}, access changed for ${students.length} student(s)`);
+
+    res.json({
+      success: true,
+      dryRun: false,
+      message: "Modules reordered successfully",
+      modules: moves,
+      students
+    });
+  } catch (error) {
+    console.error("Error reordering modules:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reorder modules",
+      error: error.message
+    });
+  }
+});
+
 // Add to progressRoutes.js
-router.post("/repair-system", protectRoute, authorizeRole(['instructor', 'admin']), async (req, res) => {
+router.post("/repair-system", protectRoute, requirePermission('progress:repair'), async (req, res) => {
   try {
     const { userId } = req.body;
     
     // If userId provided, repair just that user, otherwise repair all
     const query = userId ? { user: userId } : {};
     
+    // Without progress:repair:any, only the students of the caller's sections
+    if (!(await can(req.user, 'progress:repair:any'))) {
+      const students = await mongoose.model('User').find(await ownedStudentsFilter(req.user)).distinct('_id');
+      if (userId && !students.some(id => id.toString() === String(userId))) {
+        return res.status(403).json({ message: "You can only repair the progress of your own students" });
+      }
+      query.$and = [{ user: { $in: students } }];
+    }
+    
     console.log(`Starting system repair for ${userId ? 'user ' + userId : 'all users'}`);
     
-    // Get all modules sorted by order
-    const Module = mongoose.model('Module');
-    const allModules = await Module.find().sort({ order: 1 });
+    const Progress = mongoose.model('Progress');
     
-    if (allModules.length === 0) {
+    if (await Module.countDocuments(publishedFilter()) === 0) {
       return res.status(404).json({ message: "No modules found in the system" });
     }
     
-    // First module should always be accessible
-    const firstModule = allModules[0];
-    
     // Get users to repair
     const progressRecords = await Progress.find(query);
     console.log(`Found ${progressRecords.length} progress records to repair`);
@@ -362,13 +619,19 @@ router.post("/repair-system", protectRoute, authorizeRole(['instructor', 'admin'
     for (const progress of progressRecords) {
       let needsSaving = false;
       
-      // 1. Ensure first module is unlocked
-      if (!progress.globalProgress.unlockedModules.some(id => 
-        id.toString() === firstModule._id.toString())) {
-        
-        progress.globalProgress.unlockedModules.push(firstModule._id);
+      // Published modules of the user's courses sorted by order, with their prerequisites
+      const graph = await loadUserModuleGraph(progress.user);
+      const allModules = [...graph.values()].map(node => node.module);
+      if (allModules.length === 0) continue;
+      
+      // First module without prerequisites should always be accessible
+      const firstModule = entryModules(graph)[0] ?? allModules[0];
+      
+      // 1. Unlock modules without prerequisites and those whose prerequisites are met
+      const unlockedModules = await progress.unlockAvailableModules(graph);
+      if (unlockedModules.length > 0) {
         needsSaving = true;
-        console.log(`Unlocked first module for user ${progress.user}`);
+        console.log(`Unlocked ${unlockedModules.length} module(s) for user ${progress.user}`);
       }
       
       // 2. Ensure there's a current module
@@ -401,21 +664,14 @@ router.post("/repair-system", protectRoute, authorizeRole(['instructor', 'admin'
         );
         
         if (!hasModuleProgress) {
-          // Module is unlocked if it's the first one or in the unlocked array
+          // Module is unlocked if it's in the unlocked array
           const isUnlocked = 
-            module.order === 1 || 
             progress.globalProgress.unlockedModules.some(id => 
               id.toString() === module._id.toString()
             );
           
-          // Create a Quiz model reference
-          const Quiz = mongoose.model('Quiz');
-          
-          // Get first quiz in this module
-          const firstQuiz = await Quiz.findOne({ 
-            module: module._id,
-            order: 1
-          });
+          // Get first published quiz in this module
+          const firstQuiz = await findFirstPublishedQuiz(module._id);
           
           // Create module progress
           const newModuleProgress = {
@@ -453,25 +709,21 @@ router.post("/repair-system", protectRoute, authorizeRole(['instructor', 'admin'
   }
 });
 
-// Helper function to extract public_id from Cloudinary URL
-function extractPublicIdFromUrl(url) {
-  try {
-    // Cloudinary URLs usually look like: 
-    // https://res.cloudinary.com/your-cloud-name/image/upload/v1234567890/folder/image_id.jpg
-    
-    // Extract everything after the upload/ part up to the last dot
-    const regex = /\/upload\/(?:v\d+\/)?(.+?)\.(?:[^.]+)$/;
-    const matches = url.match(regex);
-    
-    if (matches && matches[1]) {
-      return matches[1];
-    }
-    
-    return null;
-  } catch (error) {
-    console.error("Error extracting public ID:", error);
-    return null;
-  }
+// Helper function to limit a student's module queries to the courses of their section
+async function studentCourseFilter(user, requestedCourse) {
+  const courseIds = (await findSectionCourses(user.section))
+    .map(course => course._id)
+    .filter(id => !requestedCourse || id.toString() === requestedCourse);
+  return { course: { $in: courseIds } };
+}
+
+// Helper function to build the quizzes populate option; students only get visible quizzes
+function quizzesPopulate(isStudent) {
+  return {
+    path: "quizzes",
+    select: "title description image imageVariants difficulty status availableFrom availableUntil",
+    ...(isStudent ? { match: visibleFilter() } : {})
+  };
 }
 
 const updateLastAccessed = async (moduleId) => {
@@ -484,11 +736,37 @@ const updateLastAccessed = async (moduleId) => {
     }
 };
 
-// Helper function to reorder modules after deletion
-async function reorderModulesAfterDeletion(deletedOrder) {
+// Helper function to give modules new order numbers in one bulk write, inside
+// the caller's transaction `session` if there is one. Every module first
+// moves to a negative placeholder so the unique { course, order } index never
+// sees two modules on the same number. Without a session, the `previous`
+// orders are put back if the write fails.
+async function renumberModules(orders, { session, previous } = {}) {
+  const bulkOps = (list) => [
+    ...list.map(({ _id }, index) => ({
+      updateOne: { filter: { _id }, update: { $set: { order: -(index + 1) } } }
+    })),
+    ...list.map(({ _id, order }) => ({
+      updateOne: { filter: { _id }, update: { $set: { order } } }
+    }))
+  ];
+
+  try {
+    await Module.bulkWrite(bulkOps(orders), { ordered: true, session });
+  } catch (error) {
+    if (session || !previous) throw error;
+    console.error("Error renumbering modules, restoring previous order:", error);
+    await Module.bulkWrite(bulkOps(previous), { ordered: true });
+    throw error;
+  }
+}
+
+// Helper function to reorder the course's modules after deletion
+async function reorderModulesAfterDeletion(courseId, deletedOrder) {
   try {
-    // Find all modules with order greater than the deleted module
+    // Find all modules of the course with order greater than the deleted module
     const modulesToReorder = await Module.find({
+      course: courseId ?? null,
       order: { $gt: deletedOrder }
     }).sort({ order: 1 });
     
@@ -511,17 +789,17 @@ async function reorderModulesAfterDeletion(deletedOrder) {
 }
 
 // Helper function to repair progress records
-async function repairProgressAfterModuleDeletion(deletedModuleId, deletedModuleOrder) {
+async function repairProgressAfterModuleDeletion(deletedModuleId, courseId, deletedModuleOrder) {
   try {
     const Progress = mongoose.model('Progress');
     const Module = mongoose.model('Module');
     
-    // Find the next accessible module (new first module or next one in sequence)
-    const nextModule = await Module.findOne({ order: deletedModuleOrder })
+    // Find the next accessible module of the course (new first module or next one in sequence)
+    const nextModule = await Module.findOne({ course: courseId ?? null, order: deletedModuleOrder })
       .select('_id');
     
     // If no replacement exists at this order (it was the last module), find previous one
-    const replacementModule = nextModule || await Module.findOne({ order: deletedModuleOrder - 1 })
+    const replacementModule = nextModule || await Module.findOne({ course: courseId ?? null, order: deletedModuleOrder - 1 })
       .select('_id');
       
     // If no modules exist at all, nothing to repair
@@ -555,13 +833,6 @@ async function repairProgressAfterModuleDeletion(deletedModuleId, deletedModuleO
       
       if (unlockedModulesFiltered.length !== progress.globalProgress.unlockedModules.length) {
         progress.globalProgress.unlockedModules = unlockedModulesFiltered;
-        
-        // Make sure the first module is always unlocked
-        const firstModule = await Module.findOne({ order: 1 }).select('_id');
-        if (firstModule && !unlockedModulesFiltered.some(id => id.toString() === firstModule._id.toString())) {
-          progress.globalProgress.unlockedModules.push(firstModule._id);
-        }
-        
         needsSaving = true;
       }
       
@@ -585,7 +856,13 @@ async function repairProgressAfterModuleDeletion(deletedModuleId, deletedModuleO
         needsSaving = true;
       }
       
-      // 5. Save changes if needed
+      // 5. Unlock modules that no longer wait on the deleted one, and make
+      // sure the modules without prerequisites are unlocked
+      if ((await progress.unlockAvailableModules()).length > 0) {
+        needsSaving = true;
+      }
+      
+      // 6. Save changes if needed
       if (needsSaving) {
         await progress.save();
         console.log(`Repaired progress for user ${progress.user}`);
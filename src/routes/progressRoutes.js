@@ -4,6 +4,19 @@ import Progress from "../models/Progress.js";
 import Module from "../models/Module.js";
 import Quiz from "../models/Quiz.js";
 import { protectRoute } from "../middleware/auth.middleware.js";
+import { submitQuizAttempt, QuizSubmissionError } from "../lib/quizSubmission.js";
+import { stripQuizAnswerKeys } from "../lib/quizGrader.js";
+import { publishedFilter, visibleFilter, isVisible, findFirstPublishedQuiz } from "../lib/visibility.js";
+import {
+  loadModuleGraph,
+  loadUserModuleGraph,
+  entryModules,
+  prerequisitesMet,
+  missingPrerequisites
+} from "../lib/moduleGraph.js";
+import { findSectionCourses } from "../lib/courses.js";
+import { findPublishedLessons, precedingLessonIn } from "../lib/lessons.js";
+import { can, ownedModulesFilter } from "../lib/permissions.js";
 
 const router = express.Router();
 
@@ -18,8 +31,10 @@ router.post("/initialize", protectRoute, async (req, res) => {
       return res.json(existingProgress);
     }
     
-    // Find first module
-    const firstModule = await Module.findOne({ order: 1 });
+    // Modules of the user's courses; those without prerequisites are open from the start
+    const graph = await loadUserModuleGraph(req.user.id);
+    const openModules = entryModules(graph);
+    const firstModule = openModules[0];
     if (!firstModule) {
       return res.status(404).json({ message: "No modules found" });
     }
@@ -27,24 +42,26 @@ router.post("/initialize", protectRoute, async (req, res) => {
     console.log('🎯 First module found:', firstModule.title);
     
     // ✅ Find ALL modules and create progress for each
-    const allModules = await Module.find().sort({ order: 1 });
+    const allModules = [...graph.values()].map(node => node.module);
     const moduleProgressArray = [];
     
     for (const module of allModules) {
+      const isEntryModule = openModules.some(m => m._id.equals(module._id));
       // ✅ Get ALL quizzes in this module (not just first one)
       const allQuizzesInModule = await Quiz.find({ 
-        module: module._id 
+        module: module._id,
+        ...publishedFilter()
       }).sort({ order: 1 });
       
-      const firstQuizInModule = allQuizzesInModule.find(q => q.order === 1);
+      const firstQuizInModule = allQuizzesInModule[0];
       
       console.log(`📚 Module: ${module.title}, Quizzes: ${allQuizzesInModule.length}, First Quiz: ${firstQuizInModule?.title || 'None'}`);
       
       const moduleProgress = {
         module: module._id,
-        status: module._id.toString() === firstModule._id.toString() ? 'unlocked' : 'locked',
+        status: isEntryModule ? 'unlocked' : 'locked',
         currentQuiz: firstQuizInModule?._id,
-        // ✅ For first module, unlock first quiz. For others, still add first quiz but mark module as locked
+        // ✅ For entry modules, unlock first quiz. For others, still add first quiz but mark module as locked
         unlockedQuizzes: firstQuizInModule ? [firstQuizInModule._id] : [],
         completedQuizzes: [],
         totalXP: 0,
@@ -58,7 +75,7 @@ router.post("/initialize", protectRoute, async (req, res) => {
       user: req.user.id,
       globalProgress: {
         currentModule: firstModule._id,
-        unlockedModules: [firstModule._id],
+        unlockedModules: openModules.map(m => m._id),
         completedModules: []
       },
       moduleProgress: moduleProgressArray,
@@ -71,7 +88,7 @@ router.post("/initialize", protectRoute, async (req, res) => {
     console.log('✅ Progress initialized successfully');
     console.log('📊 Progress details:', {
       modules: moduleProgressArray.length,
-      unlockedModules: 1,
+      unlockedModules: openModules.length,
       firstQuizzes: moduleProgressArray.filter(mp => mp.unlockedQuizzes.length > 0).length
     });
     
@@ -99,36 +116,40 @@ router.get("/modules", protectRoute, async (req, res) => {
     }
     
     let modules;
+    const fields = 'title description category image imageVariants course order isActive totalQuizzes lastAccessed status publishedAt availableFrom availableUntil prerequisites';
+    
+    // Optionally narrow the list to one course
+    const courseFilter = req.query.course ? { course: req.query.course } : {};
     
-    // If user is admin, return all modules
-    if (user.privilege === 'admin') {
-      modules = await Module.find()
-        .select('title description category image order isActive totalQuizzes lastAccessed')
-        .sort({ order: 1 });
+    // Users who can see every course get all modules
+    if (await can(user, 'course:read:any')) {
+      modules = await Module.find(courseFilter)
+        .select(fields)
+        .sort({ course: 1, order: 1 });
     } 
-    // If user is instructor, only return modules they created
-    else if (user.privilege === 'instructor') {
-      modules = await Module.find({ createdBy: userId })
-        .select('title description category image order isActive totalQuizzes lastAccessed')
-        .sort({ order: 1 });
+    // Other staff (instructors) get the modules they own: their own and those of their courses
+    else if (await can(user, 'content:preview')) {
+      modules = await Module.find({ ...(await ownedModulesFilter(user)), ...courseFilter })
+        .select(fields)
+        .sort({ course: 1, order: 1 });
     }
-    // If user is a student, only return modules created by their section's instructor
-    else if (user.privilege === 'student' && user.section !== 'no_section') {
-      // Find the section to get instructor
-      const Section = await import("../models/Section.js").then(module => module.default);
-      const section = await Section.findOne({ sectionCode: user.section })
-        .populate('instructor');
+    // If user is a student, only return modules of the courses assigned to their section
+    else if (user.section !== 'no_section') {
+      const courses = await findSectionCourses(user.section);
+      const courseIds = courses
+        .map(course => course._id)
+        .filter(id => !req.query.course || id.toString() === req.query.course);
       
-      if (!section) {
+      if (courseIds.length === 0) {
         return res.status(200).json([]);
       }
       
-      // Find all modules where createdBy is the section's instructor
-      modules = await Module.find({ createdBy: section.instructor._id })
-        .select('title description category image order isActive totalQuizzes lastAccessed')
-        .sort({ order: 1 });
+      // Students only see published modules inside their availability window
+      modules = await Module.find({ course: { $in: courseIds }, ...visibleFilter() })
+        .select(fields)
+        .sort({ course: 1, order: 1 });
     } 
-    // If no section or not a student, return empty array
+    // If no section, return empty array
     else {
       return res.status(200).json([]);
     }
@@ -137,15 +158,34 @@ router.get("/modules", protectRoute, async (req, res) => {
     const Progress = await import("../models/Progress.js").then(module => module.default);
     const userProgress = await Progress.findOne({ user: userId });
     
+    // Prerequisite graph of the listed modules' courses
+    const courseIds = [...new Map(modules.map(m => [String(m.course), m.course ?? null])).values()];
+    const graph = await loadModuleGraph({ course: { $in: courseIds } });
+    
+    // Catch up with prerequisites met since the last unlock, e.g. after an
+    // instructor changed them
+    if (userProgress && (await userProgress.unlockAvailableModules(graph)).length > 0) {
+      await userProgress.save();
+    }
+    
     // Enhance modules with unlock status and completion status
+    const preview = await can(user, 'content:preview');
     const enhancedModules = modules.map((module, index) => {
       const moduleObj = module.toObject();
+      const node = graph.get(module._id.toString());
+      
+      // Prerequisites as the unlock engine sees them, with the ones still missing
+      if (node) {
+        moduleObj.prerequisites = { allOf: node.allOf, anyOf: node.anyOf };
+        moduleObj.missingPrerequisites = missingPrerequisites(node, userProgress, graph);
+      }
       
-      // First module or instructor always unlocked
-      if (index === 0 || user.privilege === 'instructor' || user.privilege === 'admin') {
+      // Instructor always unlocked
+      if (preview) {
         moduleObj.isUnlocked = true;
       } else if (!userProgress) {
-        moduleObj.isUnlocked = false;
+        // Only modules without prerequisites before progress exists
+        moduleObj.isUnlocked = Boolean(node) && prerequisitesMet(node, null, graph);
       } else {
         // Check if this module is in the unlocked modules list
         moduleObj.isUnlocked = userProgress.globalProgress.unlockedModules.some(
@@ -191,7 +231,13 @@ router.get("/module/:moduleId/quizzes", protectRoute, async (req, res) => {
     
     console.log('📚 Fetching quizzes for module:', moduleId);
     
-    const isinstructor = req.user.privilege === 'instructor' || req.user.privilege === 'admin';
+    const isinstructor = await can(req.user, 'content:preview');
+    
+    // Unlock the module first if its prerequisites have been met since
+    if (!isinstructor && progress && !progress.isModuleUnlocked(moduleId) &&
+        (await progress.unlockAvailableModules()).length > 0) {
+      await progress.save();
+    }
     
     // instructor can access any module, students need unlock check
     if (!isinstructor && progress && !progress.isModuleUnlocked(moduleId)) {
@@ -199,11 +245,30 @@ router.get("/module/:moduleId/quizzes", protectRoute, async (req, res) => {
       return res.status(403).json({ message: "Module is locked" });
     }
     
+    // Unpublished or closed modules and quizzes, and modules of other
+    // courses, are hidden from students
+    if (!isinstructor) {
+      const module = await Module.findById(moduleId).select('course status availableFrom availableUntil');
+      const courses = module ? await findSectionCourses(req.user.section) : [];
+      if (!module || !isVisible(module) || !courses.some(course => course._id.equals(module.course))) {
+        return res.status(404).json({ message: "Module not found" });
+      }
+    }
+    
     // Get all quizzes in the module
-    const quizzes = await Quiz.find({ module: moduleId }).sort({ order: 1 });
+    const quizzes = await Quiz.find({
+      module: moduleId,
+      ...(isinstructor ? {} : visibleFilter())
+    }).sort({ order: 1 });
+    
+    // The first published quiz is always unlocked
+    const firstQuiz = isinstructor ? null : await findFirstPublishedQuiz(moduleId);
     
     const moduleProgress = progress?.moduleProgress.find(mp => mp.module.toString() === moduleId);
     
+    // Quizzes that wait for a lesson stay locked until it is read
+    const lessons = isinstructor ? [] : await findPublishedLessons(moduleId);
+    
     const quizzesWithStatus = quizzes.map(quiz => {
       let isUnlocked;
       let isCompleted = false;
@@ -214,7 +279,7 @@ router.get("/module/:moduleId/quizzes", protectRoute, async (req, res) => {
       if (isinstructor) {
         // instructor has access to all quizzes
         isUnlocked = true;
-      } else if (quiz.order === 1) {
+      } else if (firstQuiz && firstQuiz._id.equals(quiz._id)) {
         // ✅ ALWAYS unlock the first quiz
         isUnlocked = true;
       } else if (progress) {
@@ -224,6 +289,14 @@ router.get("/module/:moduleId/quizzes", protectRoute, async (req, res) => {
         isUnlocked = false;
       }
       
+      const lesson = quiz.requiresLesson ? precedingLessonIn(lessons, quiz) : null;
+      const requiredLesson = lesson && !progress?.isLessonCompleted(lesson._id)
+        ? { _id: lesson._id, title: lesson.title }
+        : null;
+      if (requiredLesson) {
+        isUnlocked = false;
+      }
+      
       // ✅ Get completion status for students
       if (!isinstructor && moduleProgress) {
         const completion = moduleProgress.completedQuizzes.find(
@@ -243,11 +316,12 @@ router.get("/module/:moduleId/quizzes", protectRoute, async (req, res) => {
       console.log(`📝 Quiz: ${quiz.title}, Order: ${quiz.order}, Unlocked: ${isUnlocked}, Completed: ${isCompleted}, Passed: ${isPassed}`);
       
       return {
-        ...quiz.toObject(),
+        ...(isinstructor ? quiz.toObject() : stripQuizAnswerKeys(quiz)),
         isUnlocked,
         isCompleted,
         isPassed, // ✅ Add passed status
         isCurrent,
+        requiredLesson,
         bestScore,
         attempts // ✅ Add attempt count
       };
@@ -260,41 +334,19 @@ router.get("/module/:moduleId/quizzes", protectRoute, async (req, res) => {
   }
 });
 
-// Submit quiz attempt
+// Submit quiz attempt - answers are graded on the server, client scores are ignored
 router.post("/quiz/:quizId/complete", protectRoute, async (req, res) => {
   try {
     const { quizId } = req.params;
-    const attemptData = req.body;
+    const { answers, timeSpent, questionTimes, attemptId } = req.body;
     
     console.log('📝 Quiz submission received:', {
       quizId,
       userId: req.user.id,
       userPrivilege: req.user.privilege,
-      score: attemptData.score
+      answers: Array.isArray(answers) ? answers.length : 0
     });
     
-    // ✅ Check if user is instructor
-    const isinstructor = req.user.privilege === 'instructor' || req.user.privilege === 'admin';
-    
-    if (isinstructor) {
-      console.log('👑 instructor quiz submission - no progress tracking');
-      return res.json({
-        message: "Quiz completed successfully (instructor mode)",
-        isinstructor: true
-      });
-    }
-    
-    // ✅ For students, handle progress tracking
-    let progress = await Progress.findOne({ user: req.user.id });
-    
-    if (!progress) {
-      console.log('❌ Student progress not found');
-      return res.status(404).json({ 
-        message: "User progress not found. Please initialize your progress first." 
-      });
-    }
-    
-    // ✅ Get quiz details for better debugging
     const quiz = await Quiz.findById(quizId);
     if (!quiz) {
       console.log('❌ Quiz not found:', quizId);
@@ -303,62 +355,42 @@ router.post("/quiz/:quizId/complete", protectRoute, async (req, res) => {
     
     console.log(`🎯 Quiz details: ${quiz.title}, Order: ${quiz.order}, Module: ${quiz.module}`);
     
-    // ✅ Check module unlock first
-    const isModuleUnlocked = progress.isModuleUnlocked(quiz.module);
-    console.log(`📚 Module unlock status: ${isModuleUnlocked}`);
-    
-    if (!isModuleUnlocked) {
-      console.log('🔒 Module is locked for student');
-      return res.status(403).json({ message: "Module is locked" });
-    }
-    
-    // ✅ Check quiz unlock
-    const isQuizUnlocked = await progress.isQuizUnlockedAsync(quizId);
-    console.log(`🎯 Quiz unlock status: ${isQuizUnlocked}`);
+    const { grading, attempt, isinstructor } = await submitQuizAttempt({
+      user: req.user,
+      quiz,
+      answers,
+      timeSpent,
+      questionTimes,
+      attemptId
+    });
     
-    if (!isQuizUnlocked) {
-      console.log('🔒 Quiz is locked for student');
-      
-      // ✅ Additional debugging info
-      const moduleProgress = progress.moduleProgress.find(
-        mp => mp.module.toString() === quiz.module.toString()
-      );
-      
-      console.log('📊 Module progress details:', {
-        moduleId: quiz.module,
-        status: moduleProgress?.status,
-        unlockedQuizzes: moduleProgress?.unlockedQuizzes?.length || 0,
-        currentQuiz: moduleProgress?.currentQuiz
-      });
-      
-      return res.status(403).json({ 
-        message: "Quiz is locked",
-        debug: {
-          quizOrder: quiz.order,
-          moduleStatus: moduleProgress?.status,
-          unlockedQuizzes: moduleProgress?.unlockedQuizzes?.length || 0
-        }
+    if (isinstructor) {
+      console.log('👑 instructor quiz submission - no progress tracking');
+      return res.json({
+        message: "Quiz completed successfully (instructor mode)",
+        score: grading.percentage,
+        passed: grading.passed,
+        questionResults: grading.questionResults,
+        isinstructor: true
       });
     }
     
-    console.log('✅ Quiz is unlocked, updating progress...');
-    
-    // ✅ Update progress for students
-    await progress.completeQuiz(quizId, attemptData);
-    await progress.save();
-    
     // ✅ Return detailed response
-    const hasPassed = (attemptData.score || 0) >= (quiz.passingScore || 70);
-    
     res.json({
       message: "Quiz completed successfully",
-      score: attemptData.score,
+      score: grading.percentage,
       passingScore: quiz.passingScore,
-      passed: hasPassed,
-      unlockedContent: hasPassed ? "Next quiz/module unlocked!" : "Complete this quiz to unlock next content",
+      passed: grading.passed,
+      questionResults: grading.questionResults,
+      attemptNumber: attempt.attemptNumber,
+      xpEarned: attempt.xpEarned,
+      unlockedContent: grading.passed ? "Next quiz/module unlocked!" : "Complete this quiz to unlock next content",
       isinstructor: false
     });
   } catch (error) {
+    if (error instanceof QuizSubmissionError) {
+      return res.status(error.statusCode).json({ message: error.message, debug: error.details });
+    }
     console.error('❌ Error in quiz completion:', error);
     res.status(500).json({ 
       message: "Failed to submit quiz",
@@ -441,8 +473,15 @@ router.get("/completed-quizzes", protectRoute, async (req, res) => {
     
     console.log(`✅ Successfully fetched ${completedQuizzes.length} quizzes with questions`);
     
-    // Return the quizzes with their questions
-    res.json(completedQuizzes);
+    // Return the quizzes with their questions; answers stay for review, hidden test cases do not
+    res.json(completedQuizzes.map(quiz => {
+      const reviewed = quiz.toObject();
+      reviewed.questions = reviewed.questions.map(q => ({
+        ...q,
+        testCases: (q.testCases || []).filter(t => !t.hidden)
+      }));
+      return reviewed;
+    }));
   } catch (error) {
     console.error("❌ Error fetching completed quizzes:", error);
     res.status(500).json({ message: "Server error", error: error.message });
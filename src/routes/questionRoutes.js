@@ -0,0 +1,270 @@
+import express from "express";
+import mongoose from "mongoose";
+import Question, { QUESTION_CONTENT_FIELDS } from "../models/Question.js";
+import Quiz from "../models/Quiz.js";
+import { protectRoute, requirePermission } from "../middleware/auth.middleware.js";
+import { validateQuestion } from "../lib/quizValidation.js";
+
+const router = express.Router();
+
+// Helper function to escape user input used in a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Helper function to read a comma separated or repeated query parameter
+const queryList = (value) => {
+  if (!value) return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(v => v.trim().toLowerCase()).filter(Boolean);
+};
+
+// Helper function to pick the content fields out of a request body
+const pickContent = (body) => Object.fromEntries(
+  QUESTION_CONTENT_FIELDS
+    .filter(field => body[field] !== undefined)
+    .map(field => [field, body[field]])
+);
+
+/**
+ * @route   GET /api/questions
+ * @desc    Search the question bank by tag, type, difficulty, module, author or text
+ * @access  Private/instructor
+ */
+router.get("/", protectRoute, requirePermission('question:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+
+    // ?tags=loops,arrays matches questions carrying every tag
+    const tags = queryList(req.query.tags || req.query.tag);
+    if (tags.length > 0) {
+      filter.tags = { $all: tags };
+    }
+
+    if (req.query.type) {
+      filter.questionType = req.query.type;
+    }
+
+    if (req.query.difficulty) {
+      filter.difficulty = req.query.difficulty;
+    }
+
+    for (const field of ['module', 'author']) {
+      if (req.query[field]) {
+        if (!mongoose.Types.ObjectId.isValid(req.query[field])) {
+          return res.status(400).json({ message: `Invalid ${field} ID` });
+        }
+        filter[field] = req.query[field];
+      }
+    }
+
+    if (req.query.search) {
+      filter.question = { $regex: escapeRegex(String(req.query.search)), $options: 'i' };
+    }
+
+    const total = await Question.countDocuments(filter);
+
+    const questions = await Question.find(filter)
+      .select('-revisions')
+      .populate('author', 'username')
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      questions,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: total,
+        hasMore: page < totalPages
+      }
+    });
+  } catch (error) {
+    console.error("Error searching questions:", error);
+    res.status(500).json({ message: "Failed to fetch questions" });
+  }
+});
+
+/**
+ * @route   GET /api/questions/tags
+ * @desc    List the tags in use, for filter pickers
+ * @access  Private/instructor
+ */
+router.get("/tags", protectRoute, requirePermission('question:read'), async (req, res) => {
+  try {
+    const tags = await Question.distinct('tags');
+    res.json({ tags: tags.sort() });
+  } catch (error) {
+    console.error("Error fetching question tags:", error);
+    res.status(500).json({ message: "Failed to fetch tags" });
+  }
+});
+
+/**
+ * @route   GET /api/questions/:id
+ * @desc    Get a bank question; ?version=N returns the content of an earlier version
+ * @access  Private/instructor
+ */
+router.get("/:id", protectRoute, requirePermission('question:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid question ID" });
+    }
+
+    const question = await Question.findById(id).populate('author', 'username');
+    if (!question) {
+      return res.status(404).json({ message: "Question not found" });
+    }
+
+    if (req.query.version !== undefined) {
+      const version = parseInt(req.query.version);
+      const content = question.contentAtVersion(version);
+      if (!content) {
+        return res.status(404).json({ message: "Version not found" });
+      }
+      return res.json({ _id: question._id, version, latestVersion: question.version, ...content });
+    }
+
+    const usedIn = await Quiz.find({ 'questionRefs.question': question._id }).select('title module');
+
+    res.json({
+      ...question.toObject(),
+      revisions: question.revisions.map(r => ({ version: r.version, editedBy: r.editedBy, editedAt: r.editedAt })),
+      usedIn
+    });
+  } catch (error) {
+    console.error("Error fetching question:", error);
+    res.status(500).json({ message: "Failed to fetch question" });
+  }
+});
+
+/**
+ * @route   POST /api/questions
+ * @desc    Add a question to the bank
+ * @access  Private/instructor
+ */
+router.post("/", protectRoute, requirePermission('question:create'), async (req, res) => {
+  try {
+    const content = pickContent(req.body);
+    const { tags, module } = req.body;
+
+    const errors = validateQuestion(content, null, 'question');
+    if (errors.length > 0) {
+      return res.status(400).json({ message: "Invalid question", errors });
+    }
+
+    if (module && !mongoose.Types.ObjectId.isValid(module)) {
+      return res.status(400).json({ message: "Invalid module ID" });
+    }
+
+    const question = new Question({
+      ...content,
+      tags: queryList(tags),
+      module: module || undefined,
+      author: req.user.id,
+      lastEditedBy: req.user.id
+    });
+
+    await question.save();
+
+    console.log(`✅ Question added to bank: ${question._id}`);
+    res.status(201).json({ message: "Question created successfully", question });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Error creating question:", error);
+    res.status(500).json({ message: "Failed to create question" });
+  }
+});
+
+/**
+ * @route   PUT /api/questions/:id
+ * @desc    Update a bank question. Content changes create a new version;
+ *          attempts keep the version they were given.
+ * @access  Private/instructor
+ */
+router.put("/:id", protectRoute, requirePermission('question:update', { param: 'id' }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid question ID" });
+    }
+
+    const question = await Question.findById(id);
+    if (!question) {
+      return res.status(404).json({ message: "Question not found" });
+    }
+
+    const content = pickContent(req.body);
+    const errors = validateQuestion({ ...question.contentSnapshot(), ...content }, null, 'question');
+    if (errors.length > 0) {
+      return res.status(400).json({ message: "Invalid question", errors });
+    }
+
+    if (req.body.tags !== undefined) question.tags = queryList(req.body.tags);
+    if (req.body.module !== undefined) {
+      if (req.body.module && !mongoose.Types.ObjectId.isValid(req.body.module)) {
+        return res.status(400).json({ message: "Invalid module ID" });
+      }
+      question.module = req.body.module || undefined;
+    }
+
+    const newVersion = question.applyContentUpdate(content, req.user.id);
+    await question.save();
+
+    if (newVersion) {
+      console.log(`📝 Question ${question._id} updated to version ${question.version}`);
+    }
+    res.json({ message: "Question updated successfully", newVersion, question });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Error updating question:", error);
+    res.status(500).json({ message: "Failed to update question" });
+  }
+});
+
+/**
+ * @route   DELETE /api/questions/:id
+ * @desc    Delete a bank question that no quiz uses
+ * @access  Private/instructor
+ */
+router.delete("/:id", protectRoute, requirePermission('question:delete', { param: 'id' }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid question ID" });
+    }
+
+    const usedIn = await Quiz.find({ 'questionRefs.question': id }).select('title');
+    if (usedIn.length > 0) {
+      return res.status(409).json({
+        message: "Question is used by quizzes. Remove it from them first.",
+        usedIn
+      });
+    }
+
+    const question = await Question.findByIdAndDelete(id);
+    if (!question) {
+      return res.status(404).json({ message: "Question not found" });
+    }
+
+    res.json({ message: "Question deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting question:", error);
+    res.status(500).json({ message: "Failed to delete question" });
+  }
+});
+
+export default router;
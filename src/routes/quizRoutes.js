@@ -1,19 +1,74 @@
 import express from "express";
 import Quiz from "../models/Quiz.js";
 import Module from "../models/Module.js";
-import { protectRoute, authorizeRole } from "../middleware/auth.middleware.js";
+import { protectRoute, requirePermission } from "../middleware/auth.middleware.js";
 import mongoose from "mongoose";
-import cloudinary from "../lib/cloudinary.js";
+import { storeImage, deleteImage, ImageError } from "../lib/images.js";
+import { imageUpload } from "../middleware/upload.middleware.js";
 import Progress from "../models/Progress.js"; // Import Progress model
+import { submitQuizAttempt, QuizSubmissionError, requiresAttemptSession } from "../lib/quizSubmission.js";
+import { stripQuizAnswerKeys } from "../lib/quizGrader.js";
+import { validateQuestions, validateAssembly, validateQuestionRefs } from "../lib/quizValidation.js";
+import { QUIZ_FORMATS, parseQuizFile, exportQuizFile } from "../lib/formats/index.js";
+import { loadQuizQuestions } from "../lib/quizAssembly.js";
+import { visibleFilter, isVisible, findFirstPublishedQuiz, validatePublishFields, applyPublishFields } from "../lib/visibility.js";
+import { findUnreadRequiredLesson } from "../lib/lessons.js";
+import { cloneQuiz, makeRoomAt } from "../lib/cloning.js";
+import { can } from "../lib/permissions.js";
 
 const router = express.Router();
 
-// Configure Cloudinary (if not already done elsewhere)
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
+// Structured fields sent JSON-encoded when the quiz is posted as multipart/form-data
+const QUIZ_JSON_FIELDS = ['questions', 'questionRefs', 'assembly'];
+
+/**
+ * Checks shared by quiz create, update and import. For an update `quiz` is
+ * the stored quiz and fields left undefined keep its values. Returns the
+ * { message, errors } to answer 400 with, or null when the quiz is valid.
+ */
+const findQuizFieldErrors = async (fields, quiz = null) => {
+  const { questions, questionRefs, assembly, difficulty, status, availableFrom, availableUntil } = fields;
+
+  const publishError = validatePublishFields({
+    status,
+    availableFrom: availableFrom === undefined ? quiz?.availableFrom : availableFrom,
+    availableUntil: availableUntil === undefined ? quiz?.availableUntil : availableUntil
+  });
+  if (publishError) {
+    return { message: publishError };
+  }
+
+  if (questions) {
+    const questionErrors = validateQuestions(questions);
+    if (questionErrors.length > 0) {
+      return { message: "Invalid questions", errors: questionErrors };
+    }
+  }
+
+  const refs = await validateQuestionRefs(questionRefs ?? quiz?.toObject().questionRefs ?? []);
+  if (questionRefs && refs.errors.length > 0) {
+    return { message: "Invalid question references", errors: refs.errors };
+  }
+
+  const nextQuestions = questions ?? quiz?.questions ?? [];
+  if (nextQuestions.length === 0 && (questionRefs ?? quiz?.questionRefs ?? []).length === 0) {
+    return { message: "A quiz needs at least one question" };
+  }
+
+  // Pool rules are checked against the questions they draw from, so any change to those re-checks them
+  if (!quiz || assembly || questions || questionRefs || difficulty) {
+    const assemblyErrors = validateAssembly(
+      assembly ?? quiz?.toObject().assembly,
+      [...nextQuestions, ...refs.questions],
+      difficulty || quiz?.difficulty || 'medium'
+    );
+    if (assemblyErrors.length > 0) {
+      return { message: "Invalid assembly settings", errors: assemblyErrors };
+    }
+  }
+
+  return null;
+};
 
 // GET all quizzes with pagination and filtering
 router.get("/", protectRoute, async (req, res) => {
@@ -42,13 +97,21 @@ router.get("/", protectRoute, async (req, res) => {
       filter.isActive = req.query.isActive === 'true';
     }
     
+    // Students only see published quizzes inside their availability window
+    const canPreview = await can(req.user, 'content:preview');
+    if (!canPreview) {
+      Object.assign(filter, visibleFilter());
+    } else if (req.query.status) {
+      filter.status = req.query.status;
+    }
+    
     // Get total count
     const total = await Quiz.countDocuments(filter);
     
     // Get quizzes
     const quizzes = await Quiz.find(filter)
       .select('-questions.correctAnswer') // Don't send answers to frontend
-      .populate('module', 'title image')
+      .populate('module', 'title image imageVariants')
       .sort(sortOptions)
       .skip(skip)
       .limit(limit);
@@ -58,7 +121,8 @@ router.get("/", protectRoute, async (req, res) => {
     const hasMore = page < totalPages;
     
     res.json({
-      quizzes,
+      // Students get the questions without the answer key or hidden test cases
+      quizzes: canPreview ? quizzes : quizzes.map(stripQuizAnswerKeys),
       pagination: {
         currentPage: page,
         totalPages,
@@ -81,8 +145,10 @@ router.get("/module/:moduleId", protectRoute, async (req, res) => {
       return res.status(400).json({ message: "Invalid module ID" });
     }
     
-    const quizzes = await Quiz.find({ module: moduleId })
-      .select('title description difficulty timeLimit totalQuestions image')
+    const isinstructor = await can(req.user, 'content:preview');
+    
+    const quizzes = await Quiz.find({ module: moduleId, ...(isinstructor ? {} : visibleFilter()) })
+      .select('title description difficulty timeLimit totalQuestions image imageVariants status availableFrom availableUntil')
       .sort({ createdAt: 1 });
     
     res.json(quizzes);
@@ -107,44 +173,42 @@ router.get("/:id", protectRoute, async (req, res) => {
       return res.status(404).json({ message: "Quiz not found" });
     }
     
-    // ✅ Allow access if user is instructor OR quiz is order 1
-    const isinstructor = req.user.privilege === 'instructor' || req.user.privilege === 'admin';
-    const isFirstQuiz = quiz.order === 1;
+    // ✅ Allow access if user is instructor OR quiz is the first published one
+    const isinstructor = await can(req.user, 'content:preview');
     
-    if (!isinstructor && !isFirstQuiz) {
-      // For non-instructor and non-first quiz, check progress
+    // Drafts, archived and out-of-window quizzes are hidden from students
+    if (!isinstructor && !isVisible(quiz)) {
+      return res.status(404).json({ message: "Quiz not found" });
+    }
+    
+    const firstQuiz = isinstructor ? null : await findFirstPublishedQuiz(quiz.module);
+    const isFirstQuiz = firstQuiz?._id.equals(quiz._id);
+    
+    if (!isinstructor) {
       const progress = await Progress.findOne({ user: req.user.id });
       
-      if (progress && !progress.isQuizUnlockedSync(quiz._id, quiz.order)) {
+      // For non-first quizzes, check progress
+      if (!isFirstQuiz && progress && !progress.isQuizUnlockedSync(quiz._id, quiz.order)) {
         return res.status(403).json({ message: "Quiz is locked" });
       }
+      
+      const unreadLesson = await findUnreadRequiredLesson(quiz, progress);
+      if (unreadLesson) {
+        return res.status(403).json({
+          message: "Read the lesson before taking this quiz",
+          lesson: { _id: unreadLesson._id, title: unreadLesson.title }
+        });
+      }
     }
     
     // Remove correct answers for students (unless instructor)
     let sanitizedQuiz;
     
-    if (req.user.role === 'student') {
-      sanitizedQuiz = quiz.toObject();
-      
+    if (!isinstructor) {
       // Remove correct answers based on question type
-      sanitizedQuiz.questions = sanitizedQuiz.questions.map(q => {
-        const question = { ...q };
-        
-        if (q.questionType === 'multipleChoice') {
-          question.options = q.options.map(opt => ({ text: opt.text }));
-        } else if (['codeSimulation', 'codeImplementation'].includes(q.questionType)) {
-          delete question.correctAnswer;
-          delete question.expectedOutput;
-        } else if (q.questionType === 'fillInBlanks') {
-          delete question.blanks;
-        } else if (q.questionType === 'codeOrdering') {
-          question.codeBlocks = q.codeBlocks.map(block => ({ 
-            code: block.code
-          }));
-        }
-        
-        return question;
-      });
+      sanitizedQuiz = stripQuizAnswerKeys(quiz);
+      // Timed and assembled quizzes are taken through POST /api/attempts/quiz/:quizId/start
+      sanitizedQuiz.requiresAttempt = requiresAttemptSession(quiz);
     } else {
       sanitizedQuiz = quiz;
     }
@@ -157,7 +221,7 @@ router.get("/:id", protectRoute, async (req, res) => {
 });
 
 // Add helper route for next order
-router.get("/next-order/:moduleId", protectRoute, authorizeRole(['instructor', 'admin']), async (req, res) => {
+router.get("/next-order/:moduleId", protectRoute, requirePermission('quiz:create'), async (req, res) => {
   try {
     const { moduleId } = req.params;
     
@@ -178,76 +242,86 @@ router.get("/next-order/:moduleId", protectRoute, authorizeRole(['instructor', '
   }
 });
 
-// CREATE a new quiz (instructor only) - Updated with Cloudinary handling
-router.post("/", protectRoute, authorizeRole(['instructor', 'admin']), async (req, res) => {
+// CREATE a new quiz (instructor only) - with image upload (base64 or a multipart/form-data file)
+router.post("/", protectRoute, requirePermission('quiz:create'), imageUpload('image', { jsonFields: QUIZ_JSON_FIELDS }), async (req, res) => {
   try {
+    const image = req.file ?? req.body.image;
     const {
       title,
       description,
       module,
-      image,
       difficulty,
       timeLimit,
       passingScore,
-      questions
+      questions = [],
+      questionRefs = [],
+      assembly,
+      requiresLesson,
+      status,
+      availableFrom,
+      availableUntil
     } = req.body;
     
-    // Validate required fields
-    if (!title || !description || !module || !questions || questions.length === 0) {
+    // Validate required fields - a quiz needs its own questions or bank questions
+    const hasQuestions = questions?.length > 0 || questionRefs?.length > 0;
+    if (!title || !description || !module || !hasQuestions) {
       return res.status(400).json({ message: "Missing required fields" });
     }
     
+    const fieldErrors = await findQuizFieldErrors({ questions, questionRefs, assembly, difficulty, status, availableFrom, availableUntil });
+    if (fieldErrors) {
+      return res.status(400).json(fieldErrors);
+    }
+    
     // Check if module exists
     const moduleExists = await Module.findById(module);
     if (!moduleExists) {
       return res.status(404).json({ message: "Module not found" });
     }
+    if (!(await can(req.user, 'module:update', moduleExists))) {
+      return res.status(403).json({ message: "You can only add quizzes to your own modules" });
+    }
     
     // ✅ Auto-assign the next order number for this module
     const lastQuiz = await Quiz.findOne({ module }).sort({ order: -1 }).select('order');
     const nextOrder = lastQuiz ? lastQuiz.order + 1 : 1;
     
     let imageUrl = null;
+    let imageVariants;
     
-    // Handle image upload to Cloudinary if provided
+    // Handle image upload to media storage if provided
     if (image) {
       try {
-        console.log("Starting Cloudinary upload for quiz image...");
-        
-        // Ensure image has proper format before uploading
-        let imageDataUrl = image;
-        if (!image.startsWith('data:image')) {
-          // Try to detect type or default to jpeg
-          imageDataUrl = `data:image/jpeg;base64,${image}`;
-        }
+        console.log("Starting quiz image upload...");
         
-        const uploadResponse = await cloudinary.uploader.upload(imageDataUrl, {
-          timeout: 120000, // Increase timeout to 2 minutes
-          resource_type: 'image',
-          folder: 'quizzes', // Optional: organize images in folders
-        });
+        const uploaded = await storeImage(image, { folder: 'quizzes' });
         
-        console.log("Cloudinary upload successful for quiz");
-        imageUrl = uploadResponse.secure_url;
+        console.log("Quiz image upload successful");
+        imageUrl = uploaded.url;
+        imageVariants = uploaded.variants;
         
-      } catch (cloudinaryError) {
-        console.error("Cloudinary upload error details:", cloudinaryError);
+      } catch (uploadError) {
+        console.error("Quiz image upload error details:", uploadError);
+
+        if (uploadError instanceof ImageError) {
+          return res.status(uploadError.statusCode).json({ message: uploadError.message });
+        }
         
         // FIX: Safely check if message exists before using includes()
         let errorMessage = "Quiz image upload failed";
         
         // Add this safety check
-        if (cloudinaryError && typeof cloudinaryError.message === 'string') {
-          if (cloudinaryError.message.includes("timed out")) {
+        if (uploadError && typeof uploadError.message === 'string') {
+          if (uploadError.message.includes("timed out")) {
             errorMessage = "Quiz image upload timed out. Try a smaller image.";
-          } else if (cloudinaryError.message.includes("Invalid image")) {
+          } else if (uploadError.message.includes("Invalid image")) {
             errorMessage = "Invalid quiz image format or corrupted image.";
           }
         }
         
         return res.status(500).json({ 
           message: errorMessage,
-          error: cloudinaryError?.message || "Unknown cloudinary error"
+          error: uploadError?.message || "Unknown storage error"
         });
       }
     }
@@ -257,13 +331,18 @@ router.post("/", protectRoute, authorizeRole(['instructor', 'admin']), async (re
       title,
       description,
       module,
-      image: imageUrl, // Use the Cloudinary URL
+      image: imageUrl, // Use the stored image URL
+      imageVariants,
       difficulty,
       timeLimit,
       passingScore,
       questions,
+      questionRefs,
+      assembly,
+      requiresLesson,
       order: nextOrder // ✅ Add the auto-generated order
     });
+    applyPublishFields(newQuiz, { status, availableFrom, availableUntil });
     
     await newQuiz.save();
     
@@ -284,11 +363,25 @@ router.post("/", protectRoute, authorizeRole(['instructor', 'admin']), async (re
   }
 });
 
-// UPDATE a quiz (instructor only) - Updated with Cloudinary handling
-router.put("/:id", protectRoute, authorizeRole(['instructor', 'admin']), async (req, res) => {
+// UPDATE a quiz (instructor only) - with image replacement (base64 or a multipart/form-data file)
+router.put("/:id", protectRoute, requirePermission('quiz:update', { param: 'id' }), imageUpload('image', { jsonFields: QUIZ_JSON_FIELDS }), async (req, res) => {
   try {
     const { id } = req.params;
-    const { title, description, difficulty, timeLimit, passingScore, questions, image } = req.body;
+    const image = req.file ?? req.body.image;
+    const {
+      title,
+      description,
+      difficulty,
+      timeLimit,
+      passingScore,
+      questions,
+      questionRefs,
+      assembly,
+      requiresLesson,
+      status,
+      availableFrom,
+      availableUntil
+    } = req.body;
     
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({ message: "Invalid quiz ID" });
@@ -301,6 +394,14 @@ router.put("/:id", protectRoute, authorizeRole(['instructor', 'admin']), async (
       return res.status(404).json({ message: "Quiz not found" });
     }
     
+    const fieldErrors = await findQuizFieldErrors(
+      { questions, questionRefs, assembly, difficulty, status, availableFrom, availableUntil },
+      quiz
+    );
+    if (fieldErrors) {
+      return res.status(400).json(fieldErrors);
+    }
+    
     // Update basic fields if provided
     if (title) quiz.title = title;
     if (description) quiz.description = description;
@@ -308,53 +409,39 @@ router.put("/:id", protectRoute, authorizeRole(['instructor', 'admin']), async (
     if (timeLimit) quiz.timeLimit = timeLimit;
     if (passingScore) quiz.passingScore = passingScore;
     if (questions) quiz.questions = questions;
-    
-    // Handle image update if provided
+    if (questionRefs) quiz.questionRefs = questionRefs;
+    if (assembly) quiz.assembly = assembly;
+    if (requiresLesson !== undefined) quiz.requiresLesson = requiresLesson;
+    applyPublishFields(quiz, { status, availableFrom, availableUntil });
+    
+    // Handle image update if provided; a new image is always stored as the
+    // quiz's own copy, so deleting the quiz never removes a file another
+    // record uses (see the module update route)
     if (image && image !== quiz.image) {
-      // If it's a new image (not just the same URL)
-      if (image.startsWith('data:image')) {
-        // Delete old image from Cloudinary
-        if (quiz.image) {
-          const publicId = extractPublicIdFromUrl(quiz.image);
-          if (publicId) {
-            try {
-              await cloudinary.uploader.destroy(publicId);
-              console.log(`Old quiz image deleted from Cloudinary: ${publicId}`);
-            } catch (cloudinaryError) {
-              console.error("Error deleting old quiz image:", cloudinaryError);
-              // Continue with the update even if image deletion fails
-            }
-          }
-        }
-        
-        // Upload new image
-        try {
-          console.log("Uploading new quiz image to Cloudinary...");
-          
-          // Ensure image has proper format
-          let imageDataUrl = image;
-          if (!image.startsWith('data:image')) {
-            imageDataUrl = `data:image/jpeg;base64,${image}`;
-          }
+      try {
+        console.log("Uploading new quiz image...");
+        const { url, variants } = await storeImage(image, { folder: 'quizzes' });
+        console.log("New quiz image upload successful");
           
-          const uploadResponse = await cloudinary.uploader.upload(imageDataUrl, {
-            timeout: 120000, // 2 minutes timeout
-            resource_type: 'image',
-            folder: 'quizzes',
-          });
+        // Delete old image and its variants from media storage
+        try {
+          await deleteImage(quiz.image, quiz.imageVariants);
+        } catch (storageError) {
+          console.error("Error deleting old quiz image:", storageError);
+          // Continue with the update even if image deletion fails
+        }
           
-          console.log("New quiz image upload successful");
-          quiz.image = uploadResponse.secure_url;
-        } catch (cloudinaryError) {
-          console.error("Error uploading new quiz image:", cloudinaryError);
-          return res.status(500).json({ 
-            message: "Failed to upload new quiz image",
-            error: cloudinaryError.message
-          });
+        quiz.image = url;
+        quiz.imageVariants = variants;
+      } catch (uploadError) {
+        console.error("Error uploading new quiz image:", uploadError);
+        if (uploadError instanceof ImageError) {
+          return res.status(uploadError.statusCode).json({ message: uploadError.message });
         }
-      } else {
-        // It's a URL, just update the field
-        quiz.image = image;
+        return res.status(500).json({ 
+          message: "Failed to upload new quiz image",
+          error: uploadError.message
+        });
       }
     }
     
@@ -371,8 +458,8 @@ router.put("/:id", protectRoute, authorizeRole(['instructor', 'admin']), async (
   }
 });
 
-// DELETE a quiz (instructor only) - Updated with Cloudinary handling
-router.delete("/:id", protectRoute, authorizeRole(['instructor', 'admin']), async (req, res) => {
+// DELETE a quiz (instructor only) - with image cleanup
+router.delete("/:id", protectRoute, requirePermission('quiz:delete', { param: 'id' }), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -390,18 +477,11 @@ router.delete("/:id", protectRoute, authorizeRole(['instructor', 'admin']), asyn
     const moduleId = quiz.module;
     const deletedOrder = quiz.order;
     
-    // 2. Delete associated image from Cloudinary
-    if (quiz.image) {
-      const publicId = extractPublicIdFromUrl(quiz.image);
-      
-      if (publicId) {
-        try {
-          await cloudinary.uploader.destroy(publicId);
-          console.log(`Quiz image deleted from Cloudinary: ${publicId}`);
-        } catch (cloudinaryError) {
-          console.error("Error deleting quiz image from Cloudinary:", cloudinaryError);
-        }
-      }
+    // 2. Delete associated image and its variants from media storage
+    try {
+      await deleteImage(quiz.image, quiz.imageVariants);
+    } catch (storageError) {
+      console.error("Error deleting quiz image:", storageError);
     }
     
     // 3. Delete the quiz from database
@@ -451,7 +531,7 @@ async function reorderQuizzesAfterDeletion(moduleId, deletedOrder) {
 }
 
 // ✅ Add a route to manually re-order all quizzes in a module (instructor only)
-router.post("/reorder/:moduleId", protectRoute, authorizeRole(['instructor', 'admin']), async (req, res) => {
+router.post("/reorder/:moduleId", protectRoute, requirePermission('module:update', { param: 'moduleId' }), async (req, res) => {
   try {
     const { moduleId } = req.params;
     const { quizOrder } = req.body; // Array of quiz IDs in desired order
@@ -464,9 +544,19 @@ router.post("/reorder/:moduleId", protectRoute, authorizeRole(['instructor', 'ad
       return res.status(400).json({ message: "Quiz order must be an array" });
     }
     
+    // Only quizzes of this module can be renumbered, each once
+    const quizIds = quizOrder.map(String);
+    if (new Set(quizIds).size !== quizIds.length || !quizIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: "Quiz order must list distinct quiz IDs" });
+    }
+    const inModule = await Quiz.countDocuments({ _id: { $in: quizIds }, module: moduleId });
+    if (inModule !== quizIds.length) {
+      return res.status(400).json({ message: "Quiz order lists quizzes that are not in this module" });
+    }
+
     // Update each quiz with its new order
-    const updatePromises = quizOrder.map((quizId, index) => {
-      return Quiz.findByIdAndUpdate(quizId, { order: index + 1 });
+    const updatePromises = quizIds.map((quizId, index) => {
+      return Quiz.updateOne({ _id: quizId, module: moduleId }, { order: index + 1 });
     });
     
     await Promise.all(updatePromises);
@@ -481,8 +571,73 @@ router.post("/reorder/:moduleId", protectRoute, authorizeRole(['instructor', 'ad
   }
 });
 
+// Copy a quiz into a module the caller manages (instructor only)
+// Body: { module, order }. Without a module the copy goes into the source's
+// module, without an order after its last quiz.
+router.post("/:id/clone", protectRoute, requirePermission('quiz:create'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { module, order } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid quiz ID" });
+    }
+
+    const source = await Quiz.findById(id);
+    if (!source) {
+      return res.status(404).json({ message: "Quiz not found" });
+    }
+
+    const targetId = module ?? source.module;
+    const targetModule = mongoose.Types.ObjectId.isValid(targetId) ? await Module.findById(targetId) : null;
+    if (!targetModule) {
+      return res.status(404).json({ message: "Module not found" });
+    }
+
+    if (!(await can(req.user, 'module:update', targetModule))) {
+      return res.status(403).json({ message: "You can only add quizzes to your own modules" });
+    }
+
+    const lastQuiz = await Quiz.findOne({ module: targetModule._id }).sort({ order: -1 }).select('order');
+    const nextOrder = lastQuiz ? lastQuiz.order + 1 : 1;
+    if (order !== undefined && (!Number.isInteger(order) || order < 1 || order > nextOrder)) {
+      return res.status(400).json({ message: `order must be a whole number from 1 to ${nextOrder}` });
+    }
+
+    // Lessons move along with the quiz they come before
+    const cloneOrder = order ?? nextOrder;
+    await makeRoomAt(Quiz, { module: targetModule._id }, cloneOrder);
+    await mongoose.model('Lesson').updateMany(
+      { module: targetModule._id, order: { $gte: cloneOrder } },
+      { $inc: { order: 1 } }
+    );
+
+    let quiz;
+    try {
+      quiz = await cloneQuiz(source, { moduleId: targetModule._id, order: cloneOrder, user: req.user });
+    } catch (cloneError) {
+      // Close the gap made for the copy
+      await reorderQuizzesAfterDeletion(targetModule._id, cloneOrder);
+      await mongoose.model('Lesson').updateMany(
+        { module: targetModule._id, order: { $gt: cloneOrder } },
+        { $inc: { order: -1 } }
+      );
+      throw cloneError;
+    }
+
+    console.log(`Cloned quiz '${source.title}' into module ${targetModule.title} at order ${cloneOrder}`);
+    res.status(201).json({
+      message: "Quiz cloned successfully",
+      quiz
+    });
+  } catch (error) {
+    console.error("Error cloning quiz:", error);
+    res.status(500).json({ message: "Failed to clone quiz", error: error.message });
+  }
+});
+
 // ✅ Add route to get quiz for editing
-router.get("/edit/:id", protectRoute, authorizeRole(['instructor', 'admin']), async (req, res) => {
+router.get("/edit/:id", protectRoute, requirePermission('quiz:update', { param: 'id' }), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -490,7 +645,9 @@ router.get("/edit/:id", protectRoute, authorizeRole(['instructor', 'admin']), as
       return res.status(400).json({ message: "Invalid quiz ID" });
     }
     
-    const quiz = await Quiz.findById(id).populate('module', 'title');
+    const quiz = await Quiz.findById(id)
+      .populate('module', 'title')
+      .populate('questionRefs.question', '-revisions');
     
     if (!quiz) {
       return res.status(404).json({ message: "Quiz not found" });
@@ -504,132 +661,204 @@ router.get("/edit/:id", protectRoute, authorizeRole(['instructor', 'admin']), as
   }
 });
 
-// SUBMIT quiz answers and get score
-router.post("/:id/submit", protectRoute, async (req, res) => {
+// IMPORT questions from GIFT, Moodle XML or CSV (instructor only)
+// Body: { format, content, dryRun, skipInvalid } plus either `quizId` to append
+// to an existing quiz or `title`, `description`, `module`, ... for a new quiz.
+// Every question gets a row in the report; invalid ones block the import
+// unless `skipInvalid` is set.
+router.post("/import", protectRoute, requirePermission('quiz:create'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { answers } = req.body;
+    const {
+      format,
+      content,
+      dryRun,
+      skipInvalid,
+      quizId,
+      title,
+      description,
+      module,
+      difficulty,
+      timeLimit,
+      passingScore,
+      status,
+      availableFrom,
+      availableUntil
+    } = req.body;
     
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({ message: "Invalid quiz ID" });
+    if (!QUIZ_FORMATS[format]) {
+      return res.status(400).json({ message: `Format must be one of ${Object.keys(QUIZ_FORMATS).join(', ')}` });
+    }
+    if (typeof content !== 'string' || content.trim() === '') {
+      return res.status(400).json({ message: "File content is required" });
     }
     
-    const quiz = await Quiz.findById(id);
+    const { questions, report, summary } = parseQuizFile(format, content);
     
-    if (!quiz) {
-      return res.status(404).json({ message: "Quiz not found" });
+    if (dryRun) {
+      return res.json({ dryRun: true, summary, report });
     }
-    
-    if (!answers || !Array.isArray(answers)) {
-      return res.status(400).json({ message: "Invalid answers format" });
+    if (summary.valid === 0) {
+      return res.status(400).json({ message: "No valid questions found", summary, report });
+    }
+    if (summary.invalid > 0 && !skipInvalid) {
+      return res.status(400).json({ message: "Some questions are invalid", summary, report });
     }
     
-    // Calculate score
-    let totalPoints = 0;
-    let earnedPoints = 0;
-    const questionResults = [];
+    let quiz;
     
-    quiz.questions.forEach((question, index) => {
-      const points = question.points || 10; // Default 10 points per question
-      totalPoints += points;
-      
-      const userAnswer = answers[index];
-      let isCorrect = false;
-      let correctAnswer;
-      
-      if (!userAnswer) {
-        questionResults.push({ 
-          questionId: question._id,
-          isCorrect: false,
-          points: 0,
-          maxPoints: points
-        });
-        return;
+    if (quizId) {
+      if (!mongoose.Types.ObjectId.isValid(quizId)) {
+        return res.status(400).json({ message: "Invalid quiz ID" });
       }
-      
-      switch(question.questionType) {
-        case 'multipleChoice':
-          correctAnswer = question.options
-            .map((opt, i) => opt.isCorrect ? i : null)
-            .filter(i => i !== null);
-          isCorrect = Array.isArray(userAnswer) 
-            ? userAnswer.length === correctAnswer.length && 
-              userAnswer.every(a => correctAnswer.includes(a))
-            : correctAnswer.includes(userAnswer);
-          break;
-          
-        case 'fillInBlanks':
-          isCorrect = question.blanks.every((blank, i) => {
-            return userAnswer[i] && userAnswer[i].toLowerCase() === blank.answer.toLowerCase();
-          });
-          break;
-          
-        case 'codeSimulation':
-        case 'codeImplementation':
-          // Simplified check - in real app you'd want more sophisticated comparison
-          isCorrect = userAnswer === question.correctAnswer;
-          break;
-          
-        case 'codeOrdering':
-          isCorrect = question.codeBlocks.every((block, i) => {
-            return userAnswer[i] === block.correctPosition;
-          });
-          break;
+      quiz = await Quiz.findById(quizId);
+      if (!quiz) {
+        return res.status(404).json({ message: "Quiz not found" });
+      }
+      if (!(await can(req.user, 'quiz:update', quiz))) {
+        return res.status(403).json({ message: "You can only import into your own quizzes" });
+      }
+      // Checked like an update that adds the questions, pool rules included
+      const fieldErrors = await findQuizFieldErrors(
+        { questions: [...quiz.toObject().questions, ...questions], status, availableFrom, availableUntil },
+        quiz
+      );
+      if (fieldErrors) {
+        return res.status(400).json({ ...fieldErrors, summary, report });
+      }
+      quiz.questions.push(...questions);
+      applyPublishFields(quiz, { status, availableFrom, availableUntil });
+    } else {
+      if (!title || !description || !module) {
+        return res.status(400).json({ message: "Missing required fields" });
+      }
+      const targetModule = mongoose.Types.ObjectId.isValid(module) ? await Module.findById(module) : null;
+      if (!targetModule) {
+        return res.status(404).json({ message: "Module not found" });
+      }
+      if (!(await can(req.user, 'module:update', targetModule))) {
+        return res.status(403).json({ message: "You can only add quizzes to your own modules" });
+      }
+      const fieldErrors = await findQuizFieldErrors({ questions, difficulty, status, availableFrom, availableUntil });
+      if (fieldErrors) {
+        return res.status(400).json({ ...fieldErrors, summary, report });
       }
       
-      const earnedQuestionPoints = isCorrect ? points : 0;
-      earnedPoints += earnedQuestionPoints;
-      
-      questionResults.push({
-        questionId: question._id,
-        isCorrect,
-        points: earnedQuestionPoints,
-        maxPoints: points,
-        // Don't send correct answer back unless the quiz is completed
+      const lastQuiz = await Quiz.findOne({ module }).sort({ order: -1 }).select('order');
+      quiz = new Quiz({
+        title,
+        description,
+        module,
+        difficulty,
+        timeLimit,
+        passingScore,
+        questions,
+        order: lastQuiz ? lastQuiz.order + 1 : 1
       });
+      applyPublishFields(quiz, { status, availableFrom, availableUntil });
+    }
+    
+    await quiz.save();
+    if (!quizId) {
+      // Listed on its module like quizzes created directly
+      await Module.findByIdAndUpdate(module, {
+        $push: { quizzes: quiz._id },
+        $inc: { totalQuizzes: 1 }
+      });
+    }
+    
+    console.log(`✅ Imported ${questions.length} ${format} question(s) into quiz ${quiz.title}`);
+    res.status(quizId ? 200 : 201).json({
+      message: `Imported ${questions.length} question(s)`,
+      quiz,
+      summary,
+      report
     });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Error importing quiz:", error);
+    res.status(500).json({ message: "Failed to import quiz" });
+  }
+});
+
+// EXPORT a quiz as GIFT, Moodle XML or CSV (instructor only)
+router.get("/:id/export", protectRoute, requirePermission('quiz:update', { param: 'id' }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const format = req.query.format || 'gift';
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid quiz ID" });
+    }
+    if (!QUIZ_FORMATS[format]) {
+      return res.status(400).json({ message: `Format must be one of ${Object.keys(QUIZ_FORMATS).join(', ')}` });
+    }
     
-    const percentageScore = (earnedPoints / totalPoints) * 100;
-    const passed = percentageScore >= (quiz.passingScore || 70);
+    const quiz = await Quiz.findById(id);
+    if (!quiz) {
+      return res.status(404).json({ message: "Quiz not found" });
+    }
     
-    // Save results to user history (would be implemented separately)
+    const questions = await loadQuizQuestions(quiz);
+    const file = exportQuizFile(format, questions, { title: quiz.title });
+    const fileName = `${quiz.title.replace(/[^\w-]+/g, '_').slice(0, 60) || 'quiz'}.${QUIZ_FORMATS[format].extension}`;
     
-    res.json({
-      quizId: id,
-      score: {
-        earned: earnedPoints,
-        total: totalPoints,
-        percentage: percentageScore
-      },
-      passed,
-      questionResults,
-      completedAt: new Date()
-    });
+    res.setHeader('Content-Type', QUIZ_FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(file);
   } catch (error) {
-    console.error("Error submitting quiz answers:", error);
-    res.status(500).json({ message: "Failed to process quiz submission" });
+    console.error("Error exporting quiz:", error);
+    res.status(500).json({ message: "Failed to export quiz" });
   }
 });
 
-// Helper function to extract public_id from Cloudinary URL (same as in moduleRoutes)
-function extractPublicIdFromUrl(url) {
+// SUBMIT quiz answers - graded on the server and recorded in progress
+router.post("/:id/submit", protectRoute, async (req, res) => {
   try {
-    // Cloudinary URLs usually look like: 
-    // https://res.cloudinary.com/your-cloud-name/image/upload/v1234567890/folder/image_id.jpg
+    const { id } = req.params;
+    const { answers, timeSpent, questionTimes, attemptId } = req.body;
     
-    // Extract everything after the upload/ part up to the last dot
-    const regex = /\/upload\/(?:v\d+\/)?(.+?)\.(?:[^.]+)$/;
-    const matches = url.match(regex);
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid quiz ID" });
+    }
     
-    if (matches && matches[1]) {
-      return matches[1];
+    const quiz = await Quiz.findById(id);
+    
+    if (!quiz) {
+      return res.status(404).json({ message: "Quiz not found" });
     }
     
-    return null;
+    const { grading, attempt, isinstructor } = await submitQuizAttempt({
+      user: req.user,
+      quiz,
+      answers,
+      timeSpent,
+      questionTimes,
+      attemptId
+    });
+    
+    res.json({
+      quizId: id,
+      score: {
+        earned: grading.earnedPoints,
+        total: grading.totalPoints,
+        percentage: grading.percentage
+      },
+      passed: grading.passed,
+      questionResults: grading.questionResults,
+      attemptNumber: attempt?.attemptNumber,
+      xpEarned: attempt?.xpEarned || 0,
+      isinstructor,
+      completedAt: attempt?.completedAt || new Date()
+    });
   } catch (error) {
-    console.error("Error extracting public ID:", error);
-    return null;
+    if (error instanceof QuizSubmissionError) {
+      return res.status(error.statusCode).json({ message: error.message, debug: error.details });
+    }
+    console.error("Error submitting quiz answers:", error);
+    res.status(500).json({ message: "Failed to process quiz submission" });
   }
-}
+});
 
 export default router;
\ No newline at end of file
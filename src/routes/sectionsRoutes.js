@@ -1,12 +1,13 @@
 import express from "express";
 
 
-import { protectRoute, authorizeRole } from "../middleware/auth.middleware.js";
+import { protectRoute, requirePermission } from "../middleware/auth.middleware.js";
+import { can } from "../lib/permissions.js";
 
 const router = express.Router();
 // Create a new section
 // POST /api/sections
-router.post("/", protectRoute, authorizeRole(['instructor', 'admin']), async (req, res) => {
+router.post("/", protectRoute, requirePermission('section:create'), async (req, res) => {
   try {
     const { name, instructor, description, isActive } = req.body;
     
@@ -25,12 +26,15 @@ router.post("/", protectRoute, authorizeRole(['instructor', 'admin']), async (re
       return res.status(400).json({ success: false, message: "Class with this name already exists" });
     }
     
+    // Only users who can manage every section may give a new one to another instructor
+    const assignInstructor = instructor && await can(req.user, 'section:update:any');
+    
     // Create a new section document
     const Section = await import("../models/Section.js").then(module => module.default);
     const newSection = new Section({
       name: name,
       sectionCode: newSectionName, // Changed from sectionId to sectionCode
-      instructor: instructor || req.user.id, // Use provided instructor or default to creator
+      instructor: assignInstructor ? instructor : req.user.id, // Use provided instructor or default to creator
       description: description || `Class for ${name}`,
       isActive: isActive !== undefined ? isActive : true,
       createdBy: req.user.id
@@ -59,7 +63,7 @@ router.post("/", protectRoute, authorizeRole(['instructor', 'admin']), async (re
 
 // Assign students to a section
 // PUT /api/sections/:id/students
-router.put("/:id/students", protectRoute, authorizeRole(['instructor', 'admin']), async (req, res) => {
+router.put("/:id/students", protectRoute, requirePermission('section:update', { param: 'id' }), async (req, res) => {
   try {
     const { studentIds, instructorId } = req.body;
     const sectionId = req.params.id;
@@ -82,8 +86,8 @@ router.put("/:id/students", protectRoute, authorizeRole(['instructor', 'admin'])
       });
     }
     
-    // Update the instructor if provided
-    if (instructorId) {
+    // Update the instructor if provided (handing a section over takes section:update:any)
+    if (instructorId && await can(req.user, 'section:update:any')) {
       section.instructor = instructorId;
       await section.save();
     }
@@ -122,7 +126,7 @@ router.put("/:id/students", protectRoute, authorizeRole(['instructor', 'admin'])
 });
 
 // Add this route to get students with no section
-router.get("/unassigned-students", protectRoute, authorizeRole(['instructor', 'admin']), async (req, res) => {
+router.get("/unassigned-students", protectRoute, requirePermission('user:read'), async (req, res) => {
   try {
     // Pagination parameters
     const page = parseInt(req.query.page) || 1;
@@ -186,7 +190,7 @@ router.get("/unassigned-students", protectRoute, authorizeRole(['instructor', 'a
 });
 
 // Modify the GET /sections route
-router.get("/", protectRoute, authorizeRole(['instructor', 'admin']), async (req, res) => {
+router.get("/", protectRoute, requirePermission('section:read'), async (req, res) => {
   try {
     const Section = await import("../models/Section.js").then(module => module.default);
     
@@ -200,8 +204,8 @@ router.get("/", protectRoute, authorizeRole(['instructor', 'admin']), async (req
       filter.name = { $regex: search, $options: 'i' };
     }
     
-    // For instructors, only show sections they created or where they are the instructor
-    if (req.user.privilege === 'instructor') {
+    // Without section:read:any (instructors), only show sections they created or where they are the instructor
+    if (!(await can(req.user, 'section:read:any'))) {
       filter.$or = [
         { instructor: req.user.id },
         { createdBy: req.user.id }
@@ -253,7 +257,7 @@ router.get("/", protectRoute, authorizeRole(['instructor', 'admin']), async (req
 });
 
 // Add this route to delete a section
-router.delete("/:id", protectRoute, authorizeRole(['instructor', 'admin']), async (req, res) => {
+router.delete("/:id", protectRoute, requirePermission('section:delete', { param: 'id' }), async (req, res) => {
   try {
     const sectionId = req.params.id;
     
@@ -277,6 +281,13 @@ router.delete("/:id", protectRoute, authorizeRole(['instructor', 'admin']), asyn
       { $set: { section: 'no_section' } }
     );
     
+    // Take the section off its courses
+    const Course = await import("../models/Course.js").then(module => module.default);
+    await Course.updateMany(
+      { sections: sectionId },
+      { $pull: { sections: section._id } }
+    );
+    
     // Delete the section
     await Section.findByIdAndDelete(sectionId);
     
@@ -296,7 +307,7 @@ router.delete("/:id", protectRoute, authorizeRole(['instructor', 'admin']), asyn
 });
 
 // GET /sections/:id/students - Get all students in a section
-router.get("/:id/students", protectRoute, authorizeRole(['instructor', 'admin']), async (req, res) => {
+router.get("/:id/students", protectRoute, requirePermission('section:read', { param: 'id' }), async (req, res) => {
   try {
     const sectionId = req.params.id;
     
@@ -0,0 +1,180 @@
+import express from "express";
+import User from "../models/Users.js";
+import { protectTwoFactorSetup } from "../middleware/auth.middleware.js";
+import { isTwoFactorRequired } from "../lib/securityPolicy.js";
+import {
+  TWO_FACTOR_FIELDS,
+  TwoFactorError,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  replaceRecoveryCodes,
+  disableTwoFactor,
+  recoveryCodesLeft
+} from "../lib/twoFactor.js";
+import { assertLoginAllowed, recordLoginFailure, LoginThrottleError } from "../lib/loginThrottle/index.js";
+
+const router = express.Router();
+
+// Every route here stays reachable for users the policy is waiting on to set up two-factor authentication
+router.use(protectTwoFactorSetup);
+
+// Helper function to load the signed-in user with the two-factor fields
+const loadUser = (req) => User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+// Helper function to check a second factor before a sensitive change. Wrong
+// codes count as failed logins, so they are throttled like password guesses.
+const checkSecondFactor = async (req, user) => {
+  await assertLoginAllowed({ email: user.email, ip: req.ip });
+  const method = verifySecondFactor(user, req.body ?? {});
+  if (!method) {
+    await recordLoginFailure({ email: user.email, ip: req.ip, user });
+    throw new TwoFactorError("Invalid code");
+  }
+  return method;
+};
+
+// Helper function to send the error of a failed two-factor step
+const sendTwoFactorError = (res, error, fallbackMessage) => {
+  if (error instanceof LoginThrottleError) {
+    res.set('Retry-After', String(error.retryAfterSeconds));
+    return res.status(error.statusCode).json({ message: error.message, retryAfter: error.retryAfterSeconds });
+  }
+  if (error instanceof TwoFactorError) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ message: fallbackMessage });
+};
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Two-factor status of the signed-in user
+ * @access  Private
+ */
+router.get("/", async (req, res) => {
+  try {
+    const user = await loadUser(req);
+    res.json({
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      setupPending: Boolean(user.twoFactor.pendingSecret),
+      recoveryCodesLeft: recoveryCodesLeft(user),
+      required: await isTwoFactorRequired(user.privilege)
+    });
+  } catch (error) {
+    console.error("Error fetching two-factor status:", error);
+    res.status(500).json({ message: "Failed to fetch two-factor status" });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start setting up: a new secret with its otpauth:// URI and QR code.
+ *          Nothing changes until a code is confirmed.
+ * @access  Private
+ */
+router.post("/setup", async (req, res) => {
+  try {
+    const user = await loadUser(req);
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is already on; turn it off first to use a new device" });
+    }
+
+    const { secret, otpauthUrl, qrCode } = await startEnrollment(user);
+    await user.save();
+
+    res.json({
+      message: "Scan the QR code with your authenticator app, then confirm with a code from it",
+      secret,
+      otpauthUrl,
+      qrCode
+    });
+  } catch (error) {
+    console.error("Error starting two-factor setup:", error);
+    res.status(500).json({ message: "Failed to start two-factor setup" });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/confirm
+ * @desc    Finish setup with a code from the app; returns the recovery codes (shown only now)
+ * @access  Private
+ */
+router.post("/confirm", async (req, res) => {
+  try {
+    const user = await loadUser(req);
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is already on" });
+    }
+
+    const recoveryCodes = confirmEnrollment(user, req.body?.code);
+    await user.save();
+
+    console.log(`🔐 Two-factor authentication turned on for ${user.username}`);
+    res.json({
+      message: "Two-factor authentication is on. Keep the recovery codes somewhere safe, each works once.",
+      recoveryCodes
+    });
+  } catch (error) {
+    sendTwoFactorError(res, error, "Failed to confirm two-factor setup");
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace the recovery codes (body: { code } or { recoveryCode })
+ * @access  Private
+ */
+router.post("/recovery-codes", async (req, res) => {
+  try {
+    const user = await loadUser(req);
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is off" });
+    }
+
+    await checkSecondFactor(req, user);
+    const recoveryCodes = replaceRecoveryCodes(user);
+    await user.save();
+
+    res.json({
+      message: "New recovery codes created, the old ones no longer work",
+      recoveryCodes
+    });
+  } catch (error) {
+    sendTwoFactorError(res, error, "Failed to replace recovery codes");
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn two-factor authentication off (body: { password, code } or { password, recoveryCode })
+ * @access  Private
+ */
+router.post("/disable", async (req, res) => {
+  try {
+    const user = await loadUser(req);
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is off" });
+    }
+    if (await isTwoFactorRequired(user.privilege)) {
+      return res.status(403).json({ message: "Two-factor authentication is required for your account and cannot be turned off" });
+    }
+
+    const { password } = req.body ?? {};
+    if (!password || !(await user.comparePassword(password))) {
+      return res.status(400).json({ message: "Invalid password" });
+    }
+    await checkSecondFactor(req, user);
+
+    disableTwoFactor(user);
+    await user.save();
+
+    console.log(`🔓 Two-factor authentication turned off for ${user.username}`);
+    res.json({ message: "Two-factor authentication is off" });
+  } catch (error) {
+    sendTwoFactorError(res, error, "Failed to turn off two-factor authentication");
+  }
+});
+
+export default router;
@@ -1,16 +1,28 @@
 import express from "express";
 import User from "../models/Users.js";
-import { protectRoute, authorizeRole } from "../middleware/auth.middleware.js";
+import { protectRoute, requirePermission } from "../middleware/auth.middleware.js";
 import bcrypt from "bcrypt";
-import cloudinary from "../lib/cloudinary.js";
+import { storeImage, deleteImage, ImageError } from "../lib/images.js";
+import { imageUpload } from "../middleware/upload.middleware.js";
 import Progress from "../models/Progress.js";
-import jwt from "jsonwebtoken";
+import { findFirstPublishedQuiz } from "../lib/visibility.js";
+import { loadUserModuleGraph, entryModules } from "../lib/moduleGraph.js";
+import { can, getRole, ownedStudentsFilter, DEFAULT_ROLE } from "../lib/permissions.js";
+import { revokeUserSessions } from "../lib/authTokens.js";
 
 const router = express.Router();
 
-// Reuse the same token generation function from authRoutes.js
-const generateToken = (userId, privilege) => {
-  return jwt.sign({userId, privilege}, process.env.JWT_SECRET, {expiresIn: "15d"});
+// Helper function to check that `actor` may change a user's role from
+// `currentRole` to `role`; returns { status, message } or null
+const checkRoleChange = async (actor, role, currentRole = DEFAULT_ROLE) => {
+  if (!role || role === currentRole) return null;
+  if (!(await getRole(role))) {
+    return { status: 400, message: `Unknown role "${role}"` };
+  }
+  if (!(await can(actor, 'role:assign'))) {
+    return { status: 403, message: "You cannot assign roles" };
+  }
+  return null;
 };
 
 /**
@@ -18,7 +30,7 @@ const generateToken = (userId, privilege) => {
  * @desc    Get all users with filtering, sorting and pagination
  * @access  Private/instructor
  */
-router.get("/", protectRoute, authorizeRole(['instructor', 'admin']), async (req, res) => {
+router.get("/", protectRoute, requirePermission('user:read'), async (req, res) => {
   try {
     // Pagination parameters
     const page = parseInt(req.query.page) || 1;
@@ -48,6 +60,11 @@ router.get("/", protectRoute, authorizeRole(['instructor', 'admin']), async (req
       ];
     }
     
+    // Without user:read:any, only the students of the caller's sections
+    if (!(await can(req.user, 'user:read:any'))) {
+      filter.$and = [await ownedStudentsFilter(req.user)];
+    }
+    
     // Get total count for pagination
     const total = await User.countDocuments(filter);
     
@@ -90,7 +107,7 @@ router.get("/", protectRoute, authorizeRole(['instructor', 'admin']), async (req
  * * @desc    Get user by ID
  * @access  Private/instructor
  */
-router.get("/:id", protectRoute, authorizeRole(['instructor', 'admin']), async (req, res) => {
+router.get("/:id", protectRoute, requirePermission('user:read', { param: 'id' }), async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select('-password');
     
@@ -116,12 +133,13 @@ router.get("/:id", protectRoute, authorizeRole(['instructor', 'admin']), async (
 
 /**
  * @route   POST /api/users
- * @desc    Create a new user
+ * @desc    Create a new user; profilePicture is base64 or a multipart/form-data file
  * @access  Private/instructor
  */
-router.post("/", protectRoute, authorizeRole(['instructor', 'admin']), async (req, res) => {
+router.post("/", protectRoute, requirePermission('user:create'), imageUpload('profilePicture'), async (req, res) => {
   try {
-    const { username, email, password, role, profilePicture } = req.body;
+    const { username, email, password, role } = req.body;
+    const profilePicture = req.file ?? req.body.profilePicture;
     
     // Validation
     if (!username || !email || !password) {
@@ -131,6 +149,11 @@ router.post("/", protectRoute, authorizeRole(['instructor', 'admin']), async (re
       });
     }
     
+    const roleError = await checkRoleChange(req.user, role);
+    if (roleError) {
+      return res.status(roleError.status).json({ success: false, message: roleError.message });
+    }
+    
     // Use same validation as auth routes
     if(password.length < 8) {
       return res.status(400).json({
@@ -170,15 +193,20 @@ router.post("/", protectRoute, authorizeRole(['instructor', 'admin']), async (re
 
     // Handle profile picture upload if provided
     let imageUrl = '';
-    if (profilePicture && profilePicture.startsWith('data:image')) {
+    let profileImageVariants;
+    if (req.file || profilePicture?.startsWith('data:image')) {
       try {
-        const uploadResponse = await cloudinary.uploader.upload(profilePicture, {
-          folder: 'user-profiles',
-          resource_type: 'image',
-        });
-        imageUrl = uploadResponse.secure_url;
-      } catch (cloudinaryError) {
-        console.error("Error uploading profile picture:", cloudinaryError);
+        const uploaded = await storeImage(profilePicture, { folder: 'user-profiles' });
+        imageUrl = uploaded.url;
+        profileImageVariants = uploaded.variants;
+      } catch (uploadError) {
+        if (uploadError instanceof ImageError) {
+          return res.status(uploadError.statusCode).json({
+            success: false,
+            message: uploadError.message
+          });
+        }
+        console.error("Error uploading profile picture:", uploadError);
         // Continue without profile picture
       }
     }
@@ -186,7 +214,7 @@ router.post("/", protectRoute, authorizeRole(['instructor', 'admin']), async (re
     // Generate a Dicebear avatar if no profile picture is provided
     const profileImage = imageUrl || `https://api.dicebear.com/9.x/bottts/svg?seed=${username}`;
     const section = 'no_section'; // Use consistent field naming with authRoutes
-    const privilege = role || 'student'; // Map role to privilege for consistency
+    const privilege = role || DEFAULT_ROLE; // Map role to privilege for consistency
     
     // Create new user
     const newUser = new User({
@@ -194,6 +222,7 @@ router.post("/", protectRoute, authorizeRole(['instructor', 'admin']), async (re
       email: email.toLowerCase(),
       password, // The User model will hash this automatically via middleware
       profileImage,
+      profileImageVariants,
       section,
       privilege
     });
@@ -203,8 +232,7 @@ router.post("/", protectRoute, authorizeRole(['instructor', 'admin']), async (re
     // Initialize user progress like in auth routes
     await initializeUserProgress(newUser._id);
     
-    // Generate token
-    const token = generateToken(newUser._id, newUser.privilege);
+    // No token here: sessions are only started by the user logging in (see authRoutes.js)
     
     // Don't return password
     const userResponse = {
@@ -213,14 +241,14 @@ router.post("/", protectRoute, authorizeRole(['instructor', 'admin']), async (re
       email: newUser.email,
       privilege: newUser.privilege,
       profileImage: newUser.profileImage,
+      profileImageVariants: newUser.profileImageVariants,
       createdAt: newUser.createdAt
     };
     
     res.status(201).json({
       success: true,
       message: "User created successfully",
-      user: userResponse,
-      token
+      user: userResponse
     });
     
   } catch (error) {
@@ -235,12 +263,13 @@ router.post("/", protectRoute, authorizeRole(['instructor', 'admin']), async (re
 
 /**
  * @route   PUT /api/users/:id
- * @desc    Update user
+ * @desc    Update user (isActive: false deactivates the account); the user's sessions end
  * @access  Private/instructor
  */
-router.put("/:id", protectRoute, authorizeRole(['instructor', 'admin']), async (req, res) => {
+router.put("/:id", protectRoute, requirePermission('user:update', { param: 'id' }), imageUpload('profilePicture'), async (req, res) => {
   try {
-    const { username, email, password, role, profilePicture } = req.body;
+    const { username, email, password, role, isActive } = req.body;
+    const profilePicture = req.file ?? req.body.profilePicture;
     const userId = req.params.id;
     
     // Find user
@@ -285,9 +314,24 @@ router.put("/:id", protectRoute, authorizeRole(['instructor', 'admin']), async (
     
     // Update role/privilege if provided
     if (role) {
+      const roleError = await checkRoleChange(req.user, role, user.privilege);
+      if (roleError) {
+        return res.status(roleError.status).json({ success: false, message: roleError.message });
+      }
       user.privilege = role; // Use privilege field for consistency
     }
     
+    // Deactivate or reactivate the account
+    if (isActive !== undefined) {
+      user.isActive = isActive;
+      if (!user.isActive && userId === String(req.user.id)) {
+        return res.status(400).json({
+          success: false,
+          message: "You cannot deactivate your own account"
+        });
+      }
+    }
+    
     // Update password if provided
     if (password) {
       // Password length validation
@@ -302,60 +346,54 @@ router.put("/:id", protectRoute, authorizeRole(['instructor', 'admin']), async (
       user.password = password;
     }
     
-    // Handle profile picture update
-    if (profilePicture) {
-      // Check if it's a new image (not just the same URL)
-      if (profilePicture.startsWith('data:image')) {
-        // Delete old image from Cloudinary if exists
-        if (user.profileImage && user.profileImage.includes('cloudinary')) {
-          const publicId = extractPublicIdFromUrl(user.profileImage);
-          if (publicId) {
-            try {
-              await cloudinary.uploader.destroy(publicId);
-            } catch (cloudinaryError) {
-              console.error("Error deleting old profile picture:", cloudinaryError);
-              // Continue with update even if deletion fails
-            }
-          }
-        }
-        
-        // Upload new profile picture
+    // Handle profile picture update. A new picture is always stored as the
+    // user's own copy, so deleting the account never removes a file another
+    // record uses; links to files elsewhere are refused.
+    if (req.file || (profilePicture && profilePicture !== user.profileImage)) {
+      try {
+        const uploaded = await storeImage(profilePicture, { folder: 'user-profiles' });
+          
+        // Delete old image and its variants from media storage (generated avatars are left alone)
         try {
-          const uploadResponse = await cloudinary.uploader.upload(profilePicture, {
-            folder: 'user-profiles',
-            resource_type: 'image',
+          await deleteImage(user.profileImage, user.profileImageVariants);
+        } catch (storageError) {
+          console.error("Error deleting old profile picture:", storageError);
+          // Continue with update even if deletion fails
+        }
+          
+        user.profileImage = uploaded.url;
+        user.profileImageVariants = uploaded.variants;
+      } catch (uploadError) {
+        if (uploadError instanceof ImageError) {
+          return res.status(uploadError.statusCode).json({
+            success: false,
+            message: uploadError.message
           });
-          user.profileImage = uploadResponse.secure_url;
-        } catch (cloudinaryError) {
-          console.error("Error uploading profile picture:", cloudinaryError);
-          // Continue without updating profile picture
         }
-      } else if (profilePicture !== user.profileImage) {
-        // It's a URL but different from current one
-        user.profileImage = profilePicture;
+        console.error("Error uploading profile picture:", uploadError);
+        // Continue without updating profile picture
       }
     }
     
+    // A new password or role, or deactivation, ends the user's sessions (see the User pre-save hook)
     await user.save();
     
-    // Generate new token with updated info
-    const token = generateToken(user._id, user.privilege);
-    
     // Return updated user without password
     const userResponse = {
       _id: user._id,
       username: user.username,
       email: user.email,
       privilege: user.privilege,
+      isActive: user.isActive,
       profileImage: user.profileImage,
+      profileImageVariants: user.profileImageVariants,
       updatedAt: user.updatedAt
     };
     
     res.json({
       success: true,
       message: "User updated successfully",
-      user: userResponse,
-      token
+      user: userResponse
     });
     
   } catch (error) {
@@ -373,7 +411,7 @@ router.put("/:id", protectRoute, authorizeRole(['instructor', 'admin']), async (
  * @desc    Delete user
  * @access  Private/instructor
  */
-router.delete("/:id", protectRoute, authorizeRole(['instructor', 'admin']), async (req, res) => {
+router.delete("/:id", protectRoute, requirePermission('user:delete', { param: 'id' }), async (req, res) => {
   try {
     const userId = req.params.id;
     
@@ -394,24 +432,20 @@ router.delete("/:id", protectRoute, authorizeRole(['instructor', 'admin']), asyn
       });
     }
     
-    // Delete profile picture from Cloudinary if exists
-    if (user.profileImage && user.profileImage.includes('cloudinary')) {
-      const publicId = extractPublicIdFromUrl(user.profileImage);
-      if (publicId) {
-        try {
-          await cloudinary.uploader.destroy(publicId);
-        } catch (cloudinaryError) {
-          console.error("Error deleting profile picture:", cloudinaryError);
-          // Continue with deletion even if image deletion fails
-        }
-      }
+    // Delete profile picture and its variants from media storage if exists
+    try {
+      await deleteImage(user.profileImage, user.profileImageVariants);
+    } catch (storageError) {
+      console.error("Error deleting profile picture:", storageError);
+      // Continue with deletion even if image deletion fails
     }
     
     // Delete all user progress records
     await Progress.deleteMany({ user: userId });
     
-    // Delete user
+    // Delete user and end their sessions
     await User.findByIdAndDelete(userId);
+    await revokeUserSessions(userId, 'account_change');
     
     res.json({
       success: true,
@@ -428,27 +462,6 @@ router.delete("/:id", protectRoute, authorizeRole(['instructor', 'admin']), asyn
   }
 });
 
-// Helper function to extract public_id from Cloudinary URL
-function extractPublicIdFromUrl(url) {
-  try {
-    // Cloudinary URLs usually look like: 
-    // https://res.cloudinary.com/your-cloud-name/image/upload/v1234567890/folder/image_id.jpg
-    
-    // Extract everything after the upload/ part up to the last dot
-    const regex = /\/upload\/(?:v\d+\/)?(.+?)\.(?:[^.]+)$/;
-    const matches = url.match(regex);
-    
-    if (matches && matches[1]) {
-      return matches[1];
-    }
-    
-    return null;
-  } catch (error) {
-    console.error("Error extracting public ID:", error);
-    return null;
-  }
-}
-
 // Helper function to initialize user progress - Same as in authRoutes
 async function initializeUserProgress(userId) {
   try {
@@ -457,21 +470,17 @@ async function initializeUserProgress(userId) {
       return existingProgress;
     }
     
-    // Find first module
-    const Module = await import("../models/Module.js").then(module => module.default);
-    const firstModule = await Module.findOne({ order: 1 });
+    // Find first module without prerequisites in the user's courses
+    const graph = await loadUserModuleGraph(userId);
+    const [firstModule] = entryModules(graph);
     
     if (!firstModule) {
       console.log("No modules found - progress not initialized");
       return null;
     }
     
-    // Find first quiz in first module
-    const Quiz = await import("../models/Quiz.js").then(module => module.default);
-    const firstQuiz = await Quiz.findOne({ 
-      module: firstModule._id, 
-      order: 1 
-    }).sort({ order: 1 });
+    // Find first published quiz in first module
+    const firstQuiz = await findFirstPublishedQuiz(firstModule._id);
     
     const progress = new Progress({
       user: userId,
@@ -489,6 +498,9 @@ async function initializeUserProgress(userId) {
       }]
     });
     
+    // Open the other modules without prerequisites too
+    await progress.unlockAvailableModules(graph);
+    
     await progress.save();
     console.log(`Progress initialized for user ${userId}`);
     return progress;
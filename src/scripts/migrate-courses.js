@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+import Module from '../models/Module.js';
+import Course from '../models/Course.js';
+import Section from '../models/Section.js';
+import User from '../models/Users.js';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Modules used to share one global order. This gives every instructor with
+// modules outside a course a course of their own, assigned to the sections
+// they teach, moves their modules into it (renumbered 1..n, keeping their
+// relative order) and replaces the global unique index on `order` with the
+// per-course one.
+
+// Load environment variables
+dotenv.config();
+
+// Get project root directory
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.resolve(__dirname, '../../');
+
+// Load .env from the root directory
+dotenv.config({ path: path.join(rootDir, '.env') });
+
+async function migrateCourses() {
+  try {
+    // Try multiple ways to get the MongoDB URI
+    const mongoURI = process.env.MONGOURI ||
+                     process.env.MONGO_URI ||
+                     process.env.DB_URI ||
+                     'mongodb://localhost:27017/cyberlearn_db'; // Fallback to default
+
+    console.log(`Connecting to MongoDB at ${mongoURI.substring(0, mongoURI.indexOf('@') > 0 ?
+                mongoURI.indexOf('@') : 10)}...`); // Safely log part of URI
+
+    // Connect to MongoDB
+    await mongoose.connect(mongoURI);
+    console.log('✅ Connected to MongoDB');
+
+    // Drop the old { order: 1 } unique index first, modules of different
+    // courses will share order numbers
+    await Module.syncIndexes();
+    console.log('✅ Module indexes updated');
+
+    const modules = await Module.find({ course: null }).sort({ order: 1 });
+    console.log(`Found ${modules.length} modules without a course`);
+
+    const byInstructor = new Map();
+    for (const module of modules) {
+      const key = module.createdBy.toString();
+      if (!byInstructor.has(key)) byInstructor.set(key, []);
+      byInstructor.get(key).push(module);
+    }
+
+    for (const [instructorId, instructorModules] of byInstructor) {
+      const instructor = await User.findById(instructorId).select('username');
+      const sections = await Section.find({ instructor: instructorId }).select('_id');
+
+      const course = await Course.create({
+        title: `${instructor?.username || 'Instructor'}'s course`,
+        instructor: instructorId,
+        sections: sections.map(section => section._id),
+        createdBy: instructorId
+      });
+      console.log(`\nCreated course "${course.title}" for ${sections.length} section(s)`);
+
+      for (const [index, module] of instructorModules.entries()) {
+        await Module.updateOne({ _id: module._id }, { $set: { course: course._id, order: index + 1 } });
+        console.log(`  ${index + 1}. ${module.title} (was order ${module.order})`);
+      }
+    }
+
+    console.log('\nCourse migration complete!');
+
+  } catch (error) {
+    console.error('Error migrating courses:', error);
+  } finally {
+    try {
+      await mongoose.disconnect();
+      console.log('Disconnected from MongoDB');
+    } catch (err) {
+      console.error('Error disconnecting from MongoDB:', err);
+    }
+  }
+}
+
+// Run the function
+migrateCourses();
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+import '../models/Module.js';
+import '../models/Quiz.js';
+import { publishContentWithoutStatus } from '../lib/visibility.js';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Modules and quizzes created before the draft/publish status existed have no
+// status field and would be read as drafts. This marks them as published so
+// students keep seeing them. The server also does this when it starts; the
+// script is for running it by hand, e.g. before deploying.
+
+// Load environment variables
+dotenv.config();
+
+// Get project root directory
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.resolve(__dirname, '../../');
+
+// Load .env from the root directory
+dotenv.config({ path: path.join(rootDir, '.env') });
+
+async function migratePublishStatus() {
+  try {
+    // Try multiple ways to get the MongoDB URI
+    const mongoURI = process.env.MONGOURI ||
+                     process.env.MONGO_URI ||
+                     process.env.DB_URI ||
+                     'mongodb://localhost:27017/cyberlearn_db'; // Fallback to default
+
+    console.log(`Connecting to MongoDB at ${mongoURI.substring(0, mongoURI.indexOf('@') > 0 ?
+                mongoURI.indexOf('@') : 10)}...`); // Safely log part of URI
+
+    // Connect to MongoDB
+    await mongoose.connect(mongoURI);
+    console.log('✅ Connected to MongoDB');
+
+    const counts = await publishContentWithoutStatus();
+    for (const [modelName, count] of Object.entries(counts)) {
+      console.log(`✅ ${modelName}: marked ${count} document(s) as published`);
+    }
+
+    console.log('\nPublish status migration complete!');
+
+  } catch (error) {
+    console.error('Error migrating publish status:', error);
+  } finally {
+    try {
+      await mongoose.disconnect();
+      console.log('Disconnected from MongoDB');
+    } catch (err) {
+      console.error('Error disconnecting from MongoDB:', err);
+    }
+  }
+}
+
+// Run the function
+migratePublishStatus();
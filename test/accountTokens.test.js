@@ -0,0 +1,47 @@
+import { test, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import AuthToken from "../src/models/AuthToken.js";
+import { sendPasswordResetEmail, sendVerificationEmail } from "../src/lib/accountTokens.js";
+
+let outbox;
+
+before(() => {
+  outbox = fs.mkdtempSync(path.join(os.tmpdir(), "outbox-test-"));
+  process.env.MAIL_TRANSPORT = 'outbox';
+  process.env.MAIL_OUTBOX_DIR = outbox;
+  process.env.APP_URL = 'https://learn.example';
+  mock.method(AuthToken, "deleteMany", async () => ({ deletedCount: 0 }));
+  mock.method(AuthToken, "create", async (doc) => doc);
+  mock.method(console, "log", () => {});
+});
+
+after(() => {
+  mock.restoreAll();
+  fs.rmSync(outbox, { recursive: true, force: true });
+});
+
+const lastMessage = () => {
+  const files = fs.readdirSync(outbox).sort();
+  return JSON.parse(fs.readFileSync(path.join(outbox, files.at(-1)), 'utf8'));
+};
+
+const user = { _id: "507f1f77bcf86cd799439011", username: "ada", email: "ada@example.com" };
+
+for (const [name, send, pathname] of [
+  ["password reset", sendPasswordResetEmail, "/reset-password"],
+  ["verification", sendVerificationEmail, "/verify-email"]
+]) {
+  test(`${name} emails hold the token only inside the link`, async () => {
+    await send(user);
+    const { to, text } = lastMessage();
+    assert.equal(to, user.email);
+
+    const link = text.match(/https:\/\/learn\.example\S+/)?.[0];
+    assert.ok(link?.startsWith(`https://learn.example${pathname}?token=`));
+    const token = decodeURIComponent(new URL(link).searchParams.get('token'));
+    assert.equal(text.split(token).length, 2);
+  });
+}
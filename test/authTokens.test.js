@@ -0,0 +1,135 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import RefreshToken from "../src/models/RefreshToken.js";
+import User from "../src/models/Users.js";
+import { issueTokens, rotateRefreshToken, revokeRefreshToken, isSessionActive, hashToken } from "../src/lib/authTokens.js";
+
+process.env.JWT_SECRET = "test-secret";
+
+// Refresh tokens live in memory; the queries below are the only ones authTokens.js makes
+let tokens;
+let users;
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  const value = doc[key];
+  if (condition === null) return value == null;
+  if (condition?.$gt) return value > condition.$gt;
+  return String(value) === String(condition);
+});
+
+beforeEach(() => {
+  tokens = [];
+  users = new Map();
+
+  mock.method(RefreshToken, 'create', async (doc) => {
+    tokens.push({ ...doc });
+  });
+  mock.method(RefreshToken, 'findOneAndUpdate', async (filter, update) => {
+    const doc = tokens.find(token => matches(token, filter));
+    if (!doc) return null;
+    Object.assign(doc, update.$set);
+    return doc;
+  });
+  mock.method(RefreshToken, 'findOne', (filter) => {
+    const doc = tokens.find(token => matches(token, filter)) ?? null;
+    const result = Promise.resolve(doc);
+    result.select = () => result;
+    return result;
+  });
+  mock.method(RefreshToken, 'updateMany', async (filter, update) => {
+    const docs = tokens.filter(token => matches(token, filter));
+    docs.forEach(doc => Object.assign(doc, update.$set));
+    return { modifiedCount: docs.length };
+  });
+  mock.method(RefreshToken, 'exists', async (filter) => tokens.some(token => matches(token, filter)));
+  mock.method(User, 'findById', async (id) => users.get(String(id)) ?? null);
+});
+
+afterEach(() => mock.restoreAll());
+
+const addUser = (fields = {}) => {
+  const user = { _id: new mongoose.Types.ObjectId(), privilege: 'student', tokenVersion: 0, isActive: true, ...fields };
+  users.set(String(user._id), user);
+  return user;
+};
+
+test("a refresh token is exchanged for a new pair in the same session", async () => {
+  const user = addUser();
+  const first = await issueTokens(user);
+  const { sid } = jwt.verify(first.token, process.env.JWT_SECRET);
+
+  const second = await rotateRefreshToken(first.refreshToken);
+  assert.notEqual(second.refreshToken, first.refreshToken);
+  assert.equal(jwt.verify(second.token, process.env.JWT_SECRET).sid, sid);
+  assert.equal(tokens.length, 2);
+  assert.ok(tokens[0].usedAt);
+  assert.equal(tokens[1].tokenHash, hashToken(second.refreshToken));
+  assert.equal(await isSessionActive(sid), true);
+});
+
+test("reusing a refresh token signs the whole session out", async () => {
+  const user = addUser();
+  const first = await issueTokens(user);
+  const { sid } = jwt.verify(first.token, process.env.JWT_SECRET);
+  const second = await rotateRefreshToken(first.refreshToken);
+
+  await assert.rejects(rotateRefreshToken(first.refreshToken), { name: 'AuthTokenError', statusCode: 401 });
+  assert.ok(tokens.every(token => token.revokedAt && token.revokedReason === 'reuse'));
+  assert.equal(await isSessionActive(sid), false);
+
+  // The successor was revoked with its family
+  await assert.rejects(rotateRefreshToken(second.refreshToken), { message: /signed out/ });
+});
+
+test("other sessions of the user are left alone", async () => {
+  const user = addUser();
+  const stolen = await issueTokens(user);
+  const other = await issueTokens(user);
+  await rotateRefreshToken(stolen.refreshToken);
+  await assert.rejects(rotateRefreshToken(stolen.refreshToken));
+
+  const { sid } = jwt.verify(other.token, process.env.JWT_SECRET);
+  assert.equal(await isSessionActive(sid), true);
+  await rotateRefreshToken(other.refreshToken);
+});
+
+test("a password or role change since the token was issued revokes the session", async () => {
+  const user = addUser();
+  const { refreshToken } = await issueTokens(user);
+  user.tokenVersion = 1;
+
+  await assert.rejects(rotateRefreshToken(refreshToken), { message: /signed out/ });
+  assert.equal(tokens[0].revokedReason, 'account_change');
+  assert.equal(tokens.length, 1);
+});
+
+test("deactivated accounts cannot refresh", async () => {
+  const user = addUser();
+  const { refreshToken } = await issueTokens(user);
+  user.isActive = false;
+
+  await assert.rejects(rotateRefreshToken(refreshToken), { message: /signed out/ });
+  assert.equal(tokens[0].revokedReason, 'account_change');
+});
+
+test("unknown, missing and expired tokens are refused", async () => {
+  const user = addUser();
+  await assert.rejects(rotateRefreshToken(undefined), { statusCode: 400 });
+  await assert.rejects(rotateRefreshToken("not-a-token"), { message: "Invalid or expired refresh token" });
+
+  const { refreshToken } = await issueTokens(user);
+  tokens[0].expiresAt = new Date(Date.now() - 1000);
+  await assert.rejects(rotateRefreshToken(refreshToken), { message: "Invalid or expired refresh token" });
+});
+
+test("logging out revokes the session", async () => {
+  const user = addUser();
+  const { token, refreshToken } = await issueTokens(user);
+
+  assert.equal(await revokeRefreshToken(refreshToken), true);
+  assert.equal(await isSessionActive(jwt.decode(token).sid), false);
+  await assert.rejects(rotateRefreshToken(refreshToken), { message: /signed out/ });
+  assert.equal(await revokeRefreshToken("unknown"), false);
+});
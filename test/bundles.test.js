@@ -0,0 +1,109 @@
+import { test, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import AdmZip from "adm-zip";
+import sharp from "sharp";
+import mongoose from "mongoose";
+import Module from "../src/models/Module.js";
+import Quiz from "../src/models/Quiz.js";
+import Lesson from "../src/models/Lesson.js";
+import { buildBundle, readBundle, importBundle } from "../src/lib/bundles.js";
+
+let storageDir;
+
+before(() => {
+  storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "bundle-test-"));
+  process.env.STORAGE_DRIVER = 'local';
+  process.env.LOCAL_STORAGE_DIR = storageDir;
+});
+
+after(() => fs.rmSync(storageDir, { recursive: true, force: true }));
+
+const question = { questionType: 'multipleChoice', question: "2 + 2?", options: [{ text: "4", isCorrect: true }, { text: "5", isCorrect: false }] };
+
+const png = () => sharp({ create: { width: 32, height: 32, channels: 3, background: "#336699" } }).png().toBuffer();
+
+const makeBundle = (modules, files = []) => {
+  const zip = new AdmZip();
+  zip.addFile('bundle.json', Buffer.from(JSON.stringify({ format: 'cyberlearn-bundle', version: 1, modules })));
+  for (const [name, buffer] of files) zip.addFile(name, buffer);
+  return zip.toBuffer();
+};
+
+const module = (fields = {}) => ({ title: "Module", description: "About", category: "web", image: 'images/1.png', quizzes: [], ...fields });
+
+const bundleErrors = (buffer) => {
+  try {
+    readBundle(buffer);
+  } catch (error) {
+    return error.details ?? [error.message];
+  }
+  return [];
+};
+
+test("a valid bundle is read", async () => {
+  const buffer = makeBundle([
+    module({ quizzes: [{ title: "Quiz", questions: [question] }] }),
+    module({ prerequisites: { allOf: [{ module: 0, minScore: 50 }] } })
+  ], [['images/1.png', await png()]]);
+  const { manifest, readImage } = readBundle(buffer);
+  assert.equal(manifest.modules.length, 2);
+  assert.ok(readImage('images/1.png').length > 0);
+});
+
+test("modules without their image in the archive are refused", () => {
+  assert.deepEqual(bundleErrors(makeBundle([module({ image: null })])), ["modules[0].image is required"]);
+  assert.deepEqual(bundleErrors(makeBundle([module()])), ["modules[0].image is not in the archive"]);
+});
+
+test("prerequisites pointing at themselves or forming a cycle are refused", async () => {
+  const files = [['images/1.png', await png()]];
+  assert.ok(bundleErrors(makeBundle([module({ prerequisites: { allOf: [{ module: 0 }] } })], files)).length > 0);
+  assert.ok(bundleErrors(makeBundle([
+    module({ prerequisites: { allOf: [{ module: 1 }] } }),
+    module({ prerequisites: { anyOf: [{ module: 0 }] } })
+  ], files)).length > 0);
+});
+
+test("invalid quizzes are refused before anything is imported", async () => {
+  const errors = bundleErrors(makeBundle([module({ quizzes: [{ title: "Quiz", questions: [{ questionType: 'fillInBlanks', blanks: [] }] }] })], [['images/1.png', await png()]]));
+  assert.ok(errors.some(error => error.startsWith("modules[0].quizzes[0].")));
+});
+
+test("entries larger than they may be are refused", () => {
+  const zip = makeBundle([module()], [['images/1.png', Buffer.alloc(11 * 1024 * 1024)]]);
+  assert.throws(() => readBundle(zip).readImage('images/1.png'), { statusCode: 413 });
+});
+
+test("a failed import removes the images it stored", async () => {
+  const bundle = readBundle(makeBundle([module({ quizzes: [{ title: "Quiz", description: "Sums", order: 1, questions: [question] }] })], [['images/1.png', await png()]]));
+
+  mock.method(Module, 'findOne', () => ({ sort: () => ({ select: async () => null }) }));
+  mock.method(Module.prototype, 'save', async function () { return this; });
+  mock.method(Quiz.prototype, 'save', async () => { throw new Error("Database went away"); });
+  for (const model of [Module, Quiz, Lesson]) mock.method(model, 'deleteMany', async () => ({}));
+  try {
+    await assert.rejects(
+      importBundle(bundle, { course: new mongoose.Types.ObjectId(), user: { id: new mongoose.Types.ObjectId() } }),
+      { message: "Database went away" }
+    );
+    assert.equal(Module.deleteMany.mock.callCount(), 1);
+    assert.deepEqual(fs.readdirSync(path.join(storageDir, 'modules')), []);
+  } finally {
+    mock.restoreAll();
+  }
+});
+
+test("modules whose image cannot be read are not exported", async () => {
+  mock.method(Quiz, 'find', () => ({ sort: async () => [] }));
+  mock.method(Lesson, 'find', () => ({ sort: async () => [] }));
+  mock.method(console, 'error', () => {});
+  try {
+    const source = new Module({ title: "Module", description: "About", category: "web", image: "/media/modules/missing.png", course: new mongoose.Types.ObjectId(), order: 1 });
+    await assert.rejects(buildBundle([source]), { statusCode: 409, message: /image of module "Module" could not be read/ });
+  } finally {
+    mock.restoreAll();
+  }
+});
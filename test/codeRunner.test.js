@@ -0,0 +1,152 @@
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { runCode, runTestCases } from "../src/lib/codeRunner.js";
+
+// The harnesses are run directly to check the limits they apply themselves;
+// runCode is only exercised end to end where bubblewrap is installed.
+
+const sandboxDir = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "src", "lib", "sandbox");
+
+const onPath = (command) => (process.env.PATH || '').split(path.delimiter)
+  .some(dir => dir && fs.existsSync(path.join(dir, command)));
+const hasBwrap = onPath(process.env.CODE_RUNNER_BWRAP || "bwrap");
+const hasPython = spawnSync("python3", ["--version"]).status === 0;
+
+const runHarness = (command, args, code, extension, input = '') => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "harness-test-"));
+  try {
+    const solution = path.join(dir, `solution.${extension}`);
+    fs.writeFileSync(solution, code);
+    const result = spawnSync(command, [...args, solution, ...harnessLimits[extension]], {
+      input,
+      cwd: dir,
+      encoding: "utf8",
+      timeout: 20000
+    });
+    return { stdout: result.stdout, stderr: result.stderr, status: result.status, signal: result.signal };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+// time limit ms and output bytes for JavaScript, cpu seconds and memory MB for Python
+const harnessLimits = { js: ["500", "1024"], py: ["1", "64"] };
+
+const runJs = (code, input) => runHarness(process.execPath, [path.join(sandboxDir, "jsHarness.js")], code, "js", input);
+const runPy = (code, input) => runHarness("python3", ["-I", "-S", "-B", path.join(sandboxDir, "pyHarness.py")], code, "py", input);
+
+test("the JavaScript harness runs the solution with its input", () => {
+  const result = runJs("const [a, b] = input.trim().split(' ').map(Number); console.log(a + b); print(readLine(), readLine());", "2 3\n");
+  assert.equal(result.status, 0);
+  assert.equal(result.stdout, "5\n2 3 \n");
+});
+
+test("the JavaScript solution cannot reach the host realm", () => {
+  for (const escape of [
+    'print.constructor.constructor("return process")()',
+    'console.log.constructor("return process")().exit(7)',
+    'this.constructor.constructor("return process")()',
+    'globalThis.__proto__.constructor.constructor("return process")()',
+    'readLine.constructor("return require")()'
+  ]) {
+    const result = runJs(escape);
+    assert.equal(result.status, 1, escape);
+    assert.match(result.stderr, /ReferenceError: (process|require) is not defined/, escape);
+  }
+  assert.equal(runJs("print(typeof process, typeof require, typeof fetch)").stdout, "undefined undefined undefined\n");
+});
+
+test("the JavaScript harness stops infinite loops, including promise loops", () => {
+  for (const code of ["while (true) {}", "const loop = () => Promise.resolve().then(loop); loop();"]) {
+    const result = runJs(code);
+    assert.equal(result.status, 124, code);
+    assert.match(result.stderr, /Time limit of 500ms exceeded/);
+  }
+});
+
+test("the JavaScript harness caps output", () => {
+  const result = runJs('while (true) print("x".repeat(100))');
+  assert.equal(result.status, 1);
+  assert.ok(result.stdout.length <= 1024 + 101);
+  assert.match(result.stderr, /Output limit exceeded/);
+});
+
+test("errors thrown by the solution are reported as text", () => {
+  assert.match(runJs("throw new TypeError('bad')").stderr, /TypeError: bad/);
+  assert.match(runJs("throw 42").stderr, /Uncaught 42/);
+  const result = runJs("throw { get stack() { throw new Error('nope') } }");
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /Uncaught error/);
+});
+
+test("the Python harness runs the solution", { skip: !hasPython && "python3 not installed" }, () => {
+  const result = runPy("a, b = map(int, input().split())\nprint(a + b)", "2 3\n");
+  assert.equal(result.status, 0);
+  assert.equal(result.stdout, "5\n");
+});
+
+test("the Python harness cannot write files", { skip: !hasPython && "python3 not installed" }, () => {
+  const result = runPy("with open('written.txt', 'w') as f:\n    f.write('x' * 10000)\n");
+  assert.notEqual(result.status, 0);
+  assert.match(result.stderr, /File too large/);
+});
+
+test("the Python harness limits memory", { skip: !hasPython && "python3 not installed" }, () => {
+  const result = runPy("data = bytearray(512 * 1024 * 1024)");
+  assert.notEqual(result.status, 0);
+  assert.match(result.stderr, /MemoryError/);
+});
+
+test("the Python harness cannot start processes", { skip: !hasPython && "python3 not installed" }, () => {
+  const result = runPy("import os\nos.fork()");
+  // Root ignores the process limit, so only check it where it applies
+  if (process.getuid?.() === 0) return;
+  assert.notEqual(result.status, 0);
+  assert.match(result.stderr, /BlockingIOError|Resource temporarily unavailable/);
+});
+
+test("the Python harness limits CPU time", { skip: !hasPython && "python3 not installed" }, () => {
+  const result = runPy("while True:\n    pass");
+  assert.equal(result.signal, "SIGXCPU");
+});
+
+test("nothing is run without the sandbox", { skip: hasBwrap && "bubblewrap is installed" }, async () => {
+  mock.method(console, 'error', () => {});
+  try {
+    const result = await runCode({ language: 'javascript', code: 'print(1)' });
+    assert.equal(result.error, 'The code sandbox is not available on this server');
+
+    const [testResult] = await runTestCases({ language: 'python', code: 'print(1)', testCases: [{ input: '', expectedOutput: '1' }] });
+    assert.equal(testResult.passed, false);
+  } finally {
+    mock.restoreAll();
+  }
+});
+
+test("unsupported languages and oversized code are refused", async () => {
+  assert.match((await runCode({ language: 'ruby', code: 'puts 1' })).error, /Unsupported language/);
+  assert.match((await runCode({ code: 'x'.repeat(65 * 1024) })).error, /too large/);
+});
+
+test("sandboxed code runs but sees no network or host files", { skip: !hasBwrap && "bubblewrap not installed" }, async () => {
+  const js = await runCode({ language: 'javascript', code: 'print(Number(input) * 2)', input: '21' });
+  assert.equal(js.stdout, "42\n");
+  assert.equal(js.exitCode, 0);
+
+  if (!hasPython) return;
+  const network = await runCode({ language: 'python', code: 'import socket\nsocket.create_connection(("1.1.1.1", 80), timeout=1)' });
+  assert.notEqual(network.exitCode, 0);
+  assert.match(network.stderr, /OSError|unreachable/i);
+
+  const files = await runCode({ language: 'python', code: 'print(open("/etc/passwd").read())' });
+  assert.notEqual(files.exitCode, 0);
+  assert.match(files.stderr, /FileNotFoundError/);
+
+  const timeout = await runCode({ language: 'python', code: 'while True:\n    pass' });
+  assert.equal(timeout.timedOut, true);
+});
@@ -0,0 +1,129 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Role from "../src/models/Role.js";
+import Course from "../src/models/Course.js";
+import Section from "../src/models/Section.js";
+import "../src/models/Module.js";
+import { can, saveRole, deleteRole, getRole, ownedModulesFilter, PERMISSIONS } from "../src/lib/permissions.js";
+
+const id = () => new mongoose.Types.ObjectId();
+
+const lean = (value) => ({ lean: async () => value });
+
+let storedRoles;
+let courses;
+let sections;
+
+beforeEach(async () => {
+  storedRoles = [];
+  courses = new Map();
+  sections = [];
+
+  mock.method(Role, 'find', () => lean(storedRoles));
+  mock.method(Role, 'findOneAndUpdate', async ({ name }, update) => {
+    let role = storedRoles.find(stored => stored.name === name);
+    if (!role) storedRoles.push(role = { ...update.$setOnInsert });
+    Object.assign(role, update.$set);
+  });
+  mock.method(Role, 'deleteOne', async ({ name }) => {
+    storedRoles = storedRoles.filter(stored => stored.name !== name);
+  });
+  mock.method(Course, 'findById', async (courseId) => courses.get(String(courseId)) ?? null);
+  mock.method(Section, 'find', ({ $or: [{ students }] }) => ({
+    select: () => lean(sections.filter(section => section.students.some(student => String(student) === String(students))))
+  }));
+
+  // Drops whatever roles the previous test cached
+  await deleteRole('none');
+});
+
+afterEach(() => mock.restoreAll());
+
+const user = (privilege) => ({ id: id(), privilege });
+
+test("built-in roles grant their defaults", async () => {
+  assert.equal(await can(user('student'), 'content:preview'), false);
+  assert.equal(await can(user('teaching_assistant'), 'content:preview'), true);
+  assert.equal(await can(user('teaching_assistant'), 'module:update'), false);
+  assert.equal(await can(user('instructor'), 'course:create'), true);
+  assert.equal(await can(user('instructor'), 'role:manage'), false);
+  assert.equal(await can(user('unknown'), 'content:preview'), false);
+  for (const permission of Object.keys(PERMISSIONS)) {
+    assert.equal(await can(user('admin'), permission), true, permission);
+  }
+});
+
+test(":own grants only cover records the user owns", async () => {
+  const instructor = user('instructor');
+  const course = { _id: id(), instructor: instructor.id };
+  courses.set(String(course._id), course);
+
+  const ownModule = { _id: id(), course: course._id, createdBy: id() };
+  const otherModule = { _id: id(), course: id(), createdBy: id() };
+  const createdModule = { _id: id(), course: id(), createdBy: instructor.id };
+
+  assert.equal(await can(instructor, 'module:update', ownModule), true);
+  assert.equal(await can(instructor, 'module:update', createdModule), true);
+  assert.equal(await can(instructor, 'module:update', otherModule), false);
+  assert.equal(await can(user('admin'), 'module:update', otherModule), true);
+  // Without a record the route checks ownership itself
+  assert.equal(await can(instructor, 'module:update'), true);
+});
+
+test("instructors list the modules they created and those of their courses", async () => {
+  const instructor = user('instructor');
+  const courseIds = [id(), id()];
+  mock.method(Course, 'find', (filter) => ({ distinct: async () => (filter.$or[0].instructor === instructor.id ? courseIds : []) }));
+
+  assert.deepEqual(await ownedModulesFilter(instructor), {
+    $or: [{ createdBy: instructor.id }, { course: { $in: courseIds } }]
+  });
+});
+
+test("instructors own the students of their sections and nobody else", async () => {
+  const instructor = user('instructor');
+  const student = { _id: id(), privilege: 'student' };
+  const assistant = { _id: id(), privilege: 'teaching_assistant' };
+  sections.push({ instructor: instructor.id, students: [student._id, assistant._id] });
+
+  assert.equal(await can(instructor, 'user:update', student), true);
+  assert.equal(await can(instructor, 'user:update', { _id: id(), privilege: 'student' }), false);
+  assert.equal(await can(instructor, 'user:update', assistant), false);
+  assert.equal(await can(instructor, 'user:delete', { ...student, privilege: 'admin' }), false);
+});
+
+test("progress repair is scoped like other actions", async () => {
+  assert.equal(await can(user('instructor'), 'progress:repair:any'), false);
+  assert.equal(await can(user('instructor'), 'progress:repair:own'), true);
+  assert.equal(await can(user('admin'), 'progress:repair:any'), true);
+  assert.equal(await can(user('teaching_assistant'), 'progress:repair'), false);
+});
+
+test("stored roles override built-in ones and add new ones", async () => {
+  const admin = user('admin');
+  await saveRole('teaching_assistant', { permissions: ['question:read'] }, admin);
+  await saveRole('grader', { description: "Marks work", permissions: ['content:preview'] }, admin);
+
+  assert.equal(await can(user('teaching_assistant'), 'content:preview'), false);
+  assert.equal(await can(user('grader'), 'content:preview'), true);
+  assert.equal((await getRole('grader')).builtIn, false);
+
+  await deleteRole('teaching_assistant');
+  assert.equal(await can(user('teaching_assistant'), 'content:preview'), true);
+});
+
+test("the admin role cannot be changed", async () => {
+  storedRoles.push({ name: 'admin', permissions: [] });
+  await deleteRole('none');
+  assert.equal(await can(user('admin'), 'role:manage'), true);
+  assert.equal((await getRole('admin')).fixed, true);
+});
+
+test("stored permissions that no longer exist grant nothing", async () => {
+  storedRoles.push({ name: 'instructor', permissions: ['progress:repair', 'module:update:own'] });
+  await deleteRole('none');
+  const role = await getRole('instructor');
+  assert.deepEqual(role.permissions, ['module:update:own']);
+  assert.equal(await can(user('instructor'), 'progress:repair:own'), false);
+});
@@ -0,0 +1,114 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { gradeQuestion, gradeAnswers, stripAnswerKey, stripQuizAnswerKeys } from "../src/lib/quizGrader.js";
+
+const multipleChoice = (scoringPolicy = 'allOrNothing') => ({
+  questionType: 'multipleChoice',
+  scoringPolicy,
+  options: [
+    { text: 'a', isCorrect: true },
+    { text: 'b', isCorrect: true },
+    { text: 'c', isCorrect: false },
+    { text: 'd', isCorrect: false }
+  ]
+});
+
+const codeOrdering = (scoringPolicy = 'subsequence') => ({
+  questionType: 'codeOrdering',
+  scoringPolicy,
+  codeBlocks: [0, 1, 2, 3].map(correctPosition => ({ code: `line ${correctPosition}`, correctPosition }))
+});
+
+test("multiple choice needs exactly the correct options", async () => {
+  assert.equal((await gradeQuestion(multipleChoice(), [0, 1])).credit, 1);
+  assert.equal((await gradeQuestion(multipleChoice(), [1, 0, 0])).credit, 1);
+  assert.equal((await gradeQuestion(multipleChoice(), [0])).credit, 0);
+  assert.equal((await gradeQuestion(multipleChoice(), [0, 1, 2])).credit, 0);
+});
+
+test("negative marking cancels right picks with wrong ones, never below zero", async () => {
+  assert.equal((await gradeQuestion(multipleChoice('negativeMarking'), [0, 2])).credit, 0);
+  assert.equal((await gradeQuestion(multipleChoice('negativeMarking'), [0])).credit, 0.5);
+  assert.equal((await gradeQuestion(multipleChoice('negativeMarking'), [2, 3])).credit, 0);
+});
+
+test("fill in the blanks accepts alternatives, patterns and numbers", async () => {
+  const question = {
+    questionType: 'fillInBlanks',
+    scoringPolicy: 'proportional',
+    blanks: [
+      { answer: 'colour', alternatives: ['color'] },
+      { patterns: ['https?'] },
+      { numeric: { value: 3.14, tolerance: 0.01 } }
+    ]
+  };
+  assert.equal((await gradeQuestion(question, ['Color', 'HTTPS', '3.141'])).credit, 1);
+  assert.equal((await gradeQuestion(question, ['colour', 'ftp', '3'])).credit, 1 / 3);
+  assert.equal((await gradeQuestion({ ...question, scoringPolicy: 'allOrNothing' }, ['colour', 'ftp', '3'])).credit, 0);
+});
+
+test("code ordering credits the longest run in correct order", async () => {
+  assert.deepEqual(await gradeQuestion(codeOrdering(), [0, 1, 2, 3]), { isCorrect: true, credit: 1, details: undefined });
+  assert.equal((await gradeQuestion(codeOrdering(), [1, 0, 2, 3])).credit, 0.75);
+  assert.equal((await gradeQuestion(codeOrdering(), [3, 2, 1, 0])).credit, 0.25);
+  assert.equal((await gradeQuestion(codeOrdering('allOrNothing'), [1, 0, 2, 3])).credit, 0);
+});
+
+test("code ordering gives nothing for answers that are not an arrangement of the blocks", async () => {
+  for (const answer of [[0, 0, 0, 0], [0, 1, 2], [0, 1, 2, 3, 4], [0, 1, 2, 9], [0.5, 1, 2, 3], ['0', 1, 2, 3], [-1, 1, 2, 3]]) {
+    const result = await gradeQuestion(codeOrdering(), answer);
+    assert.equal(result.credit, 0, `credit for ${JSON.stringify(answer)}`);
+    assert.equal(result.isCorrect, false);
+  }
+});
+
+test("unanswered questions score nothing", async () => {
+  for (const answer of [undefined, null, '', []]) {
+    assert.deepEqual(await gradeQuestion(multipleChoice(), answer), { isCorrect: false, credit: 0 });
+  }
+});
+
+test("quiz totals weigh questions by their points", async () => {
+  const questions = [
+    { ...multipleChoice(), points: 30 },
+    { ...codeOrdering(), points: 10 }
+  ];
+  const grading = await gradeAnswers(questions, [[0, 1], [1, 0, 2, 3]], 70);
+  assert.equal(grading.earnedPoints, 37.5);
+  assert.equal(grading.totalPoints, 40);
+  assert.equal(grading.correctAnswers, 1);
+  assert.equal(grading.passed, true);
+  assert.equal((await gradeAnswers(questions, [[0], [1, 0, 2, 3]], 70)).passed, false);
+});
+
+test("answer keys and hidden test cases are stripped for students", () => {
+  const code = {
+    questionType: 'codeImplementation',
+    correctAnswer: 'print(1)',
+    testCases: [
+      { input: '1', expectedOutput: '1', hidden: false },
+      { input: '2', expectedOutput: 'secret', hidden: true }
+    ]
+  };
+  const quiz = {
+    title: 'Quiz',
+    questions: [
+      code,
+      multipleChoice(),
+      codeOrdering(),
+      { questionType: 'fillInBlanks', blanks: [{ answer: 'x' }] }
+    ]
+  };
+
+  const stripped = stripQuizAnswerKeys(quiz);
+  const json = JSON.stringify(stripped);
+  assert.ok(!json.includes('secret'));
+  assert.ok(!json.includes('isCorrect'));
+  assert.ok(!json.includes('correctPosition'));
+  assert.ok(!json.includes('correctAnswer'));
+  assert.equal(stripped.questions[0].testCases.length, 1);
+  assert.equal(stripped.questions[3].blanks, undefined);
+  // The source is left as it was
+  assert.equal(quiz.questions[0].testCases.length, 2);
+  assert.deepEqual(stripAnswerKey(code).testCases, [code.testCases[0]]);
+});
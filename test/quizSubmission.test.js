@@ -0,0 +1,90 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Progress from "../src/models/Progress.js";
+import User from "../src/models/Users.js";
+import Role from "../src/models/Role.js";
+import Module from "../src/models/Module.js";
+import { submitQuizAttempt, QuizSubmissionError } from "../src/lib/quizSubmission.js";
+
+// Progress is kept in memory with a version, and a save only goes through
+// when the version it was loaded at is still current, as a versioned save
+// in MongoDB does
+let stored;
+let saves;
+
+const loadProgress = () => {
+  const snapshot = structuredClone(stored);
+  return {
+    ...snapshot,
+    isModuleUnlocked: () => true,
+    unlockAvailableModules: async () => [],
+    isQuizUnlockedAsync: async () => true,
+    async recordQuizAttempt(quiz, grading) {
+      const isFirstPass = grading.passed && !this.quizAttempts.some(attempt => attempt.passed);
+      const attempt = { attemptNumber: this.quizAttempts.length + 1, passed: grading.passed, xpEarned: isFirstPass ? 10 : 0 };
+      this.quizAttempts.push(attempt);
+      return attempt;
+    },
+    increment() {
+      this.versioned = true;
+    },
+    async save() {
+      saves++;
+      // Both submissions load before either saves
+      await new Promise(resolve => setImmediate(resolve));
+      if (this.versioned && this.__v !== stored.__v) {
+        throw new mongoose.Error.VersionError({ _doc: { _id: user.id } }, this.__v, ['quizAttempts']);
+      }
+      stored = { __v: stored.__v + 1, quizAttempts: this.quizAttempts };
+    }
+  };
+};
+
+const user = { id: new mongoose.Types.ObjectId(), privilege: 'student' };
+const quiz = {
+  _id: new mongoose.Types.ObjectId(),
+  module: new mongoose.Types.ObjectId(),
+  title: "Quiz",
+  status: 'published',
+  passingScore: 50,
+  questions: [{ questionType: 'multipleChoice', options: [{ text: "a", isCorrect: true }, { text: "b", isCorrect: false }] }]
+};
+
+beforeEach(() => {
+  stored = { __v: 0, quizAttempts: [] };
+  saves = 0;
+  mock.method(console, 'log', () => {});
+  mock.method(Role, 'find', () => ({ lean: async () => [] }));
+  mock.method(Module, 'findById', () => ({ select: async () => null }));
+  mock.method(Progress, 'findOne', async () => loadProgress());
+  mock.method(User, 'findByIdAndUpdate', async () => null);
+});
+
+afterEach(() => mock.restoreAll());
+
+test("parallel submissions are both recorded and earn XP once", async () => {
+  const results = await Promise.all([
+    submitQuizAttempt({ user, quiz, answers: [[0]] }),
+    submitQuizAttempt({ user, quiz, answers: [[0]] })
+  ]);
+
+  assert.deepEqual(stored.quizAttempts.map(attempt => attempt.attemptNumber), [1, 2]);
+  assert.deepEqual(results.map(result => result.attempt.xpEarned).sort(), [0, 10]);
+  assert.equal(User.findByIdAndUpdate.mock.callCount(), 1);
+  assert.equal(saves, 3);
+});
+
+test("a submission that keeps losing the race is refused", async () => {
+  Progress.findOne.mock.mockImplementation(async () => {
+    const progress = loadProgress();
+    // Something else saves the progress every time
+    stored = { ...stored, __v: stored.__v + 1 };
+    return progress;
+  });
+
+  await assert.rejects(submitQuizAttempt({ user, quiz, answers: [[0]] }), (error) =>
+    error instanceof QuizSubmissionError && error.statusCode === 409);
+  assert.equal(saves, 3);
+  assert.equal(User.findByIdAndUpdate.mock.callCount(), 0);
+});
@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import cloudinary from "../src/lib/cloudinary.js";
+import cloudinaryStorage, { MEDIA_TAG } from "../src/lib/storage/cloudinary.js";
+
+test("only files of the configured Cloudinary cloud count as stored", () => {
+  cloudinary.config({ cloud_name: "our-cloud" });
+  assert.equal(cloudinaryStorage.keyFromUrl("https://res.cloudinary.com/our-cloud/image/upload/v123/modules/abc.jpg"), "modules/abc");
+  assert.equal(cloudinaryStorage.keyFromUrl("https://res.cloudinary.com/our-cloud/image/upload/quizzes/x-card.webp"), "quizzes/x-card");
+  assert.equal(cloudinaryStorage.keyFromUrl("https://res.cloudinary.com/other-cloud/image/upload/v123/modules/abc.jpg"), null);
+  assert.equal(cloudinaryStorage.keyFromUrl("https://evil.example/our-cloud/image/upload/v123/modules/abc.jpg"), null);
+  assert.equal(cloudinaryStorage.keyFromUrl("not a url"), null);
+});
+
+test("Cloudinary uploads are tagged and only tagged files in the folder are listed", async (t) => {
+  const upload = t.mock.method(cloudinary.uploader, "upload", async () => ({ secure_url: "https://res.cloudinary.com/our-cloud/image/upload/v1/modules/new.png", public_id: "modules/new" }));
+  await cloudinaryStorage.upload({ buffer: Buffer.from("png"), contentType: "image/png" }, { folder: "modules" });
+  assert.deepEqual(upload.mock.calls[0].arguments[1].tags, [MEDIA_TAG]);
+
+  const byTag = t.mock.method(cloudinary.api, "resources_by_tag", async () => ({
+    resources: [
+      { type: "upload", public_id: "modules/new", secure_url: "https://res.cloudinary.com/our-cloud/image/upload/v1/modules/new.png", bytes: 3, created_at: "2026-01-01T00:00:00Z" },
+      { type: "upload", public_id: "quizzes/other", secure_url: "https://res.cloudinary.com/our-cloud/image/upload/v1/quizzes/other.png", bytes: 3, created_at: "2026-01-01T00:00:00Z" }
+    ]
+  }));
+  const files = [];
+  for await (const file of cloudinaryStorage.list("modules")) files.push(file.key);
+  assert.deepEqual(files, ["modules/new"]);
+  assert.equal(byTag.mock.calls[0].arguments[0], MEDIA_TAG);
+});
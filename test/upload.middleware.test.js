@@ -0,0 +1,69 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import sharp from "sharp";
+import { imageUpload } from "../src/middleware/upload.middleware.js";
+import { validateQuestions } from "../src/lib/quizValidation.js";
+
+// A route shaped like quiz create: image upload, then question validation
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.post("/quizzes", imageUpload('image', { jsonFields: ['questions', 'assembly'] }), (req, res) => {
+    const errors = validateQuestions(req.body.questions ?? []);
+    if (errors.length > 0) return res.status(400).json({ message: "Invalid questions", errors });
+    res.json({ body: req.body, file: req.file ? { mimetype: req.file.mimetype, size: req.file.size } : null });
+  });
+  await new Promise(resolve => { server = app.listen(0, "127.0.0.1", resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const questions = [{
+  question: "2 + 2?",
+  questionType: 'multipleChoice',
+  options: [{ text: "4", isCorrect: true }, { text: "5", isCorrect: false }]
+}];
+
+const png = () => sharp({ create: { width: 4, height: 4, channels: 3, background: "#336699" } }).png().toBuffer();
+
+test("multipart quizzes carry their questions as JSON next to the image", async () => {
+  const form = new FormData();
+  form.append("title", "Arithmetic");
+  form.append("questions", JSON.stringify(questions));
+  form.append("assembly", JSON.stringify({ shuffleQuestions: true }));
+  form.append("image", new Blob([await png()], { type: "image/png" }), "cover.png");
+
+  const response = await fetch(`${baseUrl}/quizzes`, { method: "POST", body: form });
+  const data = await response.json();
+  assert.equal(response.status, 200, JSON.stringify(data));
+  assert.equal(data.body.title, "Arithmetic");
+  assert.deepEqual(data.body.questions, questions);
+  assert.deepEqual(data.body.assembly, { shuffleQuestions: true });
+  assert.equal(data.file.mimetype, "image/png");
+});
+
+test("multipart fields that are not JSON are refused", async () => {
+  const form = new FormData();
+  form.append("questions", "[{ not json");
+
+  const response = await fetch(`${baseUrl}/quizzes`, { method: "POST", body: form });
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).message, /questions must be JSON-encoded/);
+});
+
+test("JSON bodies are left as they are", async () => {
+  const response = await fetch(`${baseUrl}/quizzes`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ questions, assembly: "[1]" })
+  });
+  const data = await response.json();
+  assert.equal(response.status, 200);
+  assert.deepEqual(data.body.questions, questions);
+  assert.equal(data.body.assembly, "[1]");
+});
@@ -0,0 +1,33 @@
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+import Module from "../src/models/Module.js";
+import Quiz from "../src/models/Quiz.js";
+import { availabilityOf, publishContentWithoutStatus } from "../src/lib/visibility.js";
+
+test("availability follows the status and the window", () => {
+  const now = new Date("2026-06-01T12:00:00Z");
+  assert.equal(availabilityOf({ status: 'draft' }, now), 'draft');
+  assert.equal(availabilityOf({ status: 'archived' }, now), 'archived');
+  assert.equal(availabilityOf({ status: 'published' }, now), 'open');
+  assert.equal(availabilityOf({ status: 'published', availableFrom: new Date("2026-06-02") }, now), 'scheduled');
+  assert.equal(availabilityOf({ status: 'published', availableUntil: new Date("2026-06-01T12:00:00Z") }, now), 'closed');
+});
+
+test("content without a status is published, nothing else is touched", async () => {
+  const filters = [];
+  for (const [Model, modifiedCount] of [[Module, 2], [Quiz, 5]]) {
+    mock.method(Model.collection, 'updateMany', async (filter, update) => {
+      filters.push({ filter, update });
+      return { modifiedCount };
+    });
+  }
+  try {
+    assert.deepEqual(await publishContentWithoutStatus(), { Module: 2, Quiz: 5 });
+    for (const { filter, update } of filters) {
+      assert.deepEqual(filter, { status: { $exists: false } });
+      assert.equal(update[0].$set.status, 'published');
+    }
+  } finally {
+    mock.restoreAll();
+  }
+});